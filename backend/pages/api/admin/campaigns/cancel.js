@@ -0,0 +1,66 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { cancelCampaign } from '../../../../utils/campaigns'
+
+const cancelSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+})
+
+/**
+ * Cancela uma campanha (rascunho ou agendada)
+ * Mensagens pendentes são canceladas; as já enviadas continuam no relatório.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { id } = cancelSchema.parse({
+      id: sanitizeString(req.body?.id || '', 36),
+    })
+
+    const existing = await prisma.campaign.findUnique({
+      where: { id },
+      select: { id: true },
+    })
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Campanha não encontrada' })
+    }
+
+    const result = await cancelCampaign(id)
+
+    if (!result) {
+      return res.status(400).json({ error: 'Campanha já cancelada' })
+    }
+
+    console.info('[Admin] Campanha cancelada:', {
+      id,
+      cancelledMessages: result.cancelled,
+      cancelledBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      campaign: result.campaign,
+      cancelled_messages: result.cancelled,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao cancelar campanha:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
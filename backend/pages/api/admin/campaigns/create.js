@@ -0,0 +1,70 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { campaignSegmentSchema, campaignBodySchema, readSegmentInput } from '../../../../utils/campaigns'
+
+const createCampaignSchema = z.object({
+  name: z.string().trim().min(3, 'Nome muito curto').max(100, 'Nome muito longo'),
+  body: campaignBodySchema,
+  segment: campaignSegmentSchema,
+  // Início dos envios (vazio = assim que for agendada)
+  scheduled_at: z.coerce.date({ message: 'Data de início inválida' }).optional(),
+  throttle_per_hour: z.coerce.number().int().min(1, 'Mínimo de 1 mensagem por hora').max(600, 'Máximo de 600 mensagens por hora').default(60),
+  conversion_window_days: z.coerce.number().int().min(1).max(60).default(7),
+})
+
+/**
+ * Cria uma campanha como rascunho
+ * As mensagens só entram na fila quando o admin agenda a campanha (schedule.js).
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    // O texto não passa por sanitizeString: quebras de linha fazem parte da mensagem
+    const data = createCampaignSchema.parse({
+      name: sanitizeString(req.body?.name || '', 100),
+      body: typeof req.body?.body === 'string' ? req.body.body.replace(/\0/g, '').replace(/\r\n/g, '\n') : '',
+      segment: readSegmentInput(req.body?.segment),
+      scheduled_at: req.body?.scheduled_at || undefined,
+      throttle_per_hour: req.body?.throttle_per_hour || undefined,
+      conversion_window_days: req.body?.conversion_window_days || undefined,
+    })
+
+    const campaign = await prisma.campaign.create({
+      data: {
+        ...data,
+        scheduled_at: data.scheduled_at || new Date(),
+        created_by: req.adminUser?.email || null,
+      },
+    })
+
+    console.info('[Admin] Campanha criada:', {
+      id: campaign.id,
+      name: campaign.name,
+      createdBy: req.adminUser?.email,
+    })
+
+    return res.status(201).json({
+      success: true,
+      campaign,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao criar campanha:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,66 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+import { getCampaignStats } from '../../../../utils/campaigns'
+
+const listSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(50).default(20),
+})
+
+/**
+ * Campanhas com o resultado de cada uma
+ * (enviadas, entregues, lidas, falhas, bloqueadas e conversões)
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { page, pageSize } = listSchema.parse({
+      page: req.query?.page || undefined,
+      pageSize: req.query?.pageSize || undefined,
+    })
+
+    const [campaigns, total] = await Promise.all([
+      prisma.campaign.findMany({
+        orderBy: { created_at: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+      }),
+      prisma.campaign.count(),
+    ])
+
+    const stats = await getCampaignStats(campaigns)
+
+    return res.status(200).json({
+      success: true,
+      campaigns: campaigns.map(campaign => ({
+        ...campaign,
+        stats: stats.get(campaign.id),
+      })),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.max(1, Math.ceil(total / pageSize)),
+      },
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao listar campanhas:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
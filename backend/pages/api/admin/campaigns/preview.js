@@ -0,0 +1,75 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+import { loadOptOutLookup } from '../../../../utils/consent'
+import {
+  campaignSegmentSchema,
+  campaignBodySchema,
+  readSegmentInput,
+  buildSegmentWhere,
+  renderCampaignMessage,
+} from '../../../../utils/campaigns'
+
+const previewSchema = z.object({
+  segment: campaignSegmentSchema,
+  body: campaignBodySchema.optional(),
+})
+
+// Lead fictício para o exemplo quando o segmento está vazio
+const SAMPLE_LEAD = { nome: 'Maria Silva' }
+
+/**
+ * Prévia de uma campanha antes de salvar
+ * Conta os leads do segmento (e quantos estão bloqueados) e renderiza o texto
+ * para o primeiro deles.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { segment, body } = previewSchema.parse({
+      segment: readSegmentInput(req.body?.segment),
+      body: typeof req.body?.body === 'string' && req.body.body.trim()
+        ? req.body.body.replace(/\0/g, '').replace(/\r\n/g, '\n')
+        : undefined,
+    })
+
+    const [leads, isNumberOptedOut] = await Promise.all([
+      prisma.lead.findMany({
+        where: buildSegmentWhere(segment),
+        select: { id: true, nome: true, whatsapp: true },
+        orderBy: { created_at: 'asc' },
+      }),
+      loadOptOutLookup(),
+    ])
+
+    const optedOut = leads.filter(lead => isNumberOptedOut(lead.whatsapp)).length
+    const sampleLead = leads.find(lead => !isNumberOptedOut(lead.whatsapp)) || SAMPLE_LEAD
+
+    return res.status(200).json({
+      success: true,
+      recipients: leads.length,
+      opted_out: optedOut,
+      sample: body
+        ? { lead_name: sampleLead.nome, text: renderCampaignMessage(body, sampleLead) }
+        : null,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao gerar prévia da campanha:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
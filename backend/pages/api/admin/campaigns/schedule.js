@@ -0,0 +1,70 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { scheduleCampaign } from '../../../../utils/campaigns'
+
+const scheduleSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+})
+
+/**
+ * Agenda uma campanha: resolve o segmento e coloca uma mensagem por lead na fila
+ * Os envios começam em scheduled_at, espaçados por throttle_per_hour; números
+ * bloqueados entram como canceladas.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { id } = scheduleSchema.parse({
+      id: sanitizeString(req.body?.id || '', 36),
+    })
+
+    const existing = await prisma.campaign.findUnique({
+      where: { id },
+      select: { id: true, status: true },
+    })
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Campanha não encontrada' })
+    }
+
+    const result = await scheduleCampaign(id, req.adminUser?.email || null)
+
+    if (!result) {
+      return res.status(400).json({ error: 'Apenas rascunhos podem ser agendados' })
+    }
+
+    console.info('[Admin] Campanha agendada:', {
+      id,
+      queued: result.queued,
+      optedOut: result.optedOut,
+      scheduledBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      campaign: result.campaign,
+      queued: result.queued,
+      opted_out: result.optedOut,
+      last_send_after: result.lastSendAfter,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao agendar campanha:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,100 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { serializeConsent } from '../../../../utils/consent'
+import { phoneCandidates } from '../../../../utils/whatsappProviders'
+
+const listSchema = z.object({
+  status: z.enum(['OPTED_IN', 'OPTED_OUT']).optional(),
+  search: z.string().max(20).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(100).default(30),
+})
+
+/**
+ * Números com consentimento registrado (opt-out pelo WhatsApp ou ajuste do admin)
+ * Números sem registro nunca pediram opt-out e não aparecem aqui.
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { status, search, page, pageSize } = listSchema.parse({
+      status: req.query?.status ? sanitizeString(req.query.status, 20).toUpperCase() : undefined,
+      search: req.query?.search ? sanitizeString(req.query.search, 20).replace(/\D/g, '') || undefined : undefined,
+      page: req.query?.page || undefined,
+      pageSize: req.query?.pageSize || undefined,
+    })
+
+    const where = {
+      ...(status ? { status } : {}),
+      ...(search ? { phone: { contains: search } } : {}),
+    }
+
+    const [records, total, statusGroups] = await Promise.all([
+      prisma.contactConsent.findMany({
+        where,
+        orderBy: { updated_at: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+      }),
+      prisma.contactConsent.count({ where }),
+      prisma.contactConsent.groupBy({
+        by: ['status'],
+        _count: { status: true },
+      }),
+    ])
+
+    // Lead de cada número (cadastrado com ou sem 55 / nono dígito)
+    const leads = records.length
+      ? await prisma.lead.findMany({
+        where: { whatsapp: { in: records.flatMap(record => phoneCandidates(record.phone)) } },
+        orderBy: { created_at: 'desc' },
+        select: { id: true, nome: true, whatsapp: true },
+      })
+      : []
+
+    const contacts = records.map(record => {
+      const candidates = phoneCandidates(record.phone)
+      const lead = leads.find(item => candidates.includes(item.whatsapp))
+      return {
+        ...serializeConsent(record),
+        lead: lead ? { id: lead.id, nome: lead.nome } : null,
+      }
+    })
+
+    const counts = Object.fromEntries(['OPTED_IN', 'OPTED_OUT'].map(value => [
+      value,
+      statusGroups.find(group => group.status === value)?._count.status || 0,
+    ]))
+
+    return res.status(200).json({
+      success: true,
+      contacts,
+      counts,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.max(1, Math.ceil(total / pageSize)),
+      },
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao listar consentimentos:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
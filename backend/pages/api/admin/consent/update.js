@@ -0,0 +1,66 @@
+import { z } from 'zod'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { setContactConsent, serializeConsent } from '../../../../utils/consent'
+import { findLeadByPhone } from '../../../../utils/conversations'
+
+const updateSchema = z.object({
+  phone: z.string().min(8, 'Número inválido').max(15, 'Número inválido'),
+  status: z.enum(['OPTED_IN', 'OPTED_OUT'], { message: 'Status inválido' }),
+  note: z.string().max(300, 'Observação muito longa').optional(),
+})
+
+/**
+ * Ajuste manual do consentimento
+ * OPTED_OUT cancela as mensagens pendentes do número; OPTED_IN libera os próximos envios
+ * (mensagens já canceladas não voltam para a fila).
+ */
+async function handler(req, res) {
+  if (req.method !== 'PUT') {
+    res.setHeader('Allow', 'PUT')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { phone, status, note } = updateSchema.parse({
+      phone: sanitizeString(req.body?.phone || '', 20).replace(/\D/g, ''),
+      status: req.body?.status ? sanitizeString(req.body.status, 20).toUpperCase() : undefined,
+      note: req.body?.note ? sanitizeString(req.body.note, 300) : undefined,
+    })
+
+    const lead = await findLeadByPhone(phone)
+
+    const { consent, cancelled } = await setContactConsent(phone, status, {
+      source: 'admin',
+      note: note || null,
+      actor: req.adminUser?.email || 'admin',
+      leadId: lead?.id || null,
+    })
+
+    console.info('[Admin] Consentimento alterado:', {
+      phone: consent.phone,
+      status,
+      cancelled,
+      updatedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      consent: serializeConsent(consent),
+      cancelled_messages: cancelled,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao alterar consentimento:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,77 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { couponSchema } from '../../../../utils/coupons'
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const body = req.body || {}
+    const data = couponSchema.parse({
+      code: sanitizeString(body.code || '', 30),
+      descricao: body.descricao ? sanitizeString(body.descricao, 200) : null,
+      discount_type: body.discount_type,
+      discount_value: body.discount_value,
+      expires_at: body.expires_at ? sanitizeString(body.expires_at, 10) : null,
+      max_uses: body.max_uses,
+      max_uses_per_lead: body.max_uses_per_lead,
+      referral_code: body.referral_code ? sanitizeString(body.referral_code, 36) : null,
+      ativo: body.ativo,
+    })
+
+    if (data.referral_code) {
+      const referrer = await prisma.referrer.findUnique({
+        where: { referral_code: data.referral_code },
+        select: { id: true },
+      })
+
+      if (!referrer) {
+        return res.status(400).json({ error: 'Código de indicação não encontrado' })
+      }
+    }
+
+    const coupon = await prisma.coupon.create({
+      data: {
+        ...data,
+        created_by: req.adminUser?.email || null,
+        updated_by: req.adminUser?.email || null,
+      },
+    })
+
+    console.info('[Admin] Cupom criado:', {
+      id: coupon.id,
+      code: coupon.code,
+      discountType: coupon.discount_type,
+      discountValue: coupon.discount_value,
+      createdBy: req.adminUser?.email,
+    })
+
+    return res.status(201).json({
+      success: true,
+      coupon,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao criar cupom:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    // P2002 = código já usado por outro cupom
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Já existe um cupom com este código' })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
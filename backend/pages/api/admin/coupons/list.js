@@ -0,0 +1,48 @@
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const [coupons, sales] = await Promise.all([
+      prisma.coupon.findMany({
+        orderBy: [{ ativo: 'desc' }, { created_at: 'desc' }],
+      }),
+      // Vendas aprovadas por cupom (valores gravados na compra)
+      prisma.transaction.groupBy({
+        by: ['coupon_id'],
+        where: { status: 'succeeded', coupon_id: { not: null } },
+        _count: { _all: true },
+        _sum: { amount_product: true, discount_amount: true },
+      }),
+    ])
+
+    const salesByCoupon = new Map(sales.map(group => [group.coupon_id, group]))
+
+    return res.status(200).json({
+      success: true,
+      coupons: coupons.map((coupon) => {
+        const group = salesByCoupon.get(coupon.id)
+        return {
+          ...coupon,
+          stats: {
+            sales: group?._count._all || 0,
+            revenue: group?._sum.amount_product || 0,
+            discounts: group?._sum.discount_amount || 0,
+          },
+        }
+      }),
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao listar cupons:', error)
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
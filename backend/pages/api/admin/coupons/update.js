@@ -0,0 +1,88 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { couponSchema } from '../../../../utils/coupons'
+
+const idSchema = z.string().uuid('ID inválido')
+
+/**
+ * Atualiza um cupom
+ * Vendas já feitas guardam o código e o desconto da compra: só os próximos checkouts mudam
+ */
+async function handler(req, res) {
+  if (req.method !== 'PUT' && req.method !== 'POST') {
+    res.setHeader('Allow', 'PUT, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const body = req.body || {}
+    const id = idSchema.parse(sanitizeString(body.id || '', 36))
+    const data = couponSchema.parse({
+      code: sanitizeString(body.code || '', 30),
+      descricao: body.descricao ? sanitizeString(body.descricao, 200) : null,
+      discount_type: body.discount_type,
+      discount_value: body.discount_value,
+      expires_at: body.expires_at ? sanitizeString(body.expires_at, 10) : null,
+      max_uses: body.max_uses,
+      max_uses_per_lead: body.max_uses_per_lead,
+      referral_code: body.referral_code ? sanitizeString(body.referral_code, 36) : null,
+      ativo: body.ativo,
+    })
+
+    const existing = await prisma.coupon.findUnique({ where: { id } })
+    if (!existing) {
+      return res.status(404).json({ error: 'Cupom não encontrado' })
+    }
+
+    if (data.referral_code && data.referral_code !== existing.referral_code) {
+      const referrer = await prisma.referrer.findUnique({
+        where: { referral_code: data.referral_code },
+        select: { id: true },
+      })
+
+      if (!referrer) {
+        return res.status(400).json({ error: 'Código de indicação não encontrado' })
+      }
+    }
+
+    const coupon = await prisma.coupon.update({
+      where: { id },
+      data: {
+        ...data,
+        updated_by: req.adminUser?.email || null,
+      },
+    })
+
+    console.info('[Admin] Cupom atualizado:', {
+      id: coupon.id,
+      code: coupon.code,
+      ativo: coupon.ativo,
+      changedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      coupon,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao atualizar cupom:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    // P2002 = código já usado por outro cupom
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Já existe um cupom com este código' })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
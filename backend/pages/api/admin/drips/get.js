@@ -0,0 +1,65 @@
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+import { SENT_STATUSES } from '../../../../utils/messageQueue'
+import {
+  DRIP_SEQUENCES,
+  DRIP_SEQUENCE_KEYS,
+  DRIP_PLACEHOLDERS,
+  DEFAULT_DRIP_STEPS,
+  MAX_DRIP_STEPS,
+  getDripSequence,
+} from '../../../../utils/dripSequences'
+
+/**
+ * Sequências de follow-up com os passos atuais, o padrão do código
+ * e quantas mensagens cada passo já enviou
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const sequences = await Promise.all(DRIP_SEQUENCE_KEYS.map(async (key) => {
+      const { message_type, label } = DRIP_SEQUENCES[key]
+
+      const [sequence, sentByStep] = await Promise.all([
+        getDripSequence(key),
+        prisma.whatsAppMessage.groupBy({
+          by: ['drip_step'],
+          where: { message_type, drip_step: { not: null }, status: { in: SENT_STATUSES } },
+          _count: { drip_step: true },
+        }),
+      ])
+
+      return {
+        key,
+        label,
+        message_type,
+        steps: sequence.steps.map((step, index) => ({
+          ...step,
+          sent: sentByStep.find(group => group.drip_step === index + 1)?._count.drip_step || 0,
+        })),
+        default_steps: DEFAULT_DRIP_STEPS[key],
+        custom: sequence.custom,
+        updated_by: sequence.updated_by,
+        updated_at: sequence.updated_at,
+      }
+    }))
+
+    return res.status(200).json({
+      success: true,
+      placeholders: DRIP_PLACEHOLDERS,
+      max_steps: MAX_DRIP_STEPS,
+      sequences,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao carregar sequências:', error)
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
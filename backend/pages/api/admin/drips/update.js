@@ -0,0 +1,87 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { DRIP_SEQUENCES, DRIP_SEQUENCE_KEYS, DEFAULT_DRIP_STEPS, dripStepsSchema, getDripSequence } from '../../../../utils/dripSequences'
+
+const updateDripSchema = z.object({
+  key: z.enum(DRIP_SEQUENCE_KEYS, { message: 'Sequência inválida' }),
+  // null volta para os passos padrão
+  steps: dripStepsSchema.nullable(),
+})
+
+/**
+ * Salva os passos de uma sequência de follow-up
+ * Atrasos valem para as sequências iniciadas depois; textos são lidos na hora do envio,
+ * então também mudam os passos que já estão na fila. Passos removidos são cancelados na fila.
+ */
+async function handler(req, res) {
+  if (req.method !== 'PUT') {
+    res.setHeader('Allow', 'PUT')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    // Os textos não passam por sanitizeString: quebras de linha fazem parte da mensagem
+    const { key, steps } = updateDripSchema.parse({
+      key: sanitizeString(req.body?.key || '', 40),
+      steps: Array.isArray(req.body?.steps)
+        ? req.body.steps.map(step => ({
+          delay_minutes: step?.delay_minutes,
+          body: typeof step?.body === 'string' ? step.body.replace(/\0/g, '').replace(/\r\n/g, '\n') : null,
+        }))
+        : null,
+    })
+
+    const updatedBy = req.adminUser?.email || 'admin'
+
+    if (steps) {
+      await prisma.dripSequence.upsert({
+        where: { key },
+        create: { key, steps, updated_by: updatedBy },
+        update: { steps, updated_by: updatedBy },
+      })
+    } else {
+      await prisma.dripSequence.deleteMany({ where: { key } })
+    }
+
+    const removed = await prisma.whatsAppMessage.updateMany({
+      where: {
+        message_type: DRIP_SEQUENCES[key].message_type,
+        status: 'PENDING',
+        drip_step: { gt: (steps || DEFAULT_DRIP_STEPS[key]).length },
+      },
+      data: {
+        status: 'CANCELLED',
+        cancel_reason: 'drip_step_removed',
+        next_retry_at: null,
+      },
+    })
+
+    console.info('[Admin] Sequência atualizada:', {
+      key,
+      steps: steps ? steps.length : 'default',
+      cancelledMessages: removed.count,
+      updatedBy,
+    })
+
+    return res.status(200).json({
+      success: true,
+      sequence: { key, ...(await getDripSequence(key)) },
+      cancelled_messages: removed.count,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao atualizar sequência:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,58 @@
+import { z } from 'zod'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { sendConversationReply } from '../../../../utils/conversations'
+
+const replySchema = z.object({
+  phone: z.string().min(8, 'Número inválido').max(15, 'Número inválido'),
+  text: z.string().trim().min(1, 'Digite a mensagem').max(4000, 'Mensagem muito longa'),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    // O texto não passa por sanitizeString: quebras de linha fazem parte da mensagem
+    const { phone, text } = replySchema.parse({
+      phone: sanitizeString(req.body?.phone || '', 20).replace(/\D/g, ''),
+      text: typeof req.body?.text === 'string' ? req.body.text.replace(/\0/g, '').replace(/\r\n/g, '\n') : '',
+    })
+
+    const result = await sendConversationReply({
+      phone,
+      text,
+      sentBy: req.adminUser?.email || 'admin',
+    })
+
+    if (!result.success) {
+      console.error('[Admin] Falha ao responder no WhatsApp:', result.error)
+      return res.status(502).json({ error: `Não foi possível enviar: ${result.error}` })
+    }
+
+    console.info('[Admin] Resposta enviada pelo inbox:', {
+      phone,
+      sentBy: req.adminUser?.email,
+    })
+
+    return res.status(201).json({
+      success: true,
+      message: result.message,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao responder conversa:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,80 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { findLeadByPhone } from '../../../../utils/conversations'
+import { getContactConsent, serializeConsent } from '../../../../utils/consent'
+import { normalizePhone } from '../../../../utils/whatsappProviders'
+
+// Mensagens mais recentes exibidas na conversa
+const MAX_MESSAGES = 200
+
+const threadSchema = z.object({
+  phone: z.string().min(8, 'Número inválido').max(15, 'Número inválido'),
+})
+
+/**
+ * Mensagens de uma conversa (ordem cronológica)
+ * Abrir a conversa marca as respostas do cliente como lidas.
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { phone: rawPhone } = threadSchema.parse({
+      phone: sanitizeString(req.query?.phone || '', 20).replace(/\D/g, ''),
+    })
+    const phone = normalizePhone(rawPhone)
+
+    const [messages, lead, consent] = await Promise.all([
+      prisma.conversationMessage.findMany({
+        where: { phone },
+        orderBy: { created_at: 'desc' },
+        take: MAX_MESSAGES,
+        select: {
+          id: true,
+          direction: true,
+          body: true,
+          provider: true,
+          sent_by: true,
+          sender_name: true,
+          read_at: true,
+          whatsapp_message_id: true,
+          created_at: true,
+        },
+      }),
+      findLeadByPhone(phone),
+      getContactConsent(phone),
+    ])
+
+    const marked = await prisma.conversationMessage.updateMany({
+      where: { phone, direction: 'INBOUND', read_at: null },
+      data: { read_at: new Date() },
+    })
+
+    return res.status(200).json({
+      success: true,
+      phone,
+      lead: lead ? { id: lead.id, nome: lead.nome, stage: lead.stage } : null,
+      consent: serializeConsent(consent),
+      messages: messages.reverse(),
+      marked_read: marked.count,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao buscar conversa:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
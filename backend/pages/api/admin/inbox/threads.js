@@ -0,0 +1,115 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+
+const threadsSchema = z.object({
+  search: z.string().max(100).optional(),
+  unread: z.enum(['true', 'false']).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+})
+
+/**
+ * Conversas do inbox, da mais recente para a mais antiga
+ * Cada conversa é um número; traz a última mensagem e quantas respostas não foram lidas.
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { search, unread, limit } = threadsSchema.parse({
+      search: req.query?.search ? sanitizeString(req.query.search, 100) : undefined,
+      unread: req.query?.unread || undefined,
+      limit: req.query?.limit || undefined,
+    })
+
+    const where = {}
+
+    if (search) {
+      const digits = search.replace(/\D/g, '')
+      where.OR = [
+        { lead: { nome: { contains: search, mode: 'insensitive' } } },
+        { sender_name: { contains: search, mode: 'insensitive' } },
+        ...(digits.length >= 4 ? [{ phone: { contains: digits } }] : []),
+      ]
+    }
+
+    if (unread === 'true') {
+      where.direction = 'INBOUND'
+      where.read_at = null
+    }
+
+    const groups = await prisma.conversationMessage.groupBy({
+      by: ['phone'],
+      where,
+      _max: { created_at: true },
+      orderBy: { _max: { created_at: 'desc' } },
+      take: limit,
+    })
+
+    const phones = groups.map(group => group.phone)
+
+    const [lastMessages, unreadGroups, leads] = await Promise.all([
+      prisma.conversationMessage.findMany({
+        where: { phone: { in: phones } },
+        orderBy: { created_at: 'desc' },
+        distinct: ['phone'],
+        select: { phone: true, direction: true, body: true, sender_name: true, created_at: true, lead_id: true },
+      }),
+      prisma.conversationMessage.groupBy({
+        by: ['phone'],
+        where: { phone: { in: phones }, direction: 'INBOUND', read_at: null },
+        _count: { phone: true },
+      }),
+      prisma.conversationMessage.findMany({
+        where: { phone: { in: phones }, lead_id: { not: null } },
+        orderBy: { created_at: 'desc' },
+        distinct: ['phone'],
+        select: { phone: true, lead: { select: { id: true, nome: true, stage: true } } },
+      }),
+    ])
+
+    const threads = phones.map(phone => {
+      const last = lastMessages.find(message => message.phone === phone)
+      const lead = leads.find(item => item.phone === phone)?.lead || null
+      return {
+        phone,
+        lead,
+        // Nome do perfil do WhatsApp quando o número não é de um lead
+        name: lead?.nome || lastMessages.find(message => message.phone === phone && message.sender_name)?.sender_name || null,
+        last_message: last ? {
+          direction: last.direction,
+          body: last.body.slice(0, 160),
+          created_at: last.created_at,
+        } : null,
+        unread: unreadGroups.find(group => group.phone === phone)?._count.phone || 0,
+      }
+    })
+
+    const totalUnread = await prisma.conversationMessage.count({
+      where: { direction: 'INBOUND', read_at: null },
+    })
+
+    return res.status(200).json({
+      success: true,
+      threads,
+      total_unread: totalUnread,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao listar conversas:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
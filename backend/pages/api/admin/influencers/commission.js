@@ -0,0 +1,90 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { commissionSchema } from '../../../../utils/products'
+
+const targetSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+  product_id: z.string().uuid('Produto inválido'),
+})
+
+/**
+ * Comissão própria de um influencer para um produto
+ * commission_type null remove o override: o influencer volta a receber a comissão do produto.
+ * Vale para os próximos checkouts; vendas já feitas mantêm a comissão da compra.
+ */
+async function handler(req, res) {
+  if (req.method !== 'PUT' && req.method !== 'POST') {
+    res.setHeader('Allow', 'PUT, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const body = req.body || {}
+    const { id, product_id: productId } = targetSchema.parse({
+      id: sanitizeString(body.id || '', 36),
+      product_id: sanitizeString(body.product_id || '', 36),
+    })
+    const remove = body.commission_type === null
+    const rule = remove
+      ? null
+      : commissionSchema.parse({ commission_type: body.commission_type, commission_value: body.commission_value })
+
+    const [influencer, product] = await Promise.all([
+      prisma.referrer.findUnique({ where: { id } }),
+      prisma.product.findUnique({ where: { id: productId } }),
+    ])
+
+    if (!influencer || influencer.tipo !== 'INFLUENCER') {
+      return res.status(404).json({ error: 'Influencer não encontrado' })
+    }
+
+    if (!product) {
+      return res.status(404).json({ error: 'Produto não encontrado' })
+    }
+
+    if (rule?.commission_type === 'FIXED' && rule.commission_value > product.price) {
+      return res.status(400).json({ error: 'A comissão não pode ser maior que o preço' })
+    }
+
+    let override = null
+
+    if (remove) {
+      await prisma.referrerCommissionOverride.deleteMany({
+        where: { referrer_id: id, product_id: productId },
+      })
+    } else {
+      override = await prisma.referrerCommissionOverride.upsert({
+        where: { referrer_id_product_id: { referrer_id: id, product_id: productId } },
+        update: { ...rule, updated_by: req.adminUser?.email || null },
+        create: { referrer_id: id, product_id: productId, ...rule, updated_by: req.adminUser?.email || null },
+      })
+    }
+
+    console.info('[Admin] Comissão do influencer alterada:', {
+      influencerId: id,
+      productId,
+      rule: rule || 'produto',
+      changedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      override,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao alterar comissão do influencer:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -3,6 +3,7 @@ import prisma from '../../../../lib/prisma'
 import { withAdminAuth, validateSlug } from '../../../../utils/adminAuth'
 import { sanitizeString, validateWhatsApp, sanitizeError } from '../../../../utils/security'
 import { sendAdminNotification } from '../../../../utils/discord'
+import { pixKeyInputSchema } from '../../../../utils/pixKeys'
 
 const createSchema = z.object({
   nome: z.string()
@@ -18,16 +19,6 @@ const createSchema = z.object({
   pix_key: z.string().max(140).optional(),
 })
 
-// Normaliza a chave PIX (remove +55 de telefone)
-const normalizePixKey = (pixKey) => {
-  if (!pixKey) return null
-  // Se começa com +55, remove
-  if (pixKey.startsWith('+55')) {
-    return pixKey.substring(3)
-  }
-  return pixKey
-}
-
 async function handler(req, res) {
   if (req.method !== 'POST') {
     res.setHeader('Allow', 'POST')
@@ -80,8 +71,11 @@ async function handler(req, res) {
       })
     }
 
-    // Normalizar chave PIX se fornecida
-    const normalizedPixKey = normalizePixKey(data.pix_key)
+    // Chave PIX opcional; quando informada, o tipo escolhido é obrigatório
+    const pixKey = data.pix_key
+      ? pixKeyInputSchema.parse({ pix_key: data.pix_key, pix_key_type: req.body?.pix_key_type })
+      : { pix_key: null, pix_key_type: null }
+    const normalizedPixKey = pixKey.pix_key
 
     // Criar influencer
     const influencer = await prisma.referrer.create({
@@ -90,6 +84,7 @@ async function handler(req, res) {
         whatsapp: normalizedWhatsApp,
         referral_code: normalizedSlug,
         pix_key: normalizedPixKey,
+        pix_key_type: pixKey.pix_key_type,
         tipo: 'INFLUENCER',
         ativo: true,
         created_by: req.adminUser?.email || 'admin',
@@ -128,6 +123,7 @@ async function handler(req, res) {
         whatsapp: normalizedWhatsApp,
         slug: normalizedSlug,
         pix_key: normalizedPixKey,
+        pix_key_type: pixKey.pix_key_type,
         referralLink,
         ativo: influencer.ativo,
         created_at: influencer.created_at,
@@ -17,6 +17,12 @@ async function handler(req, res) {
       orderBy: {
         created_at: 'desc',
       },
+      include: {
+        // Comissões próprias por produto (sem override, vale a comissão do produto)
+        commission_overrides: {
+          select: { product_id: true, commission_type: true, commission_value: true },
+        },
+      },
     })
 
     // Para cada influencer, buscar estatísticas
@@ -46,10 +52,12 @@ async function handler(req, res) {
           whatsapp: influencer.whatsapp,
           slug: influencer.referral_code,
           pix_key: influencer.pix_key,
+          pix_key_type: influencer.pix_key_type,
           referralLink,
           ativo: influencer.ativo,
           created_at: influencer.created_at,
           created_by: influencer.created_by,
+          commission_overrides: influencer.commission_overrides,
           stats: {
             totalClicks, // Cada clique = 1 IP único
             totalLeads,
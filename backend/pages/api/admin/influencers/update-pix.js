@@ -2,41 +2,9 @@ import { z } from 'zod'
 import prisma from '../../../../lib/prisma'
 import { withAdminAuth } from '../../../../utils/adminAuth'
 import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { pixKeyInputSchema } from '../../../../utils/pixKeys'
 
-// Normaliza a chave PIX (remove +55 de telefone)
-const normalizePixKey = (pixKey) => {
-  if (!pixKey) return null
-  // Se começa com +55, remove
-  if (pixKey.startsWith('+55')) {
-    return pixKey.substring(3)
-  }
-  return pixKey
-}
-
-// Validação da chave PIX
-const pixKeySchema = z.object({
-  pix_key: z.string()
-    .min(5, 'Chave PIX muito curta')
-    .max(140, 'Chave PIX muito longa')
-    .refine((val) => {
-      // Aceita CPF (11 dígitos)
-      if (/^\d{11}$/.test(val)) return true
-      // Aceita telefone com 10 dígitos (fixo com DDD)
-      if (/^\d{10}$/.test(val)) return true
-      // Aceita CNPJ (14 dígitos)
-      if (/^\d{14}$/.test(val)) return true
-      // Aceita e-mail
-      if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(val)) return true
-      // Aceita telefone com +55
-      if (/^\+55\d{10,11}$/.test(val)) return true
-      // Aceita chave aleatória (32 caracteres)
-      if (/^[a-zA-Z0-9-]{32,36}$/.test(val)) return true
-      // Aceita formatos com máscara (CPF: xxx.xxx.xxx-xx, etc)
-      const cleanVal = val.replace(/\D/g, '')
-      if (cleanVal.length === 10 || cleanVal.length === 11 || cleanVal.length === 14) return true
-      return false
-    }, 'Chave PIX inválida. Use CPF, CNPJ, e-mail, telefone ou chave aleatória')
-    .optional(),
+const updatePixSchema = z.object({
   influencer_id: z.string().uuid('ID do influencer inválido'),
 })
 
@@ -48,12 +16,17 @@ async function handler(req, res) {
 
   try {
     // Sanitizar inputs
-    const sanitizedBody = {
+    const { influencer_id } = updatePixSchema.parse({
       influencer_id: sanitizeString(req.body?.influencer_id || '', 36),
-      pix_key: req.body?.pix_key ? sanitizeString(req.body.pix_key, 140).trim() : undefined,
-    }
+    })
 
-    const { influencer_id, pix_key } = pixKeySchema.parse(sanitizedBody)
+    // Sem chave = remover; com chave, o tipo escolhido no formulário é obrigatório
+    const pixKey = req.body?.pix_key
+      ? pixKeyInputSchema.parse({
+        pix_key: sanitizeString(req.body.pix_key, 140).trim(),
+        pix_key_type: req.body?.pix_key_type,
+      })
+      : { pix_key: null, pix_key_type: null }
 
     // Buscar influencer
     const influencer = await prisma.referrer.findUnique({
@@ -69,19 +42,19 @@ async function handler(req, res) {
       return res.status(400).json({ error: 'Este referrer não é um influencer' })
     }
 
-    // Normalizar chave PIX
-    const normalizedPixKey = normalizePixKey(pix_key)
+    const normalizedPixKey = pixKey.pix_key
 
     // Atualizar chave PIX
     const updated = await prisma.referrer.update({
       where: { id: influencer_id },
-      data: { pix_key: normalizedPixKey },
+      data: pixKey,
     })
 
     console.info('[Admin] Chave PIX atualizada:', {
       influencer_id: influencer.id,
       nome: influencer.nome,
       pix_key_masked: normalizedPixKey ? normalizedPixKey.substring(0, 4) + '***' : null,
+      pix_key_type: pixKey.pix_key_type,
       updatedBy: req.adminUser?.email,
     })
 
@@ -92,6 +65,7 @@ async function handler(req, res) {
         id: updated.id,
         nome: updated.nome,
         pix_key: updated.pix_key,
+        pix_key_type: updated.pix_key_type,
       },
     })
   } catch (error) {
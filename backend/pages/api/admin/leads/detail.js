@@ -0,0 +1,136 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { getContactConsent, serializeConsent } from '../../../../utils/consent'
+
+const detailSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { id } = detailSchema.parse({
+      id: sanitizeString(req.query?.id || '', 36),
+    })
+
+    const lead = await prisma.lead.findUnique({
+      where: { id },
+      include: {
+        transactions: {
+          orderBy: { created_at: 'desc' },
+          include: {
+            affiliate: { select: { nome: true, referral_code: true } },
+            product: { select: { id: true, nome: true } },
+            commission: {
+              select: { status: true, amount: true, release_at: true, paid_at: true, reversal_reason: true },
+            },
+          },
+        },
+        meetings: {
+          orderBy: { meeting_date: 'desc' },
+        },
+        whatsapp_messages: {
+          orderBy: { created_at: 'desc' },
+          select: {
+            id: true,
+            message_type: true,
+            status: true,
+            send_after: true,
+            sent_at: true,
+            delivered_at: true,
+            read_at: true,
+            attempts: true,
+            next_retry_at: true,
+            error: true,
+            cancel_reason: true,
+            template: { select: { version: true } },
+            drip_step: true,
+            campaign: { select: { id: true, name: true } },
+            created_at: true,
+          },
+        },
+        events: {
+          orderBy: { created_at: 'asc' },
+        },
+      },
+    })
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead não encontrado' })
+    }
+
+    // Referrer (se veio por indicação)
+    const referrer = lead.referral_code
+      ? await prisma.referrer.findUnique({
+        where: { referral_code: lead.referral_code },
+        select: { id: true, nome: true, referral_code: true, tipo: true },
+      })
+      : null
+
+    const consent = await getContactConsent(lead.whatsapp)
+
+    return res.status(200).json({
+      success: true,
+      lead: {
+        id: lead.id,
+        nome: lead.nome,
+        whatsapp: lead.whatsapp,
+        email: lead.email,
+        referral_code: lead.referral_code,
+        stage: lead.stage,
+        created_at: lead.created_at,
+      },
+      referrer,
+      consent: serializeConsent(consent),
+      transactions: lead.transactions.map(tx => ({
+        id: tx.id,
+        amount_product: tx.amount_product,
+        amount_affiliate: tx.amount_affiliate,
+        product: tx.product,
+        duration_minutes: tx.duration_minutes,
+        coupon_code: tx.coupon_code,
+        discount_amount: tx.discount_amount,
+        payment_method: tx.payment_method,
+        status: tx.status,
+        scheduled_date: tx.scheduled_date,
+        scheduled_time: tx.scheduled_time,
+        refunded_at: tx.refunded_at,
+        disputed_at: tx.disputed_at,
+        refund_reason: tx.refund_reason,
+        affiliate: tx.affiliate,
+        commission: tx.commission,
+        created_at: tx.created_at,
+        updated_at: tx.updated_at,
+      })),
+      meetings: lead.meetings,
+      messages: lead.whatsapp_messages,
+      events: lead.events.map(event => ({
+        id: event.id,
+        type: event.type,
+        description: event.description,
+        metadata: event.metadata,
+        actor: event.actor,
+        created_at: event.created_at,
+      })),
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao buscar lead:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,141 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+
+const LEAD_STAGES = ['NA_BASE', 'EM_CONTATO', 'COMPRADO', 'REJEITADO']
+
+const listSchema = z.object({
+  stage: z.enum(LEAD_STAGES).optional(),
+  search: z.string().max(100).optional(),
+  referral_code: z.string().max(36).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(100).default(20),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const sanitizedQuery = {
+      stage: req.query?.stage ? sanitizeString(req.query.stage, 20) : undefined,
+      search: req.query?.search ? sanitizeString(req.query.search, 100) : undefined,
+      referral_code: req.query?.referral_code ? sanitizeString(req.query.referral_code, 36).toLowerCase() : undefined,
+      page: req.query?.page || undefined,
+      pageSize: req.query?.pageSize || undefined,
+    }
+
+    const { stage, search, referral_code, page, pageSize } = listSchema.parse(sanitizedQuery)
+
+    // Filtros comuns (sem o stage, para podermos contar por coluna do kanban)
+    const baseWhere = {}
+
+    if (referral_code) {
+      baseWhere.referral_code = referral_code
+    }
+
+    if (search) {
+      const digits = search.replace(/\D/g, '')
+      baseWhere.OR = [
+        { nome: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } },
+        ...(digits.length >= 4 ? [{ whatsapp: { contains: digits } }] : []),
+      ]
+    }
+
+    const where = stage ? { ...baseWhere, stage } : baseWhere
+
+    const [leads, total, stageGroups] = await Promise.all([
+      prisma.lead.findMany({
+        where,
+        orderBy: { created_at: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        select: {
+          id: true,
+          nome: true,
+          whatsapp: true,
+          email: true,
+          referral_code: true,
+          stage: true,
+          created_at: true,
+          // Última transação para contexto no card
+          transactions: {
+            orderBy: { created_at: 'desc' },
+            take: 1,
+            select: {
+              status: true,
+              payment_method: true,
+              scheduled_date: true,
+              scheduled_time: true,
+            },
+          },
+          // Última movimentação manual
+          stage_changes: {
+            orderBy: { created_at: 'desc' },
+            take: 1,
+            select: {
+              note: true,
+              changed_by: true,
+              created_at: true,
+            },
+          },
+        },
+      }),
+      prisma.lead.count({ where }),
+      prisma.lead.groupBy({
+        by: ['stage'],
+        where: baseWhere,
+        _count: { _all: true },
+      }),
+    ])
+
+    // Contagem por estágio (todas as colunas, mesmo vazias)
+    const stageCounts = Object.fromEntries(LEAD_STAGES.map(s => [s, 0]))
+    stageGroups.forEach(group => {
+      stageCounts[group.stage] = group._count._all
+    })
+
+    return res.status(200).json({
+      success: true,
+      leads: leads.map(lead => ({
+        id: lead.id,
+        nome: lead.nome,
+        whatsapp: lead.whatsapp,
+        email: lead.email,
+        referral_code: lead.referral_code,
+        stage: lead.stage,
+        created_at: lead.created_at,
+        lastTransaction: lead.transactions[0] || null,
+        lastStageChange: lead.stage_changes[0] || null,
+      })),
+      stageCounts,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.max(1, Math.ceil(total / pageSize)),
+      },
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao listar leads:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        issues: error.issues.map(i => ({
+          path: i.path,
+          message: i.message,
+        })),
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,103 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { recordLeadEvent } from '../../../../utils/leadEvents'
+
+const updateStageSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+  stage: z.enum(['NA_BASE', 'EM_CONTATO', 'COMPRADO', 'REJEITADO'], {
+    message: 'Estágio inválido',
+  }),
+  note: z.string()
+    .min(3, 'Informe uma observação (mínimo 3 caracteres)')
+    .max(500, 'Observação muito longa'),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'PUT' && req.method !== 'POST') {
+    res.setHeader('Allow', 'PUT, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const sanitizedBody = {
+      id: sanitizeString(req.body?.id || '', 36),
+      stage: sanitizeString(req.body?.stage || '', 20),
+      note: sanitizeString(req.body?.note || '', 500),
+    }
+
+    const { id, stage, note } = updateStageSchema.parse(sanitizedBody)
+
+    const lead = await prisma.lead.findUnique({
+      where: { id },
+    })
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead não encontrado' })
+    }
+
+    if (lead.stage === stage) {
+      return res.status(400).json({ error: 'O lead já está neste estágio' })
+    }
+
+    // Atualizar estágio e registrar histórico juntos
+    const [updatedLead, stageChange] = await prisma.$transaction([
+      prisma.lead.update({
+        where: { id },
+        data: { stage },
+      }),
+      prisma.leadStageChange.create({
+        data: {
+          lead_id: id,
+          from_stage: lead.stage,
+          to_stage: stage,
+          note,
+          changed_by: req.adminUser?.email || 'admin',
+        },
+      }),
+    ])
+
+    await recordLeadEvent(id, 'STAGE_CHANGED', {
+      description: `Estágio alterado: ${lead.stage} → ${stage}`,
+      metadata: { from: lead.stage, to: stage, note, stage_change_id: stageChange.id },
+      actor: req.adminUser?.email || 'admin',
+    })
+
+    console.info('[Admin] Estágio do lead alterado:', {
+      id: updatedLead.id,
+      from: lead.stage,
+      to: updatedLead.stage,
+      changedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      lead: {
+        id: updatedLead.id,
+        stage: updatedLead.stage,
+      },
+      stageChange: {
+        id: stageChange.id,
+        from_stage: stageChange.from_stage,
+        to_stage: stageChange.to_stage,
+        note: stageChange.note,
+        changed_by: stageChange.changed_by,
+        created_at: stageChange.created_at,
+      },
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao alterar estágio do lead:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
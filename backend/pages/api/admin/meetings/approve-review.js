@@ -0,0 +1,62 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+
+const approveReviewSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+  approved: z.boolean({ message: 'Informe se o depoimento está aprovado' }),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'PUT' && req.method !== 'POST') {
+    res.setHeader('Allow', 'PUT, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { id, approved } = approveReviewSchema.parse({
+      id: sanitizeString(req.body?.id || '', 36),
+      approved: req.body?.approved,
+    })
+
+    const meeting = await prisma.meeting.findUnique({ where: { id } })
+
+    if (!meeting || !meeting.reviewed_at) {
+      return res.status(404).json({ error: 'Avaliação não encontrada' })
+    }
+
+    // Só comentários viram depoimento na landing page
+    if (approved && !meeting.review_comment) {
+      return res.status(400).json({ error: 'Avaliação sem comentário não pode ser publicada' })
+    }
+
+    await prisma.meeting.update({
+      where: { id },
+      data: { review_approved: approved },
+    })
+
+    console.info('[Admin] Depoimento', approved ? 'aprovado:' : 'removido:', {
+      id,
+      changedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      review: { meeting_id: id, approved },
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao aprovar depoimento:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
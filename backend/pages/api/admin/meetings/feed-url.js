@@ -0,0 +1,23 @@
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+import { buildAdminFeedUrl } from '../../../../utils/calendar'
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    return res.status(200).json({
+      success: true,
+      url: buildAdminFeedUrl(),
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao gerar link do feed da agenda:', error)
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
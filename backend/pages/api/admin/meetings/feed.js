@@ -0,0 +1,75 @@
+import prisma from '../../../../lib/prisma'
+import { getScheduleConfig } from '../../../../utils/scheduling'
+import {
+  verifyAdminFeedToken,
+  buildMeetingEvent,
+  buildCalendar,
+  sendCalendar,
+} from '../../../../utils/calendar'
+import { setSecurityHeaders, rateLimit, sanitizeError } from '../../../../utils/security'
+
+// Apps de calendário não enviam o token JWT do admin: o feed é protegido pelo token
+// assinado na URL (obtido em /api/admin/meetings/feed-url)
+const feedRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  maxRequests: 30,
+})
+
+// Reuniões passadas mantidas no feed
+const PAST_DAYS = 30
+
+export default async function handler(req, res) {
+  setSecurityHeaders(req, res)
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  if (feedRateLimit(req, res)) {
+    return
+  }
+
+  try {
+    if (!verifyAdminFeedToken(req.query?.token)) {
+      return res.status(401).json({ error: 'Não autorizado' })
+    }
+
+    const from = new Date()
+    from.setUTCHours(0, 0, 0, 0)
+    from.setUTCDate(from.getUTCDate() - PAST_DAYS)
+
+    const [config, meetings] = await Promise.all([
+      getScheduleConfig(),
+      prisma.meeting.findMany({
+        where: {
+          meeting_date: { gte: from },
+          status: { not: 'cancelled' },
+        },
+        include: {
+          lead: { select: { nome: true, whatsapp: true } },
+          technician: { select: { nome: true } },
+        },
+        orderBy: [{ meeting_date: 'asc' }, { meeting_time: 'asc' }],
+      }),
+    ])
+
+    const events = meetings.map(meeting => buildMeetingEvent(meeting, {
+      durationMinutes: meeting.duration_minutes || config.session_duration_minutes,
+      summary: meeting.technician
+        ? `Otimização - ${meeting.lead.nome} (${meeting.technician.nome})`
+        : `Otimização - ${meeting.lead.nome}`,
+      description: `WhatsApp: ${meeting.lead.whatsapp}\nStatus: ${meeting.status}`,
+      sequence: Math.floor(meeting.updated_at.getTime() / 1000),
+    }))
+
+    return sendCalendar(res, buildCalendar(events, { name: 'Agenda Versace' }), {
+      filename: 'agenda.ics',
+      inline: true,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao gerar feed da agenda:', error)
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
@@ -0,0 +1,88 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { formatTimeValue } from '../../../../utils/scheduling'
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/
+const MAX_RANGE_DAYS = 62
+
+const listSchema = z.object({
+  from: z.string().regex(DATE_REGEX, 'Data inicial inválida (YYYY-MM-DD)'),
+  to: z.string().regex(DATE_REGEX, 'Data final inválida (YYYY-MM-DD)'),
+  status: z.enum(['scheduled', 'completed', 'no_show', 'cancelled']).optional(),
+  // UUID do técnico ou "none" para reuniões sem técnico
+  technician_id: z.union([z.literal('none'), z.string().uuid('Técnico inválido')]).optional(),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { from, to, status, technician_id } = listSchema.parse({
+      from: sanitizeString(req.query?.from || '', 10),
+      to: sanitizeString(req.query?.to || '', 10),
+      status: req.query?.status ? sanitizeString(req.query.status, 20) : undefined,
+      technician_id: req.query?.technician_id ? sanitizeString(req.query.technician_id, 36) : undefined,
+    })
+
+    const fromDate = new Date(from)
+    const toDate = new Date(to)
+
+    if (toDate < fromDate) {
+      return res.status(400).json({ error: 'Período inválido' })
+    }
+
+    if ((toDate - fromDate) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: `Período máximo de ${MAX_RANGE_DAYS} dias` })
+    }
+
+    const meetings = await prisma.meeting.findMany({
+      where: {
+        meeting_date: { gte: fromDate, lte: toDate },
+        ...(status ? { status } : {}),
+        ...(technician_id ? { technician_id: technician_id === 'none' ? null : technician_id } : {}),
+      },
+      orderBy: [{ meeting_date: 'asc' }, { meeting_time: 'asc' }],
+      include: {
+        lead: { select: { id: true, nome: true, whatsapp: true, email: true } },
+        affiliate: { select: { nome: true, referral_code: true } },
+        transaction: { select: { id: true, payment_method: true, amount_product: true } },
+        technician: { select: { id: true, nome: true } },
+      },
+    })
+
+    return res.status(200).json({
+      success: true,
+      meetings: meetings.map(meeting => ({
+        id: meeting.id,
+        date: meeting.meeting_date.toISOString().slice(0, 10),
+        time: formatTimeValue(meeting.meeting_time),
+        status: meeting.status,
+        lead: meeting.lead,
+        affiliate: meeting.affiliate,
+        transaction: meeting.transaction,
+        technician: meeting.technician,
+        rating: meeting.rating,
+        created_at: meeting.created_at,
+        updated_at: meeting.updated_at,
+      })),
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao listar reuniões:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,80 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { rescheduleMeeting } from '../../../../utils/meetings'
+
+const rescheduleSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Data inválida (YYYY-MM-DD)'),
+  time: z.string().regex(/^\d{2}:\d{2}$/, 'Horário inválido (HH:mm)'),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'PUT' && req.method !== 'POST') {
+    res.setHeader('Allow', 'PUT, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { id, date, time } = rescheduleSchema.parse({
+      id: sanitizeString(req.body?.id || '', 36),
+      date: sanitizeString(req.body?.date || '', 10),
+      time: sanitizeString(req.body?.time || '', 5),
+    })
+
+    const meeting = await prisma.meeting.findUnique({
+      where: { id },
+      include: {
+        lead: { select: { id: true, nome: true, whatsapp: true } },
+      },
+    })
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Reunião não encontrada' })
+    }
+
+    const result = await rescheduleMeeting(meeting, {
+      date,
+      time,
+      actor: req.adminUser?.email || 'admin',
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    const { meeting: updated, technician, from } = result
+
+    console.info('[Admin] Reunião remarcada:', {
+      id,
+      from: `${from.date} ${from.time}`,
+      to: `${date} ${time}`,
+      changedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      meeting: {
+        id: updated.id,
+        date,
+        time,
+        status: updated.status,
+        technician: technician ? { id: technician.id, nome: technician.nome } : null,
+      },
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao remarcar reunião:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,67 @@
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+
+// Avaliações mais recentes listadas para aprovação
+const MAX_REVIEWS = 50
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const [aggregate, distribution, reviews] = await Promise.all([
+      prisma.meeting.aggregate({
+        where: { rating: { not: null } },
+        _avg: { rating: true },
+        _count: { rating: true },
+      }),
+      prisma.meeting.groupBy({
+        by: ['rating'],
+        where: { rating: { not: null } },
+        _count: { rating: true },
+      }),
+      prisma.meeting.findMany({
+        where: { rating: { not: null } },
+        include: {
+          lead: { select: { id: true, nome: true } },
+          technician: { select: { id: true, nome: true } },
+        },
+        orderBy: { reviewed_at: 'desc' },
+        take: MAX_REVIEWS,
+      }),
+    ])
+
+    return res.status(200).json({
+      success: true,
+      summary: {
+        average: aggregate._avg.rating ? Number(aggregate._avg.rating.toFixed(2)) : null,
+        count: aggregate._count.rating,
+        distribution: Object.fromEntries(
+          [1, 2, 3, 4, 5].map(score => [
+            score,
+            distribution.find(row => row.rating === score)?._count.rating || 0,
+          ])
+        ),
+      },
+      reviews: reviews.map(meeting => ({
+        meeting_id: meeting.id,
+        date: meeting.meeting_date.toISOString().slice(0, 10),
+        lead: meeting.lead,
+        technician: meeting.technician,
+        rating: meeting.rating,
+        comment: meeting.review_comment,
+        reviewed_at: meeting.reviewed_at,
+        approved: meeting.review_approved,
+      })),
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao listar avaliações:', error)
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,50 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { getSlotsForDate } from '../../../../utils/scheduling'
+
+const slotsSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Data inválida (YYYY-MM-DD)'),
+  exclude: z.string().uuid('ID inválido').optional(),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { date, exclude } = slotsSchema.parse({
+      date: sanitizeString(req.query?.date || '', 10),
+      exclude: req.query?.exclude ? sanitizeString(req.query.exclude, 36) : undefined,
+    })
+
+    // Reunião sendo remarcada: mantém a duração do produto comprado
+    const meeting = exclude
+      ? await prisma.meeting.findUnique({ where: { id: exclude }, select: { duration_minutes: true } })
+      : null
+
+    // Mesmas regras da listagem pública, ignorando a reunião que está sendo remarcada
+    const { slots, closedReason } = await getSlotsForDate(date, {
+      excludeMeetingId: exclude,
+      durationMinutes: meeting?.duration_minutes,
+    })
+
+    return res.status(200).json({ success: true, date, slots, closedReason })
+  } catch (error) {
+    console.error('[Admin] Erro ao listar horários:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,73 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { updateMeetingStatus } from '../../../../utils/meetings'
+
+const updateStatusSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+  status: z.enum(['completed', 'no_show', 'cancelled'], {
+    message: 'Status inválido',
+  }),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'PUT' && req.method !== 'POST') {
+    res.setHeader('Allow', 'PUT, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { id, status } = updateStatusSchema.parse({
+      id: sanitizeString(req.body?.id || '', 36),
+      status: sanitizeString(req.body?.status || '', 20),
+    })
+
+    const meeting = await prisma.meeting.findUnique({
+      where: { id },
+      include: { lead: { select: { id: true, nome: true, whatsapp: true } } },
+    })
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Reunião não encontrada' })
+    }
+
+    const result = await updateMeetingStatus(meeting, status, {
+      actor: req.adminUser?.email || 'admin',
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    const updated = result.meeting
+
+    console.info('[Admin] Status da reunião alterado:', {
+      id,
+      from: meeting.status,
+      to: status,
+      changedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      meeting: {
+        id: updated.id,
+        status: updated.status,
+      },
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao alterar status da reunião:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,151 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { MAX_SEND_ATTEMPTS } from '../../../../utils/messageDelivery'
+import { SENT_STATUSES } from '../../../../utils/messageQueue'
+import { getQuietHours, getMinIntervalMs, getMaxPerMinute } from '../../../../utils/sendLimits'
+
+const MESSAGE_STATUSES = ['PENDING', 'SENT', 'DELIVERED', 'READ', 'FAILED', 'CANCELLED', 'DEAD_LETTER']
+
+// Janela das taxas de entrega/leitura
+const RECEIPTS_PERIOD_DAYS = 30
+
+const rate = (part, total) => total ? Number((part / total * 100).toFixed(1)) : 0
+
+// Enviadas, entregues e lidas (READ também foi entregue)
+const summarizeReceipts = (groups) => {
+  const sum = (statuses) => groups
+    .filter(group => statuses.includes(group.status))
+    .reduce((total, group) => total + group._count.status, 0)
+
+  const sent = sum(SENT_STATUSES)
+  const delivered = sum(['DELIVERED', 'READ'])
+  const read = sum(['READ'])
+
+  return {
+    sent,
+    delivered,
+    read,
+    delivery_rate: rate(delivered, sent),
+    read_rate: rate(read, sent),
+  }
+}
+
+// "RETRYING" = PENDING que já falhou ao menos uma vez
+const listSchema = z.object({
+  status: z.enum([...MESSAGE_STATUSES, 'RETRYING']).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(100).default(30),
+})
+
+const STATUS_WHERE = {
+  RETRYING: { status: 'PENDING', attempts: { gt: 0 } },
+}
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { status, page, pageSize } = listSchema.parse({
+      status: req.query?.status ? sanitizeString(req.query.status, 20).toUpperCase() : undefined,
+      page: req.query?.page || undefined,
+      pageSize: req.query?.pageSize || undefined,
+    })
+
+    const where = status ? (STATUS_WHERE[status] || { status }) : {}
+
+    const receiptsSince = new Date(Date.now() - RECEIPTS_PERIOD_DAYS * 24 * 60 * 60 * 1000)
+
+    const [messages, total, statusGroups, retrying, receiptGroups] = await Promise.all([
+      prisma.whatsAppMessage.findMany({
+        where,
+        orderBy: { updated_at: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        select: {
+          id: true,
+          message_type: true,
+          status: true,
+          phone: true,
+          attempts: true,
+          next_retry_at: true,
+          send_after: true,
+          sent_at: true,
+          delivered_at: true,
+          read_at: true,
+          provider: true,
+          error: true,
+          cancel_reason: true,
+          created_at: true,
+          updated_at: true,
+          lead: { select: { id: true, nome: true } },
+          drip_step: true,
+          campaign: { select: { id: true, name: true } },
+        },
+      }),
+      prisma.whatsAppMessage.count({ where }),
+      prisma.whatsAppMessage.groupBy({
+        by: ['status'],
+        _count: { status: true },
+      }),
+      prisma.whatsAppMessage.count({ where: STATUS_WHERE.RETRYING }),
+      prisma.whatsAppMessage.groupBy({
+        by: ['message_type', 'status'],
+        where: { status: { in: SENT_STATUSES }, sent_at: { gte: receiptsSince } },
+        _count: { status: true },
+      }),
+    ])
+
+    const counts = Object.fromEntries(MESSAGE_STATUSES.map(value => [
+      value,
+      statusGroups.find(group => group.status === value)?._count.status || 0,
+    ]))
+    counts.RETRYING = retrying
+
+    const messageTypes = [...new Set(receiptGroups.map(group => group.message_type))]
+    const receipts = {
+      period_days: RECEIPTS_PERIOD_DAYS,
+      ...summarizeReceipts(receiptGroups),
+      by_type: messageTypes.map(messageType => ({
+        message_type: messageType,
+        ...summarizeReceipts(receiptGroups.filter(group => group.message_type === messageType)),
+      })).sort((a, b) => b.sent - a.sent),
+    }
+
+    return res.status(200).json({
+      success: true,
+      messages,
+      counts,
+      receipts,
+      max_attempts: MAX_SEND_ATTEMPTS,
+      limits: {
+        quiet_hours: getQuietHours(),
+        min_interval_seconds: getMinIntervalMs() / 1000,
+        max_per_minute: getMaxPerMinute(),
+      },
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.max(1, Math.ceil(total / pageSize)),
+      },
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao listar fila do WhatsApp:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
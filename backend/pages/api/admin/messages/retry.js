@@ -0,0 +1,100 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { DELIVERY_INCLUDE, loadDeliveryContext, deliverMessage } from '../../../../utils/messageDelivery'
+
+const retrySchema = z.object({
+  id: z.string().uuid('ID inválido'),
+})
+
+// Mensagens que podem ser reenviadas na hora (PENDING só se já estiver em nova tentativa)
+const RETRYABLE_STATUSES = ['DEAD_LETTER', 'FAILED', 'PENDING']
+
+/**
+ * Reenvio manual de uma mensagem da fila ("reenviar agora")
+ * Faz uma tentativa imediata com as mesmas regras do cron; se falhar, a mensagem
+ * volta para o backoff ou continua em DEAD_LETTER (sem novo alerta no Discord).
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { id } = retrySchema.parse({
+      id: sanitizeString(req.body?.id || '', 36),
+    })
+
+    const message = await prisma.whatsAppMessage.findUnique({
+      where: { id },
+      include: DELIVERY_INCLUDE,
+    })
+
+    if (!message) {
+      return res.status(404).json({ error: 'Mensagem não encontrada' })
+    }
+
+    if (!RETRYABLE_STATUSES.includes(message.status) || (message.status === 'PENDING' && message.attempts === 0)) {
+      return res.status(400).json({ error: 'Apenas mensagens com falha podem ser reenviadas' })
+    }
+
+    // Volta para a fila antes da tentativa (o cron não pega: next_retry_at fica no futuro).
+    // Só se ninguém mexeu na mensagem desde a leitura: um segundo clique não reenvia
+    const requeued = await prisma.whatsAppMessage.updateMany({
+      where: { id, status: message.status, attempts: message.attempts },
+      data: {
+        status: 'PENDING',
+        next_retry_at: new Date(Date.now() + 60 * 1000),
+      },
+    })
+
+    if (requeued.count === 0) {
+      return res.status(409).json({ error: 'Esta mensagem já está sendo reenviada' })
+    }
+
+    const result = await deliverMessage({ ...message, status: 'PENDING' }, await loadDeliveryContext(), {
+      actor: req.adminUser?.email || 'admin',
+      notify: false,
+    })
+
+    console.info('[Admin] Reenvio manual de WhatsApp:', {
+      id,
+      outcome: result.outcome,
+      retriedBy: req.adminUser?.email,
+    })
+
+    const updated = await prisma.whatsAppMessage.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        status: true,
+        attempts: true,
+        next_retry_at: true,
+        sent_at: true,
+        error: true,
+      },
+    })
+
+    return res.status(200).json({
+      success: result.outcome === 'sent',
+      outcome: result.outcome,
+      reason: result.reason || result.error || null,
+      message: updated,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao reenviar mensagem:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,59 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { approvePayoutTransfer } from '../../../../utils/payoutTransfers'
+
+const approveSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+})
+
+/**
+ * Aprova a transferência de um lote (o PIX é enviado pela OpenPix)
+ * O lote fica em processamento até o webhook/conciliação confirmar.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { id } = approveSchema.parse({
+      id: sanitizeString(req.body?.id || '', 36),
+    })
+
+    const existing = await prisma.payoutBatch.findUnique({
+      where: { id },
+      select: { id: true },
+    })
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Lote não encontrado' })
+    }
+
+    const batch = await approvePayoutTransfer(id, req.adminUser?.email)
+
+    if (!batch) {
+      return res.status(400).json({ error: 'Lote não está aguardando aprovação' })
+    }
+
+    return res.status(200).json({
+      success: true,
+      batch,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao aprovar transferência do lote:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
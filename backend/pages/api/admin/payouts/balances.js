@@ -0,0 +1,47 @@
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+import { releaseDueCommissions, getCommissionBalances } from '../../../../utils/commissions'
+
+/**
+ * Saldo de comissões por indicador (em centavos)
+ * accrued = aguardando prazo, released = disponível fora de lote, in_batch = em lote pendente
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    await releaseDueCommissions()
+
+    const balances = await getCommissionBalances()
+    const referrers = await prisma.referrer.findMany({
+      where: { id: { in: [...balances.keys()] } },
+      select: { id: true, nome: true, referral_code: true, pix_key: true, pix_key_type: true, tipo: true },
+    })
+
+    const rows = referrers
+      .map(referrer => ({ ...referrer, balance: balances.get(referrer.id) }))
+      .sort((a, b) => (b.balance.released + b.balance.in_batch) - (a.balance.released + a.balance.in_batch) ||
+        b.balance.accrued - a.balance.accrued)
+
+    const totals = rows.reduce((sum, row) => {
+      for (const key of Object.keys(sum)) sum[key] += row.balance[key]
+      return sum
+    }, { accrued: 0, released: 0, in_batch: 0, paid: 0, reversed: 0 })
+
+    return res.status(200).json({
+      success: true,
+      referrers: rows,
+      totals,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao buscar saldos de comissões:', error)
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,63 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { cancelPayoutBatch } from '../../../../utils/commissions'
+
+const cancelSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+})
+
+/**
+ * Cancela um lote pendente; as comissões voltam a ficar disponíveis para o próximo lote
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { id } = cancelSchema.parse({
+      id: sanitizeString(req.body?.id || '', 36),
+    })
+
+    const existing = await prisma.payoutBatch.findUnique({
+      where: { id },
+      select: { id: true },
+    })
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Lote não encontrado' })
+    }
+
+    const batch = await cancelPayoutBatch(id)
+
+    if (!batch) {
+      return res.status(400).json({ error: 'Lote não está pendente' })
+    }
+
+    console.info('[Admin] Lote de pagamento cancelado:', {
+      id,
+      cancelledBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      batch,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao cancelar lote de pagamento:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
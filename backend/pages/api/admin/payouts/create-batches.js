@@ -0,0 +1,30 @@
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+import { createPayoutBatches } from '../../../../utils/commissions'
+
+/**
+ * Gera um lote por indicador com as comissões liberadas fora de lote
+ * Indicadores sem chave PIX voltam em `skipped`.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { batches, skipped } = await createPayoutBatches(req.adminUser?.email)
+
+    return res.status(200).json({
+      success: true,
+      batches,
+      skipped,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao gerar lotes de pagamento:', error)
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
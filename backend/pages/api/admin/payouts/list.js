@@ -0,0 +1,67 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+
+const listSchema = z.object({
+  status: z.enum(['PENDING', 'PROCESSING', 'PAID', 'FAILED', 'CANCELLED']).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(50).default(20),
+})
+
+/**
+ * Lotes de pagamento de comissões (mais recentes primeiro)
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { status, page, pageSize } = listSchema.parse({
+      status: req.query?.status || undefined,
+      page: req.query?.page || undefined,
+      pageSize: req.query?.pageSize || undefined,
+    })
+
+    const where = status ? { status } : {}
+
+    const [batches, total] = await Promise.all([
+      prisma.payoutBatch.findMany({
+        where,
+        include: {
+          referrer: { select: { id: true, nome: true, referral_code: true, pix_key: true, pix_key_type: true } },
+        },
+        orderBy: { created_at: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+      }),
+      prisma.payoutBatch.count({ where }),
+    ])
+
+    return res.status(200).json({
+      success: true,
+      batches,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.max(1, Math.ceil(total / pageSize)),
+      },
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao listar lotes de pagamento:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,76 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { isValidE2eId, markPayoutBatchPaid } from '../../../../utils/commissions'
+
+const markPaidSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+  e2e_id: z.string().refine(isValidE2eId, 'EndToEndId do PIX inválido (ex.: E12345678202601221530abcdefghijk)'),
+})
+
+/**
+ * Marca um lote como pago, registrando o EndToEndId do PIX enviado
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { id, e2e_id } = markPaidSchema.parse({
+      id: sanitizeString(req.body?.id || '', 36),
+      e2e_id: sanitizeString(req.body?.e2e_id || '', 32),
+    })
+
+    const existing = await prisma.payoutBatch.findUnique({
+      where: { id },
+      select: { id: true },
+    })
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Lote não encontrado' })
+    }
+
+    const duplicate = await prisma.payoutBatch.findUnique({
+      where: { e2e_id },
+      select: { id: true },
+    })
+
+    if (duplicate) {
+      return res.status(400).json({ error: 'Este EndToEndId já foi usado em outro lote' })
+    }
+
+    const batch = await markPayoutBatchPaid(id, e2e_id, req.adminUser?.email)
+
+    if (!batch) {
+      return res.status(400).json({ error: 'Lote não está pendente' })
+    }
+
+    console.info('[Admin] Lote de pagamento marcado como pago:', {
+      id,
+      e2eId: e2e_id,
+      amount: batch.amount,
+      paidBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      batch,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao marcar lote como pago:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
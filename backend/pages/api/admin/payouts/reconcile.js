@@ -0,0 +1,58 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { reconcilePayoutTransfer } from '../../../../utils/payoutTransfers'
+
+const reconcileSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+})
+
+/**
+ * Consulta na OpenPix o status da transferência de um lote em processamento
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { id } = reconcileSchema.parse({
+      id: sanitizeString(req.body?.id || '', 36),
+    })
+
+    const existing = await prisma.payoutBatch.findUnique({
+      where: { id },
+      select: { id: true, status: true },
+    })
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Lote não encontrado' })
+    }
+
+    if (existing.status !== 'PROCESSING') {
+      return res.status(400).json({ error: 'Lote não está em processamento' })
+    }
+
+    const batch = await reconcilePayoutTransfer(id)
+
+    return res.status(200).json({
+      success: true,
+      batch,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao conciliar transferência do lote:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
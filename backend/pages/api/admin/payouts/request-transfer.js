@@ -0,0 +1,85 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { requestPayoutTransfer } from '../../../../utils/payoutTransfers'
+import { pixKeyTypeSchema, normalizePixKey, isValidPixKey } from '../../../../utils/pixKeys'
+
+const requestSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+  pix_key_type: pixKeyTypeSchema.optional(),
+})
+
+/**
+ * Cria na OpenPix a transferência PIX de um lote pendente
+ * Nada é enviado até o admin aprovar (approve-transfer).
+ * Lote com chave antiga sem tipo: o admin confirma o tipo (pix_key_type) neste passo.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { id, pix_key_type } = requestSchema.parse({
+      id: sanitizeString(req.body?.id || '', 36),
+      pix_key_type: req.body?.pix_key_type || undefined,
+    })
+
+    let batch = await prisma.payoutBatch.findUnique({ where: { id } })
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Lote não encontrado' })
+    }
+
+    if (batch.status !== 'PENDING') {
+      return res.status(400).json({ error: 'Lote não está pendente' })
+    }
+
+    if (!batch.pix_key_type) {
+      if (!pix_key_type) {
+        return res.status(400).json({ error: 'Confirme o tipo da chave PIX antes de enviar' })
+      }
+
+      if (!isValidPixKey(normalizePixKey(batch.pix_key, pix_key_type), pix_key_type)) {
+        return res.status(400).json({ error: 'A chave do lote não é válida para o tipo escolhido' })
+      }
+
+      batch = await prisma.payoutBatch.update({
+        where: { id },
+        data: { pix_key_type },
+      })
+
+      console.info('[Admin] Tipo da chave PIX confirmado no lote:', {
+        id,
+        pix_key_type,
+        confirmedBy: req.adminUser?.email,
+      })
+    }
+
+    const updated = await requestPayoutTransfer(batch, req.adminUser?.email)
+
+    if (!updated) {
+      return res.status(409).json({ error: 'Lote alterado ou com transferência já criada, atualize a página' })
+    }
+
+    return res.status(200).json({
+      success: true,
+      batch: updated,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao criar transferência do lote:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,71 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { reverseCommission } from '../../../../utils/commissions'
+
+const reverseSchema = z.object({
+  transaction_id: z.string().uuid('ID inválido'),
+  reason: z.string().trim().min(3, 'Informe o motivo do estorno').max(200),
+})
+
+/**
+ * Estorna manualmente a comissão de uma transação
+ * Comissão já paga fica como valor a recuperar do indicador (wasPaid); numa transferência
+ * em andamento, só se ela for confirmada (inTransfer).
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { transaction_id, reason } = reverseSchema.parse({
+      transaction_id: sanitizeString(req.body?.transaction_id || '', 36),
+      reason: sanitizeString(req.body?.reason || '', 200),
+    })
+
+    const existing = await prisma.commission.findUnique({
+      where: { transaction_id },
+      select: { id: true },
+    })
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Comissão não encontrada' })
+    }
+
+    const result = await reverseCommission(transaction_id, `admin: ${reason}`)
+
+    if (!result) {
+      return res.status(400).json({ error: 'Comissão já estornada' })
+    }
+
+    console.info('[Admin] Comissão estornada:', {
+      transactionId: transaction_id,
+      wasPaid: result.wasPaid,
+      inTransfer: result.inTransfer,
+      reversedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      commission: result.commission,
+      was_paid: result.wasPaid,
+      in_transfer: result.inTransfer,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao estornar comissão:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
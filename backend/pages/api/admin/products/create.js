@@ -0,0 +1,65 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { productSchema } from '../../../../utils/products'
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const body = req.body || {}
+    const data = productSchema.parse({
+      slug: sanitizeString(body.slug || '', 40),
+      nome: sanitizeString(body.nome || '', 80),
+      descricao: body.descricao ? sanitizeString(body.descricao, 300) : null,
+      price: body.price,
+      session_duration_minutes: body.session_duration_minutes,
+      commission_type: body.commission_type,
+      commission_value: body.commission_value,
+      ativo: body.ativo,
+      sort_order: body.sort_order,
+    })
+
+    const product = await prisma.product.create({
+      data: {
+        ...data,
+        created_by: req.adminUser?.email || null,
+        updated_by: req.adminUser?.email || null,
+      },
+    })
+
+    console.info('[Admin] Produto criado:', {
+      id: product.id,
+      slug: product.slug,
+      price: product.price,
+      createdBy: req.adminUser?.email,
+    })
+
+    return res.status(201).json({
+      success: true,
+      product,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao criar produto:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    // P2002 = slug já usado por outro produto
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Já existe um produto com este slug' })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
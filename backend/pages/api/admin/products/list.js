@@ -0,0 +1,50 @@
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const [products, sales] = await Promise.all([
+      prisma.product.findMany({
+        orderBy: [{ ativo: 'desc' }, { sort_order: 'asc' }, { created_at: 'asc' }],
+        include: { _count: { select: { commission_overrides: true } } },
+      }),
+      // Vendas aprovadas por produto (valores gravados na compra)
+      prisma.transaction.groupBy({
+        by: ['product_id'],
+        where: { status: 'succeeded' },
+        _count: { _all: true },
+        _sum: { amount_product: true, amount_affiliate: true },
+      }),
+    ])
+
+    const salesByProduct = new Map(sales.map(group => [group.product_id, group]))
+
+    return res.status(200).json({
+      success: true,
+      products: products.map(({ _count, ...product }) => {
+        const group = salesByProduct.get(product.id)
+        return {
+          ...product,
+          overrides_count: _count.commission_overrides,
+          stats: {
+            sales: group?._count._all || 0,
+            revenue: group?._sum.amount_product || 0,
+            commissions: group?._sum.amount_affiliate || 0,
+          },
+        }
+      }),
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao listar produtos:', error)
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,86 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { productSchema } from '../../../../utils/products'
+
+const idSchema = z.string().uuid('ID inválido')
+
+/**
+ * Atualiza um produto
+ * Vendas já feitas guardam preço, comissão e duração da compra: só os próximos checkouts mudam
+ */
+async function handler(req, res) {
+  if (req.method !== 'PUT' && req.method !== 'POST') {
+    res.setHeader('Allow', 'PUT, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const body = req.body || {}
+    const id = idSchema.parse(sanitizeString(body.id || '', 36))
+    const data = productSchema.parse({
+      slug: sanitizeString(body.slug || '', 40),
+      nome: sanitizeString(body.nome || '', 80),
+      descricao: body.descricao ? sanitizeString(body.descricao, 300) : null,
+      price: body.price,
+      session_duration_minutes: body.session_duration_minutes,
+      commission_type: body.commission_type,
+      commission_value: body.commission_value,
+      ativo: body.ativo,
+      sort_order: body.sort_order,
+    })
+
+    const existing = await prisma.product.findUnique({ where: { id } })
+    if (!existing) {
+      return res.status(404).json({ error: 'Produto não encontrado' })
+    }
+
+    // O checkout precisa de pelo menos um produto ativo
+    if (existing.ativo && data.ativo === false) {
+      const activeCount = await prisma.product.count({ where: { ativo: true } })
+      if (activeCount <= 1) {
+        return res.status(400).json({ error: 'Mantenha pelo menos um produto ativo' })
+      }
+    }
+
+    const product = await prisma.product.update({
+      where: { id },
+      data: {
+        ...data,
+        updated_by: req.adminUser?.email || null,
+      },
+    })
+
+    console.info('[Admin] Produto atualizado:', {
+      id: product.id,
+      slug: product.slug,
+      price: product.price,
+      ativo: product.ativo,
+      changedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      product,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao atualizar produto:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    // P2002 = slug já usado por outro produto
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Já existe um produto com este slug' })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
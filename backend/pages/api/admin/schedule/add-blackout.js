@@ -0,0 +1,72 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+
+const addBlackoutSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Data inválida (YYYY-MM-DD)'),
+  reason: z.string().max(100, 'Motivo muito longo').optional(),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { date, reason } = addBlackoutSchema.parse({
+      date: sanitizeString(req.body?.date || '', 10),
+      reason: req.body?.reason ? sanitizeString(req.body.reason, 100) : undefined,
+    })
+
+    const blackoutDate = new Date(date)
+
+    const existing = await prisma.scheduleBlackout.findUnique({
+      where: { date: blackoutDate },
+    })
+
+    if (existing) {
+      return res.status(400).json({ error: 'Esta data já está bloqueada' })
+    }
+
+    // Reuniões já marcadas nesta data não são canceladas automaticamente
+    const scheduledMeetings = await prisma.meeting.count({
+      where: { meeting_date: blackoutDate, status: 'scheduled' },
+    })
+
+    const blackout = await prisma.scheduleBlackout.create({
+      data: {
+        date: blackoutDate,
+        reason: reason || null,
+        created_by: req.adminUser?.email || 'admin',
+      },
+    })
+
+    console.info('[Admin] Data bloqueada:', { date, reason, createdBy: req.adminUser?.email })
+
+    return res.status(201).json({
+      success: true,
+      blackout: {
+        id: blackout.id,
+        date,
+        reason: blackout.reason,
+        created_by: blackout.created_by,
+      },
+      scheduledMeetings,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao bloquear data:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,42 @@
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+import { getScheduleConfig } from '../../../../utils/scheduling'
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    // Bloqueios de hoje em diante
+    const today = new Date()
+    today.setUTCHours(0, 0, 0, 0)
+
+    const [config, blackouts] = await Promise.all([
+      getScheduleConfig(),
+      prisma.scheduleBlackout.findMany({
+        where: { date: { gte: today } },
+        orderBy: { date: 'asc' },
+      }),
+    ])
+
+    return res.status(200).json({
+      success: true,
+      config,
+      blackouts: blackouts.map(blackout => ({
+        id: blackout.id,
+        date: blackout.date.toISOString().slice(0, 10),
+        reason: blackout.reason,
+        created_by: blackout.created_by,
+      })),
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao carregar agenda:', error)
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
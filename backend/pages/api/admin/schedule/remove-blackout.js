@@ -0,0 +1,53 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+
+const removeBlackoutSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { id } = removeBlackoutSchema.parse({
+      id: sanitizeString(req.body?.id || '', 36),
+    })
+
+    const blackout = await prisma.scheduleBlackout.findUnique({
+      where: { id },
+    })
+
+    if (!blackout) {
+      return res.status(404).json({ error: 'Bloqueio não encontrado' })
+    }
+
+    await prisma.scheduleBlackout.delete({
+      where: { id },
+    })
+
+    console.info('[Admin] Bloqueio removido:', {
+      date: blackout.date.toISOString().slice(0, 10),
+      removedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({ success: true })
+  } catch (error) {
+    console.error('[Admin] Erro ao remover bloqueio:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
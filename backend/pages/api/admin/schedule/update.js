@@ -0,0 +1,62 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+import { weeklyHoursSchema } from '../../../../utils/scheduling'
+
+const updateScheduleSchema = z.object({
+  weekly_hours: weeklyHoursSchema,
+  session_duration_minutes: z.coerce.number().int().min(30, 'Duração mínima de 30 minutos').max(720, 'Duração máxima de 12 horas'),
+  slot_interval_minutes: z.coerce.number().int().min(15, 'Intervalo mínimo de 15 minutos').max(240, 'Intervalo máximo de 4 horas'),
+  capacity: z.coerce.number().int().min(1, 'Capacidade mínima de 1 sessão').max(20, 'Capacidade máxima de 20 sessões'),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'PUT' && req.method !== 'POST') {
+    res.setHeader('Allow', 'PUT, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const data = updateScheduleSchema.parse(req.body || {})
+    const updatedBy = req.adminUser?.email || 'admin'
+
+    const config = await prisma.scheduleConfig.upsert({
+      where: { id: 1 },
+      create: { id: 1, ...data, updated_by: updatedBy },
+      update: { ...data, updated_by: updatedBy },
+    })
+
+    console.info('[Admin] Agenda atualizada:', {
+      session_duration_minutes: config.session_duration_minutes,
+      slot_interval_minutes: config.slot_interval_minutes,
+      capacity: config.capacity,
+      updatedBy,
+    })
+
+    return res.status(200).json({
+      success: true,
+      config: {
+        weekly_hours: config.weekly_hours,
+        session_duration_minutes: config.session_duration_minutes,
+        slot_interval_minutes: config.slot_interval_minutes,
+        capacity: config.capacity,
+        updated_by: config.updated_by,
+        updated_at: config.updated_at,
+      },
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao atualizar agenda:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
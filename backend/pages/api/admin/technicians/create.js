@@ -0,0 +1,59 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { weeklyHoursSchema } from '../../../../utils/scheduling'
+
+const createTechnicianSchema = z.object({
+  nome: z.string().min(2, 'Nome deve ter pelo menos 2 caracteres').max(100, 'Nome muito longo'),
+  discord_id: z.string().regex(/^\d{17,20}$/, 'ID do Discord inválido').nullable(),
+  // null = segue o horário geral da agenda
+  weekly_hours: weeklyHoursSchema.nullable(),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const data = createTechnicianSchema.parse({
+      nome: sanitizeString(req.body?.nome || '', 100),
+      discord_id: req.body?.discord_id ? sanitizeString(String(req.body.discord_id), 20) : null,
+      weekly_hours: req.body?.weekly_hours ?? null,
+    })
+
+    const technician = await prisma.technician.create({
+      data: {
+        nome: data.nome,
+        discord_id: data.discord_id,
+        weekly_hours: data.weekly_hours ?? undefined,
+      },
+    })
+
+    console.info('[Admin] Técnico criado:', {
+      id: technician.id,
+      nome: technician.nome,
+      createdBy: req.adminUser?.email,
+    })
+
+    return res.status(201).json({
+      success: true,
+      technician,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao criar técnico:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
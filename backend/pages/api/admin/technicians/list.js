@@ -0,0 +1,27 @@
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const technicians = await prisma.technician.findMany({
+      orderBy: [{ ativo: 'desc' }, { nome: 'asc' }],
+    })
+
+    return res.status(200).json({
+      success: true,
+      technicians,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao listar técnicos:', error)
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
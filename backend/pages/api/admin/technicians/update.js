@@ -0,0 +1,76 @@
+import { z } from 'zod'
+import { Prisma } from '@prisma/client'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { weeklyHoursSchema } from '../../../../utils/scheduling'
+
+const updateTechnicianSchema = z.object({
+  id: z.string().uuid('ID inválido'),
+  nome: z.string().min(2, 'Nome deve ter pelo menos 2 caracteres').max(100, 'Nome muito longo').optional(),
+  discord_id: z.string().regex(/^\d{17,20}$/, 'ID do Discord inválido').nullable().optional(),
+  // null = volta a seguir o horário geral da agenda
+  weekly_hours: weeklyHoursSchema.nullable().optional(),
+  ativo: z.boolean().optional(),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'PUT' && req.method !== 'POST') {
+    res.setHeader('Allow', 'PUT, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const body = req.body || {}
+    const { id, ...data } = updateTechnicianSchema.parse({
+      id: sanitizeString(body.id || '', 36),
+      nome: body.nome !== undefined ? sanitizeString(body.nome, 100) : undefined,
+      discord_id: body.discord_id !== undefined
+        ? (body.discord_id ? sanitizeString(String(body.discord_id), 20) : null)
+        : undefined,
+      weekly_hours: body.weekly_hours,
+      ativo: body.ativo,
+    })
+
+    const existing = await prisma.technician.findUnique({ where: { id } })
+    if (!existing) {
+      return res.status(404).json({ error: 'Técnico não encontrado' })
+    }
+
+    const technician = await prisma.technician.update({
+      where: { id },
+      data: {
+        ...data,
+        // Campo Json anulável precisa de Prisma.DbNull para gravar NULL
+        ...(data.weekly_hours !== undefined
+          ? { weekly_hours: data.weekly_hours === null ? Prisma.DbNull : data.weekly_hours }
+          : {}),
+      },
+    })
+
+    console.info('[Admin] Técnico atualizado:', {
+      id: technician.id,
+      nome: technician.nome,
+      ativo: technician.ativo,
+      changedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      technician,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao atualizar técnico:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,61 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { TEMPLATE_MESSAGE_TYPES } from '../../../../utils/messageTemplates'
+
+// id null = voltar para o texto padrão
+const activateTemplateSchema = z.object({
+  message_type: z.enum(TEMPLATE_MESSAGE_TYPES, { message: 'Tipo de mensagem inválido' }),
+  id: z.string().uuid('ID inválido').nullable(),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'PUT' && req.method !== 'POST') {
+    res.setHeader('Allow', 'PUT, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { message_type, id } = activateTemplateSchema.parse({
+      message_type: req.body?.message_type,
+      id: req.body?.id ? sanitizeString(req.body.id, 36) : null,
+    })
+
+    if (id) {
+      const template = await prisma.messageTemplate.findUnique({ where: { id } })
+      if (!template || template.message_type !== message_type) {
+        return res.status(404).json({ error: 'Versão não encontrada' })
+      }
+    }
+
+    await prisma.$transaction([
+      prisma.messageTemplate.updateMany({
+        where: { message_type, active: true },
+        data: { active: false },
+      }),
+      ...(id ? [prisma.messageTemplate.update({ where: { id }, data: { active: true } })] : []),
+    ])
+
+    console.info('[Admin] Template ativado:', {
+      message_type,
+      id: id || 'padrão',
+      changedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({ success: true })
+  } catch (error) {
+    console.error('[Admin] Erro ao ativar template:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,90 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+import { TEMPLATE_MESSAGE_TYPES, TEMPLATE_PLACEHOLDERS } from '../../../../utils/messageTemplates'
+
+const createTemplateSchema = z.object({
+  message_type: z.enum(TEMPLATE_MESSAGE_TYPES, { message: 'Tipo de mensagem inválido' }),
+  body: z.string().trim().min(10, 'Texto muito curto').max(4000, 'Texto muito longo')
+    .refine(
+      (val) => [...val.matchAll(/\{(\w+)\}/g)].every(([, key]) => key in TEMPLATE_PLACEHOLDERS),
+      'O texto usa um placeholder desconhecido'
+    ),
+  activate: z.boolean().default(true),
+  // Entra no teste A/B junto das versões já ativas, em vez de substituí-las
+  as_variant: z.boolean().default(false),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    // O texto não passa por sanitizeString: quebras de linha fazem parte da mensagem
+    const { message_type, body, activate, as_variant } = createTemplateSchema.parse({
+      message_type: req.body?.message_type,
+      body: typeof req.body?.body === 'string' ? req.body.body.replace(/\0/g, '').replace(/\r\n/g, '\n') : '',
+      activate: req.body?.activate,
+      as_variant: req.body?.as_variant,
+    })
+
+    const template = await prisma.$transaction(async (tx) => {
+      const latest = await tx.messageTemplate.findFirst({
+        where: { message_type },
+        orderBy: { version: 'desc' },
+        select: { version: true },
+      })
+
+      if (activate && !as_variant) {
+        await tx.messageTemplate.updateMany({
+          where: { message_type, active: true },
+          data: { active: false },
+        })
+      }
+
+      return tx.messageTemplate.create({
+        data: {
+          message_type,
+          version: (latest?.version || 0) + 1,
+          body,
+          active: activate,
+          created_by: req.adminUser?.email || null,
+        },
+      })
+    })
+
+    console.info('[Admin] Template salvo:', {
+      message_type,
+      version: template.version,
+      active: template.active,
+      asVariant: as_variant,
+      createdBy: req.adminUser?.email,
+    })
+
+    return res.status(201).json({
+      success: true,
+      template,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao salvar template:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    // P2002 = duas versões salvas ao mesmo tempo
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Outra versão acabou de ser salva. Recarregue e tente de novo.' })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,51 @@
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+import {
+  TEMPLATE_PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  TEMPLATE_MESSAGE_TYPES,
+} from '../../../../utils/messageTemplates'
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const versions = await prisma.messageTemplate.findMany({
+      orderBy: [{ message_type: 'asc' }, { version: 'desc' }],
+      include: { _count: { select: { messages: true } } },
+    })
+
+    return res.status(200).json({
+      success: true,
+      placeholders: TEMPLATE_PLACEHOLDERS,
+      templates: TEMPLATE_MESSAGE_TYPES.map(messageType => {
+        const typeVersions = versions.filter(version => version.message_type === messageType)
+        return {
+          message_type: messageType,
+          default_body: DEFAULT_TEMPLATES[messageType],
+          active_versions: typeVersions.filter(version => version.active).map(version => version.version),
+          versions: typeVersions.map(version => ({
+            id: version.id,
+            version: version.version,
+            body: version.body,
+            active: version.active,
+            weight: version.weight,
+            created_by: version.created_by,
+            created_at: version.created_at,
+            sent_count: version._count.messages,
+          })),
+        }
+      }),
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao listar templates:', error)
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,53 @@
+import { z } from 'zod'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeError } from '../../../../utils/security'
+import {
+  TEMPLATE_PLACEHOLDERS,
+  renderTemplate,
+  buildSampleVariables,
+} from '../../../../utils/messageTemplates'
+
+const previewSchema = z.object({
+  body: z.string().max(4000, 'Texto muito longo'),
+})
+
+/**
+ * Prévia do texto com um lead de exemplo (mesma renderização do cron)
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { body } = previewSchema.parse({
+      body: typeof req.body?.body === 'string' ? req.body.body.replace(/\r\n/g, '\n') : '',
+    })
+
+    const unknownPlaceholders = [...new Set(
+      [...body.matchAll(/\{(\w+)\}/g)]
+        .map(([, key]) => key)
+        .filter(key => !(key in TEMPLATE_PLACEHOLDERS))
+    )]
+
+    return res.status(200).json({
+      success: true,
+      preview: renderTemplate(body, buildSampleVariables()),
+      unknown_placeholders: unknownPlaceholders,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao gerar prévia do template:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
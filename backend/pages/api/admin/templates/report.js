@@ -0,0 +1,162 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { TEMPLATE_MESSAGE_TYPES } from '../../../../utils/messageTemplates'
+import { SENT_STATUSES } from '../../../../utils/messageQueue'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const reportSchema = z.object({
+  message_type: z.enum(TEMPLATE_MESSAGE_TYPES, { message: 'Tipo de mensagem inválido' }),
+  // Janela de atribuição: compra aprovada até N dias depois da mensagem
+  days: z.coerce.number().int().min(1).max(60).default(7),
+  // Mensagens enviadas nos últimos N dias entram no relatório
+  period: z.coerce.number().int().min(1).max(365).default(90),
+})
+
+// Momento da aprovação: a Meeting é criada pelo webhook quando o pagamento é confirmado
+const getPaidAt = (transaction) => transaction.meeting?.created_at || transaction.updated_at
+
+const percent = (part, total) => total ? Number((part / total * 100).toFixed(1)) : 0
+
+const emptyRow = () => ({ leads: 0, converted: 0, pending: 0, sent: 0, delivered: 0, read: 0 })
+
+/**
+ * Conversão por variante de um tipo de mensagem
+ * Cada lead conta uma vez por variante (primeiro envio); converte se tiver transação
+ * succeeded aprovada entre o envio e o fim da janela. Entrega e leitura contam todos os
+ * envios, pelas confirmações do provedor.
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { message_type, days, period } = reportSchema.parse({
+      message_type: req.query?.message_type ? sanitizeString(req.query.message_type, 40) : undefined,
+      days: req.query?.days || undefined,
+      period: req.query?.period || undefined,
+    })
+
+    const now = new Date()
+    const windowMs = days * DAY_MS
+
+    const messages = await prisma.whatsAppMessage.findMany({
+      where: {
+        message_type,
+        status: { in: SENT_STATUSES },
+        sent_at: { gte: new Date(now.getTime() - period * DAY_MS) },
+        // Só o primeiro passo de uma sequência usa o template; os seguintes têm texto próprio
+        OR: [{ drip_step: null }, { drip_step: 1 }],
+      },
+      select: { lead_id: true, template_id: true, status: true, sent_at: true },
+      orderBy: { sent_at: 'asc' },
+    })
+
+    const leadIds = [...new Set(messages.map(msg => msg.lead_id))]
+
+    const [transactions, templates] = await Promise.all([
+      leadIds.length
+        ? prisma.transaction.findMany({
+          where: { lead_id: { in: leadIds }, status: 'succeeded' },
+          select: { lead_id: true, updated_at: true, meeting: { select: { created_at: true } } },
+        })
+        : [],
+      prisma.messageTemplate.findMany({
+        where: { message_type },
+        select: { id: true, version: true, active: true, weight: true },
+      }),
+    ])
+
+    const paymentsByLead = new Map()
+    for (const transaction of transactions) {
+      const paidAt = getPaidAt(transaction)
+      paymentsByLead.set(transaction.lead_id, [...(paymentsByLead.get(transaction.lead_id) || []), paidAt])
+    }
+
+    // Primeiro envio de cada lead em cada variante (null = texto padrão)
+    const firstSends = new Map()
+    for (const msg of messages) {
+      const key = `${msg.template_id || 'default'}:${msg.lead_id}`
+      if (!firstSends.has(key)) {
+        firstSends.set(key, msg)
+      }
+    }
+
+    const rows = new Map()
+    for (const msg of messages) {
+      const variantKey = msg.template_id || 'default'
+      const row = rows.get(variantKey) || emptyRow()
+
+      row.sent++
+      if (msg.status === 'DELIVERED' || msg.status === 'READ') row.delivered++
+      if (msg.status === 'READ') row.read++
+
+      rows.set(variantKey, row)
+    }
+
+    for (const msg of firstSends.values()) {
+      const variantKey = msg.template_id || 'default'
+      const row = rows.get(variantKey)
+
+      const sentAt = msg.sent_at.getTime()
+      const converted = (paymentsByLead.get(msg.lead_id) || []).some(paidAt => {
+        const elapsed = paidAt.getTime() - sentAt
+        return elapsed >= 0 && elapsed <= windowMs
+      })
+
+      row.leads++
+      if (converted) {
+        row.converted++
+      } else if (now.getTime() - sentAt < windowMs) {
+        // Janela ainda aberta: pode converter
+        row.pending++
+      }
+    }
+
+    const templatesById = new Map(templates.map(template => [template.id, template]))
+
+    const variants = [...rows.entries()].map(([variantKey, row]) => {
+      const template = templatesById.get(variantKey)
+      return {
+        template_id: template?.id || null,
+        version: template?.version || null,
+        active: template ? template.active : null,
+        weight: template?.weight || null,
+        leads: row.leads,
+        converted: row.converted,
+        pending: row.pending,
+        conversion_rate: percent(row.converted, row.leads),
+        sent: row.sent,
+        delivered: row.delivered,
+        read: row.read,
+        delivery_rate: percent(row.delivered, row.sent),
+        read_rate: percent(row.read, row.sent),
+      }
+    }).sort((a, b) => (a.version || 0) - (b.version || 0))
+
+    return res.status(200).json({
+      success: true,
+      message_type,
+      days,
+      period,
+      variants,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao gerar relatório de variantes:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
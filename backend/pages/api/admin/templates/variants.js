@@ -0,0 +1,78 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { TEMPLATE_MESSAGE_TYPES } from '../../../../utils/messageTemplates'
+
+// Conjunto de versões ativas (teste A/B) com o peso de cada uma; lista vazia = texto padrão
+const variantsSchema = z.object({
+  message_type: z.enum(TEMPLATE_MESSAGE_TYPES, { message: 'Tipo de mensagem inválido' }),
+  variants: z.array(z.object({
+    id: z.string().uuid('ID inválido'),
+    weight: z.number().int('Peso deve ser inteiro').min(1, 'Peso mínimo é 1').max(100, 'Peso máximo é 100'),
+  })).max(5, 'Máximo de 5 variantes por mensagem')
+    .refine(
+      (val) => new Set(val.map(variant => variant.id)).size === val.length,
+      'Versão repetida'
+    ),
+})
+
+async function handler(req, res) {
+  if (req.method !== 'PUT' && req.method !== 'POST') {
+    res.setHeader('Allow', 'PUT, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { message_type, variants } = variantsSchema.parse({
+      message_type: req.body?.message_type,
+      variants: Array.isArray(req.body?.variants)
+        ? req.body.variants.map(variant => ({
+          id: sanitizeString(variant?.id || '', 36),
+          weight: Number(variant?.weight),
+        }))
+        : req.body?.variants,
+    })
+
+    const ids = variants.map(variant => variant.id)
+    const found = await prisma.messageTemplate.count({
+      where: { id: { in: ids }, message_type },
+    })
+
+    if (found !== ids.length) {
+      return res.status(404).json({ error: 'Versão não encontrada' })
+    }
+
+    await prisma.$transaction([
+      prisma.messageTemplate.updateMany({
+        where: { message_type, active: true, id: { notIn: ids } },
+        data: { active: false },
+      }),
+      ...variants.map(variant => prisma.messageTemplate.update({
+        where: { id: variant.id },
+        data: { active: true, weight: variant.weight },
+      })),
+    ])
+
+    console.info('[Admin] Variantes de template atualizadas:', {
+      message_type,
+      variants: variants.length ? variants : 'padrão',
+      changedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({ success: true })
+  } catch (error) {
+    console.error('[Admin] Erro ao atualizar variantes do template:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
@@ -0,0 +1,71 @@
+import { z } from 'zod'
+import prisma from '../../../../lib/prisma'
+import { withAdminAuth } from '../../../../utils/adminAuth'
+import { sanitizeString, sanitizeError } from '../../../../utils/security'
+import { refundTransaction } from '../../../../utils/refunds'
+
+const refundSchema = z.object({
+  transaction_id: z.string().uuid('ID inválido'),
+  reason: z.string().trim().min(3, 'Informe o motivo do reembolso').max(200),
+})
+
+/**
+ * Reembolsa ao cliente um pagamento aprovado (Stripe ou OpenPix)
+ * Cancela a reunião, estorna a comissão, volta o estágio do lead e avisa no Discord.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { transaction_id, reason } = refundSchema.parse({
+      transaction_id: sanitizeString(req.body?.transaction_id || '', 36),
+      reason: sanitizeString(req.body?.reason || '', 200),
+    })
+
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: transaction_id },
+      include: { lead: true, affiliate: true, product: true },
+    })
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transação não encontrada' })
+    }
+
+    if (transaction.status !== 'succeeded') {
+      return res.status(400).json({ error: 'Apenas pagamentos aprovados podem ser reembolsados' })
+    }
+
+    const result = await refundTransaction(transaction, {
+      actor: req.adminUser?.email || 'admin',
+      reason,
+    })
+
+    console.info('[Admin] Pagamento reembolsado:', {
+      transactionId: transaction_id,
+      meetingCancelled: result?.meetingCancelled || false,
+      refundedBy: req.adminUser?.email,
+    })
+
+    return res.status(200).json({
+      success: true,
+      transaction: result?.transaction || null,
+      meeting_cancelled: result?.meetingCancelled || false,
+    })
+  } catch (error) {
+    console.error('[Admin] Erro ao reembolsar pagamento:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
+
+export default withAdminAuth(handler)
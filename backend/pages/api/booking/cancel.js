@@ -0,0 +1,78 @@
+import { applyCors } from '../../../utils/cors'
+import { sendMeetingChangeNotification } from '../../../utils/discord'
+import { queueMeetingCancelledMessage } from '../../../utils/messageQueue'
+import {
+  getBookingAccessToken,
+  findMeetingByAccessToken,
+  getClientChangePolicy,
+  updateMeetingStatus,
+  CLIENT_CHANGE_MIN_HOURS,
+} from '../../../utils/meetings'
+import {
+  setSecurityHeaders,
+  sanitizeError,
+  rateLimit,
+} from '../../../utils/security'
+
+const cancelRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  maxRequests: 10,
+})
+
+export default async function handler(req, res) {
+  setSecurityHeaders(req, res)
+
+  if (applyCors(req, res)) {
+    return
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  if (cancelRateLimit(req, res)) {
+    return
+  }
+
+  try {
+    const meeting = await findMeetingByAccessToken(getBookingAccessToken(req))
+
+    if (!meeting) {
+      return res.status(401).json({ message: 'Acesso não autorizado' })
+    }
+
+    if (!getClientChangePolicy(meeting).allowed) {
+      return res.status(400).json({
+        error: `Cancelamento pela página só até ${CLIENT_CHANGE_MIN_HOURS}h antes da reunião. Fale com a gente pelo WhatsApp.`,
+      })
+    }
+
+    const result = await updateMeetingStatus(meeting, 'cancelled', { actor: 'cliente' })
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    // Confirmação pelo WhatsApp (não bloqueia o cancelamento se falhar)
+    try {
+      await queueMeetingCancelledMessage(meeting.lead, result.meeting)
+    } catch (queueError) {
+      console.error('[Booking] Erro ao enfileirar aviso de cancelamento:', queueError.message)
+    }
+
+    await sendMeetingChangeNotification({
+      type: 'cancelled',
+      lead: meeting.lead,
+      meeting: result.meeting,
+      technician: meeting.technician,
+    })
+
+    console.info('[Booking] Reunião cancelada pelo cliente:', { meeting_id: meeting.id })
+
+    return res.status(200).json({ success: true })
+  } catch (error) {
+    console.error('Erro em /api/booking/cancel:', error)
+    return res.status(500).json(sanitizeError(error, process.env.NODE_ENV === 'production'))
+  }
+}
@@ -0,0 +1,79 @@
+import { applyCors } from '../../../utils/cors'
+import { formatTimeValue } from '../../../utils/scheduling'
+import { buildMeetingInviteUrl } from '../../../utils/calendar'
+import {
+  getBookingAccessToken,
+  findMeetingByAccessToken,
+  getClientChangePolicy,
+  CLIENT_CHANGE_MIN_HOURS,
+} from '../../../utils/meetings'
+import {
+  setSecurityHeaders,
+  sanitizeError,
+  rateLimit,
+} from '../../../utils/security'
+
+// Rate limiter (proteção contra brute force do token)
+const bookingRateLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  maxRequests: 20, // 20 requisições por minuto
+})
+
+export default async function handler(req, res) {
+  setSecurityHeaders(req, res)
+
+  if (applyCors(req, res)) {
+    return
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  if (bookingRateLimit(req, res)) {
+    return
+  }
+
+  try {
+    const meeting = await findMeetingByAccessToken(getBookingAccessToken(req))
+
+    // Resposta genérica (não revelar se o token existe ou não)
+    if (!meeting) {
+      return res.status(401).json({ message: 'Acesso não autorizado' })
+    }
+
+    const policy = getClientChangePolicy(meeting)
+
+    // Apenas dados da própria reserva, sem contato do lead
+    return res.status(200).json({
+      nome: meeting.lead.nome,
+      meeting: {
+        date: meeting.meeting_date.toISOString().slice(0, 10),
+        time: formatTimeValue(meeting.meeting_time),
+        status: meeting.status,
+        technician: meeting.technician?.nome || null,
+      },
+      transaction: {
+        status: meeting.transaction.status,
+        payment_method: meeting.transaction.payment_method,
+        amount: meeting.transaction.amount_product / 100,
+        product: meeting.transaction.product?.nome || null,
+        created_at: meeting.transaction.created_at,
+      },
+      policy: {
+        can_change: policy.allowed,
+        deadline: policy.deadline,
+        min_hours: CLIENT_CHANGE_MIN_HOURS,
+      },
+      invite_url: meeting.status === 'scheduled' ? buildMeetingInviteUrl(meeting.transaction_id) : null,
+      review: meeting.reviewed_at
+        ? { rating: meeting.rating, comment: meeting.review_comment, reviewed_at: meeting.reviewed_at }
+        : null,
+      can_review: meeting.status === 'completed' && !meeting.reviewed_at,
+    })
+  } catch (error) {
+    console.error('Erro em /api/booking/get:', error)
+    return res.status(500).json(sanitizeError(error, process.env.NODE_ENV === 'production'))
+  }
+}
@@ -0,0 +1,98 @@
+import { z } from 'zod'
+import { applyCors } from '../../../utils/cors'
+import { sendMeetingChangeNotification } from '../../../utils/discord'
+import {
+  getBookingAccessToken,
+  findMeetingByAccessToken,
+  getClientChangePolicy,
+  rescheduleMeeting,
+  CLIENT_CHANGE_MIN_HOURS,
+} from '../../../utils/meetings'
+import {
+  setSecurityHeaders,
+  sanitizeString,
+  checkPayloadSize,
+  sanitizeError,
+  rateLimit,
+} from '../../../utils/security'
+
+// Rate limiter (poucas remarcações por hora)
+const rescheduleRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  maxRequests: 10,
+})
+
+const rescheduleSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Data inválida (YYYY-MM-DD)'),
+  time: z.string().regex(/^\d{2}:\d{2}$/, 'Horário inválido (HH:MM)'),
+})
+
+export default async function handler(req, res) {
+  setSecurityHeaders(req, res)
+
+  if (applyCors(req, res)) {
+    return
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  if (!checkPayloadSize(req, 1024 * 5)) {
+    return res.status(413).json({ message: 'Payload muito grande' })
+  }
+
+  if (rescheduleRateLimit(req, res)) {
+    return
+  }
+
+  try {
+    const meeting = await findMeetingByAccessToken(getBookingAccessToken(req))
+
+    if (!meeting) {
+      return res.status(401).json({ message: 'Acesso não autorizado' })
+    }
+
+    if (!getClientChangePolicy(meeting).allowed) {
+      return res.status(400).json({
+        error: `Alterações pela página só até ${CLIENT_CHANGE_MIN_HOURS}h antes da reunião. Fale com a gente pelo WhatsApp.`,
+      })
+    }
+
+    const { date, time } = rescheduleSchema.parse({
+      date: sanitizeString(req.body?.date || '', 10),
+      time: sanitizeString(req.body?.time || '', 5),
+    })
+
+    const result = await rescheduleMeeting(meeting, { date, time, actor: 'cliente' })
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    await sendMeetingChangeNotification({
+      type: 'rescheduled',
+      lead: meeting.lead,
+      meeting: result.meeting,
+      from: result.from,
+      technician: result.technician,
+    })
+
+    console.info('[Booking] Reunião remarcada pelo cliente:', {
+      meeting_id: meeting.id,
+      from: `${result.from.date} ${result.from.time}`,
+      to: `${date} ${time}`,
+    })
+
+    return res.status(200).json({ success: true })
+  } catch (error) {
+    console.error('Erro em /api/booking/reschedule:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.issues[0]?.message || 'Dados inválidos' })
+    }
+
+    return res.status(500).json(sanitizeError(error, process.env.NODE_ENV === 'production'))
+  }
+}
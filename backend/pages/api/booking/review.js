@@ -0,0 +1,91 @@
+import { z } from 'zod'
+import prisma from '../../../lib/prisma'
+import { applyCors } from '../../../utils/cors'
+import { recordLeadEvent } from '../../../utils/leadEvents'
+import { getBookingAccessToken, findMeetingByAccessToken } from '../../../utils/meetings'
+import {
+  setSecurityHeaders,
+  sanitizeString,
+  checkPayloadSize,
+  sanitizeError,
+  rateLimit,
+} from '../../../utils/security'
+
+const reviewRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  maxRequests: 10,
+})
+
+const reviewSchema = z.object({
+  rating: z.number().int('Nota inválida').min(1, 'Nota de 1 a 5').max(5, 'Nota de 1 a 5'),
+  comment: z.string().max(1000, 'Comentário muito longo').optional(),
+})
+
+export default async function handler(req, res) {
+  setSecurityHeaders(req, res)
+
+  if (applyCors(req, res)) {
+    return
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  if (!checkPayloadSize(req, 1024 * 5)) {
+    return res.status(413).json({ message: 'Payload muito grande' })
+  }
+
+  if (reviewRateLimit(req, res)) {
+    return
+  }
+
+  try {
+    const meeting = await findMeetingByAccessToken(getBookingAccessToken(req))
+
+    if (!meeting) {
+      return res.status(401).json({ message: 'Acesso não autorizado' })
+    }
+
+    if (meeting.status !== 'completed') {
+      return res.status(400).json({ error: 'A avaliação fica disponível depois da sessão' })
+    }
+
+    if (meeting.reviewed_at) {
+      return res.status(409).json({ error: 'Você já avaliou esta sessão. Obrigado!' })
+    }
+
+    const { rating, comment } = reviewSchema.parse({
+      rating: Number(req.body?.rating),
+      comment: req.body?.comment ? sanitizeString(String(req.body.comment), 1000) : undefined,
+    })
+
+    await prisma.meeting.update({
+      where: { id: meeting.id },
+      data: {
+        rating,
+        review_comment: comment || null,
+        reviewed_at: new Date(),
+      },
+    })
+
+    await recordLeadEvent(meeting.lead_id, 'MEETING_REVIEWED', {
+      description: `Sessão avaliada com nota ${rating}`,
+      metadata: { meeting_id: meeting.id, rating, has_comment: Boolean(comment) },
+      actor: 'cliente',
+    })
+
+    console.info('[Booking] Sessão avaliada:', { meeting_id: meeting.id, rating })
+
+    return res.status(200).json({ success: true })
+  } catch (error) {
+    console.error('Erro em /api/booking/review:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.issues[0]?.message || 'Dados inválidos' })
+    }
+
+    return res.status(500).json(sanitizeError(error, process.env.NODE_ENV === 'production'))
+  }
+}
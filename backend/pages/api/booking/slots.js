@@ -0,0 +1,88 @@
+import { z } from 'zod'
+import { applyCors } from '../../../utils/cors'
+import { getSlotsForDate } from '../../../utils/scheduling'
+import { getBookingAccessToken, findMeetingByAccessToken } from '../../../utils/meetings'
+import {
+  setSecurityHeaders,
+  rateLimit,
+  sanitizeError,
+} from '../../../utils/security'
+
+// Rate limiter
+const slotsRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  maxRequests: 30,
+})
+
+// Validação da query
+const querySchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Data inválida (YYYY-MM-DD)'),
+})
+
+/**
+ * Horários para remarcar a reunião do token
+ * Igual a /api/meetings/available-slots, mas sem contar a própria reunião como ocupada
+ */
+export default async function handler(req, res) {
+  setSecurityHeaders(req, res)
+
+  if (applyCors(req, res)) {
+    return
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  if (slotsRateLimit(req, res)) {
+    return
+  }
+
+  try {
+    const meeting = await findMeetingByAccessToken(getBookingAccessToken(req))
+
+    if (!meeting) {
+      return res.status(401).json({ message: 'Acesso não autorizado' })
+    }
+
+    const { date } = querySchema.parse({ date: req.query.date })
+
+    // Mesmo range da agenda pública (hoje até 3 meses à frente)
+    const targetDate = new Date(date)
+    const today = new Date()
+    today.setHours(0, 0, 0, 0)
+
+    const maxDate = new Date(today)
+    maxDate.setMonth(maxDate.getMonth() + 3)
+
+    if (targetDate < today) {
+      return res.status(400).json({ error: 'Data inválida. Não é possível agendar no passado.' })
+    }
+
+    if (targetDate > maxDate) {
+      return res.status(400).json({ error: 'Data inválida. Máximo de 3 meses à frente.' })
+    }
+
+    const { slots, closedReason, durationMinutes } = await getSlotsForDate(date, {
+      excludeMeetingId: meeting.id,
+      durationMinutes: meeting.duration_minutes,
+    })
+
+    return res.status(200).json({
+      date,
+      slots,
+      closed: Boolean(closedReason),
+      sessionDurationHours: durationMinutes / 60,
+      timezone: 'America/Sao_Paulo',
+    })
+  } catch (error) {
+    console.error('Erro em /api/booking/slots:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.issues[0]?.message || 'Parâmetros inválidos' })
+    }
+
+    return res.status(500).json(sanitizeError(error, process.env.NODE_ENV === 'production'))
+  }
+}
@@ -0,0 +1,90 @@
+import { z } from 'zod'
+import prisma from '../../../lib/prisma'
+import { applyCors } from '../../../utils/cors'
+import { findCheckoutProduct } from '../../../utils/products'
+import { checkCoupon, calculateDiscount, COUPON_INVALID_MESSAGES } from '../../../utils/coupons'
+import { setSecurityHeaders, rateLimit, sanitizeError } from '../../../utils/security'
+
+// Limite baixo: evita testar códigos por força bruta
+const couponRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  maxRequests: 10,
+})
+
+const couponPreviewSchema = z.object({
+  lead_id: z.string().uuid('ID do lead inválido'),
+  code: z.string().trim().min(1, 'Informe o cupom').max(30, 'Cupom inválido'),
+  product_id: z.string().uuid('Produto inválido').optional(),
+})
+
+/**
+ * Prévia do preço com cupom na página de agendamento
+ * O checkout valida e recalcula tudo de novo; este valor é só para exibição
+ */
+export default async function handler(req, res) {
+  setSecurityHeaders(req, res)
+
+  if (applyCors(req, res)) {
+    return
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  if (couponRateLimit(req, res)) {
+    return
+  }
+
+  try {
+    const data = couponPreviewSchema.parse(req.body)
+
+    const lead = await prisma.lead.findUnique({
+      where: { id: data.lead_id },
+    })
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead não encontrado' })
+    }
+
+    const product = await findCheckoutProduct(data.product_id)
+
+    if (!product) {
+      return res.status(400).json({ error: 'Produto não disponível' })
+    }
+
+    const result = await checkCoupon(data.code, { lead, referralCode: lead.referral_code })
+
+    if (!result.valid) {
+      return res.status(400).json({
+        error: COUPON_INVALID_MESSAGES[result.reason],
+        code: 'INVALID_COUPON',
+      })
+    }
+
+    const discount = calculateDiscount(result.coupon, product.price)
+
+    return res.status(200).json({
+      coupon: {
+        code: result.coupon.code,
+        descricao: result.coupon.descricao,
+        discount_type: result.coupon.discount_type,
+        discount_value: result.coupon.discount_value,
+      },
+      price: product.price,
+      discount_amount: discount,
+      total: product.price - discount,
+    })
+  } catch (error) {
+    console.error('Erro em /api/checkout/coupon:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: error.issues[0]?.message || 'Dados inválidos',
+      })
+    }
+
+    return res.status(500).json(sanitizeError(error, process.env.NODE_ENV === 'production'))
+  }
+}
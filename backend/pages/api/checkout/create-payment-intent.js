@@ -1,7 +1,19 @@
 import { z } from 'zod'
 import prisma from '../../../lib/prisma'
-import stripe, { AMOUNT_PRODUCT, AMOUNT_AFFILIATE } from '../../../utils/stripe'
+import stripe from '../../../utils/stripe'
 import { sendPaymentNotification } from '../../../utils/discord'
+import { recordLeadEvent } from '../../../utils/leadEvents'
+import { findCheckoutProduct, buildTransactionAmounts } from '../../../utils/products'
+import { checkCoupon, createCheckoutTransaction, COUPON_INVALID_MESSAGES } from '../../../utils/coupons'
+import { checkSlotAvailability, SLOT_UNAVAILABLE_MESSAGES } from '../../../utils/scheduling'
+import {
+  createSlotHold,
+  releaseSlotHolds,
+  cancelPendingCheckouts,
+  SLOT_HOLD_TTL_SECONDS,
+} from '../../../utils/slotHolds'
+import { buildMeetingInviteUrl } from '../../../utils/calendar'
+import { cancelPendingAbandonedMessage } from '../../../utils/messageQueue'
 import { applyCors } from '../../../utils/cors'
 import {
   setSecurityHeaders,
@@ -22,6 +34,10 @@ const createPaymentIntentSchema = z.object({
   email: z.string().email('E-mail inválido'),
   scheduled_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Data inválida (YYYY-MM-DD)'),
   scheduled_time: z.string().regex(/^\d{2}:\d{2}$/, 'Horário inválido (HH:mm)'),
+  // Opcional: sem produto, usa o primeiro produto ativo
+  product_id: z.string().uuid('Produto inválido').optional(),
+  // Opcional: cupom de desconto (validado e recalculado aqui, a página só mostra uma prévia)
+  coupon_code: z.string().trim().max(30, 'Cupom inválido').optional(),
   payment_method_type: z.enum(['card', 'pix']),
 })
 
@@ -41,6 +57,9 @@ export default async function handler(req, res) {
     return
   }
 
+  // Reserva criada neste checkout (liberada se algo falhar depois dela)
+  let hold = null
+
   try {
     // Validar dados
     const data = createPaymentIntentSchema.parse(req.body)
@@ -54,6 +73,12 @@ export default async function handler(req, res) {
       return res.status(404).json({ error: 'Lead não encontrado' })
     }
 
+    const product = await findCheckoutProduct(data.product_id)
+
+    if (!product) {
+      return res.status(400).json({ error: 'Produto não disponível' })
+    }
+
     // Atualizar email do lead se fornecido
     if (data.email && data.email !== lead.email) {
       await prisma.lead.update({
@@ -138,15 +163,28 @@ export default async function handler(req, res) {
       })
     }
 
-    // Verificar se o horário está disponível
     const scheduledDate = new Date(data.scheduled_date)
-    const [hours, minutes] = data.scheduled_time.split(':').map(Number)
-    
-    // Verificar se não é antes das 14:00
-    if (hours < 14) {
-      return res.status(400).json({ error: 'Horário não disponível. Apenas após às 14:00.' })
+
+    let coupon = null
+    // Limite por cliente também considera o e-mail informado agora
+    const couponLead = { ...lead, email: data.email }
+
+    if (data.coupon_code) {
+      const couponCheck = await checkCoupon(data.coupon_code, { lead: couponLead, referralCode })
+
+      if (!couponCheck.valid) {
+        return res.status(400).json({
+          error: COUPON_INVALID_MESSAGES[couponCheck.reason],
+          code: 'INVALID_COUPON',
+        })
+      }
+
+      coupon = couponCheck.coupon
     }
 
+    // Preço (com o desconto do cupom), comissão (do produto ou override do indicador) e duração gravados na transação
+    const amounts = await buildTransactionAmounts(product, affiliate, coupon)
+
     // Verificar se já existe uma transação APROVADA para este lead
     const existingApproved = await prisma.transaction.findFirst({
       where: {
@@ -162,33 +200,42 @@ export default async function handler(req, res) {
       })
     }
 
-    // Verificar se já existe reunião neste horário
-    const existingMeeting = await prisma.meeting.findFirst({
-      where: {
-        meeting_date: scheduledDate,
-        meeting_time: new Date(`1970-01-01T${data.scheduled_time}:00`),
-        status: { not: 'cancelled' },
-      },
+    // Verificar disponibilidade na agenda (dias/horários configurados, bloqueios e capacidade)
+    // As reservas pendentes do próprio lead são ignoradas, pois serão canceladas abaixo
+    // A duração da sessão é a do produto escolhido
+    const slot = await checkSlotAvailability(data.scheduled_date, data.scheduled_time, {
+      excludeLeadId: lead.id,
+      durationMinutes: product.session_duration_minutes,
     })
 
-    if (existingMeeting) {
-      return res.status(400).json({ error: 'Este horário já está ocupado. Por favor, escolha outro.' })
+    if (!slot.available) {
+      return res.status(400).json({
+        error: SLOT_UNAVAILABLE_MESSAGES[slot.reason] || 'Horário não disponível.',
+      })
     }
 
-    // Cancelar transações pendentes anteriores deste lead
-    await prisma.transaction.updateMany({
-      where: {
-        lead_id: lead.id,
-        status: { in: ['requires_payment_method', 'processing', 'requires_action', 'requires_confirmation'] },
-      },
-      data: {
-        status: 'canceled',
-      },
+    // Trocar a reserva anterior do lead pela nova, de forma atômica
+    await releaseSlotHolds({ leadId: lead.id })
+    hold = await createSlotHold({
+      leadId: lead.id,
+      date: data.scheduled_date,
+      time: data.scheduled_time,
+      durationMinutes: product.session_duration_minutes,
+      ttlSeconds: data.payment_method_type === 'pix' ? SLOT_HOLD_TTL_SECONDS.stripe_pix : SLOT_HOLD_TTL_SECONDS.card,
     })
 
+    if (!hold) {
+      return res.status(400).json({
+        error: SLOT_UNAVAILABLE_MESSAGES.booked,
+      })
+    }
+
+    // Cancelar checkouts pendentes anteriores deste lead, também no Stripe/OpenPix
+    await cancelPendingCheckouts(lead.id)
+
     // Criar PaymentIntent no Stripe
     const paymentIntentData = {
-      amount: AMOUNT_PRODUCT,
+      amount: amounts.amount_product,
       currency: 'brl',
       automatic_payment_methods: {
         enabled: true,
@@ -200,8 +247,11 @@ export default async function handler(req, res) {
         affiliate_code: lead.referral_code || '',
         scheduled_date: data.scheduled_date,
         scheduled_time: data.scheduled_time,
-        amount_product: AMOUNT_PRODUCT.toString(),
-        amount_affiliate: AMOUNT_AFFILIATE.toString(),
+        product_id: product.id,
+        amount_product: amounts.amount_product.toString(),
+        amount_affiliate: amounts.amount_affiliate.toString(),
+        coupon_code: amounts.coupon_code || '',
+        discount_amount: amounts.discount_amount.toString(),
       },
       receipt_email: data.email,
     }
@@ -211,7 +261,7 @@ export default async function handler(req, res) {
       paymentIntentData.payment_method_types = ['pix']
       paymentIntentData.payment_method_options = {
         pix: {
-          expires_after_seconds: 3600, // 1 hora para expirar
+          expires_after_seconds: SLOT_HOLD_TTL_SECONDS.stripe_pix, // 1 hora, o mesmo tempo da reserva do horário
         },
       }
       delete paymentIntentData.automatic_payment_methods
@@ -235,6 +285,7 @@ export default async function handler(req, res) {
       // Se PIX não está habilitado, retornar erro específico
       if (stripeError.code === 'payment_intent_invalid_parameter' && 
           data.payment_method_type === 'pix') {
+        await releaseSlotHolds({ leadId: lead.id })
         return res.status(400).json({
           error: 'PIX não está habilitado. Por favor, use cartão de crédito ou habilite o PIX no Dashboard do Stripe.',
           code: 'PIX_NOT_ENABLED',
@@ -243,19 +294,44 @@ export default async function handler(req, res) {
       throw stripeError
     }
 
-    // Criar transação no banco
-    const transaction = await prisma.transaction.create({
-      data: {
-        lead_id: lead.id,
-        affiliate_id: affiliate?.id || null,
-        amount_product: AMOUNT_PRODUCT,
-        amount_affiliate: AMOUNT_AFFILIATE,
+    // Criar transação no banco (o uso do cupom é conferido de novo e gravado junto, de forma atômica)
+    const { transaction, reason: couponReason } = await createCheckoutTransaction({
+      lead_id: lead.id,
+      affiliate_id: affiliate?.id || null,
+      ...amounts,
+      payment_method: data.payment_method_type,
+      stripe_payment_intent: paymentIntent.id,
+      status: 'requires_payment_method',
+      scheduled_date: scheduledDate,
+      scheduled_time: new Date(`1970-01-01T${data.scheduled_time}:00`),
+    }, { coupon, lead: couponLead, referralCode, holdId: hold.id })
+
+    if (!transaction) {
+      // O cupom esgotou entre a validação e o resgate: o PaymentIntent com desconto não vale mais
+      await stripe.paymentIntents.cancel(paymentIntent.id).catch((cancelError) => {
+        console.error('[Checkout] Erro ao cancelar PaymentIntent do cupom esgotado:', cancelError.message)
+      })
+      await releaseSlotHolds({ leadId: lead.id })
+      return res.status(400).json({
+        error: COUPON_INVALID_MESSAGES[couponReason],
+        code: 'INVALID_COUPON',
+      })
+    }
+
+    // Novo checkout: os passos pendentes da sequência de pagamento abandonado param aqui
+    await cancelPendingAbandonedMessage(lead.id, 'new_checkout')
+
+    await recordLeadEvent(lead.id, 'TRANSACTION_STATUS', {
+      description: `Checkout iniciado (${data.payment_method_type === 'pix' ? 'PIX' : 'Cartão'}) para ${data.scheduled_date} às ${data.scheduled_time}${coupon ? ` com o cupom ${coupon.code}` : ''}`,
+      metadata: {
+        transaction_id: transaction.id,
+        product_id: product.id,
+        coupon_code: amounts.coupon_code,
         payment_method: data.payment_method_type,
-        stripe_payment_intent: paymentIntent.id,
-        status: 'requires_payment_method',
-        scheduled_date: scheduledDate,
-        scheduled_time: new Date(`1970-01-01T${data.scheduled_time}:00`),
+        from: null,
+        to: transaction.status,
       },
+      actor: 'checkout',
     })
 
     const leadForNotification = data.email ? { ...lead, email: data.email } : lead
@@ -266,7 +342,7 @@ export default async function handler(req, res) {
         provider: 'Stripe',
         lead: leadForNotification,
         affiliate,
-        transaction,
+        transaction: { ...transaction, product },
       })
 
       if (notified) {
@@ -282,12 +358,19 @@ export default async function handler(req, res) {
       clientSecret: paymentIntent.client_secret,
       transaction_id: transaction.id,
       payment_intent_id: paymentIntent.id,
+      hold_expires_at: hold.expires_at,
+      // Convite .ics assinado, exibido na tela de sucesso
+      invite_url: buildMeetingInviteUrl(transaction.id),
     })
   } catch (error) {
     const isProduction = process.env.NODE_ENV === 'production'
     
     console.error('Erro em /api/checkout/create-payment-intent:', error)
 
+    if (hold) {
+      await releaseSlotHolds({ leadId: hold.lead_id })
+    }
+
     if (error instanceof z.ZodError) {
       return res.status(400).json({
         error: 'Dados inválidos',
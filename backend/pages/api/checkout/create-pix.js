@@ -1,6 +1,6 @@
 import { z } from 'zod'
 import prisma from '../../../lib/prisma'
-import { createPixCharge } from '../../../utils/openpix'
+import { createPixCharge, OPENPIX_REFERENCE_PREFIX } from '../../../utils/openpix'
 import { sendPaymentNotification } from '../../../utils/discord'
 import { applyCors } from '../../../utils/cors'
 import {
@@ -8,7 +8,18 @@ import {
   rateLimit,
   sanitizeError,
 } from '../../../utils/security'
-import { AMOUNT_PRODUCT, AMOUNT_AFFILIATE } from '../../../utils/stripe'
+import { recordLeadEvent } from '../../../utils/leadEvents'
+import { findCheckoutProduct, buildTransactionAmounts } from '../../../utils/products'
+import { checkCoupon, createCheckoutTransaction, COUPON_INVALID_MESSAGES } from '../../../utils/coupons'
+import { checkSlotAvailability, SLOT_UNAVAILABLE_MESSAGES } from '../../../utils/scheduling'
+import {
+  createSlotHold,
+  releaseSlotHolds,
+  cancelPendingCheckouts,
+  SLOT_HOLD_TTL_SECONDS,
+} from '../../../utils/slotHolds'
+import { buildMeetingInviteUrl } from '../../../utils/calendar'
+import { cancelPendingAbandonedMessage } from '../../../utils/messageQueue'
 
 // Rate limiter para checkout
 const checkoutRateLimit = rateLimit({
@@ -23,6 +34,10 @@ const createPixSchema = z.object({
   cpf: z.string().length(11, 'CPF deve ter 11 dígitos').regex(/^\d+$/, 'CPF deve conter apenas números'),
   scheduled_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Data inválida (YYYY-MM-DD)'),
   scheduled_time: z.string().regex(/^\d{2}:\d{2}$/, 'Horário inválido (HH:mm)'),
+  // Opcional: sem produto, usa o primeiro produto ativo
+  product_id: z.string().uuid('Produto inválido').optional(),
+  // Opcional: cupom de desconto (validado e recalculado aqui, a página só mostra uma prévia)
+  coupon_code: z.string().trim().max(30, 'Cupom inválido').optional(),
 })
 
 export default async function handler(req, res) {
@@ -41,6 +56,9 @@ export default async function handler(req, res) {
     return
   }
 
+  // Reserva criada neste checkout (liberada se algo falhar depois dela)
+  let hold = null
+
   try {
     const data = createPixSchema.parse(req.body)
 
@@ -53,6 +71,12 @@ export default async function handler(req, res) {
       return res.status(404).json({ error: 'Lead não encontrado' })
     }
 
+    const product = await findCheckoutProduct(data.product_id)
+
+    if (!product) {
+      return res.status(400).json({ error: 'Produto não disponível' })
+    }
+
     // Atualizar email do lead
     if (data.email && data.email !== lead.email) {
       await prisma.lead.update({
@@ -137,14 +161,28 @@ export default async function handler(req, res) {
       })
     }
 
-    // Verificar horário
     const scheduledDate = new Date(data.scheduled_date)
-    const [hours] = data.scheduled_time.split(':').map(Number)
 
-    if (hours < 14) {
-      return res.status(400).json({ error: 'Horário não disponível. Apenas após às 14:00.' })
+    let coupon = null
+    // Limite por cliente também considera o e-mail informado agora
+    const couponLead = { ...lead, email: data.email }
+
+    if (data.coupon_code) {
+      const couponCheck = await checkCoupon(data.coupon_code, { lead: couponLead, referralCode })
+
+      if (!couponCheck.valid) {
+        return res.status(400).json({
+          error: COUPON_INVALID_MESSAGES[couponCheck.reason],
+          code: 'INVALID_COUPON',
+        })
+      }
+
+      coupon = couponCheck.coupon
     }
 
+    // Preço (com o desconto do cupom), comissão (do produto ou override do indicador) e duração gravados na transação
+    const amounts = await buildTransactionAmounts(product, affiliate, coupon)
+
     // Verificar se já existe uma transação APROVADA para este lead
     const existingApproved = await prisma.transaction.findFirst({
       where: {
@@ -160,67 +198,97 @@ export default async function handler(req, res) {
       })
     }
 
-    // Verificar se já existe reunião neste horário
-    const existingMeeting = await prisma.meeting.findFirst({
-      where: {
-        meeting_date: scheduledDate,
-        meeting_time: new Date(`1970-01-01T${data.scheduled_time}:00`),
-        status: { not: 'cancelled' },
-      },
+    // Verificar disponibilidade na agenda (dias/horários configurados, bloqueios e capacidade)
+    // As reservas pendentes do próprio lead são ignoradas, pois serão canceladas abaixo
+    // A duração da sessão é a do produto escolhido
+    const slot = await checkSlotAvailability(data.scheduled_date, data.scheduled_time, {
+      excludeLeadId: lead.id,
+      durationMinutes: product.session_duration_minutes,
     })
 
-    if (existingMeeting) {
-      return res.status(400).json({ error: 'Este horário já está ocupado.' })
+    if (!slot.available) {
+      return res.status(400).json({
+        error: SLOT_UNAVAILABLE_MESSAGES[slot.reason] || 'Horário não disponível.',
+      })
     }
 
-    // Cancelar transações pendentes anteriores deste lead (não pagas)
-    await prisma.transaction.updateMany({
-      where: {
-        lead_id: lead.id,
-        status: { in: ['requires_payment_method', 'processing', 'requires_action'] },
-      },
-      data: {
-        status: 'canceled',
-      },
+    // Trocar a reserva anterior do lead pela nova, de forma atômica
+    await releaseSlotHolds({ leadId: lead.id })
+    hold = await createSlotHold({
+      leadId: lead.id,
+      date: data.scheduled_date,
+      time: data.scheduled_time,
+      durationMinutes: product.session_duration_minutes,
+      ttlSeconds: SLOT_HOLD_TTL_SECONDS.openpix,
     })
 
-    // Criar transação no banco
-    const transaction = await prisma.transaction.create({
-      data: {
-        lead_id: lead.id,
-        affiliate_id: affiliate?.id || null,
-        amount_product: AMOUNT_PRODUCT,
-        amount_affiliate: AMOUNT_AFFILIATE,
-        payment_method: 'pix',
-        status: 'requires_payment_method',
-        scheduled_date: scheduledDate,
-        scheduled_time: new Date(`1970-01-01T${data.scheduled_time}:00`),
-      },
-    })
+    if (!hold) {
+      return res.status(400).json({
+        error: SLOT_UNAVAILABLE_MESSAGES.booked,
+      })
+    }
+
+    // Cancelar checkouts pendentes anteriores deste lead, também no Stripe/OpenPix
+    await cancelPendingCheckouts(lead.id)
+
+    // Criar transação no banco (o uso do cupom é conferido de novo e gravado junto, de forma atômica)
+    const { transaction, reason: couponReason } = await createCheckoutTransaction({
+      lead_id: lead.id,
+      affiliate_id: affiliate?.id || null,
+      ...amounts,
+      payment_method: 'pix',
+      status: 'requires_payment_method',
+      scheduled_date: scheduledDate,
+      scheduled_time: new Date(`1970-01-01T${data.scheduled_time}:00`),
+    }, { coupon, lead: couponLead, referralCode, holdId: hold.id })
+
+    if (!transaction) {
+      await releaseSlotHolds({ leadId: lead.id })
+      return res.status(400).json({
+        error: COUPON_INVALID_MESSAGES[couponReason],
+        code: 'INVALID_COUPON',
+      })
+    }
+
+    // Novo checkout: os passos pendentes da sequência de pagamento abandonado param aqui
+    await cancelPendingAbandonedMessage(lead.id, 'new_checkout')
 
     // Criar cobrança PIX na OpenPix
     const pixCharge = await createPixCharge({
       correlationID: transaction.id,
-      value: AMOUNT_PRODUCT,
-      comment: `Otimização Windows - ${lead.nome}`,
+      value: amounts.amount_product,
+      comment: `${product.nome} - ${lead.nome}`,
       customer: {
         name: lead.nome,
         email: data.email,
         phone: lead.whatsapp,
         taxID: data.cpf, // CPF do cliente
       },
-      expiresIn: 900, // 15 minutos
+      expiresIn: SLOT_HOLD_TTL_SECONDS.openpix, // 15 minutos, o mesmo tempo da reserva do horário
     })
 
     // Atualizar transação com dados do PIX
     const updatedTransaction = await prisma.transaction.update({
       where: { id: transaction.id },
       data: {
-        stripe_payment_intent: `openpix_${pixCharge.correlationID}`, // Usar campo existente para guardar referência
+        stripe_payment_intent: `${OPENPIX_REFERENCE_PREFIX}${pixCharge.correlationID}`, // Usar campo existente para guardar referência
         status: 'processing',
       },
     })
 
+    await recordLeadEvent(lead.id, 'TRANSACTION_STATUS', {
+      description: `Checkout iniciado (PIX) para ${data.scheduled_date} às ${data.scheduled_time}${coupon ? ` com o cupom ${coupon.code}` : ''}`,
+      metadata: {
+        transaction_id: transaction.id,
+        product_id: product.id,
+        coupon_code: amounts.coupon_code,
+        payment_method: 'pix',
+        from: null,
+        to: updatedTransaction.status,
+      },
+      actor: 'checkout',
+    })
+
     const leadForNotification = data.email ? { ...lead, email: data.email } : lead
     console.info('[Checkout] Iniciando notificacao de pagamento criado (OpenPix)...')
     try {
@@ -229,7 +297,7 @@ export default async function handler(req, res) {
         provider: 'OpenPix',
         lead: leadForNotification,
         affiliate,
-        transaction: updatedTransaction,
+        transaction: { ...updatedTransaction, product },
       })
 
       if (notified) {
@@ -247,14 +315,21 @@ export default async function handler(req, res) {
         brCode: pixCharge.brCode,
         qrCodeImage: pixCharge.qrCodeImage,
         expiresAt: pixCharge.expiresAt,
-        value: AMOUNT_PRODUCT / 100, // Converter para reais
+        value: amounts.amount_product / 100, // Converter para reais
       },
+      hold_expires_at: hold.expires_at,
+      // Convite .ics assinado, exibido na tela de sucesso
+      invite_url: buildMeetingInviteUrl(transaction.id),
     })
   } catch (error) {
     const isProduction = process.env.NODE_ENV === 'production'
 
     console.error('Erro em /api/checkout/create-pix:', error)
 
+    if (hold) {
+      await releaseSlotHolds({ leadId: hold.lead_id })
+    }
+
     if (error instanceof z.ZodError) {
       return res.status(400).json({
         error: 'Dados inválidos',
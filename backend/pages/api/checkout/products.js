@@ -0,0 +1,41 @@
+import { applyCors } from '../../../utils/cors'
+import { getActiveProducts, serializeProduct } from '../../../utils/products'
+import { setSecurityHeaders, rateLimit, sanitizeError } from '../../../utils/security'
+
+const productsRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  maxRequests: 30,
+})
+
+/**
+ * Produtos ativos para a página de agendamento (preço e duração da sessão)
+ * O primeiro da lista é o padrão do checkout
+ */
+export default async function handler(req, res) {
+  setSecurityHeaders(req, res)
+
+  if (applyCors(req, res)) {
+    return
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  if (productsRateLimit(req, res)) {
+    return
+  }
+
+  try {
+    const products = await getActiveProducts()
+
+    res.setHeader('Cache-Control', 'public, max-age=60')
+    return res.status(200).json({
+      products: products.map(serializeProduct),
+    })
+  } catch (error) {
+    console.error('Erro em /api/checkout/products:', error)
+    return res.status(500).json(sanitizeError(error, process.env.NODE_ENV === 'production'))
+  }
+}
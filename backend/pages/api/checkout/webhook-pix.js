@@ -1,7 +1,14 @@
 import prisma from '../../../lib/prisma'
-import { validateWebhook, getChargeStatus } from '../../../utils/openpix'
+import { validateWebhook, getChargeStatus, getChargeRefunds } from '../../../utils/openpix'
 import { sendPaymentNotification } from '../../../utils/discord'
-import { queuePaymentConfirmedMessage, queuePaymentAbandonedMessage } from '../../../utils/messageQueue'
+import { queuePaymentConfirmedMessage, queuePaymentAbandonedMessage, queueMeetingReminders } from '../../../utils/messageQueue'
+import { recordLeadEvent, recordTransactionStatusEvent } from '../../../utils/leadEvents'
+import { pickTechnicianForTransaction } from '../../../utils/scheduling'
+import { releaseSlotHolds } from '../../../utils/slotHolds'
+import { generateMeetingAccessToken } from '../../../utils/meetings'
+import { accrueCommission } from '../../../utils/commissions'
+import { handlePayoutWebhook } from '../../../utils/payoutTransfers'
+import { reverseApprovedTransaction, refundIfSlotTaken } from '../../../utils/refunds'
 
 /**
  * Webhook da OpenPix para receber notificações de pagamento PIX
@@ -40,8 +47,16 @@ export default async function handler(req, res) {
     }
 
     // A OpenPix envia diferentes tipos de eventos
-    // Principais: OPENPIX:CHARGE_COMPLETED, OPENPIX:CHARGE_EXPIRED
-    const { event, charge } = payload
+    // Principais: OPENPIX:CHARGE_COMPLETED, OPENPIX:CHARGE_EXPIRED, OPENPIX:TRANSACTION_REFUND_RECEIVED
+    // No reembolso a cobrança vem dentro do PIX (pix.charge)
+    const { event } = payload
+    const charge = payload.charge || payload.pix?.charge
+
+    // Transferências de comissão (PIX de saída): OPENPIX:MOVEMENT_CONFIRMED, _FAILED, _REMOVED
+    if (typeof event === 'string' && event.startsWith('OPENPIX:MOVEMENT_')) {
+      await handlePayoutWebhook(payload)
+      return res.status(200).json({ received: true })
+    }
 
     if (!charge || !charge.correlationID) {
       console.warn('[OpenPix Webhook] Payload sem correlationID - retornando 200')
@@ -53,7 +68,7 @@ export default async function handler(req, res) {
     // Buscar transação
     const transaction = await prisma.transaction.findUnique({
       where: { id: transactionId },
-      include: { lead: true, affiliate: true },
+      include: { lead: true, affiliate: true, product: true },
     })
 
     if (!transaction) {
@@ -75,6 +90,21 @@ export default async function handler(req, res) {
         await handleChargeExpired(transaction)
         break
 
+      // PIX não tem chargeback: devoluções do MED (golpe/fraude) também chegam como reembolso
+      case 'OPENPIX:TRANSACTION_REFUND_RECEIVED': {
+        const verified = await verifyChargeRefunded(transaction)
+        if (!verified) {
+          return res.status(200).json({ received: true })
+        }
+        await reverseApprovedTransaction(transaction, {
+          status: 'refunded',
+          actor: 'openpix',
+          provider: 'OpenPix',
+          reason: payload.pixTransactionRefund?.comment || payload.refund?.comment || null,
+        })
+        break
+      }
+
       case 'OPENPIX:CHARGE_CREATED':
         // Apenas log, não precisa fazer nada
         console.log('[OpenPix Webhook] Cobrança criada:', transactionId)
@@ -130,12 +160,41 @@ async function verifyChargeCompleted(transaction) {
   }
 }
 
+// Reembolso só vale se a OpenPix confirmar a devolução do valor total
+async function verifyChargeRefunded(transaction) {
+  try {
+    const refunds = await getChargeRefunds(transaction.id)
+    const refundedValue = refunds
+      .filter(refund => normalizeStatus(refund.status) === 'CONFIRMED')
+      .reduce((sum, refund) => sum + (refund.value || 0), 0)
+
+    if (refundedValue < transaction.amount_product) {
+      console.warn('[OpenPix Webhook] Reembolso não confirmado ou parcial:', {
+        transactionId: transaction.id,
+        refundedValue,
+      })
+      return false
+    }
+
+    return true
+  } catch (error) {
+    console.error('[OpenPix Webhook] Erro ao validar reembolso:', error?.message || error)
+    return false
+  }
+}
+
 /**
  * Handler para pagamento PIX confirmado
  */
 async function handleChargeCompleted(transaction, charge) {
   console.log('[OpenPix] Pagamento confirmado:', transaction.id)
 
+  // Reenvio do evento depois de um reembolso não reaprova a transação
+  if (transaction.status === 'refunded' || transaction.status === 'disputed') {
+    console.warn('[OpenPix] CHARGE_COMPLETED ignorado, transação', transaction.status, transaction.id)
+    return
+  }
+
   const alreadySucceeded = transaction.status === 'succeeded'
 
   // Atualizar status da transação
@@ -147,33 +206,86 @@ async function handleChargeCompleted(transaction, charge) {
     },
   })
 
+  if (!alreadySucceeded) {
+    await recordTransactionStatusEvent({ ...transaction, payment_method: 'pix' }, 'succeeded', 'openpix')
+  }
+
   // Verificar se a reunião já existe
   const existingMeeting = await prisma.meeting.findUnique({
     where: { transaction_id: transaction.id },
+    include: { technician: true },
   })
 
+  // Outra sessão tomou o horário (ex.: pago depois de a reserva vencer): reembolsa em vez de sobrepor
+  if (!existingMeeting && await refundIfSlotTaken({ ...transaction, payment_method: 'pix' }, { actor: 'openpix' })) {
+    return
+  }
+
+  // Comissão do indicador no ledger (idempotente, fora do if para cobrir reenvios após falha)
+  await accrueCommission({ ...transaction, payment_method: 'pix' })
+
+  let technician = existingMeeting?.technician || null
+
   if (!existingMeeting) {
+    // Atribuir um técnico livre no horário
+    technician = await pickTechnicianForTransaction(transaction)
+
     // Criar a reunião
-    await prisma.meeting.create({
+    const meeting = await prisma.meeting.create({
       data: {
         transaction_id: transaction.id,
         lead_id: transaction.lead_id,
         affiliate_id: transaction.affiliate_id,
         meeting_date: transaction.scheduled_date,
         meeting_time: transaction.scheduled_time,
+        duration_minutes: transaction.duration_minutes,
+        technician_id: technician?.id || null,
+        access_token: generateMeetingAccessToken(),
         status: 'scheduled',
       },
     })
 
+    await recordLeadEvent(transaction.lead_id, 'MEETING_CREATED', {
+      description: technician
+        ? `Reunião agendada após pagamento aprovado (técnico: ${technician.nome})`
+        : 'Reunião agendada após pagamento aprovado',
+      metadata: {
+        meeting_id: meeting.id,
+        transaction_id: transaction.id,
+        meeting_date: meeting.meeting_date,
+        meeting_time: meeting.meeting_time,
+        technician_id: technician?.id || null,
+      },
+      actor: 'openpix',
+    })
+
     console.log('[OpenPix] Meeting criada para transação', transaction.id)
+
+    // Lembretes 24h e 1h antes da reunião
+    try {
+      await queueMeetingReminders(transaction.lead, meeting)
+    } catch (whatsappError) {
+      console.error('[OpenPix Webhook] Erro ao enfileirar lembretes:', whatsappError.message)
+    }
   }
 
+  // A reunião passa a ocupar o horário; a reserva do checkout não é mais necessária
+  await releaseSlotHolds({ transactionId: transaction.id })
+
   // Atualizar lead para COMPRADO
   await prisma.lead.update({
     where: { id: transaction.lead_id },
     data: { stage: 'COMPRADO' },
   })
 
+  if (transaction.lead.stage !== 'COMPRADO') {
+    await recordLeadEvent(transaction.lead_id, 'STAGE_CHANGED', {
+      description: `Estágio alterado: ${transaction.lead.stage} → COMPRADO (pagamento aprovado)`,
+      metadata: { from: transaction.lead.stage, to: 'COMPRADO' },
+      actor: 'openpix',
+    })
+  }
+
   console.log('[OpenPix] Lead atualizado para COMPRADO:', transaction.lead_id)
 
   if (!alreadySucceeded) {
@@ -184,6 +296,7 @@ async function handleChargeCompleted(transaction, charge) {
         lead: transaction.lead,
         affiliate: transaction.affiliate,
         transaction,
+        technician,
       })
     } catch (notifyError) {
       console.error('[OpenPix Webhook] Erro ao notificar pagamento aprovado:', notifyError.message)
@@ -213,9 +326,16 @@ async function handleChargeExpired(transaction) {
     },
   })
 
+  if (transaction.status !== 'canceled') {
+    await recordTransactionStatusEvent(transaction, 'canceled', 'openpix')
+  }
+
+  // Liberar o horário reservado no checkout
+  await releaseSlotHolds({ transactionId: transaction.id })
+
   // Enfileirar mensagem de abandono via WhatsApp
   try {
-    await queuePaymentAbandonedMessage(transaction.lead)
+    await queuePaymentAbandonedMessage(transaction.lead, transaction)
     console.info('[OpenPix Webhook] Mensagem de abandono enfileirada')
   } catch (whatsappError) {
     console.error('[OpenPix Webhook] Erro ao enfileirar mensagem WhatsApp:', whatsappError.message)
@@ -1,7 +1,16 @@
 import prisma from '../../../lib/prisma'
 import stripe from '../../../utils/stripe'
 import { sendPaymentNotification } from '../../../utils/discord'
-import { queuePaymentConfirmedMessage, queuePaymentAbandonedMessage } from '../../../utils/messageQueue'
+import { queuePaymentConfirmedMessage, queuePaymentAbandonedMessage, queueMeetingReminders } from '../../../utils/messageQueue'
+import { recordLeadEvent, recordTransactionStatusEvent } from '../../../utils/leadEvents'
+import { pickTechnicianForTransaction } from '../../../utils/scheduling'
+import { releaseSlotHolds } from '../../../utils/slotHolds'
+import { generateMeetingAccessToken } from '../../../utils/meetings'
+import { accrueCommission } from '../../../utils/commissions'
+import { reverseApprovedTransaction, refundIfSlotTaken } from '../../../utils/refunds'
+
+// Status finais: eventos atrasados (processing, requires_action, canceled...) não voltam a transação
+const FINAL_STATUSES = ['succeeded', 'refunded', 'disputed']
 
 // Desabilitar parsing do body para receber o raw body
 export const config = {
@@ -75,6 +84,14 @@ export default async function handler(req, res) {
         await handlePaymentIntentRequiresAction(event.data.object)
         break
 
+      case 'charge.refunded':
+        await handleChargeRefunded(event.data.object)
+        break
+
+      case 'charge.dispute.created':
+        await handleChargeDisputeCreated(event.data.object)
+        break
+
       default:
         console.log(`Evento não tratado: ${event.type}`)
     }
@@ -114,7 +131,7 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
   // Buscar a transação
   const transaction = await prisma.transaction.findFirst({
     where: { stripe_payment_intent: paymentIntent.id },
-    include: { lead: true, affiliate: true },
+    include: { lead: true, affiliate: true, product: true },
   })
 
   if (!transaction) {
@@ -122,6 +139,12 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
     return
   }
 
+  // Reenvio do evento depois de um reembolso/contestação não reaprova a transação
+  if (transaction.status === 'refunded' || transaction.status === 'disputed') {
+    console.warn(`PaymentIntent succeeded ignorado, transação ${transaction.status}: ${transaction.id}`)
+    return
+  }
+
   const alreadySucceeded = transaction.status === 'succeeded'
   const paymentMethod = paymentIntent.payment_method_types?.[0] === 'pix' ? 'pix' : 'card'
 
@@ -134,33 +157,86 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
     },
   })
 
+  if (!alreadySucceeded) {
+    await recordTransactionStatusEvent({ ...transaction, payment_method: paymentMethod }, 'succeeded', 'stripe')
+  }
+
   // Verificar se a reunião já existe
   const existingMeeting = await prisma.meeting.findUnique({
     where: { transaction_id: transaction.id },
+    include: { technician: true },
   })
 
+  // Outra sessão tomou o horário (ex.: pago depois de a reserva vencer): reembolsa em vez de sobrepor
+  if (!existingMeeting && await refundIfSlotTaken({ ...transaction, payment_method: paymentMethod }, { actor: 'stripe' })) {
+    return
+  }
+
+  // Comissão do indicador no ledger (idempotente, fora do if para cobrir reenvios após falha)
+  await accrueCommission({ ...transaction, payment_method: paymentMethod })
+
+  let technician = existingMeeting?.technician || null
+
   if (!existingMeeting) {
+    // Atribuir um técnico livre no horário
+    technician = await pickTechnicianForTransaction(transaction)
+
     // Criar a reunião (APENAS AQUI o agendamento é confirmado!)
-    await prisma.meeting.create({
+    const meeting = await prisma.meeting.create({
       data: {
         transaction_id: transaction.id,
         lead_id: transaction.lead_id,
         affiliate_id: transaction.affiliate_id,
         meeting_date: transaction.scheduled_date,
         meeting_time: transaction.scheduled_time,
+        duration_minutes: transaction.duration_minutes,
+        technician_id: technician?.id || null,
+        access_token: generateMeetingAccessToken(),
         status: 'scheduled',
       },
     })
 
+    await recordLeadEvent(transaction.lead_id, 'MEETING_CREATED', {
+      description: technician
+        ? `Reunião agendada após pagamento aprovado (técnico: ${technician.nome})`
+        : 'Reunião agendada após pagamento aprovado',
+      metadata: {
+        meeting_id: meeting.id,
+        transaction_id: transaction.id,
+        meeting_date: meeting.meeting_date,
+        meeting_time: meeting.meeting_time,
+        technician_id: technician?.id || null,
+      },
+      actor: 'stripe',
+    })
+
     console.log(`Meeting criada para transação ${transaction.id}`)
+
+    // Lembretes 24h e 1h antes da reunião
+    try {
+      await queueMeetingReminders(transaction.lead, meeting)
+    } catch (whatsappError) {
+      console.error('[Stripe Webhook] Erro ao enfileirar lembretes:', whatsappError.message)
+    }
   }
 
+  // A reunião passa a ocupar o horário; a reserva do checkout não é mais necessária
+  await releaseSlotHolds({ transactionId: transaction.id })
+
   // Atualizar stage do lead para COMPRADO
   await prisma.lead.update({
     where: { id: transaction.lead_id },
     data: { stage: 'COMPRADO' },
   })
 
+  if (transaction.lead.stage !== 'COMPRADO') {
+    await recordLeadEvent(transaction.lead_id, 'STAGE_CHANGED', {
+      description: `Estágio alterado: ${transaction.lead.stage} → COMPRADO (pagamento aprovado)`,
+      metadata: { from: transaction.lead.stage, to: 'COMPRADO' },
+      actor: 'stripe',
+    })
+  }
+
   console.log(`Lead ${transaction.lead_id} atualizado para COMPRADO`)
 
   if (!alreadySucceeded) {
@@ -171,6 +247,7 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
         lead: transaction.lead,
         affiliate: transaction.affiliate,
         transaction: { ...transaction, payment_method: paymentMethod },
+        technician,
       })
     } catch (notifyError) {
       console.error('[Stripe Webhook] Erro ao notificar pagamento aprovado:', notifyError.message)
@@ -201,7 +278,7 @@ async function handlePaymentIntentFailed(paymentIntent) {
 
   if (transaction) {
     try {
-      await queuePaymentAbandonedMessage(transaction.lead)
+      await queuePaymentAbandonedMessage(transaction.lead, transaction)
       console.info('[Stripe Webhook] Mensagem de abandono enfileirada')
     } catch (whatsappError) {
       console.error('[Stripe Webhook] Erro ao enfileirar mensagem WhatsApp:', whatsappError.message)
@@ -214,15 +291,100 @@ async function handlePaymentIntentCanceled(paymentIntent) {
   console.log(`PaymentIntent canceled: ${paymentIntent.id}`)
 
   await updateTransactionStatus(paymentIntent.id, 'canceled')
+
+  // Liberar o horário reservado no checkout
+  const transaction = await prisma.transaction.findFirst({
+    where: { stripe_payment_intent: paymentIntent.id },
+    select: { id: true },
+  })
+
+  if (transaction) {
+    await releaseSlotHolds({ transactionId: transaction.id })
+  }
+}
+
+// Handler para charge.refunded (reembolso pelo painel da Stripe ou pela ação do admin)
+async function handleChargeRefunded(charge) {
+  console.log(`Charge refunded: ${charge.id}`)
+
+  // Reembolso parcial não desfaz a compra
+  if (!charge.refunded) {
+    console.log(`Reembolso parcial ignorado: ${charge.id} (${charge.amount_refunded}/${charge.amount})`)
+    return
+  }
+
+  const transaction = await findTransactionByPaymentIntent(charge.payment_intent)
+
+  if (!transaction) {
+    return
+  }
+
+  await reverseApprovedTransaction(transaction, {
+    status: 'refunded',
+    actor: 'stripe',
+    provider: 'Stripe',
+    reason: charge.refunds?.data?.[0]?.metadata?.reason || charge.refunds?.data?.[0]?.reason || null,
+  })
+}
+
+// Handler para charge.dispute.created (chargeback aberto pelo cliente no banco)
+async function handleChargeDisputeCreated(dispute) {
+  console.log(`Dispute created: ${dispute.id}`)
+
+  const transaction = await findTransactionByPaymentIntent(dispute.payment_intent)
+
+  if (!transaction) {
+    return
+  }
+
+  await reverseApprovedTransaction(transaction, {
+    status: 'disputed',
+    actor: 'stripe',
+    provider: 'Stripe',
+    reason: dispute.reason ? `Contestação: ${dispute.reason}` : null,
+  })
+}
+
+async function findTransactionByPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) {
+    return null
+  }
+
+  const transaction = await prisma.transaction.findFirst({
+    where: { stripe_payment_intent: paymentIntentId },
+    include: { lead: true, affiliate: true, product: true },
+  })
+
+  if (!transaction) {
+    console.error(`Transação não encontrada para PI: ${paymentIntentId}`)
+  }
+
+  return transaction
 }
 
 // Helper para atualizar status da transação
 async function updateTransactionStatus(paymentIntentId, status) {
   try {
-    await prisma.transaction.updateMany({
-      where: { stripe_payment_intent: paymentIntentId },
-      data: { status },
+    // Buscar antes para registrar a mudança na timeline do lead
+    const transactions = await prisma.transaction.findMany({
+      where: {
+        stripe_payment_intent: paymentIntentId,
+        status: { notIn: [status, ...FINAL_STATUSES] },
+      },
+      select: { id: true, lead_id: true, status: true, payment_method: true },
     })
+
+    for (const transaction of transactions) {
+      // Condição repetida no update: a aprovação/reembolso pode ter chegado depois da busca
+      const { count } = await prisma.transaction.updateMany({
+        where: { id: transaction.id, status: { notIn: FINAL_STATUSES } },
+        data: { status },
+      })
+
+      if (count > 0) {
+        await recordTransactionStatusEvent(transaction, status, 'stripe')
+      }
+    }
   } catch (error) {
     console.error(`Erro ao atualizar status da transação:`, error)
   }
@@ -1,5 +1,5 @@
 /**
- * Cron endpoint to check for expired PIX payments and queue abandoned messages
+ * Cron endpoint to check for expired OpenPix PIX charges and queue abandoned messages
  * This is a backup solution in case OpenPix webhooks don't fire on expiration
  * 
  * Should be called every 5-10 minutes by cron-job.org
@@ -7,6 +7,9 @@
 
 import prisma from '../../../lib/prisma'
 import { queuePaymentAbandonedMessage } from '../../../utils/messageQueue'
+import { recordTransactionStatusEvent } from '../../../utils/leadEvents'
+import { releaseSlotHolds, releaseExpiredSlotHolds } from '../../../utils/slotHolds'
+import { OPENPIX_REFERENCE_PREFIX } from '../../../utils/openpix'
 
 // Secret token to validate cron requests (reuse the same one)
 const CRON_SECRET = process.env.CRON_SECRET || 'versace-cron-secret-2024'
@@ -31,13 +34,19 @@ export default async function handler(req, res) {
             expired: 0,
             queued: 0,
             errors: 0,
+            holdsReleased: 0,
         }
 
-        // Find all PIX transactions that are in "processing" state
+        // Release expired slot holds so their start times become bookable again
+        results.holdsReleased = await releaseExpiredSlotHolds()
+
+        // Find all OpenPix charges that are in "processing" state
         // (meaning PIX was generated but not paid yet)
+        // Stripe PIX intents stay payable for 1 hour: their slot hold expires on its own
         const pendingPixTransactions = await prisma.transaction.findMany({
             where: {
                 payment_method: 'pix',
+                stripe_payment_intent: { startsWith: OPENPIX_REFERENCE_PREFIX },
                 status: { in: ['processing', 'requires_payment_method'] },
                 created_at: {
                     // Only check transactions older than 16 minutes (PIX expires at 15 min)
@@ -68,12 +77,14 @@ export default async function handler(req, res) {
                         where: { id: transaction.id },
                         data: { status: 'canceled' },
                     })
+                    await recordTransactionStatusEvent(transaction, 'canceled', 'cron')
+                    await releaseSlotHolds({ transactionId: transaction.id })
 
                     results.expired++
 
                     // Queue abandoned payment message
                     try {
-                        await queuePaymentAbandonedMessage(transaction.lead)
+                        await queuePaymentAbandonedMessage(transaction.lead, transaction)
                         console.info(`[Check-Expired-PIX] Queued abandoned message for lead ${transaction.lead_id}`)
                         results.queued++
                     } catch (queueError) {
@@ -1,12 +1,20 @@
 /**
  * Cron endpoint to process WhatsApp message queue
  * This endpoint should be called every 2 minutes by an external cron service (cron-job.org)
+ * Respects the send limits (quiet hours, per-recipient interval, messages per minute)
  * 
  * Security: Uses a secret token to prevent unauthorized access
  */
 
 import prisma from '../../../lib/prisma'
-import { sendWhatsAppMessage, MessageTemplates } from '../../../utils/whatsapp'
+import { releaseExpiredSlotHolds } from '../../../utils/slotHolds'
+import { DELIVERY_INCLUDE, loadDeliveryContext, deliverMessage } from '../../../utils/messageDelivery'
+import {
+    QUIET_HOURS_EXEMPT_TYPES,
+    getQuietHoursEnd,
+    getRecipientAvailableAt,
+    getRemainingMinuteBudget,
+} from '../../../utils/sendLimits'
 
 // Secret token to validate cron requests
 const CRON_SECRET = process.env.CRON_SECRET || 'versace-cron-secret-2024'
@@ -30,110 +38,108 @@ export default async function handler(req, res) {
             processed: 0,
             sent: 0,
             failed: 0,
+            retrying: 0,
+            deadLettered: 0,
             cancelled: 0,
+            skipped: 0,
+            deferredQuietHours: 0,
+            deferredInterval: 0,
+            rateLimited: false,
+            holdsReleased: 0,
         }
 
-        // 1. Get all pending messages that should be sent now
+        // 0. Release expired slot holds (runs more often than check-expired-pix)
+        try {
+            results.holdsReleased = await releaseExpiredSlotHolds()
+        } catch (holdError) {
+            console.error('[Cron] Error releasing expired slot holds:', holdError.message)
+        }
+
+        // 1. Quiet hours: move due messages to the end of the window (exempt types still go out)
+        const quietHoursEnd = getQuietHoursEnd(now)
+        if (quietHoursEnd) {
+            const deferred = await prisma.whatsAppMessage.updateMany({
+                where: {
+                    status: 'PENDING',
+                    send_after: { lte: now },
+                    message_type: { notIn: QUIET_HOURS_EXEMPT_TYPES },
+                },
+                data: { send_after: quietHoursEnd },
+            })
+            results.deferredQuietHours = deferred.count
+
+            if (deferred.count > 0) {
+                console.info(`[Cron] Quiet hours: ${deferred.count} message(s) deferred to ${quietHoursEnd.toISOString()}`)
+            }
+        }
+
+        // 2. Get all pending messages that should be sent now
+        // (failed attempts stay PENDING until next_retry_at)
         const pendingMessages = await prisma.whatsAppMessage.findMany({
             where: {
                 status: 'PENDING',
                 send_after: {
                     lte: now,
                 },
+                OR: [
+                    { next_retry_at: null },
+                    { next_retry_at: { lte: now } },
+                ],
             },
-            include: {
-                lead: {
-                    include: {
-                        transactions: {
-                            orderBy: { created_at: 'desc' },
-                            take: 1,
-                        },
-                        meetings: {
-                            orderBy: { created_at: 'desc' },
-                            take: 1,
-                        },
-                    },
-                },
-            },
+            include: DELIVERY_INCLUDE,
             orderBy: { send_after: 'asc' },
             take: 20, // Process max 20 messages per cron run to avoid timeout
         })
 
         console.info(`[Cron] Processing ${pendingMessages.length} pending messages`)
 
+        // Session length and active template versions, loaded once per run
+        const context = pendingMessages.length > 0 ? await loadDeliveryContext() : null
+
+        // Global cap, shared with the messages sent by the previous run and the admin inbox
+        let minuteBudget = pendingMessages.length > 0 ? await getRemainingMinuteBudget(now) : 0
+
         for (const msg of pendingMessages) {
+            if (minuteBudget <= 0) {
+                // The rest stays due and goes out on the next run
+                results.rateLimited = true
+                console.info('[Cron] Messages per minute limit reached, stopping this run')
+                break
+            }
+
             results.processed++
 
             try {
-                // Check if message should be cancelled based on current state
-                const shouldCancel = await shouldCancelMessage(msg)
-
-                if (shouldCancel) {
+                // Too soon after the last message to this number: wait for the interval
+                const availableAt = await getRecipientAvailableAt(msg.phone, now)
+                if (availableAt) {
                     await prisma.whatsAppMessage.update({
                         where: { id: msg.id },
-                        data: {
-                            status: 'CANCELLED',
-                            updated_at: now,
-                        },
+                        data: { send_after: availableAt },
                     })
-                    results.cancelled++
-                    console.info(`[Cron] Message ${msg.id} cancelled: ${shouldCancel}`)
+                    results.deferredInterval++
                     continue
                 }
 
-                // Generate message text based on type
-                const messageText = await generateMessageText(msg)
+                const { outcome } = await deliverMessage(msg, context)
 
-                if (!messageText) {
-                    await prisma.whatsAppMessage.update({
-                        where: { id: msg.id },
-                        data: {
-                            status: 'FAILED',
-                            error: 'Could not generate message text',
-                            updated_at: now,
-                        },
-                    })
+                if (outcome === 'sent') {
+                    results.sent++
+                    minuteBudget--
+                }
+                if (outcome === 'cancelled') results.cancelled++
+                if (outcome === 'skipped') results.skipped++
+                if (outcome === 'retry') {
                     results.failed++
-                    continue
+                    results.retrying++
                 }
-
-                // Send the message
-                const result = await sendWhatsAppMessage(msg.phone, messageText)
-
-                if (result.success) {
-                    await prisma.whatsAppMessage.update({
-                        where: { id: msg.id },
-                        data: {
-                            status: 'SENT',
-                            message_text: messageText,
-                            sent_at: now,
-                            updated_at: now,
-                        },
-                    })
-                    results.sent++
-                    console.info(`[Cron] Message ${msg.id} sent successfully`)
-                } else {
-                    await prisma.whatsAppMessage.update({
-                        where: { id: msg.id },
-                        data: {
-                            status: 'FAILED',
-                            error: result.error,
-                            updated_at: now,
-                        },
-                    })
+                if (outcome === 'dead') {
                     results.failed++
-                    console.error(`[Cron] Message ${msg.id} failed: ${result.error}`)
+                    results.deadLettered++
                 }
             } catch (error) {
+                // Failure registering the attempt itself (e.g. database); the message stays due
                 console.error(`[Cron] Error processing message ${msg.id}:`, error.message)
-                await prisma.whatsAppMessage.update({
-                    where: { id: msg.id },
-                    data: {
-                        status: 'FAILED',
-                        error: error.message,
-                        updated_at: now,
-                    },
-                })
                 results.failed++
             }
         }
@@ -152,74 +158,3 @@ export default async function handler(req, res) {
         })
     }
 }
-
-/**
- * Check if a message should be cancelled based on current state
- */
-async function shouldCancelMessage(msg) {
-    const { lead, message_type } = msg
-    const latestTransaction = lead.transactions?.[0]
-    const hasPaymentAttempt = latestTransaction != null
-    const paymentSucceeded = latestTransaction?.status === 'succeeded'
-
-    switch (message_type) {
-        case 'LEAD_WELCOME':
-            // Cancel welcome message if lead already made a payment attempt or completed payment
-            if (hasPaymentAttempt) return 'payment_attempted'
-            if (paymentSucceeded) return 'payment_succeeded'
-            break
-
-        case 'PAYMENT_ABANDONED':
-            // Cancel if payment was completed
-            if (paymentSucceeded) return 'payment_succeeded'
-            break
-
-        case 'PAYMENT_CONFIRMED':
-            // This should only be sent when payment is confirmed, no cancellation needed
-            break
-    }
-
-    // Check if we already sent this type of message to this lead
-    const existingSent = await prisma.whatsAppMessage.findFirst({
-        where: {
-            lead_id: msg.lead_id,
-            message_type: msg.message_type,
-            status: 'SENT',
-            id: { not: msg.id },
-        },
-    })
-
-    if (existingSent) return 'already_sent'
-
-    return null
-}
-
-/**
- * Generate message text based on message type
- */
-async function generateMessageText(msg) {
-    const { lead, message_type } = msg
-    const meeting = lead.meetings?.[0]
-
-    switch (message_type) {
-        case 'LEAD_WELCOME':
-            return MessageTemplates.leadWelcome(lead.nome)
-
-        case 'PAYMENT_ABANDONED':
-            return MessageTemplates.paymentAbandoned(lead.nome)
-
-        case 'PAYMENT_CONFIRMED':
-            if (!meeting) {
-                console.warn(`[Cron] No meeting found for confirmed payment message`)
-                return null
-            }
-            return MessageTemplates.paymentConfirmed(
-                lead.nome,
-                meeting.meeting_date,
-                meeting.meeting_time
-            )
-
-        default:
-            return null
-    }
-}
@@ -0,0 +1,79 @@
+/**
+ * Cron endpoint to reconcile affiliate payout transfers still in PROCESSING
+ * Backup for missed OpenPix OPENPIX:MOVEMENT_* webhooks: asks the API for the
+ * payment status and marks the batch as PAID or FAILED.
+ *
+ * Should be called every 15-30 minutes by cron-job.org
+ */
+
+import prisma from '../../../lib/prisma'
+import { reconcilePayoutTransfer } from '../../../utils/payoutTransfers'
+
+// Secret token to validate cron requests (reuse the same one)
+const CRON_SECRET = process.env.CRON_SECRET || 'versace-cron-secret-2024'
+
+// Give the webhook a chance first
+const MIN_AGE_MS = 10 * 60 * 1000
+
+export default async function handler(req, res) {
+    // Validate cron secret
+    const authHeader = req.headers.authorization
+    const providedSecret = authHeader?.replace('Bearer ', '') || req.query.secret
+
+    if (providedSecret !== CRON_SECRET) {
+        return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    try {
+        const now = new Date()
+        const results = {
+            checked: 0,
+            paid: 0,
+            failed: 0,
+            processing: 0,
+            errors: 0,
+        }
+
+        const batches = await prisma.payoutBatch.findMany({
+            where: {
+                status: 'PROCESSING',
+                approved_at: { lte: new Date(now.getTime() - MIN_AGE_MS) },
+            },
+            select: { id: true },
+            orderBy: { approved_at: 'asc' },
+            take: 50, // Process max 50 at a time
+        })
+
+        for (const batch of batches) {
+            results.checked++
+
+            try {
+                const updated = await reconcilePayoutTransfer(batch.id)
+
+                if (updated?.status === 'PAID') results.paid++
+                else if (updated?.status === 'FAILED') results.failed++
+                else results.processing++
+            } catch (error) {
+                console.error(`[Reconcile-Payouts] Error reconciling batch ${batch.id}:`, error.message)
+                results.errors++
+            }
+        }
+
+        console.info('[Reconcile-Payouts] Results:', results)
+        return res.status(200).json({
+            success: true,
+            timestamp: now.toISOString(),
+            ...results,
+        })
+    } catch (error) {
+        console.error('[Reconcile-Payouts] Fatal error:', error.message)
+        return res.status(500).json({
+            success: false,
+            error: error.message,
+        })
+    }
+}
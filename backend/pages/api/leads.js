@@ -13,6 +13,7 @@ import {
 } from '../../utils/security'
 import { sendDiscordNotification } from '../../utils/discord'
 import { queueLeadWelcomeMessage } from '../../utils/messageQueue'
+import { recordLeadEvent } from '../../utils/leadEvents'
 
 // Rate limiter específico para leads (mais restritivo)
 const leadRateLimit = rateLimit({
@@ -255,6 +256,34 @@ export default async function handler(req, res) {
       referral_code: validReferralCode || null,
     })
 
+    // Timeline: clique no link de indicação (registrado antes do cadastro, mesmo IP)
+    if (validReferralCode && ip && ip !== 'unknown') {
+      const referralHit = await prisma.referralHit.findFirst({
+        where: { referral_code: validReferralCode, ip },
+        orderBy: { created_at: 'asc' },
+      }).catch(() => null)
+
+      if (referralHit) {
+        await recordLeadEvent(lead.id, 'REFERRAL_HIT', {
+          description: `Clicou no link de indicação (${validReferralCode})`,
+          metadata: {
+            referral_code: validReferralCode,
+            referrer: referralHit.referrer,
+            utm_source: referralHit.utm_source,
+            device_type: referralHit.device_type,
+          },
+          createdAt: referralHit.created_at,
+        })
+      }
+    }
+
+    await recordLeadEvent(lead.id, 'LEAD_CREATED', {
+      description: validReferralCode
+        ? `Cadastro realizado (indicado por ${referrerNome})`
+        : 'Cadastro realizado',
+      metadata: { referral_code: validReferralCode },
+    })
+
     // Enviar notificação para Discord (DEVE aguardar em serverless)
     // Em ambiente serverless, se não aguardarmos, a função pode encerrar antes do envio
     console.info('[Leads] Iniciando envio de notificação Discord...')
@@ -0,0 +1,85 @@
+import { z } from 'zod'
+import prisma from '../../../lib/prisma'
+import { getScheduleConfig } from '../../../utils/scheduling'
+import {
+  verifyInviteSignature,
+  buildMeetingEvent,
+  buildCalendar,
+  sendCalendar,
+} from '../../../utils/calendar'
+import {
+  setSecurityHeaders,
+  rateLimit,
+  sanitizeError,
+} from '../../../utils/security'
+
+// Rate limiter
+const inviteRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  maxRequests: 20,
+})
+
+// Validação da query (link assinado: ?t=<transaction_id>&sig=<assinatura>)
+const querySchema = z.object({
+  t: z.string().uuid('Link inválido'),
+  sig: z.string().min(1, 'Link inválido').max(100, 'Link inválido'),
+})
+
+export default async function handler(req, res) {
+  setSecurityHeaders(req, res)
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  if (inviteRateLimit(req, res)) {
+    return
+  }
+
+  try {
+    const { t: transactionId, sig } = querySchema.parse({ t: req.query.t, sig: req.query.sig })
+
+    if (!verifyInviteSignature(transactionId, sig)) {
+      return res.status(403).json({ error: 'Link inválido' })
+    }
+
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: transactionId },
+      include: { meeting: true, product: { select: { nome: true } } },
+    })
+
+    // Logo após o pagamento o webhook pode ainda não ter criado a reunião:
+    // usa a data escolhida no checkout como evento provisório
+    const meeting = transaction?.meeting || (
+      transaction?.scheduled_date && transaction.status !== 'canceled'
+        ? { id: transaction.id, transaction_id: transaction.id, meeting_date: transaction.scheduled_date, meeting_time: transaction.scheduled_time, duration_minutes: transaction.duration_minutes, status: 'pending' }
+        : null
+    )
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Reunião não encontrada' })
+    }
+
+    const config = await getScheduleConfig()
+    const event = buildMeetingEvent(meeting, {
+      durationMinutes: meeting.duration_minutes || config.session_duration_minutes,
+      summary: `${transaction.product?.nome || 'Otimização Windows'} - Versace`,
+      description: 'Sessão de otimização pelo Discord. Para remarcar, fale com a gente pelo WhatsApp.',
+      status: meeting.status === 'cancelled' ? 'CANCELLED' : meeting.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED',
+      // Cada remarcação altera updated_at; o calendário substitui a versão anterior
+      sequence: meeting.updated_at ? Math.floor(new Date(meeting.updated_at).getTime() / 1000) : 0,
+    })
+
+    return sendCalendar(res, buildCalendar([event]), { filename: 'otimizacao.ics' })
+  } catch (error) {
+    console.error('Erro em /api/meetings/invite:', error)
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.issues[0]?.message || 'Link inválido' })
+    }
+
+    const errorResponse = sanitizeError(error, process.env.NODE_ENV === 'production')
+    return res.status(500).json(errorResponse)
+  }
+}
@@ -8,6 +8,8 @@ import {
   sanitizeError,
   rateLimit,
 } from '../../../utils/security'
+import { CARD_RELEASE_DAYS, PIX_RELEASE_DAYS, releaseDueCommissions } from '../../../utils/commissions'
+import { getActiveProducts, getCommissionRule, calculateCommission } from '../../../utils/products'
 
 // Rate limiter para stats (proteção contra brute force)
 const statsRateLimit = rateLimit({
@@ -36,9 +38,12 @@ const getAccessToken = (req) => {
   return req.query?.token
 }
 
-// Constantes de liberação de pagamento (em dias)
-const CARD_RELEASE_DAYS = 31
-const PIX_RELEASE_DAYS = 7
+const commissionStatusMap = {
+  ACCRUED: 'Aguardando liberação',
+  RELEASED: 'Liberado',
+  PAID: 'Pago',
+  REVERSED: 'Estornado',
+}
 
 export default async function handler(req, res) {
   // Apply security headers
@@ -100,49 +105,98 @@ export default async function handler(req, res) {
         created_at: true,
         scheduled_date: true,
         scheduled_time: true,
+        product: { select: { nome: true } },
       },
       orderBy: { created_at: 'desc' },
     })
 
-    // Filtrar transações bem-sucedidas para cálculo de ganhos
+    // Filtrar transações bem-sucedidas
     const transactions = allTransactions.filter(t => t.status === 'succeeded')
 
-    // Calcular valores
-    const now = new Date()
-    let totalEarnings = 0
+    // Ganhos vêm do ledger de comissões (liberação e pagamentos registrados)
+    await releaseDueCommissions()
+
+    const [commissions, payouts] = await Promise.all([
+      prisma.commission.findMany({
+        where: { referrer_id: referrer.id },
+        select: {
+          transaction_id: true,
+          amount: true,
+          status: true,
+          release_at: true,
+          paid_at: true,
+        },
+      }),
+      prisma.payoutBatch.findMany({
+        where: { referrer_id: referrer.id, status: 'PAID' },
+        select: {
+          id: true,
+          amount: true,
+          commissions_count: true,
+          e2e_id: true,
+          paid_at: true,
+        },
+        orderBy: { paid_at: 'desc' },
+      }),
+    ])
+    const commissionsByTransaction = new Map(commissions.map(c => [c.transaction_id, c]))
+
+    // Calcular valores (em reais)
     let pendingEarnings = 0
     let availableEarnings = 0
+    let paidEarnings = 0
+    let reversedEarnings = 0
+
+    for (const commission of commissions) {
+      const amount = commission.amount / 100
+      if (commission.status === 'ACCRUED') pendingEarnings += amount
+      if (commission.status === 'RELEASED') availableEarnings += amount
+      if (commission.status === 'PAID') paidEarnings += amount
+      if (commission.status === 'REVERSED') reversedEarnings += amount
+    }
 
-    const salesData = transactions.map(tx => {
-      const amountAffiliate = tx.amount_affiliate / 100 // Converter de centavos para reais
-      totalEarnings += amountAffiliate
-
-      // Calcular data de liberação
-      const createdAt = new Date(tx.created_at)
-      const releaseDays = tx.payment_method === 'pix' ? PIX_RELEASE_DAYS : CARD_RELEASE_DAYS
-      const releaseDate = new Date(createdAt)
-      releaseDate.setDate(releaseDate.getDate() + releaseDays)
+    const totalEarnings = pendingEarnings + availableEarnings + paidEarnings
 
-      const isReleased = now >= releaseDate
+    // Dados da comissão de uma transação (null quando não gerou comissão)
+    const getCommissionInfo = (tx) => {
+      const commission = commissionsByTransaction.get(tx.id)
+      if (!commission) return null
 
-      if (isReleased) {
-        availableEarnings += amountAffiliate
-      } else {
-        pendingEarnings += amountAffiliate
+      return {
+        amount: commission.amount / 100,
+        releaseDate: commission.release_at.toISOString(),
+        isReleased: commission.status === 'RELEASED' || commission.status === 'PAID',
+        commissionStatus: commission.status,
+        commissionStatusLabel: commissionStatusMap[commission.status],
+        paidAt: commission.paid_at,
       }
+    }
 
-      return {
+    const salesData = transactions
+      .filter(tx => commissionsByTransaction.has(tx.id))
+      .map(tx => ({
         id: tx.id,
-        amount: amountAffiliate,
+        product: tx.product?.nome || null,
         paymentMethod: tx.payment_method,
         createdAt: tx.created_at,
-        releaseDate: releaseDate.toISOString(),
-        isReleased,
-      }
-    })
+        ...getCommissionInfo(tx),
+      }))
 
     const totalConverted = transactions.length
 
+    // Comissão atual do indicador em cada produto à venda (override próprio ou a do produto)
+    const products = await getActiveProducts()
+    const commissionRates = await Promise.all(products.map(async (product) => {
+      const rule = await getCommissionRule(product, referrer.id)
+      return {
+        product: product.nome,
+        price: product.price / 100,
+        commissionType: rule.commission_type,
+        commissionValue: rule.commission_type === 'PERCENT' ? rule.commission_value : rule.commission_value / 100,
+        amount: calculateCommission(rule, product.price) / 100,
+      }
+    }))
+
     // Buscar histórico de indicações (sem expor dados sensíveis)
     const referrals = await prisma.lead.findMany({
       where: { referral_code: referrer.referral_code },
@@ -176,36 +230,30 @@ export default async function handler(req, res) {
       'requires_capture': 'Aguardando Captura',
       'canceled': 'Cancelado/Expirado',
       'succeeded': 'Aprovado',
+      'refunded': 'Reembolsado',
+      'disputed': 'Contestado',
     }
 
     // Preparar dados das transações (sem dados pessoais)
     const allTransactionsData = allTransactions.map(tx => {
-      const amountAffiliate = tx.amount_affiliate / 100
-      const createdAt = new Date(tx.created_at)
-      
-      // Calcular data de liberação (só para aprovados)
-      let releaseDate = null
-      let isReleased = false
-      
-      if (tx.status === 'succeeded') {
-        const releaseDays = tx.payment_method === 'pix' ? PIX_RELEASE_DAYS : CARD_RELEASE_DAYS
-        releaseDate = new Date(createdAt)
-        releaseDate.setDate(releaseDate.getDate() + releaseDays)
-        isReleased = now >= releaseDate
-      }
+      const commission = tx.status === 'succeeded' ? getCommissionInfo(tx) : null
 
       return {
         id: tx.id,
         label: 'Cliente',
-        amount: amountAffiliate,
+        amount: commission?.amount ?? tx.amount_affiliate / 100,
+        product: tx.product?.nome || null,
         paymentMethod: tx.payment_method,
         status: tx.status,
         statusLabel: statusMap[tx.status] || tx.status,
         createdAt: tx.created_at,
         scheduledDate: tx.scheduled_date,
         scheduledTime: tx.scheduled_time,
-        releaseDate: releaseDate?.toISOString() || null,
-        isReleased,
+        releaseDate: commission?.releaseDate || null,
+        isReleased: commission?.isReleased || false,
+        commissionStatus: commission?.commissionStatus || null,
+        commissionStatusLabel: commission?.commissionStatusLabel || null,
+        paidAt: commission?.paidAt || null,
       }
     })
 
@@ -223,6 +271,7 @@ export default async function handler(req, res) {
         nome: referrer.nome,
         referral_code: referrer.referral_code,
         pix_key: referrer.pix_key || null,
+        pix_key_type: referrer.pix_key_type || null,
         created_at: referrer.created_at,
       },
       stats: {
@@ -232,6 +281,8 @@ export default async function handler(req, res) {
         totalEarnings,
         pendingEarnings,
         availableEarnings,
+        paidEarnings,        // Já pago por PIX (lotes pagos)
+        reversedEarnings,    // Estornado (reembolso/chargeback)
         pendingPayments,     // Quantidade aguardando pagamento
         canceledPayments,    // Quantidade cancelado/expirado
         // Manter compatibilidade com versão anterior
@@ -239,9 +290,17 @@ export default async function handler(req, res) {
         freeOptimization: totalConverted >= 5,
         remainingForFree: Math.max(0, 5 - totalConverted),
       },
+      commissionRates,
       sales: salesData,
       transactions: allTransactionsData, // TODAS as transações com status
       referrals: formattedReferrals,
+      payouts: payouts.map(batch => ({
+        id: batch.id,
+        amount: batch.amount / 100,
+        commissionsCount: batch.commissions_count,
+        e2eId: batch.e2e_id,
+        paidAt: batch.paid_at,
+      })),
       paymentInfo: {
         cardReleaseDays: CARD_RELEASE_DAYS,
         pixReleaseDays: PIX_RELEASE_DAYS,
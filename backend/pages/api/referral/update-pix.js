@@ -8,6 +8,7 @@ import {
   sanitizeError,
   rateLimit,
 } from '../../../utils/security'
+import { pixKeyInputSchema } from '../../../utils/pixKeys'
 
 // Rate limiter para atualização de PIX
 const updatePixRateLimit = rateLimit({
@@ -34,51 +35,6 @@ const getAccessToken = (req) => {
   return req.query?.token
 }
 
-// Normaliza a chave PIX (remove +55 de telefone, mantém resto igual)
-const normalizePixKey = (pixKey) => {
-  // Se começa com +55, remove
-  if (pixKey.startsWith('+55')) {
-    return pixKey.substring(3)
-  }
-  return pixKey
-}
-
-// Verifica se é um telefone válido (com ou sem +55)
-const isValidPhone = (val) => {
-  // Com +55: +5511999999999
-  if (/^\+55\d{10,11}$/.test(val)) return true
-  // Sem +55: 11999999999 (DDD + número)
-  if (/^\d{10,11}$/.test(val)) return true
-  return false
-}
-
-// Validação da chave PIX
-const pixKeySchema = z.object({
-  pix_key: z.string()
-    .min(5, 'Chave PIX muito curta')
-    .max(140, 'Chave PIX muito longa')
-    .refine((val) => {
-      // Aceita CPF (11 dígitos) - mas só se não for telefone (telefone tem 10-11 dígitos também)
-      // Diferenciamos: CPF sempre tem 11, telefone pode ter 10 ou 11
-      // Se tem exatamente 11 dígitos, pode ser CPF ou telefone - aceitamos ambos
-      if (/^\d{11}$/.test(val)) return true
-      // Aceita telefone com 10 dígitos (fixo com DDD)
-      if (/^\d{10}$/.test(val)) return true
-      // Aceita CNPJ (14 dígitos)
-      if (/^\d{14}$/.test(val)) return true
-      // Aceita e-mail
-      if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(val)) return true
-      // Aceita telefone com +55
-      if (/^\+55\d{10,11}$/.test(val)) return true
-      // Aceita chave aleatória (32 caracteres)
-      if (/^[a-zA-Z0-9-]{32,36}$/.test(val)) return true
-      // Aceita formatos com máscara (CPF: xxx.xxx.xxx-xx, etc)
-      const cleanVal = val.replace(/\D/g, '')
-      if (cleanVal.length === 10 || cleanVal.length === 11 || cleanVal.length === 14) return true
-      return false
-    }, 'Chave PIX inválida. Use CPF, CNPJ, e-mail, telefone ou chave aleatória'),
-})
-
 export default async function handler(req, res) {
   // Apply security headers
   setSecurityHeaders(req, res)
@@ -119,32 +75,33 @@ export default async function handler(req, res) {
       })
     }
 
-    // Validar e sanitizar a chave PIX
+    // Validar e sanitizar a chave PIX (o tipo é escolhido no formulário, nunca deduzido)
     const sanitizedBody = {
       pix_key: sanitizeString(req.body?.pix_key || '', 140).trim(),
+      pix_key_type: req.body?.pix_key_type,
     }
 
-    const { pix_key } = pixKeySchema.parse(sanitizedBody)
-    
-    // Normaliza a chave PIX (remove +55 se for telefone)
-    const normalizedPixKey = normalizePixKey(pix_key)
+    // Chave normalizada conforme o tipo (ex.: telefone sem +55)
+    const { pix_key: normalizedPixKey, pix_key_type } = pixKeyInputSchema.parse(sanitizedBody)
 
     // Atualizar a chave PIX
     await prisma.referrer.update({
       where: { id: referrer.id },
-      data: { pix_key: normalizedPixKey },
+      data: { pix_key: normalizedPixKey, pix_key_type },
     })
 
     console.info('[UpdatePix] Chave PIX atualizada:', {
       referrer_id: referrer.id,
       nome: referrer.nome,
       pix_key_masked: normalizedPixKey.substring(0, 4) + '***',
+      pix_key_type,
     })
 
     return res.status(200).json({
       success: true,
       message: 'Chave PIX cadastrada com sucesso!',
       pix_key: normalizedPixKey,
+      pix_key_type,
     })
   } catch (error) {
     const isProduction = process.env.NODE_ENV === 'production'
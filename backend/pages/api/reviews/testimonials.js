@@ -0,0 +1,63 @@
+import prisma from '../../../lib/prisma'
+import { applyCors } from '../../../utils/cors'
+import { setSecurityHeaders, rateLimit, sanitizeError } from '../../../utils/security'
+
+const testimonialsRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  maxRequests: 30,
+})
+
+// Quantidade máxima exibida na landing page
+const MAX_TESTIMONIALS = 8
+
+/**
+ * Depoimentos aprovados no admin (apenas primeiro nome, nota e comentário)
+ */
+export default async function handler(req, res) {
+  setSecurityHeaders(req, res)
+
+  if (applyCors(req, res)) {
+    return
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  if (testimonialsRateLimit(req, res)) {
+    return
+  }
+
+  try {
+    const meetings = await prisma.meeting.findMany({
+      where: {
+        review_approved: true,
+        review_comment: { not: null },
+      },
+      select: {
+        id: true,
+        rating: true,
+        review_comment: true,
+        reviewed_at: true,
+        lead: { select: { nome: true } },
+      },
+      orderBy: { reviewed_at: 'desc' },
+      take: MAX_TESTIMONIALS,
+    })
+
+    res.setHeader('Cache-Control', 'public, max-age=300')
+    return res.status(200).json({
+      testimonials: meetings.map(meeting => ({
+        id: meeting.id,
+        nome: (meeting.lead?.nome || '').split(' ')[0],
+        rating: meeting.rating,
+        comment: meeting.review_comment,
+        reviewed_at: meeting.reviewed_at,
+      })),
+    })
+  } catch (error) {
+    console.error('Erro em /api/reviews/testimonials:', error)
+    return res.status(500).json(sanitizeError(error, process.env.NODE_ENV === 'production'))
+  }
+}
@@ -0,0 +1,74 @@
+import crypto from 'crypto'
+import { parseInboundEvent, parseAckEvent } from '../../../utils/whatsappProviders'
+import { handleInboundMessage } from '../../../utils/conversations'
+import { applyDeliveryReceipt } from '../../../utils/messageDelivery'
+
+// Segredo configurado na URL do webhook (?token=) ou no header x-webhook-token
+const isAuthorized = (req) => {
+  const secret = process.env.WHATSAPP_WEBHOOK_SECRET
+  if (!secret) {
+    console.error('[WhatsApp Webhook] WHATSAPP_WEBHOOK_SECRET não configurado')
+    return false
+  }
+
+  const provided = String(req.headers['x-webhook-token'] || req.query?.token || '')
+  const expected = Buffer.from(secret)
+  const received = Buffer.from(provided)
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+/**
+ * Webhook do WhatsApp
+ * - Mensagens recebidas (WAHA "message", Evolution "messages.upsert"): guarda a resposta
+ *   na conversa do lead e move leads NA_BASE para EM_CONTATO.
+ * - Confirmações (WAHA "message.ack", Evolution "messages.update"): marca as mensagens
+ *   automáticas como entregues/lidas.
+ * Outros eventos são ignorados com 200 para o provedor não reenviar.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ message: 'Acesso não autorizado' })
+  }
+
+  try {
+    const { provider: ackProvider, acks } = parseAckEvent(req.body)
+
+    if (acks.length > 0) {
+      let updated = 0
+      for (const ack of acks) {
+        updated += await applyDeliveryReceipt(ack)
+      }
+
+      if (updated > 0) {
+        console.info('[WhatsApp Webhook] Confirmações aplicadas:', { provider: ackProvider, received: acks.length, updated })
+      }
+      return res.status(200).json({ received: true, updated })
+    }
+
+    const { provider, messages } = parseInboundEvent(req.body)
+
+    if (messages.length === 0) {
+      return res.status(200).json({ received: true, stored: 0 })
+    }
+
+    let stored = 0
+    let optedOut = 0
+    for (const inbound of messages) {
+      const result = await handleInboundMessage(inbound, provider)
+      if (result.stored) stored++
+      if (result.optedOut) optedOut++
+    }
+
+    console.info('[WhatsApp Webhook] Mensagens recebidas:', { provider, received: messages.length, stored, optedOut })
+    return res.status(200).json({ received: true, stored })
+  } catch (error) {
+    console.error('[WhatsApp Webhook] Erro ao processar evento:', error)
+    // 500 faz o provedor reenviar; duplicatas são descartadas pelo provider_message_id
+    return res.status(500).json({ message: 'Erro ao processar evento' })
+  }
+}
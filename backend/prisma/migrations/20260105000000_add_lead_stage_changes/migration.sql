@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "LeadStageChange" (
+    "id" TEXT NOT NULL,
+    "lead_id" TEXT NOT NULL,
+    "from_stage" "LeadStage" NOT NULL,
+    "to_stage" "LeadStage" NOT NULL,
+    "note" TEXT NOT NULL,
+    "changed_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LeadStageChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LeadStageChange_lead_id_idx" ON "LeadStageChange"("lead_id");
+
+-- CreateIndex
+CREATE INDEX "Lead_stage_idx" ON "Lead"("stage");
+
+-- AddForeignKey
+ALTER TABLE "LeadStageChange" ADD CONSTRAINT "LeadStageChange_lead_id_fkey" FOREIGN KEY ("lead_id") REFERENCES "Lead"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "LeadEventType" AS ENUM (
+  'REFERRAL_HIT',
+  'LEAD_CREATED',
+  'STAGE_CHANGED',
+  'TRANSACTION_STATUS',
+  'MEETING_CREATED',
+  'WHATSAPP_SENT',
+  'WHATSAPP_FAILED',
+  'WHATSAPP_CANCELLED'
+);
+
+-- CreateTable
+CREATE TABLE "LeadEvent" (
+    "id" TEXT NOT NULL,
+    "lead_id" TEXT NOT NULL,
+    "type" "LeadEventType" NOT NULL,
+    "description" TEXT NOT NULL,
+    "metadata" JSONB,
+    "actor" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LeadEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LeadEvent_lead_id_created_at_idx" ON "LeadEvent"("lead_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "LeadEvent" ADD CONSTRAINT "LeadEvent_lead_id_fkey" FOREIGN KEY ("lead_id") REFERENCES "Lead"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterEnum
+ALTER TYPE "LeadEventType" ADD VALUE 'MEETING_RESCHEDULED';
+ALTER TYPE "LeadEventType" ADD VALUE 'MEETING_STATUS';
+
+-- AlterEnum
+ALTER TYPE "WhatsAppMessageType" ADD VALUE 'MEETING_RESCHEDULED';
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "ScheduleConfig" (
+    "id" INTEGER NOT NULL DEFAULT 1,
+    "weekly_hours" JSONB NOT NULL,
+    "session_duration_minutes" INTEGER NOT NULL DEFAULT 240,
+    "slot_interval_minutes" INTEGER NOT NULL DEFAULT 60,
+    "capacity" INTEGER NOT NULL DEFAULT 1,
+    "updated_by" TEXT,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ScheduleConfig_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ScheduleBlackout" (
+    "id" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "reason" TEXT,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ScheduleBlackout_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ScheduleBlackout_date_key" ON "ScheduleBlackout"("date");
+
+-- Seed: mantém a agenda atual (todos os dias, 14:00 a 20:00, sessões de 4h, 1 por vez)
+INSERT INTO "ScheduleConfig" ("id", "weekly_hours", "session_duration_minutes", "slot_interval_minutes", "capacity", "updated_at")
+VALUES (
+    1,
+    '{"0":{"start":"14:00","end":"20:00"},"1":{"start":"14:00","end":"20:00"},"2":{"start":"14:00","end":"20:00"},"3":{"start":"14:00","end":"20:00"},"4":{"start":"14:00","end":"20:00"},"5":{"start":"14:00","end":"20:00"},"6":{"start":"14:00","end":"20:00"}}',
+    240,
+    60,
+    1,
+    CURRENT_TIMESTAMP
+);
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "Technician" (
+    "id" TEXT NOT NULL,
+    "nome" TEXT NOT NULL,
+    "discord_id" TEXT,
+    "weekly_hours" JSONB,
+    "ativo" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Technician_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "Meeting" ADD COLUMN "technician_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Technician_ativo_idx" ON "Technician"("ativo");
+
+-- CreateIndex
+CREATE INDEX "Meeting_technician_id_idx" ON "Meeting"("technician_id");
+
+-- AddForeignKey
+ALTER TABLE "Meeting" ADD CONSTRAINT "Meeting_technician_id_fkey" FOREIGN KEY ("technician_id") REFERENCES "Technician"("id") ON DELETE SET NULL ON UPDATE CASCADE;
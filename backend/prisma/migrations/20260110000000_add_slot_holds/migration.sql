@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "SlotHold" (
+    "id" TEXT NOT NULL,
+    "lead_id" TEXT NOT NULL,
+    "transaction_id" TEXT,
+    "slot_date" DATE NOT NULL,
+    "slot_time" TIME NOT NULL,
+    "seat" INTEGER NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SlotHold_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SlotHold_transaction_id_key" ON "SlotHold"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "SlotHold_lead_id_idx" ON "SlotHold"("lead_id");
+
+-- CreateIndex
+CREATE INDEX "SlotHold_expires_at_idx" ON "SlotHold"("expires_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SlotHold_slot_date_slot_time_seat_key" ON "SlotHold"("slot_date", "slot_time", "seat");
+
+-- AddForeignKey
+ALTER TABLE "SlotHold" ADD CONSTRAINT "SlotHold_lead_id_fkey" FOREIGN KEY ("lead_id") REFERENCES "Lead"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SlotHold" ADD CONSTRAINT "SlotHold_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "Transaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
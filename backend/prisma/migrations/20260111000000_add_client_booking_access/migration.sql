@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Meeting" ADD COLUMN "access_token" TEXT;
+
+-- Gerar tokens para reuniões existentes (64 caracteres hex)
+UPDATE "Meeting" SET "access_token" = encode(gen_random_bytes(32), 'hex') WHERE "access_token" IS NULL;
+
+-- Tornar o campo obrigatório e único
+ALTER TABLE "Meeting" ALTER COLUMN "access_token" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Meeting_access_token_key" ON "Meeting"("access_token");
+
+-- AlterEnum
+ALTER TYPE "WhatsAppMessageType" ADD VALUE 'MEETING_CANCELLED';
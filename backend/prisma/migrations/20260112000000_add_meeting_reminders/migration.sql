@@ -0,0 +1,12 @@
+-- AlterEnum
+ALTER TYPE "WhatsAppMessageType" ADD VALUE 'MEETING_REMINDER_24H';
+ALTER TYPE "WhatsAppMessageType" ADD VALUE 'MEETING_REMINDER_1H';
+
+-- AlterTable
+ALTER TABLE "WhatsAppMessage" ADD COLUMN "meeting_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "WhatsAppMessage_meeting_id_idx" ON "WhatsAppMessage"("meeting_id");
+
+-- AddForeignKey
+ALTER TABLE "WhatsAppMessage" ADD CONSTRAINT "WhatsAppMessage_meeting_id_fkey" FOREIGN KEY ("meeting_id") REFERENCES "Meeting"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,14 @@
+-- AlterEnum
+ALTER TYPE "WhatsAppMessageType" ADD VALUE 'SESSION_FOLLOWUP';
+
+-- AlterEnum
+ALTER TYPE "LeadEventType" ADD VALUE 'MEETING_REVIEWED';
+
+-- AlterTable
+ALTER TABLE "Meeting" ADD COLUMN "rating" INTEGER,
+ADD COLUMN "review_comment" TEXT,
+ADD COLUMN "reviewed_at" TIMESTAMP(3),
+ADD COLUMN "review_approved" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "Meeting_review_approved_idx" ON "Meeting"("review_approved");
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "MessageTemplate" (
+    "id" TEXT NOT NULL,
+    "message_type" "WhatsAppMessageType" NOT NULL,
+    "version" INTEGER NOT NULL,
+    "body" TEXT NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT false,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MessageTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "WhatsAppMessage" ADD COLUMN "template_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MessageTemplate_message_type_version_key" ON "MessageTemplate"("message_type", "version");
+
+-- CreateIndex
+CREATE INDEX "MessageTemplate_message_type_active_idx" ON "MessageTemplate"("message_type", "active");
+
+-- AddForeignKey
+ALTER TABLE "WhatsAppMessage" ADD CONSTRAINT "WhatsAppMessage_template_id_fkey" FOREIGN KEY ("template_id") REFERENCES "MessageTemplate"("id") ON DELETE SET NULL ON UPDATE CASCADE;
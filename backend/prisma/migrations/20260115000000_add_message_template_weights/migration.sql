@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "MessageTemplate" ADD COLUMN "weight" INTEGER NOT NULL DEFAULT 1;
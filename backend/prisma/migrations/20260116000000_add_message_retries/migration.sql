@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "WhatsAppMessageStatus" ADD VALUE 'DEAD_LETTER';
+
+-- AlterTable
+ALTER TABLE "WhatsAppMessage" ADD COLUMN "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "next_retry_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "WhatsAppMessage_next_retry_at_idx" ON "WhatsAppMessage"("next_retry_at");
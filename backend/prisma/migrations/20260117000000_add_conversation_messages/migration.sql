@@ -0,0 +1,41 @@
+-- AlterEnum
+ALTER TYPE "LeadEventType" ADD VALUE 'WHATSAPP_RECEIVED';
+
+-- CreateEnum
+CREATE TYPE "ConversationDirection" AS ENUM ('INBOUND', 'OUTBOUND');
+
+-- CreateTable
+CREATE TABLE "ConversationMessage" (
+    "id" TEXT NOT NULL,
+    "lead_id" TEXT,
+    "phone" TEXT NOT NULL,
+    "direction" "ConversationDirection" NOT NULL,
+    "body" TEXT NOT NULL,
+    "provider" TEXT,
+    "provider_message_id" TEXT,
+    "whatsapp_message_id" TEXT,
+    "sent_by" TEXT,
+    "sender_name" TEXT,
+    "read_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConversationMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ConversationMessage_provider_message_id_key" ON "ConversationMessage"("provider_message_id");
+
+-- CreateIndex
+CREATE INDEX "ConversationMessage_phone_created_at_idx" ON "ConversationMessage"("phone", "created_at");
+
+-- CreateIndex
+CREATE INDEX "ConversationMessage_lead_id_idx" ON "ConversationMessage"("lead_id");
+
+-- CreateIndex
+CREATE INDEX "ConversationMessage_direction_read_at_idx" ON "ConversationMessage"("direction", "read_at");
+
+-- AddForeignKey
+ALTER TABLE "ConversationMessage" ADD CONSTRAINT "ConversationMessage_lead_id_fkey" FOREIGN KEY ("lead_id") REFERENCES "Lead"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConversationMessage" ADD CONSTRAINT "ConversationMessage_whatsapp_message_id_fkey" FOREIGN KEY ("whatsapp_message_id") REFERENCES "WhatsAppMessage"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterEnum
+ALTER TYPE "LeadEventType" ADD VALUE 'CONSENT_CHANGED';
+
+-- CreateEnum
+CREATE TYPE "ConsentStatus" AS ENUM ('OPTED_IN', 'OPTED_OUT');
+
+-- AlterTable
+ALTER TABLE "WhatsAppMessage" ADD COLUMN "cancel_reason" TEXT;
+
+-- CreateTable
+CREATE TABLE "ContactConsent" (
+    "phone" TEXT NOT NULL,
+    "status" "ConsentStatus" NOT NULL,
+    "source" TEXT NOT NULL,
+    "keyword" TEXT,
+    "note" TEXT,
+    "updated_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ContactConsent_pkey" PRIMARY KEY ("phone")
+);
+
+-- CreateIndex
+CREATE INDEX "ContactConsent_status_idx" ON "ContactConsent"("status");
@@ -0,0 +1,12 @@
+-- AlterEnum
+ALTER TYPE "WhatsAppMessageStatus" ADD VALUE 'DELIVERED';
+ALTER TYPE "WhatsAppMessageStatus" ADD VALUE 'READ';
+
+-- AlterTable
+ALTER TABLE "WhatsAppMessage" ADD COLUMN "delivered_at" TIMESTAMP(3),
+ADD COLUMN "read_at" TIMESTAMP(3),
+ADD COLUMN "provider" TEXT,
+ADD COLUMN "provider_message_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "WhatsAppMessage_provider_message_id_idx" ON "WhatsAppMessage"("provider_message_id");
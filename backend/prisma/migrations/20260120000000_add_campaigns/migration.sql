@@ -0,0 +1,40 @@
+-- AlterEnum
+ALTER TYPE "WhatsAppMessageType" ADD VALUE 'CAMPAIGN';
+
+-- CreateEnum
+CREATE TYPE "CampaignStatus" AS ENUM ('DRAFT', 'SCHEDULED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "WhatsAppMessage" ADD COLUMN "campaign_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "Campaign" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "segment" JSONB NOT NULL,
+    "status" "CampaignStatus" NOT NULL DEFAULT 'DRAFT',
+    "scheduled_at" TIMESTAMP(3) NOT NULL,
+    "throttle_per_hour" INTEGER NOT NULL DEFAULT 60,
+    "conversion_window_days" INTEGER NOT NULL DEFAULT 7,
+    "recipients" INTEGER NOT NULL DEFAULT 0,
+    "created_by" TEXT,
+    "scheduled_by" TEXT,
+    "cancelled_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Campaign_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Campaign_status_idx" ON "Campaign"("status");
+
+-- CreateIndex
+CREATE INDEX "WhatsAppMessage_campaign_id_status_idx" ON "WhatsAppMessage"("campaign_id", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WhatsAppMessage_campaign_id_lead_id_key" ON "WhatsAppMessage"("campaign_id", "lead_id");
+
+-- AddForeignKey
+ALTER TABLE "WhatsAppMessage" ADD CONSTRAINT "WhatsAppMessage_campaign_id_fkey" FOREIGN KEY ("campaign_id") REFERENCES "Campaign"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "WhatsAppMessage" ADD COLUMN "drip_step" INTEGER;
+
+-- CreateTable
+CREATE TABLE "DripSequence" (
+    "key" TEXT NOT NULL,
+    "steps" JSONB NOT NULL,
+    "updated_by" TEXT,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DripSequence_pkey" PRIMARY KEY ("key")
+);
@@ -0,0 +1,98 @@
+-- CreateEnum
+CREATE TYPE "CommissionStatus" AS ENUM ('ACCRUED', 'RELEASED', 'PAID', 'REVERSED');
+
+-- CreateEnum
+CREATE TYPE "PayoutBatchStatus" AS ENUM ('PENDING', 'PAID', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "Commission" (
+    "id" TEXT NOT NULL,
+    "transaction_id" TEXT NOT NULL,
+    "referrer_id" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "status" "CommissionStatus" NOT NULL DEFAULT 'ACCRUED',
+    "payment_method" "PaymentMethod",
+    "release_at" TIMESTAMP(3) NOT NULL,
+    "released_at" TIMESTAMP(3),
+    "payout_batch_id" TEXT,
+    "paid_at" TIMESTAMP(3),
+    "reversed_at" TIMESTAMP(3),
+    "reversal_reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Commission_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PayoutBatch" (
+    "id" TEXT NOT NULL,
+    "referrer_id" TEXT NOT NULL,
+    "pix_key" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "commissions_count" INTEGER NOT NULL,
+    "status" "PayoutBatchStatus" NOT NULL DEFAULT 'PENDING',
+    "e2e_id" TEXT,
+    "paid_at" TIMESTAMP(3),
+    "paid_by" TEXT,
+    "created_by" TEXT,
+    "cancelled_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PayoutBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Commission_transaction_id_key" ON "Commission"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "Commission_referrer_id_status_idx" ON "Commission"("referrer_id", "status");
+
+-- CreateIndex
+CREATE INDEX "Commission_status_release_at_idx" ON "Commission"("status", "release_at");
+
+-- CreateIndex
+CREATE INDEX "Commission_payout_batch_id_idx" ON "Commission"("payout_batch_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PayoutBatch_e2e_id_key" ON "PayoutBatch"("e2e_id");
+
+-- CreateIndex
+CREATE INDEX "PayoutBatch_status_idx" ON "PayoutBatch"("status");
+
+-- CreateIndex
+CREATE INDEX "PayoutBatch_referrer_id_idx" ON "PayoutBatch"("referrer_id");
+
+-- AddForeignKey
+ALTER TABLE "Commission" ADD CONSTRAINT "Commission_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "Transaction"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Commission" ADD CONSTRAINT "Commission_referrer_id_fkey" FOREIGN KEY ("referrer_id") REFERENCES "Referrer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Commission" ADD CONSTRAINT "Commission_payout_batch_id_fkey" FOREIGN KEY ("payout_batch_id") REFERENCES "PayoutBatch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PayoutBatch" ADD CONSTRAINT "PayoutBatch_referrer_id_fkey" FOREIGN KEY ("referrer_id") REFERENCES "Referrer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill: comissões das vendas já aprovadas, com o mesmo prazo que /api/referral/stats calculava
+INSERT INTO "Commission" ("id", "transaction_id", "referrer_id", "amount", "status", "payment_method", "release_at", "released_at", "created_at", "updated_at")
+SELECT
+    gen_random_uuid()::text,
+    t."id",
+    t."affiliate_id",
+    t."amount_affiliate",
+    CASE WHEN r."release_at" <= CURRENT_TIMESTAMP THEN 'RELEASED'::"CommissionStatus" ELSE 'ACCRUED'::"CommissionStatus" END,
+    t."payment_method",
+    r."release_at",
+    CASE WHEN r."release_at" <= CURRENT_TIMESTAMP THEN r."release_at" END,
+    t."created_at",
+    CURRENT_TIMESTAMP
+FROM "Transaction" t
+CROSS JOIN LATERAL (
+    SELECT t."created_at" + (CASE WHEN t."payment_method" = 'pix' THEN INTERVAL '7 days' ELSE INTERVAL '31 days' END) AS "release_at"
+) r
+WHERE t."status" = 'succeeded'
+  AND t."affiliate_id" IS NOT NULL
+  AND t."amount_affiliate" > 0;
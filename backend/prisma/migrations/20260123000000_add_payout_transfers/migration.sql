@@ -0,0 +1,11 @@
+-- AlterEnum
+ALTER TYPE "PayoutBatchStatus" ADD VALUE 'PROCESSING';
+ALTER TYPE "PayoutBatchStatus" ADD VALUE 'FAILED';
+
+-- AlterTable
+ALTER TABLE "PayoutBatch" ADD COLUMN "transfer_status" TEXT,
+ADD COLUMN "transfer_error" TEXT,
+ADD COLUMN "transfer_requested_at" TIMESTAMP(3),
+ADD COLUMN "transfer_requested_by" TEXT,
+ADD COLUMN "approved_at" TIMESTAMP(3),
+ADD COLUMN "approved_by" TEXT;
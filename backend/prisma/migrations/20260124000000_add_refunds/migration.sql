@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "TransactionStatus" ADD VALUE 'refunded';
+ALTER TYPE "TransactionStatus" ADD VALUE 'disputed';
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "refunded_at" TIMESTAMP(3),
+ADD COLUMN "disputed_at" TIMESTAMP(3),
+ADD COLUMN "refund_reason" TEXT;
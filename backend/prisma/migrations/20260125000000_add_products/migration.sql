@@ -0,0 +1,86 @@
+-- CreateEnum
+CREATE TYPE "CommissionType" AS ENUM ('FIXED', 'PERCENT');
+
+-- CreateTable
+CREATE TABLE "Product" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "nome" TEXT NOT NULL,
+    "descricao" TEXT,
+    "price" INTEGER NOT NULL,
+    "session_duration_minutes" INTEGER NOT NULL,
+    "commission_type" "CommissionType" NOT NULL DEFAULT 'FIXED',
+    "commission_value" INTEGER NOT NULL,
+    "ativo" BOOLEAN NOT NULL DEFAULT true,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "created_by" TEXT,
+    "updated_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Product_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ReferrerCommissionOverride" (
+    "id" TEXT NOT NULL,
+    "referrer_id" TEXT NOT NULL,
+    "product_id" TEXT NOT NULL,
+    "commission_type" "CommissionType" NOT NULL,
+    "commission_value" INTEGER NOT NULL,
+    "updated_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReferrerCommissionOverride_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "product_id" TEXT,
+ADD COLUMN "duration_minutes" INTEGER,
+ALTER COLUMN "amount_product" DROP DEFAULT,
+ALTER COLUMN "amount_affiliate" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "Meeting" ADD COLUMN "duration_minutes" INTEGER;
+
+-- AlterTable
+ALTER TABLE "SlotHold" ADD COLUMN "duration_minutes" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Product_slug_key" ON "Product"("slug");
+
+-- CreateIndex
+CREATE INDEX "Product_ativo_idx" ON "Product"("ativo");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReferrerCommissionOverride_referrer_id_product_id_key" ON "ReferrerCommissionOverride"("referrer_id", "product_id");
+
+-- CreateIndex
+CREATE INDEX "Transaction_product_id_idx" ON "Transaction"("product_id");
+
+-- AddForeignKey
+ALTER TABLE "ReferrerCommissionOverride" ADD CONSTRAINT "ReferrerCommissionOverride_referrer_id_fkey" FOREIGN KEY ("referrer_id") REFERENCES "Referrer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReferrerCommissionOverride" ADD CONSTRAINT "ReferrerCommissionOverride_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Transaction" ADD CONSTRAINT "Transaction_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "Product"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed: produto inicial com o preço e a comissão que eram fixos no código (R$ 200,00, R$ 60,00, sessão de 4h)
+INSERT INTO "Product" ("id", "slug", "nome", "descricao", "price", "session_duration_minutes", "commission_type", "commission_value", "updated_at")
+VALUES (
+    gen_random_uuid()::text,
+    'otimizacao',
+    'Otimização Windows',
+    'Otimização completa do Windows pelo Discord',
+    20000,
+    COALESCE((SELECT "session_duration_minutes" FROM "ScheduleConfig" WHERE "id" = 1), 240),
+    'FIXED',
+    6000,
+    CURRENT_TIMESTAMP
+);
+
+-- Backfill: transações existentes pertencem ao produto inicial
+UPDATE "Transaction" SET "product_id" = (SELECT "id" FROM "Product" WHERE "slug" = 'otimizacao');
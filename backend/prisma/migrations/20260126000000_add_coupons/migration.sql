@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "DiscountType" AS ENUM ('PERCENT', 'FIXED');
+
+-- CreateTable
+CREATE TABLE "Coupon" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "descricao" TEXT,
+    "discount_type" "DiscountType" NOT NULL,
+    "discount_value" INTEGER NOT NULL,
+    "expires_at" TIMESTAMP(3),
+    "max_uses" INTEGER,
+    "max_uses_per_lead" INTEGER NOT NULL DEFAULT 1,
+    "referral_code" TEXT,
+    "ativo" BOOLEAN NOT NULL DEFAULT true,
+    "created_by" TEXT,
+    "updated_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Coupon_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "coupon_id" TEXT,
+ADD COLUMN "coupon_code" TEXT,
+ADD COLUMN "discount_amount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Coupon_code_key" ON "Coupon"("code");
+
+-- CreateIndex
+CREATE INDEX "Coupon_ativo_idx" ON "Coupon"("ativo");
+
+-- CreateIndex
+CREATE INDEX "Transaction_coupon_id_idx" ON "Transaction"("coupon_id");
+
+-- AddForeignKey
+ALTER TABLE "Transaction" ADD CONSTRAINT "Transaction_coupon_id_fkey" FOREIGN KEY ("coupon_id") REFERENCES "Coupon"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "PixKeyType" AS ENUM ('CPF', 'CNPJ', 'EMAIL', 'PHONE', 'RANDOM');
+
+-- AlterTable
+ALTER TABLE "Referrer" ADD COLUMN "pix_key_type" "PixKeyType";
+
+-- AlterTable
+ALTER TABLE "PayoutBatch" ADD COLUMN "pix_key_type" "PixKeyType";
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PayoutBatch" ADD COLUMN "reversed_amount" INTEGER NOT NULL DEFAULT 0;
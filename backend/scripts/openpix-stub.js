@@ -0,0 +1,178 @@
+/**
+ * Stub local da API de pagamentos (PIX de saída) da OpenPix, para testar as
+ * transferências de comissão sem mover dinheiro.
+ *
+ * Uso:
+ *   node scripts/openpix-stub.js
+ *   OPENPIX_API_URL=http://localhost:4010/api/v1 OPENPIX_APP_ID=stub npm run dev
+ *
+ * Variáveis opcionais:
+ *   STUB_PORT             porta (padrão 4010)
+ *   STUB_WEBHOOK_URL      envia OPENPIX:MOVEMENT_* para cá após a aprovação
+ *                         (ex.: http://localhost:3000/api/checkout/webhook-pix)
+ *   STUB_CONFIRM_DELAY_MS tempo até confirmar a transferência (padrão 2000)
+ *
+ * Chaves PIX contendo "fail" (ex.: fail@teste.com) simulam uma transferência recusada.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.STUB_PORT) || 4010;
+const WEBHOOK_URL = process.env.STUB_WEBHOOK_URL || null;
+const CONFIRM_DELAY_MS = Number(process.env.STUB_CONFIRM_DELAY_MS) || 2000;
+const BASE_PATH = '/api/v1';
+
+const payments = new Map();
+
+const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+        try {
+            resolve(raw ? JSON.parse(raw) : {});
+        } catch {
+            resolve(null);
+        }
+    });
+});
+
+// EndToEndId: E + ISPB (8) + AAAAMMDDHHMM + 11 caracteres
+const generateEndToEndId = () => {
+    const stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 12);
+    const suffix = crypto.randomBytes(16).toString('hex').slice(0, 11);
+    return `E00000000${stamp}${suffix}`;
+};
+
+const toResponse = (entry) => ({
+    payment: entry.payment,
+    transaction: entry.transaction,
+    destination: { alias: entry.payment.destinationAlias },
+});
+
+const notifyWebhook = async (entry, event) => {
+    if (!WEBHOOK_URL) return;
+
+    try {
+        const response = await fetch(WEBHOOK_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ event, ...toResponse(entry) }),
+        });
+        console.log(`[Stub] Webhook ${event} -> ${response.status}`);
+    } catch (error) {
+        console.error('[Stub] Falha ao enviar webhook:', error.message);
+    }
+};
+
+// Confirma (ou recusa) a transferência depois de um tempo, como a OpenPix faz
+const settle = (entry) => {
+    setTimeout(() => {
+        const failed = entry.payment.destinationAlias.toLowerCase().includes('fail');
+
+        if (failed) {
+            entry.payment.status = 'FAILED';
+            entry.payment.failReason = 'Chave PIX não encontrada (stub)';
+            notifyWebhook(entry, 'OPENPIX:MOVEMENT_FAILED');
+        } else {
+            entry.payment.status = 'CONFIRMED';
+            entry.transaction = {
+                value: entry.payment.value,
+                endToEndId: generateEndToEndId(),
+                time: new Date().toISOString(),
+            };
+            notifyWebhook(entry, 'OPENPIX:MOVEMENT_CONFIRMED');
+        }
+
+        console.log(`[Stub] Pagamento ${entry.payment.correlationID}: ${entry.payment.status}`);
+    }, CONFIRM_DELAY_MS);
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const path = url.pathname.startsWith(BASE_PATH) ? url.pathname.slice(BASE_PATH.length) : null;
+
+    console.log(`[Stub] ${req.method} ${url.pathname}`);
+
+    if (!req.headers.authorization) {
+        return send(res, 401, { error: 'AppID ausente' });
+    }
+
+    if (req.method === 'POST' && path === '/payment') {
+        const body = await readBody(req);
+
+        if (!body?.correlationID || !Number.isInteger(body.value) || body.value <= 0 || !body.destinationAlias) {
+            return send(res, 400, { error: 'correlationID, value e destinationAlias são obrigatórios' });
+        }
+
+        if (payments.has(body.correlationID)) {
+            return send(res, 400, { error: 'Já existe um pagamento com este correlationID' });
+        }
+
+        const entry = {
+            payment: {
+                value: body.value,
+                status: 'CREATED',
+                destinationAlias: body.destinationAlias,
+                destinationAliasType: body.destinationAliasType || null,
+                comment: body.comment || '',
+                correlationID: body.correlationID,
+            },
+            transaction: null,
+        };
+        payments.set(body.correlationID, entry);
+
+        return send(res, 200, { payment: entry.payment });
+    }
+
+    if (req.method === 'POST' && path === '/payment/approve') {
+        const body = await readBody(req);
+        const entry = payments.get(body?.correlationID);
+
+        if (!entry) {
+            return send(res, 404, { error: 'Pagamento não encontrado' });
+        }
+
+        if (entry.payment.status !== 'CREATED') {
+            return send(res, 400, { error: `Pagamento já está ${entry.payment.status}` });
+        }
+
+        entry.payment.status = 'APPROVED';
+        settle(entry);
+
+        return send(res, 200, toResponse(entry));
+    }
+
+    const removeMatch = req.method === 'DELETE' && path?.match(/^\/payment\/([^/]+)$/);
+    if (removeMatch) {
+        const entry = payments.get(decodeURIComponent(removeMatch[1]));
+
+        if (!entry) {
+            return send(res, 404, { error: 'Pagamento não encontrado' });
+        }
+
+        if (entry.payment.status !== 'CREATED') {
+            return send(res, 400, { error: `Pagamento já está ${entry.payment.status}` });
+        }
+
+        entry.payment.status = 'REMOVED';
+        return send(res, 200, toResponse(entry));
+    }
+
+    const match = req.method === 'GET' && path?.match(/^\/payment\/([^/]+)$/);
+    if (match) {
+        const entry = payments.get(decodeURIComponent(match[1]));
+        return entry ? send(res, 200, toResponse(entry)) : send(res, 404, { error: 'Pagamento não encontrado' });
+    }
+
+    return send(res, 404, { error: 'Rota não implementada no stub' });
+});
+
+server.listen(PORT, () => {
+    console.log(`[Stub] OpenPix stub em http://localhost:${PORT}${BASE_PATH}`);
+    if (WEBHOOK_URL) console.log(`[Stub] Webhooks -> ${WEBHOOK_URL}`);
+});
@@ -0,0 +1,163 @@
+/**
+ * Convites de calendário (iCalendar / .ics)
+ * Links assinados para o cliente baixar o convite da reunião e feed privado da equipe
+ */
+
+import crypto from 'crypto'
+import { getMeetingStart } from './scheduling'
+
+const PRODUCT_ID = '-//Versace Otimizacao//Agenda//PT-BR'
+
+// Segredo dos links assinados (CALENDAR_SIGNING_SECRET ou, na falta dele, JWT_SECRET)
+const getSigningSecret = () => {
+  const secret = process.env.CALENDAR_SIGNING_SECRET || process.env.JWT_SECRET
+  if (!secret) {
+    throw new Error('[SECURITY] CALENDAR_SIGNING_SECRET não configurado')
+  }
+  return secret
+}
+
+// URL pública desta API (usada em links enviados por WhatsApp)
+export const getApiBaseUrl = () => {
+  const baseUrl = process.env.API_PUBLIC_URL ||
+    (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : 'http://localhost:3000')
+  return baseUrl.replace(/\/+$/, '')
+}
+
+const sign = (value) => {
+  return crypto.createHmac('sha256', getSigningSecret()).update(value).digest('base64url')
+}
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a || ''))
+  const bufferB = Buffer.from(String(b || ''))
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+}
+
+/**
+ * Assinatura do convite de uma reunião
+ * Usa o ID da transação: é conhecido já no checkout, antes do webhook criar a Meeting
+ */
+export const signInvite = (transactionId) => sign(`invite:${transactionId}`)
+
+export const verifyInviteSignature = (transactionId, signature) => {
+  return safeEqual(signInvite(transactionId), signature)
+}
+
+export const buildMeetingInviteUrl = (transactionId) => {
+  const params = new URLSearchParams({ t: transactionId, sig: signInvite(transactionId) })
+  return `${getApiBaseUrl()}/api/meetings/invite?${params}`
+}
+
+// Token do feed da equipe (trocar o segredo invalida as assinaturas existentes)
+export const getAdminFeedToken = () => sign('admin-feed')
+
+export const verifyAdminFeedToken = (token) => safeEqual(getAdminFeedToken(), token)
+
+export const buildAdminFeedUrl = () => {
+  return `${getApiBaseUrl()}/api/admin/meetings/feed?token=${getAdminFeedToken()}`
+}
+
+// Escapa texto conforme RFC 5545 (barra, ponto e vírgula, vírgula e quebras de linha)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n')
+
+// Linhas com mais de 75 octetos são quebradas e continuadas com um espaço
+const foldLine = (line) => {
+  const chunks = []
+  let current = ''
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current)
+      current = char
+    } else {
+      current += char
+    }
+  }
+  chunks.push(current)
+  return chunks.join('\r\n ')
+}
+
+// Date -> 20260110T170000Z
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+/**
+ * Evento VEVENT de uma reunião
+ *
+ * @param {Object} meeting - Meeting (ou dados equivalentes de uma transação ainda sem reunião)
+ * @param {Object} options
+ * @param {number} options.durationMinutes - Duração da sessão
+ * @param {string} options.summary - Título do evento
+ * @param {string} options.description - Descrição (opcional)
+ * @param {string} options.status - CONFIRMED, TENTATIVE ou CANCELLED
+ * @param {number} options.sequence - Versão do evento (aumenta quando a reunião muda)
+ */
+export const buildMeetingEvent = (meeting, { durationMinutes, summary, description, status = 'CONFIRMED', sequence = 0 }) => {
+  const start = getMeetingStart(meeting)
+  const end = new Date(start.getTime() + durationMinutes * 60 * 1000)
+
+  return [
+    'BEGIN:VEVENT',
+    // UID pela transação: o convite provisório (antes do webhook) e o definitivo são o mesmo evento
+    `UID:${meeting.transaction_id || meeting.id}@versace-otimizacao`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${status}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    'END:VEVENT',
+  ]
+}
+
+/**
+ * Monta o arquivo .ics com os eventos informados
+ *
+ * @param {Array<string[]>} events - Resultado de buildMeetingEvent
+ * @param {Object} options
+ * @param {string} options.name - Nome do calendário (feeds)
+ */
+export const buildCalendar = (events, { name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flat(),
+    'END:VCALENDAR',
+  ]
+
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * Envia um calendário como resposta HTTP
+ */
+export const sendCalendar = (res, calendar, { filename, inline = false } = {}) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8')
+  res.setHeader('Cache-Control', 'private, no-store')
+  if (filename) {
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${filename}"`)
+  }
+  return res.status(200).send(calendar)
+}
+
+export default {
+  getApiBaseUrl,
+  signInvite,
+  verifyInviteSignature,
+  buildMeetingInviteUrl,
+  getAdminFeedToken,
+  verifyAdminFeedToken,
+  buildAdminFeedUrl,
+  buildMeetingEvent,
+  buildCalendar,
+  sendCalendar,
+}
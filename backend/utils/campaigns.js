@@ -0,0 +1,272 @@
+/**
+ * WhatsApp campaigns
+ * A campaign sends one promotional text to a segment of leads (stage, signup date,
+ * referral code). Scheduling resolves the segment and queues one CAMPAIGN message
+ * per lead; the regular cron sends them (opt-outs, quiet hours and send limits apply).
+ */
+
+import { z } from 'zod'
+import prisma from '../lib/prisma'
+import { buildTemplateVariables, renderTemplate } from './messageTemplates'
+import { queueCampaignMessages, SENT_STATUSES } from './messageQueue'
+import { OPT_OUT_REASON } from './consent'
+import { sanitizeString } from './security'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const LEAD_STAGES = ['NA_BASE', 'EM_CONTATO', 'COMPRADO', 'REJEITADO']
+
+// Campaign texts only know the lead (no meeting or links)
+export const CAMPAIGN_PLACEHOLDERS = ['firstName', 'greeting']
+
+// cancel_reason of pending messages dropped by a cancelled campaign
+export const CAMPAIGN_CANCELLED_REASON = 'campaign_cancelled'
+
+export const campaignSegmentSchema = z.object({
+    stages: z.array(z.enum(LEAD_STAGES, { message: 'Etapa inválida' }))
+        .min(1, 'Escolha ao menos uma etapa do funil'),
+    // Leads created in the last N days (empty = any date)
+    created_within_days: z.coerce.number().int().min(1).max(3650).nullish(),
+    // Leads that came through this referral code (empty = any)
+    referral_code: z.string().trim().max(50).nullish().transform(val => val || null),
+})
+
+export const campaignBodySchema = z.string().trim()
+    .min(10, 'Texto muito curto')
+    .max(4000, 'Texto muito longo')
+    .refine(
+        (val) => [...val.matchAll(/\{(\w+)\}/g)].every(([, key]) => CAMPAIGN_PLACEHOLDERS.includes(key)),
+        'Campanhas só aceitam os placeholders {firstName} e {greeting}'
+    )
+
+/**
+ * Segment fields from a request body, sanitized for campaignSegmentSchema
+ * @param {object} input - req.body.segment
+ * @returns {object}
+ */
+export const readSegmentInput = (input = {}) => ({
+    stages: Array.isArray(input?.stages) ? input.stages.map(stage => sanitizeString(String(stage), 20)) : [],
+    created_within_days: input?.created_within_days || null,
+    referral_code: input?.referral_code ? sanitizeString(String(input.referral_code), 50) : null,
+})
+
+/**
+ * Prisma filter of the leads in a segment
+ * @param {object} segment - Parsed campaignSegmentSchema
+ * @param {Date} now - Reference for created_within_days
+ * @returns {object} Lead where clause
+ */
+export const buildSegmentWhere = (segment, now = new Date()) => ({
+    stage: { in: segment.stages },
+    ...(segment.created_within_days
+        ? { created_at: { gte: new Date(now.getTime() - segment.created_within_days * DAY_MS) } }
+        : {}),
+    ...(segment.referral_code ? { referral_code: segment.referral_code } : {}),
+})
+
+/**
+ * Render a campaign text for one lead
+ * @param {string} body - Campaign body
+ * @param {object} lead - Lead with nome
+ * @returns {string}
+ */
+export const renderCampaignMessage = (body, lead) => renderTemplate(body, buildTemplateVariables({ lead }))
+
+/**
+ * Queue the messages of a draft campaign
+ * The segment is resolved now: leads that enter it later are not included.
+ *
+ * @param {string} campaignId
+ * @param {string} actor - Admin e-mail
+ * @returns {Promise<{campaign: object, queued: number, optedOut: number, lastSendAfter: Date|null}|null>}
+ *   null when the campaign is not a draft (already scheduled or cancelled)
+ */
+export const scheduleCampaign = async (campaignId, actor) => {
+    return prisma.$transaction(async (tx) => {
+        // Claim the draft first so two clicks never queue twice
+        const claimed = await tx.campaign.updateMany({
+            where: { id: campaignId, status: 'DRAFT' },
+            data: { status: 'SCHEDULED', scheduled_by: actor },
+        })
+
+        if (claimed.count === 0) {
+            return null
+        }
+
+        const campaign = await tx.campaign.findUnique({ where: { id: campaignId } })
+        const segment = campaignSegmentSchema.parse(campaign.segment)
+
+        const leads = await tx.lead.findMany({
+            where: buildSegmentWhere(segment),
+            select: { id: true, whatsapp: true },
+            orderBy: { created_at: 'asc' },
+        })
+
+        const result = await queueCampaignMessages(campaign, leads, tx)
+
+        const updated = await tx.campaign.update({
+            where: { id: campaignId },
+            data: { recipients: leads.length },
+        })
+
+        return { campaign: updated, ...result }
+    }, { timeout: 60 * 1000 })
+}
+
+/**
+ * Cancel a campaign and its pending messages
+ * Messages already sent are kept (they still count in the report).
+ *
+ * @param {string} campaignId
+ * @returns {Promise<{campaign: object, cancelled: number}|null>} null when already cancelled
+ */
+export const cancelCampaign = async (campaignId) => {
+    return prisma.$transaction(async (tx) => {
+        const claimed = await tx.campaign.updateMany({
+            where: { id: campaignId, status: { not: 'CANCELLED' } },
+            data: { status: 'CANCELLED', cancelled_at: new Date() },
+        })
+
+        if (claimed.count === 0) {
+            return null
+        }
+
+        const result = await tx.whatsAppMessage.updateMany({
+            where: { campaign_id: campaignId, status: 'PENDING' },
+            data: {
+                status: 'CANCELLED',
+                cancel_reason: CAMPAIGN_CANCELLED_REASON,
+                next_retry_at: null,
+            },
+        })
+
+        const campaign = await tx.campaign.findUnique({ where: { id: campaignId } })
+        return { campaign, cancelled: result.count }
+    })
+}
+
+// Payment approval time: the Meeting is created by the webhook when the payment is confirmed
+const getPaidAt = (transaction) => transaction.meeting?.created_at || transaction.updated_at
+
+const percent = (part, total) => total ? Number((part / total * 100).toFixed(1)) : 0
+
+const emptyStats = () => ({
+    pending: 0,
+    sent: 0,
+    delivered: 0,
+    read: 0,
+    failed: 0,
+    opted_out: 0,
+    cancelled: 0,
+    converted: 0,
+    revenue: 0,
+})
+
+// Where the campaign is, from its status and message counts
+const getProgress = (campaign, stats) => {
+    if (campaign.status === 'DRAFT' || campaign.status === 'CANCELLED') return campaign.status.toLowerCase()
+    if (stats.pending > 0) return stats.sent > 0 || stats.failed > 0 ? 'sending' : 'scheduled'
+    return 'completed'
+}
+
+/**
+ * Per-campaign counts
+ * Sent includes delivered/read; failed are messages that exhausted their retries.
+ * A lead converts when a succeeded transaction is approved within
+ * conversion_window_days after its campaign message was sent.
+ *
+ * @param {object[]} campaigns - Campaign rows
+ * @returns {Promise<Map<string, object>>} Stats keyed by campaign id
+ */
+export const getCampaignStats = async (campaigns) => {
+    const stats = new Map(campaigns.map(campaign => [campaign.id, emptyStats()]))
+    const campaignIds = campaigns.map(campaign => campaign.id)
+
+    if (campaignIds.length === 0) {
+        return stats
+    }
+
+    const [groups, sentMessages] = await Promise.all([
+        prisma.whatsAppMessage.groupBy({
+            by: ['campaign_id', 'status', 'cancel_reason'],
+            where: { campaign_id: { in: campaignIds } },
+            _count: { _all: true },
+        }),
+        prisma.whatsAppMessage.findMany({
+            where: { campaign_id: { in: campaignIds }, status: { in: SENT_STATUSES } },
+            select: { campaign_id: true, lead_id: true, sent_at: true },
+        }),
+    ])
+
+    for (const group of groups) {
+        const row = stats.get(group.campaign_id)
+        const count = group._count._all
+
+        if (group.status === 'PENDING') row.pending += count
+        if (SENT_STATUSES.includes(group.status)) row.sent += count
+        if (group.status === 'DELIVERED' || group.status === 'READ') row.delivered += count
+        if (group.status === 'READ') row.read += count
+        if (group.status === 'DEAD_LETTER' || group.status === 'FAILED') row.failed += count
+        if (group.status === 'CANCELLED') {
+            if (group.cancel_reason === OPT_OUT_REASON) row.opted_out += count
+            else row.cancelled += count
+        }
+    }
+
+    const leadIds = [...new Set(sentMessages.map(msg => msg.lead_id))]
+    const transactions = leadIds.length
+        ? await prisma.transaction.findMany({
+            where: { lead_id: { in: leadIds }, status: 'succeeded' },
+            select: { lead_id: true, amount_product: true, updated_at: true, meeting: { select: { created_at: true } } },
+        })
+        : []
+
+    const paymentsByLead = new Map()
+    for (const transaction of transactions) {
+        const payments = paymentsByLead.get(transaction.lead_id) || []
+        payments.push({ paidAt: getPaidAt(transaction), amount: transaction.amount_product })
+        paymentsByLead.set(transaction.lead_id, payments)
+    }
+
+    const windowsById = new Map(campaigns.map(campaign => [campaign.id, campaign.conversion_window_days * DAY_MS]))
+
+    for (const msg of sentMessages) {
+        if (!msg.sent_at) continue
+
+        const windowMs = windowsById.get(msg.campaign_id)
+        const payment = (paymentsByLead.get(msg.lead_id) || []).find(({ paidAt }) => {
+            const elapsed = paidAt.getTime() - msg.sent_at.getTime()
+            return elapsed >= 0 && elapsed <= windowMs
+        })
+
+        if (payment) {
+            const row = stats.get(msg.campaign_id)
+            row.converted++
+            row.revenue += payment.amount
+        }
+    }
+
+    for (const campaign of campaigns) {
+        const row = stats.get(campaign.id)
+        row.progress = getProgress(campaign, row)
+        row.delivery_rate = percent(row.delivered, row.sent)
+        row.read_rate = percent(row.read, row.sent)
+        row.conversion_rate = percent(row.converted, row.sent)
+    }
+
+    return stats
+}
+
+export default {
+    LEAD_STAGES,
+    CAMPAIGN_PLACEHOLDERS,
+    CAMPAIGN_CANCELLED_REASON,
+    campaignSegmentSchema,
+    campaignBodySchema,
+    readSegmentInput,
+    buildSegmentWhere,
+    renderCampaignMessage,
+    scheduleCampaign,
+    cancelCampaign,
+    getCampaignStats,
+}
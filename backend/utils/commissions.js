@@ -0,0 +1,450 @@
+/**
+ * Comissões de indicação (Commission) e lotes de pagamento (PayoutBatch)
+ *
+ * Ledger: cada Transaction aprovada com indicador gera uma comissão
+ *   ACCRUED  -> aprovada, aguardando o prazo (PIX 7 dias, cartão 31 dias)
+ *   RELEASED -> prazo cumprido, entra no próximo lote de pagamento
+ *   PAID     -> lote pago por PIX (e2e_id registrado no lote)
+ *   REVERSED -> estornada (reembolso, chargeback ou ajuste do admin)
+ *
+ * A liberação é preguiçosa: releaseDueCommissions() roda antes das leituras e da geração de lotes.
+ */
+
+import prisma from '../lib/prisma'
+import { inferPixKeyType } from './pixKeys'
+import { deletePixPayment } from './openpix'
+
+// Prazos de liberação da comissão (em dias, contados da aprovação do pagamento)
+export const CARD_RELEASE_DAYS = 31
+export const PIX_RELEASE_DAYS = 7
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// EndToEndId do PIX: E + ISPB (8) + data/hora AAAAMMDDHHMM (12) + sequencial alfanumérico (11)
+const E2E_ID_REGEX = /^E\d{20}[0-9A-Za-z]{11}$/
+
+export const getReleaseDays = (paymentMethod) => (paymentMethod === 'pix' ? PIX_RELEASE_DAYS : CARD_RELEASE_DAYS)
+
+export const isValidE2eId = (value) => E2E_ID_REGEX.test(value || '')
+
+/**
+ * Registra a comissão de uma transação aprovada
+ * Idempotente: webhooks repetidos não duplicam (uma comissão por transação).
+ *
+ * @param {Object} transaction - Transaction com affiliate_id, amount_affiliate e payment_method
+ * @param {Date} approvedAt - Aprovação do pagamento
+ * @returns {Promise<Object|null>} Commission (null quando não há indicador ou valor)
+ */
+export async function accrueCommission(transaction, approvedAt = new Date()) {
+  if (!transaction.affiliate_id || !transaction.amount_affiliate) {
+    return null
+  }
+
+  const existing = await prisma.commission.findUnique({
+    where: { transaction_id: transaction.id },
+  })
+
+  if (existing) {
+    return existing
+  }
+
+  const releaseAt = new Date(approvedAt.getTime() + getReleaseDays(transaction.payment_method) * DAY_MS)
+
+  const commission = await prisma.commission.upsert({
+    where: { transaction_id: transaction.id },
+    update: {},
+    create: {
+      transaction_id: transaction.id,
+      referrer_id: transaction.affiliate_id,
+      amount: transaction.amount_affiliate,
+      payment_method: transaction.payment_method || null,
+      release_at: releaseAt,
+      created_at: approvedAt,
+    },
+  })
+
+  console.info('[Comissões] Comissão registrada', {
+    transactionId: transaction.id,
+    referrerId: transaction.affiliate_id,
+    amount: transaction.amount_affiliate,
+    releaseAt,
+  })
+
+  return commission
+}
+
+/**
+ * Libera as comissões com prazo vencido (ACCRUED -> RELEASED)
+ * @param {Date} now
+ * @returns {Promise<number>} Quantidade liberada
+ */
+export async function releaseDueCommissions(now = new Date()) {
+  const result = await prisma.commission.updateMany({
+    where: { status: 'ACCRUED', release_at: { lte: now } },
+    data: { status: 'RELEASED', released_at: now },
+  })
+
+  return result.count
+}
+
+/**
+ * Remove na OpenPix o pagamento de um lote cancelado (criado e ainda não aprovado)
+ * Sem isso o pagamento, com o valor antigo, continuaria aprovável no painel da OpenPix.
+ * Nunca lança erro: a falha fica em transfer_error do lote para o admin remover à mão.
+ *
+ * @param {string} batchId
+ */
+export async function removeCancelledBatchPayment(batchId) {
+  try {
+    const removed = await deletePixPayment(batchId)
+
+    await prisma.payoutBatch.update({
+      where: { id: batchId },
+      data: { transfer_status: removed ? 'REMOVED' : null },
+    })
+
+    console.info('[Comissões] Pagamento do lote cancelado removido na OpenPix', { batchId, removed })
+  } catch (error) {
+    console.error('[Comissões] Erro ao remover o pagamento do lote cancelado na OpenPix:', batchId, error.message)
+
+    await prisma.payoutBatch.update({
+      where: { id: batchId },
+      data: { transfer_error: `Lote cancelado, mas o pagamento não foi removido na OpenPix: ${error.message}` },
+    }).catch(() => null)
+  }
+}
+
+/**
+ * Estorna a comissão de uma transação
+ * Se estava num lote ainda não pago, sai do lote (lote vazio ou com transferência
+ * já criada na OpenPix é cancelado, e o pagamento é removido na OpenPix).
+ * Se já tinha sido paga, fica REVERSED com o lote/paid_at preservados: o valor passa a
+ * ser devido pelo indicador e o acerto é feito fora do sistema.
+ * Se o lote está com a transferência em andamento (PROCESSING), fica REVERSED e vinculada
+ * ao lote, e o valor é somado em reversed_amount do lote: confirmada a transferência, vira
+ * valor a recuperar; se ela falhar, nada foi enviado (ver closeUnpaidBatch).
+ *
+ * @param {string} transactionId
+ * @param {string} reason - Motivo (ex.: 'refund', 'chargeback', 'admin')
+ * @returns {Promise<{commission: Object, wasPaid: boolean, inTransfer: boolean}|null>} null quando não há comissão ou já estava estornada
+ */
+export async function reverseCommission(transactionId, reason) {
+  let cancelledTransferBatchId = null
+
+  const result = await prisma.$transaction(async (tx) => {
+    const commission = await tx.commission.findUnique({
+      where: { transaction_id: transactionId },
+      include: { payout_batch: true },
+    })
+
+    if (!commission || commission.status === 'REVERSED') {
+      return null
+    }
+
+    if (commission.payout_batch_id) {
+      // Trava o lote: o pedido e a aprovação da transferência esperam o estorno (e vice-versa)
+      await tx.$queryRaw`SELECT id FROM "PayoutBatch" WHERE id = ${commission.payout_batch_id} FOR UPDATE`
+      commission.payout_batch = await tx.payoutBatch.findUnique({ where: { id: commission.payout_batch_id } })
+    }
+
+    const wasPaid = commission.status === 'PAID'
+    // Transferência já aprovada com o valor desta comissão; o resultado ainda não é conhecido
+    const inTransfer = !wasPaid && commission.payout_batch?.status === 'PROCESSING'
+    const pendingBatch = commission.payout_batch?.status === 'PENDING' ? commission.payout_batch : null
+
+    const updated = await tx.commission.update({
+      where: { id: commission.id },
+      data: {
+        status: 'REVERSED',
+        reversed_at: new Date(),
+        reversal_reason: reason,
+        ...(pendingBatch ? { payout_batch_id: null } : {}),
+      },
+    })
+
+    if (inTransfer) {
+      await tx.payoutBatch.update({
+        where: { id: commission.payout_batch_id },
+        data: { reversed_amount: { increment: commission.amount } },
+      })
+    }
+
+    if (pendingBatch) {
+      const remaining = pendingBatch.commissions_count - 1
+
+      if (remaining > 0 && !pendingBatch.transfer_requested_at) {
+        await tx.payoutBatch.update({
+          where: { id: pendingBatch.id },
+          data: { amount: { decrement: commission.amount }, commissions_count: remaining },
+        })
+      } else {
+        // Lote vazio, ou já com pagamento criado na OpenPix com o valor antigo: cancela e as demais voltam
+        await tx.payoutBatch.update({
+          where: { id: pendingBatch.id },
+          data: { status: 'CANCELLED', cancelled_at: new Date() },
+        })
+        await tx.commission.updateMany({
+          where: { payout_batch_id: pendingBatch.id, status: 'RELEASED' },
+          data: { payout_batch_id: null },
+        })
+
+        if (pendingBatch.transfer_requested_at) {
+          cancelledTransferBatchId = pendingBatch.id
+        }
+      }
+    }
+
+    console.info('[Comissões] Comissão estornada', {
+      transactionId,
+      commissionId: commission.id,
+      reason,
+      wasPaid,
+      inTransfer,
+    })
+
+    return { commission: updated, wasPaid, inTransfer }
+  })
+
+  if (cancelledTransferBatchId) {
+    await removeCancelledBatchPayment(cancelledTransferBatchId)
+  }
+
+  return result
+}
+
+/**
+ * Gera um lote por indicador com as comissões liberadas que ainda não estão em lote
+ * Indicadores sem chave PIX ficam de fora até cadastrarem a chave.
+ *
+ * @param {string} actor - E-mail do admin
+ * @returns {Promise<{batches: Object[], skipped: Object[]}>} skipped = indicadores sem chave PIX
+ */
+export async function createPayoutBatches(actor) {
+  await releaseDueCommissions()
+
+  const groups = await prisma.commission.groupBy({
+    by: ['referrer_id'],
+    where: { status: 'RELEASED', payout_batch_id: null },
+    _sum: { amount: true },
+    _count: { _all: true },
+  })
+
+  if (groups.length === 0) {
+    return { batches: [], skipped: [] }
+  }
+
+  const referrers = await prisma.referrer.findMany({
+    where: { id: { in: groups.map(group => group.referrer_id) } },
+    select: { id: true, nome: true, pix_key: true, pix_key_type: true },
+  })
+  const referrersById = new Map(referrers.map(referrer => [referrer.id, referrer]))
+
+  const batches = []
+  const skipped = []
+
+  for (const group of groups) {
+    const referrer = referrersById.get(group.referrer_id)
+
+    if (!referrer?.pix_key) {
+      skipped.push({ referrer_id: group.referrer_id, nome: referrer?.nome || null, amount: group._sum.amount || 0 })
+      continue
+    }
+
+    const batch = await prisma.$transaction(async (tx) => {
+      const commissions = await tx.commission.findMany({
+        where: { referrer_id: referrer.id, status: 'RELEASED', payout_batch_id: null },
+        select: { id: true, amount: true },
+      })
+
+      if (commissions.length === 0) {
+        return null
+      }
+
+      const created = await tx.payoutBatch.create({
+        data: {
+          referrer_id: referrer.id,
+          pix_key: referrer.pix_key,
+          // Chaves antigas sem tipo: só quando não há dúvida; senão o admin confirma antes do envio
+          pix_key_type: referrer.pix_key_type || inferPixKeyType(referrer.pix_key),
+          amount: commissions.reduce((sum, commission) => sum + commission.amount, 0),
+          commissions_count: commissions.length,
+          created_by: actor,
+        },
+      })
+
+      // Condição repetida no update: uma geração concorrente não pega as mesmas comissões
+      const claimed = await tx.commission.updateMany({
+        where: { id: { in: commissions.map(commission => commission.id) }, status: 'RELEASED', payout_batch_id: null },
+        data: { payout_batch_id: created.id },
+      })
+
+      if (claimed.count !== commissions.length) {
+        throw new Error('Comissões alteradas durante a geração do lote, tente novamente')
+      }
+
+      return created
+    })
+
+    if (batch) {
+      batches.push(batch)
+    }
+  }
+
+  console.info('[Comissões] Lotes de pagamento gerados', {
+    actor,
+    batches: batches.length,
+    skipped: skipped.length,
+  })
+
+  return { batches, skipped }
+}
+
+/**
+ * Marca um lote como pago com o EndToEndId do PIX
+ * @param {string} batchId
+ * @param {string} e2eId - EndToEndId do PIX enviado
+ * @param {string} actor - E-mail do admin ('openpix' na transferência automática)
+ * @param {string} fromStatus - PENDING (PIX manual) ou PROCESSING (transferência pela OpenPix)
+ * @returns {Promise<Object|null>} PayoutBatch (null quando o lote não está em fromStatus)
+ */
+export async function markPayoutBatchPaid(batchId, e2eId, actor, fromStatus = 'PENDING') {
+  return prisma.$transaction(async (tx) => {
+    const paidAt = new Date()
+
+    const claimed = await tx.payoutBatch.updateMany({
+      where: { id: batchId, status: fromStatus },
+      data: { status: 'PAID', e2e_id: e2eId, paid_at: paidAt, paid_by: actor },
+    })
+
+    if (claimed.count === 0) {
+      return null
+    }
+
+    await tx.commission.updateMany({
+      where: { payout_batch_id: batchId, status: 'RELEASED' },
+      data: { status: 'PAID', paid_at: paidAt },
+    })
+
+    // Estornadas durante a transferência também foram pagas: ficam REVERSED com paid_at
+    // (o reversed_amount do lote passa a ser valor a recuperar com o indicador)
+    await tx.commission.updateMany({
+      where: { payout_batch_id: batchId, status: 'REVERSED', paid_at: null },
+      data: { paid_at: paidAt },
+    })
+
+    return tx.payoutBatch.findUnique({ where: { id: batchId } })
+  })
+}
+
+// Encerra um lote sem pagamento: as comissões voltam para o próximo lote e as estornadas
+// durante a transferência saem do lote (nada foi enviado, então não há valor a recuperar)
+async function closeUnpaidBatch(batchId, fromStatus, data) {
+  return prisma.$transaction(async (tx) => {
+    const claimed = await tx.payoutBatch.updateMany({
+      where: { id: batchId, status: fromStatus },
+      data,
+    })
+
+    if (claimed.count === 0) {
+      return null
+    }
+
+    await tx.commission.updateMany({
+      where: { payout_batch_id: batchId, status: 'RELEASED' },
+      data: { payout_batch_id: null },
+    })
+
+    const reversed = await tx.commission.updateMany({
+      where: { payout_batch_id: batchId, status: 'REVERSED', paid_at: null },
+      data: { payout_batch_id: null },
+    })
+
+    if (reversed.count > 0) {
+      await tx.payoutBatch.update({ where: { id: batchId }, data: { reversed_amount: 0 } })
+      console.info('[Comissões] Lote encerrado sem pagamento: estornos da transferência sem valor a recuperar', {
+        batchId,
+        commissions: reversed.count,
+      })
+    }
+
+    return tx.payoutBatch.findUnique({ where: { id: batchId } })
+  })
+}
+
+/**
+ * Cancela um lote pendente; as comissões voltam para o próximo lote
+ * Se o pagamento já tinha sido criado na OpenPix, ele é removido.
+ *
+ * @param {string} batchId
+ * @returns {Promise<Object|null>} PayoutBatch (null quando o lote não está pendente)
+ */
+export async function cancelPayoutBatch(batchId) {
+  const batch = await closeUnpaidBatch(batchId, 'PENDING', {
+    status: 'CANCELLED',
+    cancelled_at: new Date(),
+  })
+
+  if (batch?.transfer_requested_at) {
+    await removeCancelledBatchPayment(batch.id)
+    return prisma.payoutBatch.findUnique({ where: { id: batch.id } })
+  }
+
+  return batch
+}
+
+/**
+ * Marca como falha um lote cuja transferência não foi concluída
+ * @param {string} batchId
+ * @param {string} error - Motivo informado pela OpenPix
+ * @returns {Promise<Object|null>} PayoutBatch (null quando o lote não está em processamento)
+ */
+export const failPayoutBatch = (batchId, error) => closeUnpaidBatch(batchId, 'PROCESSING', {
+  status: 'FAILED',
+  transfer_error: error,
+})
+
+/**
+ * Saldos do ledger por indicador (em centavos)
+ * @param {string[]} [referrerIds] - Filtrar indicadores (vazio = todos)
+ * @returns {Promise<Map<string, {accrued: number, released: number, in_batch: number, paid: number, reversed: number}>>}
+ */
+export async function getCommissionBalances(referrerIds) {
+  const groups = await prisma.commission.groupBy({
+    by: ['referrer_id', 'status', 'payout_batch_id'],
+    where: referrerIds ? { referrer_id: { in: referrerIds } } : {},
+    _sum: { amount: true },
+  })
+
+  const balances = new Map()
+
+  for (const group of groups) {
+    const balance = balances.get(group.referrer_id) || { accrued: 0, released: 0, in_batch: 0, paid: 0, reversed: 0 }
+    const amount = group._sum.amount || 0
+
+    if (group.status === 'ACCRUED') balance.accrued += amount
+    if (group.status === 'RELEASED' && !group.payout_batch_id) balance.released += amount
+    if (group.status === 'RELEASED' && group.payout_batch_id) balance.in_batch += amount
+    if (group.status === 'PAID') balance.paid += amount
+    if (group.status === 'REVERSED') balance.reversed += amount
+
+    balances.set(group.referrer_id, balance)
+  }
+
+  return balances
+}
+
+export default {
+  CARD_RELEASE_DAYS,
+  PIX_RELEASE_DAYS,
+  getReleaseDays,
+  isValidE2eId,
+  accrueCommission,
+  releaseDueCommissions,
+  removeCancelledBatchPayment,
+  reverseCommission,
+  createPayoutBatches,
+  markPayoutBatchPaid,
+  cancelPayoutBatch,
+  failPayoutBatch,
+  getCommissionBalances,
+}
@@ -0,0 +1,189 @@
+/**
+ * Contact consent (WhatsApp opt-out)
+ * One record per phone number. A client opts out by replying with a keyword
+ * ("parar", "sair", "stop"); admins can opt a number out or back in.
+ * Automated messages to opted-out numbers are cancelled (cancel_reason "opted_out").
+ */
+
+import prisma from '../lib/prisma'
+import { recordLeadEvent } from './leadEvents'
+import { normalizePhone, phoneCandidates } from './whatsappProviders'
+
+// cancel_reason of messages skipped because of an opt-out
+export const OPT_OUT_REASON = 'opted_out'
+
+// The whole reply must be one of these (accents and punctuation ignored)
+export const OPT_OUT_KEYWORDS = ['parar', 'pare', 'sair', 'stop']
+
+/**
+ * Opt-out keyword in a client reply
+ * Only a reply made of the keyword alone counts, so "não vou parar agora" does not opt out.
+ *
+ * @param {string} text - Message body
+ * @returns {string|null} Matched keyword
+ */
+export const detectOptOutKeyword = (text) => {
+    const normalized = String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z\s]/g, ' ')
+        .trim()
+        .replace(/\s+/g, ' ')
+
+    return OPT_OUT_KEYWORDS.includes(normalized) ? normalized : null
+}
+
+/**
+ * Current consent of a number
+ * The number may be stored with or without the 9th digit, so the most recent
+ * record among the variants wins.
+ *
+ * @param {string} phone - Phone number in any format
+ * @returns {Promise<object|null>} ContactConsent (null = never changed, may receive)
+ */
+export const getContactConsent = async (phone) => {
+    const candidates = [...new Set(phoneCandidates(phone).map(normalizePhone))]
+
+    return prisma.contactConsent.findFirst({
+        where: { phone: { in: candidates } },
+        orderBy: { updated_at: 'desc' },
+    })
+}
+
+/**
+ * Consent as returned by the admin API
+ * No record means the number never opted out (OPTED_IN).
+ *
+ * @param {object|null} consent - ContactConsent
+ * @returns {object}
+ */
+export const serializeConsent = (consent) => ({
+    phone: consent?.phone || null,
+    status: consent?.status || 'OPTED_IN',
+    source: consent?.source || null,
+    keyword: consent?.keyword || null,
+    note: consent?.note || null,
+    updated_by: consent?.updated_by || null,
+    updated_at: consent?.updated_at || null,
+})
+
+/**
+ * Whether automated messages to this number must be skipped
+ * @param {string} phone - Phone number in any format
+ * @returns {Promise<boolean>}
+ */
+export const isOptedOut = async (phone) => {
+    const consent = await getContactConsent(phone)
+    return consent?.status === 'OPTED_OUT'
+}
+
+/**
+ * Opt-out check for many numbers at once (campaigns)
+ * Loads every consent record once instead of one query per number;
+ * same rule as getContactConsent (latest record among the variants wins).
+ *
+ * @returns {Promise<(phone: string) => boolean>} Whether the number is opted out
+ */
+export const loadOptOutLookup = async () => {
+    const consents = await prisma.contactConsent.findMany({
+        select: { phone: true, status: true, updated_at: true },
+    })
+    const byPhone = new Map(consents.map(consent => [consent.phone, consent]))
+
+    return (phone) => {
+        const latest = [...new Set(phoneCandidates(phone).map(normalizePhone))]
+            .map(candidate => byPhone.get(candidate))
+            .filter(Boolean)
+            .sort((a, b) => b.updated_at - a.updated_at)[0]
+
+        return latest?.status === 'OPTED_OUT'
+    }
+}
+
+/**
+ * Cancel queued messages to a number (including messages waiting for a retry)
+ * @param {string} phone - Phone number in any format
+ * @param {string} reason - cancel_reason
+ * @returns {Promise<number>} Messages cancelled
+ */
+export const cancelPendingMessagesForPhone = async (phone, reason = OPT_OUT_REASON) => {
+    const result = await prisma.whatsAppMessage.updateMany({
+        where: {
+            phone: { in: phoneCandidates(phone) },
+            status: 'PENDING',
+        },
+        data: {
+            status: 'CANCELLED',
+            cancel_reason: reason,
+            next_retry_at: null,
+        },
+    })
+
+    if (result.count > 0) {
+        console.info(`[Consent] Cancelled ${result.count} pending message(s) to ${normalizePhone(phone)}: ${reason}`)
+    }
+
+    return result.count
+}
+
+/**
+ * Opt a number out or back in
+ * Opting out also cancels its pending messages.
+ *
+ * @param {string} phone - Phone number in any format
+ * @param {'OPTED_IN'|'OPTED_OUT'} status
+ * @param {object} options
+ * @param {'keyword'|'admin'} options.source - Who changed it
+ * @param {string} options.keyword - Opt-out keyword (source "keyword")
+ * @param {string} options.note - Admin note
+ * @param {string} options.actor - Admin e-mail or provider name
+ * @param {string} options.leadId - Lead that owns the number (timeline event)
+ * @returns {Promise<{consent: object, cancelled: number}>}
+ */
+export const setContactConsent = async (phone, status, { source, keyword = null, note = null, actor = null, leadId = null }) => {
+    const normalized = normalizePhone(phone)
+    const data = {
+        status,
+        source,
+        keyword: status === 'OPTED_OUT' ? keyword : null,
+        note,
+        updated_by: source === 'admin' ? actor : null,
+    }
+
+    const consent = await prisma.contactConsent.upsert({
+        where: { phone: normalized },
+        create: { phone: normalized, ...data },
+        update: data,
+    })
+
+    const cancelled = status === 'OPTED_OUT' ? await cancelPendingMessagesForPhone(normalized) : 0
+
+    console.info(`[Consent] ${normalized} set to ${status} (${source})`, { cancelled })
+
+    if (leadId) {
+        const description = source === 'keyword'
+            ? `Pediu para não receber mensagens ("${keyword}")`
+            : `Consentimento alterado pelo admin: ${status === 'OPTED_OUT' ? 'não recebe mensagens' : 'recebe mensagens'}`
+
+        await recordLeadEvent(leadId, 'CONSENT_CHANGED', {
+            description,
+            metadata: { phone: normalized, status, source, keyword: data.keyword, note, cancelled_messages: cancelled },
+            actor: actor || source,
+        })
+    }
+
+    return { consent, cancelled }
+}
+
+export default {
+    OPT_OUT_REASON,
+    OPT_OUT_KEYWORDS,
+    detectOptOutKeyword,
+    getContactConsent,
+    serializeConsent,
+    isOptedOut,
+    loadOptOutLookup,
+    cancelPendingMessagesForPhone,
+    setContactConsent,
+}
@@ -0,0 +1,186 @@
+/**
+ * WhatsApp conversations (admin inbox)
+ * Every inbound reply and every message we send is stored per phone number,
+ * linked to the lead that owns the number when there is one.
+ */
+
+import prisma from '../lib/prisma'
+import { recordLeadEvent } from './leadEvents'
+import { normalizePhone, phoneCandidates } from './whatsappProviders'
+import { sendWhatsAppMessage } from './whatsapp'
+import { detectOptOutKeyword, setContactConsent } from './consent'
+
+/**
+ * Most recent lead registered with this number
+ *
+ * @param {string} phone - Phone number in any format
+ * @returns {Promise<object|null>} Lead
+ */
+export const findLeadByPhone = async (phone) => {
+    return prisma.lead.findFirst({
+        where: { whatsapp: { in: phoneCandidates(phone) } },
+        orderBy: { created_at: 'desc' },
+    })
+}
+
+/**
+ * Store a message in a conversation
+ * Never throws: the inbox is a log and must not break sending or the webhook.
+ *
+ * @param {object} data
+ * @param {string} data.phone - Number (any format, stored normalized)
+ * @param {'INBOUND'|'OUTBOUND'} data.direction
+ * @param {string} data.body - Text
+ * @param {string} data.leadId - Lead (optional)
+ * @param {string} data.provider - Provider name (optional)
+ * @param {string} data.providerMessageId - Provider message ID (optional, deduplicates)
+ * @param {string} data.whatsappMessageId - Queue message that produced it (optional)
+ * @param {string} data.sentBy - 'cron' or admin e-mail (outbound)
+ * @param {string} data.senderName - WhatsApp profile name (inbound)
+ * @param {Date} data.createdAt - When it was sent/received (default now)
+ * @returns {Promise<{message: object|null, duplicate: boolean}>}
+ */
+export const recordConversationMessage = async ({
+    phone,
+    direction,
+    body,
+    leadId = null,
+    provider = null,
+    providerMessageId = null,
+    whatsappMessageId = null,
+    sentBy = null,
+    senderName = null,
+    createdAt = new Date(),
+}) => {
+    try {
+        const message = await prisma.conversationMessage.create({
+            data: {
+                lead_id: leadId,
+                phone: normalizePhone(phone),
+                direction,
+                body,
+                provider,
+                provider_message_id: providerMessageId,
+                whatsapp_message_id: whatsappMessageId,
+                sent_by: sentBy,
+                sender_name: senderName,
+                created_at: createdAt,
+            },
+        })
+        return { message, duplicate: false }
+    } catch (error) {
+        // P2002 = webhook delivered the same message again
+        if (error.code === 'P2002') {
+            return { message: null, duplicate: true }
+        }
+        console.error('[Conversations] Error storing message:', error.message)
+        return { message: null, duplicate: false }
+    }
+}
+
+/**
+ * Handle a message received from a client
+ * Stores it in the conversation, logs it on the lead timeline and moves a
+ * NA_BASE lead to EM_CONTATO (the client is talking to us now). A reply with an
+ * opt-out keyword ("parar", "sair", "stop") opts the number out instead.
+ *
+ * @param {object} inbound - Result of parseInboundEvent (one message)
+ * @param {string} provider - Provider that delivered the webhook
+ * @returns {Promise<{stored: boolean, lead: object|null, optedOut: boolean}>}
+ */
+export const handleInboundMessage = async (inbound, provider) => {
+    const lead = await findLeadByPhone(inbound.phone)
+
+    // Lead threads use the lead's own number so replies and automated messages stay together
+    const threadPhone = lead ? lead.whatsapp : inbound.phone
+
+    const { message, duplicate } = await recordConversationMessage({
+        phone: threadPhone,
+        direction: 'INBOUND',
+        body: inbound.body,
+        leadId: lead?.id || null,
+        provider,
+        providerMessageId: inbound.providerMessageId,
+        senderName: inbound.senderName,
+        createdAt: inbound.receivedAt,
+    })
+
+    if (duplicate || !message) {
+        return { stored: false, lead, optedOut: false }
+    }
+
+    const keyword = detectOptOutKeyword(inbound.body)
+
+    if (!lead) {
+        console.info('[Conversations] Message from unknown number stored:', normalizePhone(inbound.phone))
+        if (keyword) {
+            await setContactConsent(threadPhone, 'OPTED_OUT', { source: 'keyword', keyword, actor: provider })
+        }
+        return { stored: true, lead: null, optedOut: Boolean(keyword) }
+    }
+
+    await recordLeadEvent(lead.id, 'WHATSAPP_RECEIVED', {
+        description: 'Lead respondeu pelo WhatsApp',
+        metadata: { conversation_message_id: message.id, preview: inbound.body.slice(0, 140) },
+        actor: provider || 'whatsapp',
+    })
+
+    if (keyword) {
+        // Asking us to stop is not engagement: no stage change
+        await setContactConsent(threadPhone, 'OPTED_OUT', { source: 'keyword', keyword, actor: provider, leadId: lead.id })
+        return { stored: true, lead, optedOut: true }
+    }
+
+    // Only NA_BASE moves; the condition in the update avoids racing a payment webhook
+    const moved = await prisma.lead.updateMany({
+        where: { id: lead.id, stage: 'NA_BASE' },
+        data: { stage: 'EM_CONTATO' },
+    })
+
+    if (moved.count > 0) {
+        await recordLeadEvent(lead.id, 'STAGE_CHANGED', {
+            description: 'Estágio alterado: NA_BASE → EM_CONTATO (respondeu no WhatsApp)',
+            metadata: { from: 'NA_BASE', to: 'EM_CONTATO' },
+            actor: provider || 'whatsapp',
+        })
+    }
+
+    return { stored: true, lead, optedOut: false }
+}
+
+/**
+ * Send a reply typed in the admin inbox
+ *
+ * @param {object} params
+ * @param {string} params.phone - Conversation number
+ * @param {string} params.text - Reply
+ * @param {string} params.sentBy - Admin e-mail
+ * @returns {Promise<{success: boolean, error?: string, message?: object}>}
+ */
+export const sendConversationReply = async ({ phone, text, sentBy }) => {
+    const lead = await findLeadByPhone(phone)
+    const result = await sendWhatsAppMessage(phone, text)
+
+    if (!result.success) {
+        return { success: false, error: result.error }
+    }
+
+    const { message } = await recordConversationMessage({
+        phone,
+        direction: 'OUTBOUND',
+        body: text,
+        leadId: lead?.id || null,
+        provider: result.provider,
+        providerMessageId: result.messageId,
+        sentBy,
+    })
+
+    return { success: true, message }
+}
+
+export default {
+    findLeadByPhone,
+    recordConversationMessage,
+    handleInboundMessage,
+    sendConversationReply,
+}
@@ -0,0 +1,213 @@
+/**
+ * Cupons de desconto do checkout
+ * Percentual ou valor fixo sobre o preço do produto, com validade, limite total de usos,
+ * limite por cliente e restrição opcional a um código de indicação.
+ *
+ * O desconto é sempre recalculado no servidor (a página só mostra uma prévia) e gravado na
+ * Transaction junto com o código: a comissão do indicador é calculada sobre o valor pago.
+ *
+ * Contam como uso as compras aprovadas (ou contestadas) e os checkouts em andamento com a
+ * reserva do horário ainda válida. Compras reembolsadas e checkouts abandonados liberam o uso.
+ * O resgate (createCheckoutTransaction) confere os limites e grava a transação com um lock
+ * por cupom no Postgres: checkouts simultâneos com o mesmo cupom entram um por vez, então
+ * nunca passam do limite total nem do limite por cliente.
+ */
+
+import { z } from 'zod'
+import prisma from '../lib/prisma'
+import { zonedDateTimeToUtc } from './scheduling'
+
+export const DISCOUNT_TYPES = ['PERCENT', 'FIXED']
+
+// Valor mínimo cobrado depois do desconto (o mesmo preço mínimo de um produto)
+export const MIN_CHARGE_AMOUNT = 100
+
+const REDEEMED_STATUSES = ['succeeded', 'disputed']
+const PENDING_STATUSES = ['requires_payment_method', 'requires_confirmation', 'processing', 'requires_action']
+
+export const COUPON_INVALID_MESSAGES = {
+  not_found: 'Cupom inválido',
+  expired: 'Este cupom expirou',
+  exhausted: 'Este cupom já atingiu o limite de usos',
+  lead_limit: 'Você já usou este cupom',
+  referral: 'Este cupom não é válido para este link de indicação',
+}
+
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase()
+
+// Campo opcional do formulário: vazio vira null
+const optional = (schema) => z.preprocess(val => (val === '' || val === undefined ? null : val), schema.nullable())
+
+export const couponSchema = z.object({
+  code: z.string().trim().toUpperCase()
+    .regex(/^[A-Z0-9_-]{3,30}$/, 'Código deve ter de 3 a 30 letras, números, hífens ou _'),
+  descricao: z.string().trim().max(200, 'Descrição muito longa').nullish().transform(val => val || null),
+  discount_type: z.enum(DISCOUNT_TYPES, { message: 'Tipo de desconto inválido' }),
+  discount_value: z.coerce.number().int('Desconto inválido').min(1, 'Desconto inválido'),
+  // Último dia de validade (YYYY-MM-DD), vale até 23:59 no horário da agenda
+  expires_at: optional(z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Validade inválida'))
+    .transform(val => (val ? zonedDateTimeToUtc(val, '23:59') : null)),
+  max_uses: optional(z.coerce.number().int().min(1, 'Limite de usos inválido')),
+  max_uses_per_lead: z.coerce.number().int().min(1, 'Limite por cliente inválido').max(100, 'Limite por cliente inválido').optional(),
+  referral_code: optional(z.string().trim().toLowerCase().max(36, 'Código de indicação inválido')),
+  ativo: z.boolean().optional(),
+})
+  .refine(
+    (data) => data.discount_type !== 'PERCENT' || data.discount_value <= 100,
+    { message: 'Percentual máximo de 100%', path: ['discount_value'] }
+  )
+
+/**
+ * Desconto em centavos sobre o preço de um produto
+ * Nunca deixa o valor cobrado abaixo de MIN_CHARGE_AMOUNT.
+ *
+ * @param {{discount_type: string, discount_value: number}} coupon
+ * @param {number} price - Preço do produto em centavos
+ * @returns {number}
+ */
+export const calculateDiscount = (coupon, price) => {
+  const discount = coupon.discount_type === 'PERCENT'
+    ? Math.round((price * coupon.discount_value) / 100)
+    : coupon.discount_value
+
+  return Math.max(0, Math.min(discount, price - MIN_CHARGE_AMOUNT))
+}
+
+/**
+ * Usos de um cupom
+ * @param {string} couponId
+ * @param {Object} options
+ * @param {string} options.excludeLeadId - Ignora checkouts pendentes deste lead (serão cancelados no novo checkout)
+ * @returns {Promise<number>}
+ */
+export async function countCouponRedemptions(couponId, { excludeLeadId = null } = {}, client = prisma) {
+  return client.transaction.count({
+    where: {
+      coupon_id: couponId,
+      OR: [
+        { status: { in: REDEEMED_STATUSES } },
+        {
+          status: { in: PENDING_STATUSES },
+          slot_hold: { is: { expires_at: { gt: new Date() } } },
+          ...(excludeLeadId ? { lead_id: { not: excludeLeadId } } : {}),
+        },
+      ],
+    },
+  })
+}
+
+// Usos do cupom pelo mesmo cliente (mesmo lead, WhatsApp ou e-mail); os checkouts pendentes
+// do próprio lead não contam, pois são cancelados no novo checkout
+async function countLeadRedemptions(couponId, lead, client = prisma) {
+  const sameClient = [
+    { id: lead.id },
+    ...(lead.whatsapp ? [{ whatsapp: lead.whatsapp }] : []),
+    ...(lead.email ? [{ email: lead.email }] : []),
+  ]
+
+  return client.transaction.count({
+    where: {
+      coupon_id: couponId,
+      lead: { OR: sameClient },
+      OR: [
+        { status: { in: REDEEMED_STATUSES } },
+        {
+          status: { in: PENDING_STATUSES },
+          slot_hold: { is: { expires_at: { gt: new Date() } } },
+          lead_id: { not: lead.id },
+        },
+      ],
+    },
+  })
+}
+
+/**
+ * Valida um cupom para o checkout de um lead
+ * @param {string} code - Código digitado
+ * @param {Object} context
+ * @param {Object} context.lead
+ * @param {string|null} context.referralCode - Código de indicação do checkout
+ * @param {Object} [client] - Prisma client (ou a transação do resgate)
+ * @returns {Promise<{valid: boolean, coupon?: Object, reason?: string}>} reason é uma chave de COUPON_INVALID_MESSAGES
+ */
+export async function checkCoupon(code, { lead, referralCode = null }, client = prisma) {
+  const normalized = normalizeCouponCode(code)
+  const coupon = normalized
+    ? await client.coupon.findUnique({ where: { code: normalized } })
+    : null
+
+  if (!coupon || !coupon.ativo) {
+    return { valid: false, reason: 'not_found' }
+  }
+
+  if (coupon.expires_at && coupon.expires_at <= new Date()) {
+    return { valid: false, reason: 'expired' }
+  }
+
+  if (coupon.referral_code && coupon.referral_code !== String(referralCode || '').toLowerCase()) {
+    return { valid: false, reason: 'referral' }
+  }
+
+  if (coupon.max_uses !== null) {
+    const used = await countCouponRedemptions(coupon.id, { excludeLeadId: lead.id }, client)
+    if (used >= coupon.max_uses) {
+      return { valid: false, reason: 'exhausted' }
+    }
+  }
+
+  const usedByLead = await countLeadRedemptions(coupon.id, lead, client)
+  if (usedByLead >= coupon.max_uses_per_lead) {
+    return { valid: false, reason: 'lead_limit' }
+  }
+
+  return { valid: true, coupon }
+}
+
+/**
+ * Grava a transação do checkout e a vincula à reserva do horário
+ * Com cupom, os limites são conferidos de novo dentro de um lock do cupom e a transação
+ * (que passa a contar como uso) é gravada na mesma transação do banco.
+ *
+ * @param {Object} data - Dados da Transaction (com coupon_id quando há cupom)
+ * @param {Object} context
+ * @param {Object|null} context.coupon - Cupom validado no início do checkout
+ * @param {Object} context.lead
+ * @param {string|null} context.referralCode
+ * @param {string} context.holdId - SlotHold do checkout
+ * @returns {Promise<{transaction: Object|null, reason?: string}>} transaction null quando o cupom deixou de valer
+ */
+export async function createCheckoutTransaction(data, { coupon = null, lead, referralCode = null, holdId }) {
+  return prisma.$transaction(async (tx) => {
+    if (coupon) {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`coupon:${coupon.id}`}))`
+
+      const check = await checkCoupon(coupon.code, { lead, referralCode }, tx)
+
+      if (!check.valid) {
+        return { transaction: null, reason: check.reason }
+      }
+    }
+
+    const transaction = await tx.transaction.create({ data })
+
+    // A reserva vinculada é o que faz um checkout pendente contar como uso do cupom
+    await tx.slotHold.update({
+      where: { id: holdId },
+      data: { transaction_id: transaction.id },
+    })
+
+    return { transaction }
+  })
+}
+
+export default {
+  DISCOUNT_TYPES,
+  MIN_CHARGE_AMOUNT,
+  COUPON_INVALID_MESSAGES,
+  normalizeCouponCode,
+  couponSchema,
+  calculateDiscount,
+  countCouponRedemptions,
+  checkCoupon,
+  createCheckoutTransaction,
+}
@@ -270,10 +270,15 @@ function formatPaymentMethod(method) {
   return method === 'pix' ? 'PIX' : 'Cartao'
 }
 
-function buildPaymentMessage({ type, lead, transaction, affiliate, provider }) {
-  const details = type === 'payment_created'
-    ? { content: '**Pagamento gerado**', title: 'Pagamento gerado', color: 0xf1c40f }
-    : { content: '**Pagamento aprovado**', title: 'Pagamento aprovado', color: 0x2ecc71 }
+const PAYMENT_MESSAGE_DETAILS = {
+  payment_created: { content: '**Pagamento gerado**', title: 'Pagamento gerado', color: 0xf1c40f },
+  payment_succeeded: { content: '**Pagamento aprovado**', title: 'Pagamento aprovado', color: 0x2ecc71 },
+  payment_refunded: { content: '**Pagamento reembolsado** (reuniao cancelada e comissao estornada)', title: 'Pagamento reembolsado', color: 0xe74c3c },
+  payment_disputed: { content: '**Contestacao aberta (chargeback)** (reuniao cancelada e comissao estornada)', title: 'Pagamento contestado', color: 0xe67e22 },
+}
+
+function buildPaymentMessage({ type, lead, transaction, affiliate, provider, technician = null, reason = null }) {
+  const details = PAYMENT_MESSAGE_DETAILS[type] || PAYMENT_MESSAGE_DETAILS.payment_succeeded
 
   const leadData = lead || transaction?.lead || {}
   const affiliateData = affiliate || transaction?.affiliate || null
@@ -288,6 +293,14 @@ function buildPaymentMessage({ type, lead, transaction, affiliate, provider }) {
     { name: 'Agendamento', value: formatSchedule(transaction?.scheduled_date, transaction?.scheduled_time), inline: false },
   ]
 
+  if (transaction?.product?.nome) {
+    fields.push({ name: 'Produto', value: transaction.product.nome, inline: false })
+  }
+
+  if (transaction?.coupon_code) {
+    fields.push({ name: 'Cupom', value: `${transaction.coupon_code} (-${formatCurrency(transaction.discount_amount)})`, inline: true })
+  }
+
   if (transaction?.id) {
     fields.push({ name: 'Transacao', value: transaction.id, inline: false })
   }
@@ -300,6 +313,21 @@ function buildPaymentMessage({ type, lead, transaction, affiliate, provider }) {
     fields.push({ name: 'Indicado por', value: affiliateData.nome, inline: false })
   }
 
+  if (reason) {
+    fields.push({ name: 'Motivo', value: String(reason).slice(0, 1000), inline: false })
+  }
+
+  // Menciona o técnico responsável para ele ser notificado no Discord
+  const technicianMention = technician?.discord_id ? `<@${technician.discord_id}>` : null
+
+  if (technician) {
+    fields.push({
+      name: 'Tecnico',
+      value: technicianMention ? `${technician.nome} (${technicianMention})` : technician.nome,
+      inline: false,
+    })
+  }
+
   const embed = {
     title: details.title,
     color: details.color,
@@ -307,10 +335,12 @@ function buildPaymentMessage({ type, lead, transaction, affiliate, provider }) {
     timestamp: new Date().toISOString(),
   }
 
-  return { content: details.content, embed }
+  const content = technicianMention ? `${details.content} ${technicianMention}` : details.content
+
+  return { content, embed }
 }
 
-async function sendWebhookPaymentNotification({ type, lead, transaction, affiliate, provider }) {
+async function sendWebhookPaymentNotification({ type, lead, transaction, affiliate, provider, technician = null, reason = null }) {
   const webhookUrl = process.env.DISCORD_WEBHOOK_URL
 
   if (!webhookUrl) {
@@ -319,7 +349,7 @@ async function sendWebhookPaymentNotification({ type, lead, transaction, affilia
   }
 
   try {
-    const { content, embed } = buildPaymentMessage({ type, lead, transaction, affiliate, provider })
+    const { content, embed } = buildPaymentMessage({ type, lead, transaction, affiliate, provider, technician, reason })
 
     const payload = {
       content: content,
@@ -355,7 +385,7 @@ async function sendWebhookPaymentNotification({ type, lead, transaction, affilia
   }
 }
 
-async function sendPaymentDirectMessage({ type, lead, transaction, affiliate, provider }) {
+async function sendPaymentDirectMessage({ type, lead, transaction, affiliate, provider, technician = null, reason = null }) {
   let botToken = process.env.DISCORD_BOT_TOKEN
   let userId = process.env.DISCORD_USER_ID
 
@@ -411,7 +441,7 @@ async function sendPaymentDirectMessage({ type, lead, transaction, affiliate, pr
     const dmChannel = await dmChannelResponse.json()
     const channelId = dmChannel.id
 
-    const { content, embed } = buildPaymentMessage({ type, lead, transaction, affiliate, provider })
+    const { content, embed } = buildPaymentMessage({ type, lead, transaction, affiliate, provider, technician, reason })
     const messagePayload = {
       content: content,
       embeds: [embed],
@@ -616,14 +646,16 @@ export async function sendDiscordNotification({ nome, whatsapp, referrerNome = n
 /**
  * Send payment notification to Discord (webhook and DM)
  * @param {Object} options - Notification options
- * @param {string} options.type - Type: 'payment_created' | 'payment_succeeded'
+ * @param {string} options.type - Type: 'payment_created' | 'payment_succeeded' | 'payment_refunded' | 'payment_disputed'
  * @param {Object} options.lead - Lead data
  * @param {Object} options.transaction - Transaction data
  * @param {Object} options.affiliate - Affiliate data (optional)
  * @param {string} options.provider - Provider label (Stripe/OpenPix)
+ * @param {Object} options.technician - Assigned technician (optional, mentioned when it has discord_id)
+ * @param {string} options.reason - Refund/dispute reason (optional)
  * @returns {Promise<boolean>} Success status
  */
-export async function sendPaymentNotification({ type, lead, transaction, affiliate, provider }) {
+export async function sendPaymentNotification({ type, lead, transaction, affiliate, provider, technician = null, reason = null }) {
   console.info('[Discord] Iniciando notificacao de pagamento...', {
     type,
     provider,
@@ -633,8 +665,8 @@ export async function sendPaymentNotification({ type, lead, transaction, affilia
   })
 
   const [webhookSuccess, dmSuccess] = await Promise.allSettled([
-    sendWebhookPaymentNotification({ type, lead, transaction, affiliate, provider }),
-    sendPaymentDirectMessage({ type, lead, transaction, affiliate, provider }),
+    sendWebhookPaymentNotification({ type, lead, transaction, affiliate, provider, technician, reason }),
+    sendPaymentDirectMessage({ type, lead, transaction, affiliate, provider, technician, reason }),
   ])
 
   if (webhookSuccess.status === 'rejected') {
@@ -657,3 +689,170 @@ export async function sendPaymentNotification({ type, lead, transaction, affilia
   return webhookOk || dmOk
 }
 
+
+function buildMeetingChangeMessage({ type, lead, meeting, from = null, technician = null }) {
+  const details = type === 'cancelled'
+    ? { content: '**Reuniao cancelada pelo cliente**', title: 'Reuniao cancelada', color: 0xe74c3c }
+    : { content: '**Reuniao remarcada pelo cliente**', title: 'Reuniao remarcada', color: 0x3498db }
+
+  const fields = [
+    { name: 'Nome', value: lead?.nome || 'N/A', inline: true },
+    { name: 'WhatsApp', value: lead?.whatsapp ? formatWhatsApp(lead.whatsapp) : 'N/A', inline: true },
+  ]
+
+  if (from) {
+    fields.push({ name: 'De', value: `${from.date.split('-').reverse().join('/')} ${from.time}`, inline: true })
+    fields.push({ name: 'Para', value: formatSchedule(meeting?.meeting_date, meeting?.meeting_time), inline: true })
+  } else {
+    fields.push({ name: 'Agendamento', value: formatSchedule(meeting?.meeting_date, meeting?.meeting_time), inline: false })
+  }
+
+  if (meeting?.transaction_id) {
+    fields.push({ name: 'Transacao', value: meeting.transaction_id, inline: false })
+  }
+
+  const technicianMention = technician?.discord_id ? `<@${technician.discord_id}>` : null
+
+  if (technician) {
+    fields.push({
+      name: 'Tecnico',
+      value: technicianMention ? `${technician.nome} (${technicianMention})` : technician.nome,
+      inline: false,
+    })
+  }
+
+  const embed = {
+    title: details.title,
+    color: details.color,
+    fields,
+    timestamp: new Date().toISOString(),
+  }
+
+  const content = technicianMention ? `${details.content} ${technicianMention}` : details.content
+
+  return { content, embed }
+}
+
+/**
+ * Send meeting change notification to the Discord channel (webhook)
+ * @param {Object} options - Notification options
+ * @param {string} options.type - Type: 'rescheduled' | 'cancelled'
+ * @param {Object} options.lead - Lead data
+ * @param {Object} options.meeting - Meeting after the change
+ * @param {Object} options.from - Previous { date, time } (rescheduled only)
+ * @param {Object} options.technician - Assigned technician (optional, mentioned when it has discord_id)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function sendMeetingChangeNotification({ type, lead, meeting, from = null, technician = null }) {
+  const webhookUrl = process.env.DISCORD_WEBHOOK_URL
+
+  if (!webhookUrl) {
+    console.warn('[Discord] DISCORD_WEBHOOK_URL nao configurada para reuniao')
+    return false
+  }
+
+  try {
+    const { content, embed } = buildMeetingChangeMessage({ type, lead, meeting, from, technician })
+
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        content,
+        username: 'Agenda Bot',
+        embeds: [embed],
+      }),
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      console.error('[Discord] Erro ao enviar webhook de reuniao:', {
+        status: response.status,
+        statusText: response.statusText,
+        error: errorText,
+      })
+      return false
+    }
+
+    return true
+  } catch (error) {
+    console.error('[Discord] Erro ao enviar webhook de reuniao:', {
+      message: error.message,
+      stack: error.stack,
+    })
+    return false
+  }
+}
+
+/**
+ * Build dead-letter alert for a WhatsApp message that exhausted its attempts
+ */
+function buildMessageDeadLetterMessage({ lead, message, error }) {
+  const fields = [
+    { name: 'Nome', value: lead?.nome || 'N/A', inline: true },
+    { name: 'WhatsApp', value: lead?.whatsapp ? formatWhatsApp(lead.whatsapp) : 'N/A', inline: true },
+    { name: 'Tipo', value: message.message_type, inline: true },
+    { name: 'Tentativas', value: String(message.attempts), inline: true },
+    { name: 'Erro', value: (error || 'N/A').slice(0, 1000), inline: false },
+    { name: 'Mensagem', value: message.id, inline: false },
+  ]
+
+  return {
+    content: '**Mensagem de WhatsApp nao entregue** (reenvie pela fila do admin)',
+    embed: {
+      title: 'WhatsApp: dead-letter',
+      color: 0xe67e22,
+      fields,
+      timestamp: new Date().toISOString(),
+    },
+  }
+}
+
+/**
+ * Send dead-letter alert to the Discord channel (webhook)
+ * @param {Object} options - Notification options
+ * @param {Object} options.lead - Lead data
+ * @param {Object} options.message - WhatsAppMessage after the last attempt
+ * @param {string} options.error - Last error
+ * @returns {Promise<boolean>} Success status
+ */
+export async function sendMessageDeadLetterNotification({ lead, message, error }) {
+  const webhookUrl = process.env.DISCORD_WEBHOOK_URL
+
+  if (!webhookUrl) {
+    console.warn('[Discord] DISCORD_WEBHOOK_URL nao configurada para alerta de WhatsApp')
+    return false
+  }
+
+  try {
+    const { content, embed } = buildMessageDeadLetterMessage({ lead, message, error })
+
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        content,
+        username: 'WhatsApp Bot',
+        embeds: [embed],
+      }),
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      console.error('[Discord] Erro ao enviar alerta de WhatsApp:', {
+        status: response.status,
+        error: errorText,
+      })
+      return false
+    }
+
+    return true
+  } catch (error) {
+    console.error('[Discord] Erro ao enviar alerta de WhatsApp:', error.message)
+    return false
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Drip sequences
+ * A sequence is a list of follow-up steps (delay after the trigger + optional text),
+ * stored per key in DripSequence so admins can tune it. Without a saved row the
+ * default steps below are used.
+ *
+ * ABANDONED_CHECKOUT: queued when a checkout fails or expires, one PAYMENT_ABANDONED
+ * message per step (WhatsAppMessage.drip_step). Cancelled by a succeeded payment or
+ * a new checkout.
+ */
+
+import { z } from 'zod'
+import prisma from '../lib/prisma'
+
+const DAY_MINUTES = 24 * 60
+
+export const MAX_DRIP_STEPS = 10
+
+// Same lead-only placeholders as campaigns: steps go out long after the checkout
+export const DRIP_PLACEHOLDERS = ['firstName', 'greeting']
+
+export const DRIP_SEQUENCES = {
+    ABANDONED_CHECKOUT: {
+        label: 'Pagamento não finalizado',
+        message_type: 'PAYMENT_ABANDONED',
+    },
+}
+
+export const DRIP_SEQUENCE_KEYS = Object.keys(DRIP_SEQUENCES)
+
+/**
+ * Default steps (body null = active template of the message type)
+ */
+export const DEFAULT_DRIP_STEPS = {
+    ABANDONED_CHECKOUT: [
+        { delay_minutes: 0, body: null },
+        {
+            delay_minutes: DAY_MINUTES,
+            body: 'Ola {firstName}, {greeting}, tudo bom? Passando pra lembrar que a otimizacao do seu PC ficou pendente. Se quiser, e so gerar o pagamento de novo no site que ainda tem horario essa semana',
+        },
+        {
+            delay_minutes: 3 * DAY_MINUTES,
+            body: 'Ola {firstName}, {greeting}! Ultimo lembrete sobre a otimizacao: se ficou alguma duvida sobre o servico ou o pagamento, e so me responder aqui que eu te ajudo',
+        },
+    ],
+}
+
+const dripStepSchema = z.object({
+    delay_minutes: z.coerce.number().int()
+        .min(0, 'Atraso inválido')
+        .max(30 * DAY_MINUTES, 'Atraso máximo de 30 dias'),
+    body: z.string().trim().max(4000, 'Texto muito longo')
+        .refine(
+            (val) => [...val.matchAll(/\{(\w+)\}/g)].every(([, key]) => DRIP_PLACEHOLDERS.includes(key)),
+            'Os passos só aceitam os placeholders {firstName} e {greeting}'
+        )
+        .nullish()
+        .transform(val => val || null),
+})
+
+export const dripStepsSchema = z.array(dripStepSchema)
+    .min(1, 'A sequência precisa de ao menos um passo')
+    .max(MAX_DRIP_STEPS, `Máximo de ${MAX_DRIP_STEPS} passos`)
+    .refine(
+        (steps) => steps.every((step, index) => index === 0 || step.delay_minutes > steps[index - 1].delay_minutes),
+        'Os atrasos devem ser crescentes'
+    )
+
+/**
+ * Steps of a sequence (saved version or the default)
+ * An invalid saved row falls back to the default so the queue never breaks.
+ *
+ * @param {string} key - DripSequence key
+ * @returns {Promise<{steps: object[], custom: boolean, updated_by: string|null, updated_at: Date|null}>}
+ */
+export const getDripSequence = async (key) => {
+    const saved = await prisma.dripSequence.findUnique({ where: { key } })
+    const parsed = saved ? dripStepsSchema.safeParse(saved.steps) : null
+
+    if (parsed && !parsed.success) {
+        console.warn(`[Drip] Invalid saved steps for ${key}, using defaults`)
+    }
+
+    return parsed?.success
+        ? { steps: parsed.data, custom: true, updated_by: saved.updated_by, updated_at: saved.updated_at }
+        : { steps: DEFAULT_DRIP_STEPS[key], custom: false, updated_by: null, updated_at: null }
+}
+
+/**
+ * Step definition for a queued message
+ * @param {object[]} steps - Steps of the sequence
+ * @param {number} dripStep - WhatsAppMessage.drip_step (1-based)
+ * @returns {object|null} null when the step was removed after queueing
+ */
+export const getDripStep = (steps, dripStep) => (dripStep ? steps[dripStep - 1] || null : null)
+
+export default {
+    MAX_DRIP_STEPS,
+    DRIP_PLACEHOLDERS,
+    DRIP_SEQUENCES,
+    DRIP_SEQUENCE_KEYS,
+    DEFAULT_DRIP_STEPS,
+    dripStepsSchema,
+    getDripSequence,
+    getDripStep,
+}
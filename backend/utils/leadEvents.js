@@ -0,0 +1,82 @@
+/**
+ * Linha do tempo do lead (LeadEvent)
+ * Registro persistente de tudo que acontece com um lead, para o admin
+ */
+
+import prisma from '../lib/prisma'
+
+// Rótulos legíveis dos status de transação
+const TRANSACTION_STATUS_LABELS = {
+  requires_payment_method: 'Aguardando pagamento',
+  requires_confirmation: 'Aguardando confirmação',
+  processing: 'Processando',
+  requires_action: 'Ação necessária',
+  requires_capture: 'Aguardando captura',
+  canceled: 'Cancelado/Expirado',
+  succeeded: 'Aprovado',
+  refunded: 'Reembolsado',
+  disputed: 'Contestado',
+}
+
+export const formatTransactionStatus = (status) => TRANSACTION_STATUS_LABELS[status] || status
+
+/**
+ * Registra um evento na timeline do lead
+ * Nunca lança erro: falha ao registrar não pode quebrar o fluxo principal
+ *
+ * @param {string} leadId - ID do lead
+ * @param {string} type - LeadEventType
+ * @param {Object} options
+ * @param {string} options.description - Texto legível do evento
+ * @param {Object} options.metadata - Dados extras (opcional)
+ * @param {string} options.actor - Quem gerou o evento (opcional)
+ * @param {Date} options.createdAt - Data do evento, se não for agora (opcional)
+ * @returns {Promise<Object|null>} Evento criado ou null
+ */
+export async function recordLeadEvent(leadId, type, { description, metadata = null, actor = null, createdAt } = {}) {
+  if (!leadId) {
+    return null
+  }
+
+  try {
+    return await prisma.leadEvent.create({
+      data: {
+        lead_id: leadId,
+        type,
+        description,
+        metadata: metadata || undefined,
+        actor,
+        ...(createdAt ? { created_at: createdAt } : {}),
+      },
+    })
+  } catch (error) {
+    console.error('[LeadEvents] Erro ao registrar evento:', { leadId, type, error: error.message })
+    return null
+  }
+}
+
+/**
+ * Registra mudança de status de uma transação
+ */
+export async function recordTransactionStatusEvent(transaction, toStatus, actor) {
+  const fromStatus = transaction.status === toStatus ? null : transaction.status
+
+  return recordLeadEvent(transaction.lead_id, 'TRANSACTION_STATUS', {
+    description: fromStatus
+      ? `Pagamento: ${formatTransactionStatus(fromStatus)} → ${formatTransactionStatus(toStatus)}`
+      : `Pagamento: ${formatTransactionStatus(toStatus)}`,
+    metadata: {
+      transaction_id: transaction.id,
+      payment_method: transaction.payment_method || null,
+      from: fromStatus,
+      to: toStatus,
+    },
+    actor,
+  })
+}
+
+export default {
+  recordLeadEvent,
+  recordTransactionStatusEvent,
+  formatTransactionStatus,
+}
@@ -0,0 +1,247 @@
+/**
+ * Alterações de reunião (remarcação e status)
+ * Regras compartilhadas pela agenda do admin e pela página do cliente (/minha-reserva)
+ */
+
+import crypto from 'crypto'
+import { z } from 'zod'
+import prisma from '../lib/prisma'
+import { sanitizeString } from './security'
+import {
+  checkSlotAvailability,
+  pickTechnician,
+  formatTimeValue,
+  toTimeValue,
+  getMeetingStart,
+  SLOT_UNAVAILABLE_MESSAGES,
+} from './scheduling'
+import {
+  queueMeetingRescheduledMessage,
+  queueMeetingReminders,
+  cancelMeetingReminders,
+  queueSessionFollowUpMessage,
+} from './messageQueue'
+import { recordLeadEvent } from './leadEvents'
+import { getSiteBaseUrl } from './referrers'
+
+export const MEETING_STATUS_LABELS = {
+  scheduled: 'Agendada',
+  completed: 'Concluída',
+  no_show: 'Não compareceu',
+  cancelled: 'Cancelada',
+}
+
+// Antecedência mínima para o cliente remarcar ou cancelar sozinho
+export const CLIENT_CHANGE_MIN_HOURS = 24
+
+// Token da página do cliente (64 caracteres hex = 256 bits de entropia)
+export const generateMeetingAccessToken = () => crypto.randomBytes(32).toString('hex')
+
+export const buildBookingPageUrl = (accessToken) => `${getSiteBaseUrl()}/minha-reserva?token=${accessToken}`
+
+// Token da página do cliente: Bearer, header x-booking-token ou query ?token=
+export const getBookingAccessToken = (req) => {
+  const authHeader = req.headers.authorization
+  if (typeof authHeader === 'string' && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7).trim()
+  }
+
+  const headerToken = req.headers['x-booking-token']
+  if (typeof headerToken === 'string' && headerToken.trim()) {
+    return headerToken.trim()
+  }
+
+  return req.query?.token
+}
+
+// Validação do token (64 caracteres hex)
+const bookingTokenSchema = z.string()
+  .length(64, 'Token inválido')
+  .regex(/^[a-f0-9]+$/, 'Token inválido')
+
+/**
+ * Busca a reunião pelo token da página do cliente
+ * Token malformado ou inexistente retornam null (não revela qual dos dois)
+ *
+ * @returns {Promise<Object|null>} Meeting com lead, técnico e transação
+ */
+export async function findMeetingByAccessToken(rawToken) {
+  const parsed = bookingTokenSchema.safeParse(sanitizeString(rawToken || '', 64).toLowerCase())
+  if (!parsed.success) {
+    return null
+  }
+
+  return prisma.meeting.findUnique({
+    where: { access_token: parsed.data },
+    include: {
+      lead: { select: { id: true, nome: true, whatsapp: true } },
+      technician: { select: { id: true, nome: true, discord_id: true } },
+      transaction: {
+        select: {
+          id: true,
+          status: true,
+          payment_method: true,
+          amount_product: true,
+          created_at: true,
+          product: { select: { nome: true } },
+        },
+      },
+    },
+  })
+}
+
+/**
+ * Prazo para o cliente alterar a reunião
+ *
+ * @returns {{allowed: boolean, deadline: Date}}
+ */
+export const getClientChangePolicy = (meeting) => {
+  const deadline = new Date(getMeetingStart(meeting).getTime() - CLIENT_CHANGE_MIN_HOURS * 60 * 60 * 1000)
+  return {
+    allowed: meeting.status === 'scheduled' && new Date() < deadline,
+    deadline,
+  }
+}
+
+/**
+ * Remarca uma reunião agendada
+ * Aplica as mesmas regras de horário e conflito da agenda pública, mantém o técnico se
+ * ele estiver livre, registra na timeline e avisa o cliente pelo WhatsApp.
+ *
+ * @param {Object} meeting - Meeting com lead (id, nome, whatsapp)
+ * @param {Object} params
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {string} params.time - HH:MM
+ * @param {string} params.actor - Quem remarcou (e-mail do admin ou "cliente")
+ * @returns {Promise<{success: boolean, status?: number, error?: string, meeting?: Object, technician?: Object, from?: Object}>}
+ */
+export async function rescheduleMeeting(meeting, { date, time, actor }) {
+  if (meeting.status !== 'scheduled') {
+    return { success: false, status: 400, error: 'Apenas reuniões agendadas podem ser remarcadas' }
+  }
+
+  const fromDate = meeting.meeting_date.toISOString().slice(0, 10)
+  const fromTime = formatTimeValue(meeting.meeting_time)
+
+  if (fromDate === date && fromTime === time) {
+    return { success: false, status: 400, error: 'A reunião já está neste horário' }
+  }
+
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+
+  if (new Date(date) < today) {
+    return { success: false, status: 400, error: 'Data inválida. Não é possível agendar no passado.' }
+  }
+
+  // A sessão mantém a duração do produto comprado
+  const slot = await checkSlotAvailability(date, time, {
+    excludeMeetingId: meeting.id,
+    durationMinutes: meeting.duration_minutes,
+  })
+
+  if (!slot.available) {
+    return { success: false, status: 409, error: SLOT_UNAVAILABLE_MESSAGES[slot.reason] || 'Horário indisponível.' }
+  }
+
+  // Mantém o técnico atual se ele estiver livre no novo horário; senão, escolhe outro
+  const technician = await pickTechnician(date, time, {
+    excludeMeetingId: meeting.id,
+    preferredTechnicianId: meeting.technician_id,
+    durationMinutes: meeting.duration_minutes,
+  })
+
+  const updated = await prisma.meeting.update({
+    where: { id: meeting.id },
+    data: {
+      meeting_date: new Date(date),
+      meeting_time: toTimeValue(time),
+      technician_id: technician?.id || null,
+    },
+  })
+
+  await recordLeadEvent(meeting.lead_id, 'MEETING_RESCHEDULED', {
+    description: `Reunião remarcada: ${fromDate} ${fromTime} → ${date} ${time}`,
+    metadata: {
+      meeting_id: meeting.id,
+      from: { date: fromDate, time: fromTime, technician_id: meeting.technician_id },
+      to: { date, time, technician_id: updated.technician_id },
+    },
+    actor,
+  })
+
+  // Avisar o cliente pelo WhatsApp e mover os lembretes (não bloqueia a remarcação se falhar)
+  try {
+    await queueMeetingRescheduledMessage(meeting.lead, updated)
+    await queueMeetingReminders(meeting.lead, updated)
+  } catch (queueError) {
+    console.error('[Meetings] Erro ao enfileirar aviso de remarcação:', queueError.message)
+  }
+
+  return {
+    success: true,
+    meeting: updated,
+    technician,
+    from: { date: fromDate, time: fromTime },
+  }
+}
+
+/**
+ * Altera o status de uma reunião (concluída, não compareceu ou cancelada)
+ * Cancelamento é definitivo; concluída e no-show podem ser corrigidas entre si.
+ *
+ * @param {Object} meeting - Meeting atual (com lead, para o follow-up da sessão concluída)
+ * @param {string} status - Novo status
+ * @param {Object} options
+ * @param {string} options.actor - Quem alterou
+ * @param {string} options.reason - Motivo (opcional, vai para a timeline)
+ * @returns {Promise<{success: boolean, status?: number, error?: string, meeting?: Object}>}
+ */
+export async function updateMeetingStatus(meeting, status, { actor, reason = null }) {
+  if (meeting.status === status) {
+    return { success: false, status: 400, error: 'A reunião já está com este status' }
+  }
+
+  if (meeting.status === 'cancelled') {
+    return { success: false, status: 400, error: 'Reunião cancelada não pode ser alterada' }
+  }
+
+  if (status === 'cancelled' && meeting.status !== 'scheduled') {
+    return { success: false, status: 400, error: 'Apenas reuniões agendadas podem ser canceladas' }
+  }
+
+  const updated = await prisma.meeting.update({
+    where: { id: meeting.id },
+    data: { status },
+  })
+
+  await recordLeadEvent(meeting.lead_id, 'MEETING_STATUS', {
+    description: `Reunião: ${MEETING_STATUS_LABELS[meeting.status]} → ${MEETING_STATUS_LABELS[status]}`,
+    metadata: { meeting_id: meeting.id, from: meeting.status, to: status, ...(reason ? { note: reason } : {}) },
+    actor,
+  })
+
+  // Reunião que não está mais agendada não recebe lembretes; concluída recebe o pedido de avaliação
+  try {
+    await cancelMeetingReminders(updated, `reunião ${MEETING_STATUS_LABELS[status].toLowerCase()}`)
+    if (status === 'completed' && meeting.lead) {
+      await queueSessionFollowUpMessage(meeting.lead, updated)
+    }
+  } catch (queueError) {
+    console.error('[Meetings] Erro ao atualizar mensagens da reunião:', queueError.message)
+  }
+
+  return { success: true, meeting: updated }
+}
+
+export default {
+  MEETING_STATUS_LABELS,
+  CLIENT_CHANGE_MIN_HOURS,
+  generateMeetingAccessToken,
+  buildBookingPageUrl,
+  getBookingAccessToken,
+  findMeetingByAccessToken,
+  getClientChangePolicy,
+  rescheduleMeeting,
+  updateMeetingStatus,
+}
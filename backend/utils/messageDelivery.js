@@ -0,0 +1,475 @@
+/**
+ * WhatsApp message delivery
+ * Sends one queued message: checks whether it still applies, renders the text and
+ * hands it to the providers. Failed sends are retried with exponential backoff;
+ * after the last attempt the message goes to DEAD_LETTER and Discord is alerted.
+ * Each attempt claims the row first, so a message is never sent twice by concurrent runs.
+ *
+ * Used by the queue cron and by the admin "retry now" action.
+ */
+
+import prisma from '../lib/prisma'
+import { sendWhatsAppMessage } from './whatsapp'
+import { loadActiveTemplates, buildTemplateVariables, renderMessage, renderTemplate } from './messageTemplates'
+import { recordLeadEvent } from './leadEvents'
+import { getScheduleConfig, getMeetingStart } from './scheduling'
+import { buildMeetingInviteUrl } from './calendar'
+import { buildBookingPageUrl } from './meetings'
+import { findOrCreateLeadReferrer, buildReferralLink } from './referrers'
+import { sendMessageDeadLetterNotification } from './discord'
+import { recordConversationMessage } from './conversations'
+import { isOptedOut, OPT_OUT_REASON } from './consent'
+import { SENT_STATUSES } from './messageQueue'
+import { renderCampaignMessage, CAMPAIGN_CANCELLED_REASON } from './campaigns'
+import { DRIP_SEQUENCES, DRIP_SEQUENCE_KEYS, getDripSequence, getDripStep } from './dripSequences'
+
+// Attempts before a message goes to DEAD_LETTER
+export const MAX_SEND_ATTEMPTS = Number(process.env.WHATSAPP_MAX_ATTEMPTS) || 5
+
+// First retry after 2 minutes (one cron cycle), doubling up to 1 hour
+const RETRY_BASE_DELAY_MS = 2 * 60 * 1000
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelayMs = (attempts) => {
+    return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS)
+}
+
+// Relations needed to check and render a message
+export const DELIVERY_INCLUDE = {
+    lead: {
+        include: {
+            transactions: {
+                orderBy: { created_at: 'desc' },
+                take: 1,
+            },
+            meetings: {
+                orderBy: { created_at: 'desc' },
+                take: 1,
+            },
+        },
+    },
+    meeting: true,
+    campaign: true,
+}
+
+/**
+ * Data shared by every message of a run (session length, active templates, drip steps)
+ */
+export const loadDeliveryContext = async () => {
+    const [scheduleConfig, activeTemplates, sequences] = await Promise.all([
+        getScheduleConfig(),
+        loadActiveTemplates(),
+        Promise.all(DRIP_SEQUENCE_KEYS.map(getDripSequence)),
+    ])
+
+    // Steps keyed by the message type they send
+    const dripSteps = Object.fromEntries(DRIP_SEQUENCE_KEYS.map((key, index) => [
+        DRIP_SEQUENCES[key].message_type,
+        sequences[index].steps,
+    ]))
+
+    return { scheduleConfig, activeTemplates, dripSteps }
+}
+
+// Human-readable labels for the lead timeline
+const MESSAGE_TYPE_LABELS = {
+    LEAD_WELCOME: 'boas-vindas',
+    PAYMENT_ABANDONED: 'pagamento abandonado',
+    PAYMENT_CONFIRMED: 'confirmação de compra',
+    MEETING_RESCHEDULED: 'reunião remarcada',
+    MEETING_CANCELLED: 'reunião cancelada',
+    MEETING_REMINDER_24H: 'lembrete 24h',
+    MEETING_REMINDER_1H: 'lembrete 1h',
+    SESSION_FOLLOWUP: 'pedido de avaliação',
+    CAMPAIGN: 'campanha',
+}
+
+const EVENT_VERBS = {
+    WHATSAPP_SENT: 'enviada',
+    WHATSAPP_FAILED: 'falhou',
+    WHATSAPP_CANCELLED: 'cancelada',
+}
+
+/**
+ * Record a WhatsApp message outcome on the lead timeline
+ */
+async function recordMessageEvent(msg, type, extra = {}, actor = 'cron') {
+    const label = `${MESSAGE_TYPE_LABELS[msg.message_type] || msg.message_type}${msg.drip_step ? `, passo ${msg.drip_step}` : ''}`
+    await recordLeadEvent(msg.lead_id, type, {
+        description: `WhatsApp (${label}${msg.campaign ? ` "${msg.campaign.name}"` : ''}) ${EVENT_VERBS[type]}`,
+        metadata: {
+            message_id: msg.id,
+            message_type: msg.message_type,
+            ...(msg.campaign_id ? { campaign_id: msg.campaign_id } : {}),
+            ...(msg.drip_step ? { drip_step: msg.drip_step } : {}),
+            ...extra,
+        },
+        actor,
+    })
+}
+
+/**
+ * Check if a message should be cancelled based on current state
+ */
+async function shouldCancelMessage(msg) {
+    // The client asked us to stop (checked again at send time: consent may change while queued)
+    if (await isOptedOut(msg.phone)) return OPT_OUT_REASON
+
+    const { lead, message_type } = msg
+    const latestTransaction = lead.transactions?.[0]
+    const hasPaymentAttempt = latestTransaction != null
+    const paymentSucceeded = latestTransaction?.status === 'succeeded'
+
+    switch (message_type) {
+        case 'LEAD_WELCOME':
+            // Cancel welcome message if lead already made a payment attempt or completed payment
+            if (hasPaymentAttempt) return 'payment_attempted'
+            if (paymentSucceeded) return 'payment_succeeded'
+            break
+
+        case 'PAYMENT_ABANDONED':
+            // Cancel if payment was completed or the lead started another checkout after
+            // this sequence was queued; steps of one sequence are sent on purpose, so skip
+            // the already-sent check below
+            if (paymentSucceeded) return 'payment_succeeded'
+            if (latestTransaction && latestTransaction.created_at > msg.created_at) return 'new_checkout'
+            return null
+
+        case 'PAYMENT_CONFIRMED':
+            // This should only be sent when payment is confirmed, no cancellation needed
+            break
+
+        case 'MEETING_RESCHEDULED':
+            // Cancel if the meeting was cancelled meanwhile; a lead can be rescheduled
+            // more than once, so skip the already-sent check below
+            if (lead.meetings?.[0]?.status === 'cancelled') return 'meeting_cancelled'
+            return null
+
+        case 'MEETING_CANCELLED':
+            // One notice per cancellation; a lead may book and cancel again later
+            return null
+        case 'MEETING_REMINDER_24H':
+        case 'MEETING_REMINDER_1H':
+            // Reminders belong to one meeting; reschedules re-time them in the queue
+            if (!msg.meeting || msg.meeting.status !== 'scheduled') return 'meeting_not_scheduled'
+            if (getMeetingStart(msg.meeting) <= new Date()) return 'meeting_started'
+            return null
+
+        case 'SESSION_FOLLOWUP':
+            // Status may have been corrected to no-show after completion
+            if (!msg.meeting || msg.meeting.status !== 'completed') return 'meeting_not_completed'
+            if (msg.meeting.rating != null) return 'already_reviewed'
+            return null
+
+        case 'CAMPAIGN':
+            // One message per lead per campaign (unique index); a lead may be in several campaigns
+            if (!msg.campaign || msg.campaign.status === 'CANCELLED') return CAMPAIGN_CANCELLED_REASON
+            return null
+    }
+
+    // Check if we already sent this type of message to this lead
+    const existingSent = await prisma.whatsAppMessage.findFirst({
+        where: {
+            lead_id: msg.lead_id,
+            message_type: msg.message_type,
+            status: { in: SENT_STATUSES },
+            id: { not: msg.id },
+        },
+    })
+
+    if (existingSent) return 'already_sent'
+
+    return null
+}
+
+// Types that need a meeting to render
+const MEETING_MESSAGE_TYPES = [
+    'PAYMENT_CONFIRMED',
+    'MEETING_RESCHEDULED',
+    'MEETING_CANCELLED',
+    'MEETING_REMINDER_24H',
+    'MEETING_REMINDER_1H',
+    'SESSION_FOLLOWUP',
+]
+
+/**
+ * Generate message text based on message type
+ * Renders the active template version (or the default text) with the lead/meeting data
+ *
+ * @returns {Promise<{text: string, template: object|null}|null>}
+ */
+async function generateMessageText(msg, { scheduleConfig, activeTemplates, dripSteps = {} }) {
+    const { lead, message_type } = msg
+    // Reminders and follow-ups point to their meeting; other types use the latest one
+    const meeting = msg.meeting || lead.meetings?.[0]
+
+    if (MEETING_MESSAGE_TYPES.includes(message_type) && !meeting) {
+        console.warn(`[Delivery] No meeting found for ${message_type} message`)
+        return null
+    }
+
+    // Campaigns carry their own text (no template versions)
+    if (message_type === 'CAMPAIGN') {
+        const text = msg.campaign ? renderCampaignMessage(msg.campaign.body, lead) : null
+        return text ? { text, template: null } : null
+    }
+
+    // Drip steps with their own text; without one the step uses the template of its type
+    const dripStep = getDripStep(dripSteps[message_type] || [], msg.drip_step)
+    if (dripStep?.body) {
+        return { text: renderTemplate(dripStep.body, buildTemplateVariables({ lead })), template: null }
+    }
+
+    const context = { lead, meeting }
+
+    switch (message_type) {
+        case 'PAYMENT_CONFIRMED':
+            context.durationHours = (meeting.duration_minutes || scheduleConfig.session_duration_minutes) / 60
+            context.inviteUrl = buildMeetingInviteUrl(meeting.transaction_id)
+            context.manageUrl = buildBookingPageUrl(meeting.access_token)
+            break
+
+        case 'MEETING_RESCHEDULED':
+            context.inviteUrl = buildMeetingInviteUrl(meeting.transaction_id)
+            break
+
+        case 'MEETING_REMINDER_24H':
+            context.manageUrl = buildBookingPageUrl(meeting.access_token)
+            break
+
+        case 'SESSION_FOLLOWUP': {
+            // The client's own referral link (account created on first follow-up)
+            const referrer = await findOrCreateLeadReferrer(lead)
+            context.reviewUrl = buildBookingPageUrl(meeting.access_token)
+            context.referralLink = referrer.ativo ? buildReferralLink(referrer.referral_code) : null
+            break
+        }
+    }
+
+    const rendered = renderMessage(message_type, buildTemplateVariables(context), activeTemplates)
+    return rendered.text ? rendered : null
+}
+
+/**
+ * Register a failed attempt: schedule the next one or move to DEAD_LETTER
+ *
+ * @param {object} msg - Message with lead
+ * @param {string} error - Failure reason
+ * @param {object} options
+ * @param {boolean} options.permanent - Retrying cannot help (e.g. text could not be rendered)
+ * @param {boolean} options.notify - Alert Discord when the message goes to DEAD_LETTER
+ * @param {string} options.actor - Who triggered the attempt
+ * @returns {Promise<'retry'|'dead'>}
+ */
+async function registerFailure(msg, error, { permanent = false, notify = true, actor = 'cron' } = {}) {
+    const now = new Date()
+    const attempts = msg.attempts + 1
+    const dead = permanent || attempts >= MAX_SEND_ATTEMPTS
+    const nextRetryAt = dead ? null : new Date(now.getTime() + getRetryDelayMs(attempts))
+
+    const updated = await prisma.whatsAppMessage.update({
+        where: { id: msg.id },
+        data: {
+            status: dead ? 'DEAD_LETTER' : 'PENDING',
+            attempts,
+            next_retry_at: nextRetryAt,
+            error,
+            updated_at: now,
+        },
+    })
+
+    await recordMessageEvent(msg, 'WHATSAPP_FAILED', {
+        error,
+        attempt: attempts,
+        ...(dead ? { dead_letter: true } : { next_retry_at: nextRetryAt.toISOString() }),
+    }, actor)
+
+    if (dead) {
+        console.error(`[Delivery] Message ${msg.id} moved to DEAD_LETTER after ${attempts} attempt(s): ${error}`)
+        if (notify) {
+            await sendMessageDeadLetterNotification({ lead: msg.lead, message: updated, error })
+        }
+        return 'dead'
+    }
+
+    console.warn(`[Delivery] Message ${msg.id} failed (attempt ${attempts}/${MAX_SEND_ATTEMPTS}), retrying at ${nextRetryAt.toISOString()}: ${error}`)
+    return 'retry'
+}
+
+// How long a claimed message stays out of the queue while this run sends it
+const SEND_CLAIM_MS = 5 * 60 * 1000
+
+/**
+ * Claim a message before sending it
+ * Only succeeds if the row is still PENDING with the attempt count that was loaded, so an
+ * overlapping cron run or a second "retry now" click cannot send the same message twice.
+ * The claim counts the attempt and pushes next_retry_at past the run.
+ *
+ * @param {object} msg
+ * @returns {Promise<boolean>} false when another run already took the message
+ */
+async function claimMessage(msg) {
+    const now = new Date()
+    const claimed = await prisma.whatsAppMessage.updateMany({
+        where: { id: msg.id, status: 'PENDING', attempts: msg.attempts },
+        data: {
+            attempts: msg.attempts + 1,
+            next_retry_at: new Date(now.getTime() + SEND_CLAIM_MS),
+            updated_at: now,
+        },
+    })
+    return claimed.count > 0
+}
+
+/**
+ * Deliver one queued message
+ * Errors up to the provider call count as a failed attempt; once the provider accepted
+ * the message, errors saving the result are only logged (retrying would send it again).
+ *
+ * @param {object} msg - WhatsAppMessage loaded with DELIVERY_INCLUDE
+ * @param {object} context - Result of loadDeliveryContext
+ * @param {object} options
+ * @param {string} options.actor - Who triggered the attempt ('cron' or the admin e-mail)
+ * @param {boolean} options.notify - Alert Discord on DEAD_LETTER (off for manual retries)
+ * @returns {Promise<{outcome: 'sent'|'cancelled'|'retry'|'dead'|'skipped', reason?: string, error?: string}>} skipped = claimed by another run
+ */
+export async function deliverMessage(msg, context, { actor = 'cron', notify = true } = {}) {
+    if (!(await claimMessage(msg))) {
+        console.info(`[Delivery] Message ${msg.id} already claimed by another run, skipping`)
+        return { outcome: 'skipped' }
+    }
+
+    let rendered
+    let result
+
+    try {
+        // Check if message should be cancelled based on current state
+        const cancelReason = await shouldCancelMessage(msg)
+
+        if (cancelReason) {
+            await prisma.whatsAppMessage.update({
+                where: { id: msg.id },
+                data: {
+                    status: 'CANCELLED',
+                    cancel_reason: cancelReason,
+                    attempts: msg.attempts,
+                    next_retry_at: null,
+                    updated_at: new Date(),
+                },
+            })
+            console.info(`[Delivery] Message ${msg.id} cancelled: ${cancelReason}`)
+            await recordMessageEvent(msg, 'WHATSAPP_CANCELLED', { reason: cancelReason }, actor)
+            return { outcome: 'cancelled', reason: cancelReason }
+        }
+
+        // Generate message text based on type
+        rendered = await generateMessageText(msg, context)
+
+        if (!rendered) {
+            const error = 'Could not generate message text'
+            return { outcome: await registerFailure(msg, error, { permanent: true, notify, actor }), error }
+        }
+
+        // Send the message
+        result = await sendWhatsAppMessage(msg.phone, rendered.text)
+    } catch (error) {
+        console.error(`[Delivery] Error processing message ${msg.id}:`, error.message)
+        return { outcome: await registerFailure(msg, error.message, { notify, actor }), error: error.message }
+    }
+
+    if (!result.success) {
+        return { outcome: await registerFailure(msg, result.error, { notify, actor }), error: result.error }
+    }
+
+    try {
+        const now = new Date()
+        await prisma.whatsAppMessage.update({
+            where: { id: msg.id },
+            data: {
+                status: 'SENT',
+                message_text: rendered.text,
+                template_id: rendered.template?.id || null,
+                provider: result.provider,
+                provider_message_id: result.messageId,
+                attempts: msg.attempts + 1,
+                next_retry_at: null,
+                error: null,
+                sent_at: now,
+                updated_at: now,
+            },
+        })
+        console.info(`[Delivery] Message ${msg.id} sent successfully`)
+        await recordConversationMessage({
+            phone: msg.phone,
+            direction: 'OUTBOUND',
+            body: rendered.text,
+            leadId: msg.lead_id,
+            provider: result.provider,
+            providerMessageId: result.messageId,
+            whatsappMessageId: msg.id,
+            sentBy: actor,
+            createdAt: now,
+        })
+        await recordMessageEvent(msg, 'WHATSAPP_SENT', {
+            template_version: rendered.template?.version || null,
+            provider: result.provider,
+            attempt: msg.attempts + 1,
+        }, actor)
+    } catch (error) {
+        // The provider already accepted the message: never retry from here
+        console.error(`[Delivery] Message ${msg.id} was sent (${result.provider} ${result.messageId}) but recording it failed:`, error.message)
+    }
+
+    return { outcome: 'sent' }
+}
+
+// Receipt order: a late "delivered" never overwrites "read"
+const RECEIPT_PREVIOUS_STATUSES = {
+    DELIVERED: ['SENT'],
+    READ: ['SENT', 'DELIVERED'],
+}
+
+/**
+ * Apply a delivery/read receipt from the provider webhook
+ * Moves the message forward (SENT -> DELIVERED -> READ) and stamps delivered_at/read_at.
+ * A read receipt also fills delivered_at when the delivery receipt was missed.
+ *
+ * @param {object} ack - Result of parseAckEvent (one receipt)
+ * @param {string} ack.providerMessageId - Provider message ID stored on send
+ * @param {'DELIVERED'|'READ'} ack.status
+ * @param {Date} ack.at - Receipt time
+ * @returns {Promise<number>} Messages updated (0 = unknown ID, e.g. inbox reply, or already further)
+ */
+export async function applyDeliveryReceipt({ providerMessageId, status, at }) {
+    const where = { provider_message_id: providerMessageId }
+
+    const moved = await prisma.whatsAppMessage.updateMany({
+        where: { ...where, status: { in: RECEIPT_PREVIOUS_STATUSES[status] } },
+        data: status === 'READ'
+            ? { status: 'READ', read_at: at }
+            : { status: 'DELIVERED', delivered_at: at },
+    })
+
+    if (status === 'READ') {
+        await prisma.whatsAppMessage.updateMany({
+            where: { ...where, delivered_at: null },
+            data: { delivered_at: at },
+        })
+    }
+
+    return moved.count
+}
+
+export default {
+    MAX_SEND_ATTEMPTS,
+    getRetryDelayMs,
+    DELIVERY_INCLUDE,
+    loadDeliveryContext,
+    deliverMessage,
+    applyDeliveryReceipt,
+}
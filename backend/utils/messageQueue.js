@@ -4,10 +4,48 @@
  */
 
 import prisma from '../lib/prisma'
+import { recordLeadEvent } from './leadEvents'
+import { getMeetingStart } from './scheduling'
+import { isOptedOut, loadOptOutLookup, OPT_OUT_REASON } from './consent'
+import { getQuietHoursEnd } from './sendLimits'
+import { getDripSequence } from './dripSequences'
 
 // Delay in milliseconds for welcome message after lead registration
 const WELCOME_MESSAGE_DELAY_MS = 2 * 60 * 1000 // 2 minutes
 
+// How long before the meeting each reminder goes out
+export const MEETING_REMINDER_OFFSETS_MS = {
+    MEETING_REMINDER_24H: 24 * 60 * 60 * 1000,
+    MEETING_REMINDER_1H: 60 * 60 * 1000,
+}
+
+export const MEETING_REMINDER_TYPES = Object.keys(MEETING_REMINDER_OFFSETS_MS)
+
+// Statuses of a message that went out (receipts move SENT -> DELIVERED -> READ)
+export const SENT_STATUSES = ['SENT', 'DELIVERED', 'READ']
+
+// Delay for the review request after a completed session
+const SESSION_FOLLOWUP_DELAY_MS = 24 * 60 * 60 * 1000 // 1 day
+
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * Status of a new queue entry
+ * Messages to opted-out numbers are still recorded (visible in the admin queue),
+ * but created already CANCELLED so the cron never sends them.
+ *
+ * @param {string} phone - Recipient
+ * @param {string} messageType - For the log
+ * @returns {Promise<{status: string, cancel_reason?: string}>}
+ */
+const initialStatusFor = async (phone, messageType) => {
+    if (await isOptedOut(phone)) {
+        console.info('[MessageQueue] Number opted out, message created as cancelled:', messageType)
+        return { status: 'CANCELLED', cancel_reason: OPT_OUT_REASON }
+    }
+    return { status: 'PENDING' }
+}
+
 /**
  * Queue a welcome message for a new lead
  * This message will be sent 2 minutes after registration if no payment attempt is made
@@ -22,7 +60,7 @@ export const queueLeadWelcomeMessage = async (lead) => {
         where: {
             lead_id: leadId,
             message_type: 'LEAD_WELCOME',
-            status: { in: ['PENDING', 'SENT'] },
+            status: { in: ['PENDING', ...SENT_STATUSES] },
         },
     })
 
@@ -39,7 +77,7 @@ export const queueLeadWelcomeMessage = async (lead) => {
             lead_id: leadId,
             phone: whatsapp,
             message_type: 'LEAD_WELCOME',
-            status: 'PENDING',
+            ...(await initialStatusFor(whatsapp, 'LEAD_WELCOME')),
             send_after: sendAfter,
         },
     })
@@ -49,13 +87,19 @@ export const queueLeadWelcomeMessage = async (lead) => {
 }
 
 /**
- * Queue a payment abandoned message for a lead
- * This is called when we detect a payment that wasn't completed
+ * Queue the abandoned-checkout sequence for a lead
+ * Called when a checkout fails or expires. Queues one PAYMENT_ABANDONED message per
+ * step of the ABANDONED_CHECKOUT drip (see dripSequences.js), at checkout + step delay
+ * (steps already past that time, e.g. for a PIX that expired late, are due right away).
+ * Each checkout starts at most one sequence; a new checkout or a succeeded payment
+ * cancels what is still pending.
  * 
  * @param {object} lead - Lead data with id, nome, whatsapp
+ * @param {object} transaction - Abandoned checkout (created_at)
+ * @returns {Promise<object[]|null>} Queued messages (null = skipped)
  */
-export const queuePaymentAbandonedMessage = async (lead) => {
-    const { id: leadId, nome, whatsapp } = lead
+export const queuePaymentAbandonedMessage = async (lead, transaction) => {
+    const { id: leadId, whatsapp } = lead
 
     // Check if payment was actually completed (don't send abandoned message)
     const successfulPayment = await prisma.transaction.findFirst({
@@ -70,36 +114,45 @@ export const queuePaymentAbandonedMessage = async (lead) => {
         return null
     }
 
-    // Check if we already have a pending or sent abandoned message for this lead
+    // Anything queued since this checkout started is already its sequence
+    // (e.g. a second failed card attempt on the same checkout)
     const existing = await prisma.whatsAppMessage.findFirst({
         where: {
             lead_id: leadId,
             message_type: 'PAYMENT_ABANDONED',
-            status: { in: ['PENDING', 'SENT'] },
+            created_at: { gte: transaction.created_at },
         },
     })
 
     if (existing) {
-        console.info('[MessageQueue] Abandoned message already queued/sent for lead:', leadId)
+        console.info('[MessageQueue] Abandoned sequence already queued for this checkout, lead:', leadId)
         return null
     }
 
     // Cancel any pending welcome message since they made a payment attempt
     await cancelPendingWelcomeMessage(leadId)
 
-    // Send immediately (no delay for abandoned messages)
-    const message = await prisma.whatsAppMessage.create({
-        data: {
-            lead_id: leadId,
-            phone: whatsapp,
-            message_type: 'PAYMENT_ABANDONED',
-            status: 'PENDING',
-            send_after: new Date(), // Send immediately
-        },
-    })
+    const { steps } = await getDripSequence('ABANDONED_CHECKOUT')
+    const initialStatus = await initialStatusFor(whatsapp, 'PAYMENT_ABANDONED')
+    const checkoutAt = new Date(transaction.created_at).getTime()
+    const now = Date.now()
 
-    console.info('[MessageQueue] Abandoned message queued for lead:', leadId)
-    return message
+    const messages = []
+    for (const [index, step] of steps.entries()) {
+        messages.push(await prisma.whatsAppMessage.create({
+            data: {
+                lead_id: leadId,
+                phone: whatsapp,
+                message_type: 'PAYMENT_ABANDONED',
+                drip_step: index + 1,
+                ...initialStatus,
+                send_after: new Date(Math.max(checkoutAt + step.delay_minutes * 60 * 1000, now)),
+            },
+        }))
+    }
+
+    console.info('[MessageQueue] Abandoned sequence queued for lead:', leadId, 'steps:', messages.length)
+    return messages
 }
 
 /**
@@ -116,7 +169,7 @@ export const queuePaymentConfirmedMessage = async (lead) => {
         where: {
             lead_id: leadId,
             message_type: 'PAYMENT_CONFIRMED',
-            status: { in: ['PENDING', 'SENT'] },
+            status: { in: ['PENDING', ...SENT_STATUSES] },
         },
     })
 
@@ -127,7 +180,7 @@ export const queuePaymentConfirmedMessage = async (lead) => {
 
     // Cancel any pending welcome or abandoned messages
     await cancelPendingWelcomeMessage(leadId)
-    await cancelPendingAbandonedMessage(leadId)
+    await cancelPendingAbandonedMessage(leadId, 'payment_succeeded')
 
     // Send immediately
     const message = await prisma.whatsAppMessage.create({
@@ -135,7 +188,7 @@ export const queuePaymentConfirmedMessage = async (lead) => {
             lead_id: leadId,
             phone: whatsapp,
             message_type: 'PAYMENT_CONFIRMED',
-            status: 'PENDING',
+            ...(await initialStatusFor(whatsapp, 'PAYMENT_CONFIRMED')),
             send_after: new Date(), // Send immediately
         },
     })
@@ -144,6 +197,276 @@ export const queuePaymentConfirmedMessage = async (lead) => {
     return message
 }
 
+/**
+ * Queue a meeting rescheduled notice for a lead
+ * Called when an admin or the client moves the meeting to a new date/time.
+ * Any older pending notice is cancelled so only the latest one goes out.
+ * 
+ * @param {object} lead - Lead data with id, nome, whatsapp
+ * @param {object} meeting - Updated meeting (id, meeting_date, meeting_time)
+ */
+export const queueMeetingRescheduledMessage = async (lead, meeting) => {
+    const { id: leadId, whatsapp } = lead
+
+    const superseded = await prisma.whatsAppMessage.updateMany({
+        where: {
+            lead_id: leadId,
+            message_type: 'MEETING_RESCHEDULED',
+            status: 'PENDING',
+        },
+        data: {
+            status: 'CANCELLED',
+        },
+    })
+
+    if (superseded.count > 0) {
+        console.info('[MessageQueue] Cancelled', superseded.count, 'older reschedule notice(s) for lead:', leadId)
+    }
+
+    // Send immediately
+    const message = await prisma.whatsAppMessage.create({
+        data: {
+            lead_id: leadId,
+            phone: whatsapp,
+            message_type: 'MEETING_RESCHEDULED',
+            ...(await initialStatusFor(whatsapp, 'MEETING_RESCHEDULED')),
+            send_after: new Date(),
+        },
+    })
+
+    console.info('[MessageQueue] Reschedule notice queued for lead:', leadId, 'meeting:', meeting.id)
+    return message
+}
+
+/**
+ * Queue a cancellation notice
+ * Called when the client cancels the meeting from the booking page.
+ * Pending reschedule notices are dropped since they no longer apply.
+ * 
+ * @param {object} lead - Lead data with id, nome, whatsapp
+ * @param {object} meeting - Cancelled meeting
+ */
+export const queueMeetingCancelledMessage = async (lead, meeting) => {
+    const { id: leadId, whatsapp } = lead
+
+    await prisma.whatsAppMessage.updateMany({
+        where: {
+            lead_id: leadId,
+            message_type: 'MEETING_RESCHEDULED',
+            status: 'PENDING',
+        },
+        data: {
+            status: 'CANCELLED',
+        },
+    })
+
+    // Send immediately
+    const message = await prisma.whatsAppMessage.create({
+        data: {
+            lead_id: leadId,
+            phone: whatsapp,
+            message_type: 'MEETING_CANCELLED',
+            ...(await initialStatusFor(whatsapp, 'MEETING_CANCELLED')),
+            send_after: new Date(),
+        },
+    })
+
+    console.info('[MessageQueue] Cancellation notice queued for lead:', leadId, 'meeting:', meeting.id)
+    return message
+}
+
+/**
+ * Queue (or re-time) the 24h and 1h reminders for a meeting
+ * Called when the meeting is created and again when it is rescheduled.
+ * send_after is the meeting start in America/Sao_Paulo minus the offset;
+ * reminders whose moment already passed are skipped (or cancelled if pending).
+ * 
+ * @param {object} lead - Lead data with id, whatsapp
+ * @param {object} meeting - Meeting with id, meeting_date, meeting_time
+ */
+export const queueMeetingReminders = async (lead, meeting) => {
+    const { id: leadId, whatsapp } = lead
+    const meetingStart = getMeetingStart(meeting)
+    const now = new Date()
+    const queued = []
+
+    for (const messageType of MEETING_REMINDER_TYPES) {
+        const sendAfter = new Date(meetingStart.getTime() - MEETING_REMINDER_OFFSETS_MS[messageType])
+
+        const pending = await prisma.whatsAppMessage.findFirst({
+            where: {
+                meeting_id: meeting.id,
+                message_type: messageType,
+                status: 'PENDING',
+            },
+        })
+
+        if (sendAfter <= now) {
+            // Too close to the meeting for this reminder
+            if (pending) {
+                await prisma.whatsAppMessage.update({
+                    where: { id: pending.id },
+                    data: { status: 'CANCELLED' },
+                })
+            }
+            continue
+        }
+
+        const message = pending
+            ? await prisma.whatsAppMessage.update({
+                where: { id: pending.id },
+                data: { send_after: sendAfter, next_retry_at: null, phone: whatsapp },
+            })
+            : await prisma.whatsAppMessage.create({
+                data: {
+                    lead_id: leadId,
+                    meeting_id: meeting.id,
+                    phone: whatsapp,
+                    message_type: messageType,
+                    ...(await initialStatusFor(whatsapp, messageType)),
+                    send_after: sendAfter,
+                },
+            })
+
+        queued.push(message)
+    }
+
+    console.info('[MessageQueue] Meeting reminders queued for lead:', leadId, 'meeting:', meeting.id, 'count:', queued.length)
+    return queued
+}
+
+/**
+ * Cancel pending reminders for a meeting
+ * Called when the meeting is cancelled, completed or marked as no-show
+ * 
+ * @param {object} meeting - Meeting with id, lead_id
+ * @param {string} reason - Why the reminders were dropped (for the timeline)
+ */
+export const cancelMeetingReminders = async (meeting, reason) => {
+    const result = await prisma.whatsAppMessage.updateMany({
+        where: {
+            meeting_id: meeting.id,
+            message_type: { in: MEETING_REMINDER_TYPES },
+            status: 'PENDING',
+        },
+        data: {
+            status: 'CANCELLED',
+        },
+    })
+
+    if (result.count > 0) {
+        console.info('[MessageQueue] Cancelled', result.count, 'reminder(s) for meeting:', meeting.id)
+        await recordLeadEvent(meeting.lead_id, 'WHATSAPP_CANCELLED', {
+            description: `Lembrete(s) da reunião cancelado(s) (${reason})`,
+            metadata: { meeting_id: meeting.id, message_types: MEETING_REMINDER_TYPES, count: result.count },
+            actor: 'queue',
+        })
+    }
+
+    return result.count
+}
+
+/**
+ * Queue the post-session follow-up (review request + referral link)
+ * Sent one day after the meeting is marked completed; the cron drops it if
+ * the status is corrected meanwhile or the client already left a review.
+ * 
+ * @param {object} lead - Lead data with id, whatsapp
+ * @param {object} meeting - Completed meeting
+ */
+export const queueSessionFollowUpMessage = async (lead, meeting) => {
+    const { id: leadId, whatsapp } = lead
+
+    const existing = await prisma.whatsAppMessage.findFirst({
+        where: {
+            meeting_id: meeting.id,
+            message_type: 'SESSION_FOLLOWUP',
+            status: { in: ['PENDING', ...SENT_STATUSES] },
+        },
+    })
+
+    if (existing) {
+        console.info('[MessageQueue] Follow-up already queued/sent for meeting:', meeting.id)
+        return null
+    }
+
+    const sendAfter = new Date(Date.now() + SESSION_FOLLOWUP_DELAY_MS)
+
+    const message = await prisma.whatsAppMessage.create({
+        data: {
+            lead_id: leadId,
+            meeting_id: meeting.id,
+            phone: whatsapp,
+            message_type: 'SESSION_FOLLOWUP',
+            ...(await initialStatusFor(whatsapp, 'SESSION_FOLLOWUP')),
+            send_after: sendAfter,
+        },
+    })
+
+    console.info('[MessageQueue] Follow-up queued for lead:', leadId, 'send_after:', sendAfter)
+    return message
+}
+
+/**
+ * Queue one campaign message per lead
+ * Sends are spread from scheduled_at at throttle_per_hour; slots that fall in quiet
+ * hours move to the end of the window so the throttle still holds the next morning.
+ * Opted-out numbers get a CANCELLED row and take no slot.
+ * 
+ * @param {object} campaign - Campaign with id, scheduled_at, throttle_per_hour
+ * @param {object[]} leads - Segment leads (id, whatsapp)
+ * @param {object} client - Prisma client or transaction
+ * @returns {Promise<{queued: number, optedOut: number, lastSendAfter: Date|null}>}
+ */
+export const queueCampaignMessages = async (campaign, leads, client = prisma) => {
+    const isNumberOptedOut = await loadOptOutLookup()
+    const spacingMs = Math.ceil(HOUR_MS / campaign.throttle_per_hour)
+    const startAt = new Date(Math.max(new Date(campaign.scheduled_at).getTime(), Date.now()))
+
+    let sendAfter = startAt
+    let lastSendAfter = null
+    let optedOut = 0
+    const data = []
+
+    for (const lead of leads) {
+        if (isNumberOptedOut(lead.whatsapp)) {
+            optedOut++
+            data.push({
+                lead_id: lead.id,
+                campaign_id: campaign.id,
+                phone: lead.whatsapp,
+                message_type: 'CAMPAIGN',
+                status: 'CANCELLED',
+                cancel_reason: OPT_OUT_REASON,
+                send_after: startAt,
+            })
+            continue
+        }
+
+        sendAfter = getQuietHoursEnd(sendAfter) || sendAfter
+        data.push({
+            lead_id: lead.id,
+            campaign_id: campaign.id,
+            phone: lead.whatsapp,
+            message_type: 'CAMPAIGN',
+            status: 'PENDING',
+            send_after: sendAfter,
+        })
+        lastSendAfter = sendAfter
+        sendAfter = new Date(sendAfter.getTime() + spacingMs)
+    }
+
+    // The (campaign_id, lead_id) unique index makes a repeated call a no-op
+    await client.whatsAppMessage.createMany({ data, skipDuplicates: true })
+
+    console.info('[MessageQueue] Campaign messages queued:', campaign.id, {
+        queued: data.length - optedOut,
+        optedOut,
+        lastSendAfter,
+    })
+    return { queued: data.length - optedOut, optedOut, lastSendAfter }
+}
+
 /**
  * Cancel pending welcome message for a lead
  * Called when lead makes a payment attempt
@@ -162,16 +485,31 @@ export const cancelPendingWelcomeMessage = async (leadId) => {
 
     if (result.count > 0) {
         console.info('[MessageQueue] Cancelled', result.count, 'welcome message(s) for lead:', leadId)
+        await recordLeadEvent(leadId, 'WHATSAPP_CANCELLED', {
+            description: 'Mensagem de boas-vindas cancelada (lead iniciou pagamento)',
+            metadata: { message_type: 'LEAD_WELCOME', count: result.count },
+            actor: 'queue',
+        })
     }
 
     return result.count
 }
 
+// Timeline wording of why the abandoned sequence stopped
+const ABANDONED_CANCEL_DESCRIPTIONS = {
+    payment_succeeded: 'pagamento aprovado',
+    new_checkout: 'novo checkout iniciado',
+}
+
 /**
- * Cancel pending abandoned message for a lead
- * Called when lead completes payment
+ * Cancel the pending steps of the abandoned-checkout sequence
+ * Called when the lead completes a payment or starts a new checkout
+ * (a new checkout that is abandoned again starts a fresh sequence).
+ *
+ * @param {string} leadId
+ * @param {'payment_succeeded'|'new_checkout'} reason - cancel_reason
  */
-export const cancelPendingAbandonedMessage = async (leadId) => {
+export const cancelPendingAbandonedMessage = async (leadId, reason) => {
     const result = await prisma.whatsAppMessage.updateMany({
         where: {
             lead_id: leadId,
@@ -180,20 +518,34 @@ export const cancelPendingAbandonedMessage = async (leadId) => {
         },
         data: {
             status: 'CANCELLED',
+            cancel_reason: reason,
+            next_retry_at: null,
         },
     })
 
     if (result.count > 0) {
-        console.info('[MessageQueue] Cancelled', result.count, 'abandoned message(s) for lead:', leadId)
+        console.info('[MessageQueue] Cancelled', result.count, 'abandoned message(s) for lead:', leadId, reason)
+        await recordLeadEvent(leadId, 'WHATSAPP_CANCELLED', {
+            description: `Sequência de pagamento abandonado cancelada (${ABANDONED_CANCEL_DESCRIPTIONS[reason] || reason})`,
+            metadata: { message_type: 'PAYMENT_ABANDONED', count: result.count, reason },
+            actor: 'queue',
+        })
     }
 
     return result.count
 }
 
 export default {
+    SENT_STATUSES,
     queueLeadWelcomeMessage,
     queuePaymentAbandonedMessage,
     queuePaymentConfirmedMessage,
+    queueMeetingRescheduledMessage,
+    queueMeetingCancelledMessage,
+    queueMeetingReminders,
+    cancelMeetingReminders,
+    queueSessionFollowUpMessage,
+    queueCampaignMessages,
     cancelPendingWelcomeMessage,
     cancelPendingAbandonedMessage,
 }
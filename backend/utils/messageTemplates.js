@@ -0,0 +1,233 @@
+/**
+ * WhatsApp message templates
+ * Texts are stored per message type in MessageTemplate (versioned, editable in the admin).
+ * When a type has no active version, the default text below is used; with several
+ * active versions, each send picks one by weight (A/B test).
+ */
+
+import prisma from '../lib/prisma'
+import { getGreeting, getFirstName } from './whatsapp'
+
+/**
+ * Available placeholders (descriptions are shown in the admin editor)
+ * A line whose placeholder has no value (e.g. no invite link) is left out of the message.
+ */
+export const TEMPLATE_PLACEHOLDERS = {
+    firstName: 'Primeiro nome do lead',
+    greeting: 'bom dia / boa tarde / boa noite (horário de Brasília)',
+    meetingDate: 'Data da reunião (ex: sexta-feira, 16 de janeiro)',
+    meetingTime: 'Horário da reunião (ex: 14:00)',
+    durationHours: 'Duração da sessão em horas',
+    inviteUrl: 'Link do convite para a agenda (.ics)',
+    manageUrl: 'Link da página do cliente para ver, remarcar ou cancelar',
+    reviewUrl: 'Link para avaliar a sessão',
+    referralLink: 'Link pessoal de indicação do cliente',
+}
+
+/**
+ * Default texts (used until an admin saves a version)
+ */
+export const DEFAULT_TEMPLATES = {
+    LEAD_WELCOME: 'Ola {firstName}, {greeting}, tudo bom? Vi que voce se cadastrou pra otimizacao, se tiver algum problema ou duvida pode me avisar',
+
+    PAYMENT_ABANDONED: 'Ola {firstName}, {greeting}, tudo bom? Vi que voce gerou um pagamento mas nao confirmou, se tiver tido algum problema ou tiver alguma duvida, so falar',
+
+    PAYMENT_CONFIRMED: [
+        'Ola {firstName}, {greeting}, tudo bom? Vi que voce efetivou a compra da otimizacao, seu horario e as {meetingTime} e demoramos {durationHours} horas pra fazer a otimizacao, caso queira remarcar, so me avisar, te espero no dia {meetingDate} as {meetingTime} pelo discord, forte abraco',
+        '',
+        'Adicione na sua agenda: {inviteUrl}',
+        '',
+        'Pra ver, remarcar ou cancelar sua reserva: {manageUrl}',
+    ].join('\n'),
+
+    MEETING_RESCHEDULED: [
+        'Ola {firstName}, {greeting}, tudo bom? Passando pra avisar que sua otimizacao foi remarcada para {meetingDate} as {meetingTime}, te espero no discord. Qualquer duvida e so me chamar, forte abraco',
+        '',
+        'Convite atualizado para a agenda: {inviteUrl}',
+    ].join('\n'),
+
+    MEETING_CANCELLED: 'Ola {firstName}, {greeting}, tudo bom? Confirmando o cancelamento da sua otimizacao de {meetingDate} as {meetingTime}. Se quiser marcar outro dia ou tiver duvida sobre o pagamento e so me chamar por aqui, forte abraco',
+
+    MEETING_REMINDER_24H: [
+        'Ola {firstName}, {greeting}, tudo bom? Passando pra lembrar da sua otimizacao amanha, {meetingDate} as {meetingTime}, pelo discord. Deixa o PC ligado e com o discord aberto no horario, forte abraco',
+        '',
+        'Se precisar remarcar: {manageUrl}',
+    ].join('\n'),
+
+    MEETING_REMINDER_1H: 'Ola {firstName}, {greeting}, tudo bom? Sua otimizacao comeca daqui a 1 hora, as {meetingTime}. Ja deixa o discord aberto que eu te chamo por la, ate ja',
+
+    SESSION_FOLLOWUP: [
+        'Ola {firstName}, {greeting}, tudo bom? Passando pra saber como ficou o PC depois da otimizacao. Se puder, deixa uma nota de 1 a 5 pra gente, leva menos de um minuto: {reviewUrl}',
+        '',
+        'E se indicar algum amigo por esse link voce ganha comissao em cada otimizacao: {referralLink}',
+    ].join('\n'),
+}
+
+export const TEMPLATE_MESSAGE_TYPES = Object.keys(DEFAULT_TEMPLATES)
+
+// meeting_date/meeting_time are stored as UTC date/time columns
+const formatMeetingDate = (meetingDate) => new Date(meetingDate).toLocaleDateString('pt-BR', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    timeZone: 'UTC',
+})
+
+const formatMeetingTime = (meetingTime) => new Date(meetingTime).toLocaleTimeString('pt-BR', {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'UTC',
+})
+
+/**
+ * Build placeholder values for a message
+ *
+ * @param {object} context
+ * @param {object} context.lead - Lead with nome
+ * @param {object} context.meeting - Meeting with meeting_date, meeting_time (optional)
+ * @param {number} context.durationHours - Session length (optional)
+ * @param {string} context.inviteUrl - Calendar invite link (optional)
+ * @param {string} context.manageUrl - Client booking page link (optional)
+ * @param {string} context.reviewUrl - Review link (optional)
+ * @param {string} context.referralLink - Client referral link (optional)
+ * @returns {object} Values keyed by placeholder name
+ */
+export const buildTemplateVariables = ({
+    lead,
+    meeting = null,
+    durationHours = null,
+    inviteUrl = null,
+    manageUrl = null,
+    reviewUrl = null,
+    referralLink = null,
+}) => ({
+    firstName: getFirstName(lead.nome),
+    greeting: getGreeting().toLowerCase(),
+    meetingDate: meeting ? formatMeetingDate(meeting.meeting_date) : null,
+    meetingTime: meeting ? formatMeetingTime(meeting.meeting_time) : null,
+    durationHours: durationHours != null ? String(durationHours).replace('.', ',') : null,
+    inviteUrl,
+    manageUrl,
+    reviewUrl,
+    referralLink,
+})
+
+/**
+ * Replace placeholders in a template body
+ * Lines that reference a known placeholder without value are dropped;
+ * unknown placeholders are kept as typed so mistakes show up in the preview.
+ *
+ * @param {string} body - Template text
+ * @param {object} variables - Result of buildTemplateVariables
+ * @returns {string} Rendered message
+ */
+export const renderTemplate = (body, variables) => {
+    const isMissing = (key) => key in TEMPLATE_PLACEHOLDERS &&
+        (variables[key] === null || variables[key] === undefined || variables[key] === '')
+
+    return body
+        .split('\n')
+        .filter(line => ![...line.matchAll(/\{(\w+)\}/g)].some(([, key]) => isMissing(key)))
+        .map(line => line.replace(/\{(\w+)\}/g, (match, key) => (
+            key in TEMPLATE_PLACEHOLDERS ? String(variables[key]) : match
+        )))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+}
+
+/**
+ * Load the active template versions of every message type
+ * More than one active version means an A/B test between them.
+ *
+ * @returns {Promise<object>} Map of message_type -> MessageTemplate[]
+ */
+export const loadActiveTemplates = async () => {
+    const templates = await prisma.messageTemplate.findMany({
+        where: { active: true },
+        orderBy: { version: 'asc' },
+    })
+
+    return templates.reduce((byType, template) => {
+        (byType[template.message_type] ||= []).push(template)
+        return byType
+    }, {})
+}
+
+/**
+ * Pick one of the active versions, proportionally to its weight
+ *
+ * @param {object[]} variants - Active MessageTemplate rows of one type
+ * @param {function} random - Random source in [0, 1)
+ * @returns {object|null} Chosen template (null when there is none)
+ */
+export const pickVariant = (variants = [], random = Math.random) => {
+    const candidates = variants.filter(variant => variant.weight > 0)
+    if (candidates.length === 0) {
+        return variants[0] || null
+    }
+
+    const totalWeight = candidates.reduce((sum, variant) => sum + variant.weight, 0)
+    let roll = random() * totalWeight
+
+    for (const variant of candidates) {
+        roll -= variant.weight
+        if (roll < 0) {
+            return variant
+        }
+    }
+
+    return candidates[candidates.length - 1]
+}
+
+/**
+ * Render a message with an active version (or the default text)
+ *
+ * @param {string} messageType - WhatsAppMessageType
+ * @param {object} variables - Result of buildTemplateVariables
+ * @param {object} activeTemplates - Result of loadActiveTemplates
+ * @returns {{text: string, template: object|null}} template is the chosen variant, null when the default was used
+ */
+export const renderMessage = (messageType, variables, activeTemplates = {}) => {
+    const template = pickVariant(activeTemplates[messageType])
+    const body = template?.body || DEFAULT_TEMPLATES[messageType]
+
+    if (!body) {
+        return { text: null, template: null }
+    }
+
+    return { text: renderTemplate(body, variables), template }
+}
+
+/**
+ * Sample values for the admin preview
+ */
+export const buildSampleVariables = () => {
+    const tomorrow = new Date()
+    tomorrow.setUTCDate(tomorrow.getUTCDate() + 1)
+
+    return buildTemplateVariables({
+        lead: { nome: 'João Silva' },
+        meeting: {
+            meeting_date: new Date(tomorrow.toISOString().slice(0, 10)),
+            meeting_time: new Date('1970-01-01T14:00:00Z'),
+        },
+        durationHours: 4,
+        inviteUrl: 'https://exemplo.com/api/meetings/invite?t=...',
+        manageUrl: 'https://exemplo.com/minha-reserva?token=...',
+        reviewUrl: 'https://exemplo.com/minha-reserva?token=...',
+        referralLink: 'https://exemplo.com/?ref=...',
+    })
+}
+
+export default {
+    TEMPLATE_PLACEHOLDERS,
+    DEFAULT_TEMPLATES,
+    TEMPLATE_MESSAGE_TYPES,
+    buildTemplateVariables,
+    renderTemplate,
+    loadActiveTemplates,
+    pickVariant,
+    renderMessage,
+    buildSampleVariables,
+}
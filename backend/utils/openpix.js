@@ -3,7 +3,46 @@
  * Documentação: https://developers.openpix.com.br
  */
 
-const OPENPIX_API_URL = 'https://api.openpix.com.br/api/v1'
+import { PIX_KEY_TYPES } from './pixKeys'
+
+// OPENPIX_API_URL aponta para outro ambiente (ex.: scripts/openpix-stub.js em http://localhost:4010/api/v1)
+const OPENPIX_API_URL = (process.env.OPENPIX_API_URL || 'https://api.openpix.com.br/api/v1').replace(/\/$/, '')
+
+const getAppId = () => {
+  const appId = process.env.OPENPIX_APP_ID
+
+  if (!appId) {
+    throw new Error('OPENPIX_APP_ID não configurado')
+  }
+
+  return appId
+}
+
+// Cobranças da OpenPix guardam `openpix_<correlationID>` em Transaction.stripe_payment_intent
+export const OPENPIX_REFERENCE_PREFIX = 'openpix_'
+
+/**
+ * Transação paga por uma cobrança da OpenPix (e não por um PaymentIntent do Stripe)
+ * @param {Object} transaction
+ * @returns {boolean}
+ */
+export const isOpenPixTransaction = (transaction) => (
+  Boolean(transaction?.stripe_payment_intent?.startsWith(OPENPIX_REFERENCE_PREFIX))
+)
+
+async function openpixRequest(path, { method = 'GET', body } = {}) {
+  const response = await fetch(`${OPENPIX_API_URL}${path}`, {
+    method,
+    headers: {
+      'Authorization': getAppId(),
+      'Content-Type': 'application/json',
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  })
+
+  const data = await response.json().catch(() => ({}))
+  return { ok: response.ok, status: response.status, data }
+}
 
 /**
  * Criar uma cobrança PIX
@@ -100,6 +139,202 @@ export async function getChargeStatus(correlationID) {
   return data.charge
 }
 
+/**
+ * Chave PIX no formato de destino da OpenPix
+ * O tipo vem do cadastro (utils/pixKeys.js): nunca é deduzido dos dígitos.
+ *
+ * @param {string} pixKey - Chave normalizada (telefone salvo sem +55)
+ * @param {string} pixKeyType - CPF, CNPJ, EMAIL, PHONE ou RANDOM
+ * @returns {{destinationAlias: string, destinationAliasType: string}}
+ */
+export function toPixDestination(pixKey, pixKeyType) {
+  if (!PIX_KEY_TYPES.includes(pixKeyType)) {
+    throw new Error('Tipo da chave PIX não informado')
+  }
+
+  const key = pixKey.trim()
+
+  if (pixKeyType === 'PHONE') {
+    return { destinationAlias: `+55${key.replace(/\D/g, '')}`, destinationAliasType: 'PHONE' }
+  }
+  if (pixKeyType === 'CPF' || pixKeyType === 'CNPJ') {
+    return { destinationAlias: key.replace(/\D/g, ''), destinationAliasType: pixKeyType }
+  }
+  if (pixKeyType === 'EMAIL') {
+    return { destinationAlias: key.toLowerCase(), destinationAliasType: 'EMAIL' }
+  }
+
+  return { destinationAlias: key, destinationAliasType: 'RANDOM' }
+}
+
+/**
+ * Remover uma cobrança ainda não paga (o QR Code deixa de aceitar pagamento)
+ * @param {string} correlationID - ID da cobrança (transaction_id)
+ * @returns {Promise<boolean>} false quando a cobrança não existe na OpenPix
+ */
+export async function deletePixCharge(correlationID) {
+  const { ok, status, data } = await openpixRequest(`/charge/${encodeURIComponent(correlationID)}`, {
+    method: 'DELETE',
+  })
+
+  if (status === 404) {
+    return false
+  }
+
+  if (!ok) {
+    const errorMessage = data?.error || data?.message || 'Erro ao remover cobrança PIX'
+    console.error('[OpenPix] Erro ao remover cobrança:', errorMessage)
+    throw new Error(errorMessage)
+  }
+
+  return true
+}
+
+/**
+ * Buscar um pagamento (transferência PIX de saída)
+ * @param {string} correlationID - ID do pagamento (use o id do PayoutBatch)
+ * @returns {Promise<{payment: Object, transaction: Object|null}|null>} null quando não existe
+ */
+export async function getPixPayment(correlationID) {
+  const { ok, status, data } = await openpixRequest(`/payment/${encodeURIComponent(correlationID)}`)
+
+  if (status === 404) {
+    return null
+  }
+
+  if (!ok) {
+    throw new Error(data?.error || 'Erro ao buscar pagamento PIX')
+  }
+
+  return { payment: data.payment, transaction: data.transaction || null }
+}
+
+/**
+ * Criar um pagamento PIX (fica CREATED até ser aprovado)
+ * Idempotente pelo correlationID: se já existe, devolve o pagamento existente.
+ *
+ * @param {Object} params
+ * @param {string} params.correlationID - Chave de idempotência (id do PayoutBatch)
+ * @param {number} params.value - Valor em centavos
+ * @param {string} params.pixKey - Chave PIX de destino
+ * @param {string} params.pixKeyType - Tipo da chave (CPF, CNPJ, EMAIL, PHONE ou RANDOM)
+ * @param {string} params.comment - Descrição
+ */
+export async function createPixPayment({ correlationID, value, pixKey, pixKeyType, comment }) {
+  const { ok, data } = await openpixRequest('/payment', {
+    method: 'POST',
+    body: {
+      correlationID,
+      value,
+      comment,
+      ...toPixDestination(pixKey, pixKeyType),
+    },
+  })
+
+  if (!ok) {
+    // Reenvio do mesmo correlationID: vale o pagamento já criado
+    const existing = await getPixPayment(correlationID).catch(() => null)
+    if (existing) {
+      return existing.payment
+    }
+
+    const errorMessage = data?.error || data?.message || 'Erro ao criar pagamento PIX'
+    console.error('[OpenPix] Erro ao criar pagamento:', errorMessage)
+    throw new Error(errorMessage)
+  }
+
+  return data.payment
+}
+
+/**
+ * Aprovar um pagamento criado (a transferência é enviada)
+ * @param {string} correlationID
+ */
+export async function approvePixPayment(correlationID) {
+  const { ok, data } = await openpixRequest('/payment/approve', {
+    method: 'POST',
+    body: { correlationID },
+  })
+
+  if (!ok) {
+    const errorMessage = data?.error || data?.message || 'Erro ao aprovar pagamento PIX'
+    console.error('[OpenPix] Erro ao aprovar pagamento:', errorMessage)
+    throw new Error(errorMessage)
+  }
+
+  return { payment: data.payment, transaction: data.transaction || null }
+}
+
+/**
+ * Remover um pagamento ainda não aprovado (nada foi enviado)
+ * @param {string} correlationID - ID do pagamento (id do PayoutBatch)
+ * @returns {Promise<boolean>} false quando o pagamento não existe na OpenPix
+ */
+export async function deletePixPayment(correlationID) {
+  const { ok, status, data } = await openpixRequest(`/payment/${encodeURIComponent(correlationID)}`, {
+    method: 'DELETE',
+  })
+
+  if (status === 404) {
+    return false
+  }
+
+  if (!ok) {
+    const errorMessage = data?.error || data?.message || 'Erro ao remover pagamento PIX'
+    console.error('[OpenPix] Erro ao remover pagamento:', errorMessage)
+    throw new Error(errorMessage)
+  }
+
+  return true
+}
+
+/**
+ * Reembolsar uma cobrança paga (devolve o PIX ao pagador)
+ * Idempotente pelo correlationID do reembolso: se já existe, devolve o reembolso existente.
+ *
+ * @param {Object} params
+ * @param {string} params.chargeCorrelationID - correlationID da cobrança (transaction_id)
+ * @param {string} params.correlationID - Chave de idempotência do reembolso
+ * @param {number} params.value - Valor em centavos
+ * @param {string} params.comment - Descrição
+ */
+export async function refundPixCharge({ chargeCorrelationID, correlationID, value, comment }) {
+  const { ok, data } = await openpixRequest(`/charge/${encodeURIComponent(chargeCorrelationID)}/refund`, {
+    method: 'POST',
+    body: { correlationID, value, comment },
+  })
+
+  if (!ok) {
+    // Reenvio do mesmo correlationID: vale o reembolso já criado
+    const refunds = await getChargeRefunds(chargeCorrelationID).catch(() => [])
+    const existing = refunds.find(refund => refund.correlationID === correlationID)
+    if (existing) {
+      return existing
+    }
+
+    const errorMessage = data?.error || data?.message || 'Erro ao reembolsar cobrança PIX'
+    console.error('[OpenPix] Erro ao reembolsar cobrança:', errorMessage)
+    throw new Error(errorMessage)
+  }
+
+  return data.refund
+}
+
+/**
+ * Listar os reembolsos de uma cobrança
+ * @param {string} chargeCorrelationID - correlationID da cobrança (transaction_id)
+ * @returns {Promise<Object[]>}
+ */
+export async function getChargeRefunds(chargeCorrelationID) {
+  const { ok, data } = await openpixRequest(`/charge/${encodeURIComponent(chargeCorrelationID)}/refund`)
+
+  if (!ok) {
+    throw new Error(data?.error || 'Erro ao buscar reembolsos da cobrança')
+  }
+
+  return data.refunds || []
+}
+
 /**
  * Validar webhook da OpenPix
  * @param {Object} payload - Corpo da requisição
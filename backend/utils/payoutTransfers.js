@@ -0,0 +1,230 @@
+/**
+ * Transferências automáticas dos lotes de comissão pela OpenPix
+ *
+ * 1. requestPayoutTransfer: cria o pagamento na OpenPix (status CREATED, nada é enviado)
+ * 2. approvePayoutTransfer: o admin confere e aprova; o lote vai para PROCESSING
+ * 3. reconcilePayoutTransfer: webhook OPENPIX:MOVEMENT_* (ou o cron) consulta o pagamento
+ *    na OpenPix e marca o lote como PAID (com o EndToEndId) ou FAILED
+ *
+ * O correlationID do pagamento é o id do lote: é a chave de idempotência, então repetir
+ * uma chamada nunca cria uma segunda transferência.
+ */
+
+import prisma from '../lib/prisma'
+import { createPixPayment, approvePixPayment, getPixPayment } from './openpix'
+import { markPayoutBatchPaid, failPayoutBatch, removeCancelledBatchPayment } from './commissions'
+
+// Status do pagamento na OpenPix
+const CONFIRMED_STATUSES = ['CONFIRMED', 'COMPLETED']
+const FAILED_STATUSES = ['FAILED', 'DENIED', 'REJECTED', 'REMOVED']
+
+const normalizeStatus = (status) => String(status || '').trim().toUpperCase()
+
+/**
+ * Cria o pagamento do lote na OpenPix, aguardando aprovação
+ * O tipo da chave precisa estar no lote (vem do cadastro ou foi confirmado pelo admin).
+ * O lote é marcado como "transferência pedida" antes de criar o pagamento: a partir daí um
+ * estorno cancela o lote em vez de reduzir o valor, e o pagamento usa o valor relido depois
+ * da marcação.
+ *
+ * @param {Object} batch - PayoutBatch PENDING
+ * @param {string} actor - E-mail do admin
+ * @returns {Promise<Object|null>} PayoutBatch atualizado (null quando o lote deixou de estar pendente ou já tem pedido)
+ */
+export async function requestPayoutTransfer(batch, actor) {
+  if (!batch.pix_key_type) {
+    throw new Error('Confirme o tipo da chave PIX antes de enviar')
+  }
+
+  const claimed = await prisma.payoutBatch.updateMany({
+    where: { id: batch.id, status: 'PENDING', transfer_requested_at: null },
+    data: { transfer_requested_at: new Date(), transfer_requested_by: actor, transfer_error: null },
+  })
+
+  if (claimed.count === 0) {
+    return null
+  }
+
+  // Valor atual: estornos anteriores à marcação já foram descontados
+  const current = await prisma.payoutBatch.findUnique({ where: { id: batch.id } })
+
+  if (current.status !== 'PENDING') {
+    return null
+  }
+
+  let payment
+
+  try {
+    payment = await createPixPayment({
+      correlationID: current.id,
+      value: current.amount,
+      pixKey: current.pix_key,
+      pixKeyType: current.pix_key_type,
+      comment: `Comissões de indicação (${current.commissions_count})`,
+    })
+
+    if (typeof payment?.value === 'number' && payment.value !== current.amount) {
+      // Pagamento antigo do mesmo lote com outro valor: não pode ficar aprovável
+      await removeCancelledBatchPayment(current.id)
+      throw new Error('Valor do pagamento na OpenPix diferente do lote; cancele e gere o lote de novo')
+    }
+  } catch (error) {
+    // Libera o pedido para uma nova tentativa
+    await prisma.payoutBatch.updateMany({
+      where: { id: current.id, status: 'PENDING' },
+      data: { transfer_requested_at: null, transfer_requested_by: null, transfer_error: error.message },
+    })
+    throw error
+  }
+
+  const updated = await prisma.payoutBatch.updateMany({
+    where: { id: current.id, status: 'PENDING' },
+    data: { transfer_status: normalizeStatus(payment?.status) || 'CREATED' },
+  })
+
+  if (updated.count === 0) {
+    // Lote cancelado enquanto o pagamento era criado (ex.: estorno): o pagamento não pode ficar na OpenPix
+    await removeCancelledBatchPayment(current.id)
+    return null
+  }
+
+  console.info('[Payouts] Transferência criada na OpenPix', {
+    batchId: current.id,
+    amount: current.amount,
+    requestedBy: actor,
+  })
+
+  return prisma.payoutBatch.findUnique({ where: { id: current.id } })
+}
+
+/**
+ * Aprova a transferência de um lote com pagamento já criado
+ * Em caso de erro, consulta a OpenPix: se o pagamento continua CREATED o lote volta para
+ * PENDING (pode aprovar de novo); senão fica PROCESSING e a conciliação decide.
+ *
+ * @param {string} batchId
+ * @param {string} actor - E-mail do admin
+ * @returns {Promise<Object|null>} PayoutBatch (null quando o lote não está aguardando aprovação)
+ */
+export async function approvePayoutTransfer(batchId, actor) {
+  const claimed = await prisma.payoutBatch.updateMany({
+    // transfer_status só é gravado depois que o pagamento existe na OpenPix
+    where: { id: batchId, status: 'PENDING', transfer_requested_at: { not: null }, transfer_status: { not: null } },
+    data: { status: 'PROCESSING', approved_at: new Date(), approved_by: actor, transfer_error: null },
+  })
+
+  if (claimed.count === 0) {
+    return null
+  }
+
+  try {
+    const { payment } = await approvePixPayment(batchId)
+
+    await prisma.payoutBatch.update({
+      where: { id: batchId },
+      data: { transfer_status: normalizeStatus(payment?.status) || 'APPROVED' },
+    })
+
+    console.info('[Payouts] Transferência aprovada', { batchId, approvedBy: actor })
+  } catch (error) {
+    const current = await getPixPayment(batchId).catch(() => null)
+    const stillCreated = normalizeStatus(current?.payment?.status) === 'CREATED'
+
+    await prisma.payoutBatch.update({
+      where: { id: batchId },
+      data: stillCreated
+        ? { status: 'PENDING', approved_at: null, approved_by: null, transfer_error: error.message }
+        : { transfer_error: error.message },
+    })
+
+    if (stillCreated) {
+      throw error
+    }
+  }
+
+  return reconcilePayoutTransfer(batchId)
+}
+
+/**
+ * Atualiza um lote em processamento com o status do pagamento na OpenPix
+ * Nunca confia só no webhook: sempre consulta a API.
+ *
+ * @param {string} batchId
+ * @returns {Promise<Object|null>} PayoutBatch (null quando não existe)
+ */
+export async function reconcilePayoutTransfer(batchId) {
+  const batch = await prisma.payoutBatch.findUnique({ where: { id: batchId } })
+
+  if (!batch || batch.status !== 'PROCESSING') {
+    return batch
+  }
+
+  const result = await getPixPayment(batchId)
+
+  if (!result) {
+    console.warn('[Payouts] Pagamento não encontrado na OpenPix:', batchId)
+    return failPayoutBatch(batchId, 'Pagamento não encontrado na OpenPix')
+  }
+
+  const status = normalizeStatus(result.payment?.status)
+  const e2eId = result.transaction?.endToEndId
+
+  if (CONFIRMED_STATUSES.includes(status) && e2eId) {
+    if (typeof result.payment?.value === 'number' && result.payment.value !== batch.amount) {
+      console.warn('[Payouts] Valor divergente na transferência:', { batchId })
+    }
+
+    const paid = await markPayoutBatchPaid(batchId, e2eId, 'openpix', 'PROCESSING')
+    if (paid) {
+      await prisma.payoutBatch.update({ where: { id: batchId }, data: { transfer_status: status } })
+      console.info('[Payouts] Transferência confirmada', { batchId, e2eId })
+    }
+    return paid
+  }
+
+  if (FAILED_STATUSES.includes(status)) {
+    const reason = result.payment?.failReason || result.payment?.error || `Transferência ${status}`
+    await prisma.payoutBatch.update({ where: { id: batchId }, data: { transfer_status: status } })
+    console.warn('[Payouts] Transferência falhou', { batchId, status, reason })
+    return failPayoutBatch(batchId, reason)
+  }
+
+  if (status && status !== batch.transfer_status) {
+    return prisma.payoutBatch.update({ where: { id: batchId }, data: { transfer_status: status } })
+  }
+
+  return batch
+}
+
+/**
+ * Webhook OPENPIX:MOVEMENT_* (confirmação ou falha de uma transferência)
+ * @param {Object} payload - Corpo do webhook
+ * @returns {Promise<Object|null>} PayoutBatch conciliado (null quando não é um lote nosso)
+ */
+export async function handlePayoutWebhook(payload) {
+  const correlationID = payload?.payment?.correlationID || payload?.transaction?.correlationID
+
+  if (!correlationID) {
+    console.warn('[Payouts] Webhook de transferência sem correlationID')
+    return null
+  }
+
+  const batch = await prisma.payoutBatch.findUnique({
+    where: { id: correlationID },
+    select: { id: true },
+  })
+
+  if (!batch) {
+    console.warn('[Payouts] Lote não encontrado para o webhook:', correlationID)
+    return null
+  }
+
+  return reconcilePayoutTransfer(batch.id)
+}
+
+export default {
+  requestPayoutTransfer,
+  approvePayoutTransfer,
+  reconcilePayoutTransfer,
+  handlePayoutWebhook,
+}
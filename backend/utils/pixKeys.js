@@ -0,0 +1,129 @@
+/**
+ * Chaves PIX dos indicadores
+ * O tipo da chave é escolhido por quem cadastra e salvo junto com ela (Referrer.pix_key_type):
+ * 11 dígitos podem ser CPF ou celular com DDD, e adivinhar o tipo pode mandar o pagamento
+ * para a chave de outra pessoa.
+ */
+
+import { z } from 'zod'
+
+export const PIX_KEY_TYPES = ['CPF', 'CNPJ', 'EMAIL', 'PHONE', 'RANDOM']
+
+export const pixKeyTypeSchema = z.enum(PIX_KEY_TYPES, { message: 'Tipo de chave PIX inválido' })
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const RANDOM_KEY_REGEX = /^[a-zA-Z0-9-]{32,36}$/
+
+// CPF com dígitos verificadores válidos
+export const isValidCpf = (digits) => {
+  if (!/^\d{11}$/.test(digits) || /^(\d)\1{10}$/.test(digits)) return false
+
+  const checkDigit = (length) => {
+    let sum = 0
+    for (let i = 0; i < length; i++) {
+      sum += Number(digits[i]) * (length + 1 - i)
+    }
+    const rest = (sum * 10) % 11
+    return rest === 10 ? 0 : rest
+  }
+
+  return checkDigit(9) === Number(digits[9]) && checkDigit(10) === Number(digits[10])
+}
+
+/**
+ * Normaliza a chave para o formato salvo
+ * CPF/CNPJ só com dígitos, telefone com DDD e sem +55, e-mail em minúsculas.
+ *
+ * @param {string|null} pixKey
+ * @param {string} pixKeyType - Um de PIX_KEY_TYPES
+ * @returns {string|null}
+ */
+export const normalizePixKey = (pixKey, pixKeyType) => {
+  if (!pixKey) return null
+
+  const key = pixKey.trim()
+  const digits = key.replace(/\D/g, '')
+
+  switch (pixKeyType) {
+    case 'CPF':
+    case 'CNPJ':
+      return digits
+    case 'PHONE':
+      return digits.length > 11 && digits.startsWith('55') ? digits.substring(2) : digits
+    case 'EMAIL':
+      return key.toLowerCase()
+    default:
+      return key
+  }
+}
+
+/**
+ * Confere se a chave (já normalizada) tem o formato do tipo informado
+ * @param {string} pixKey
+ * @param {string} pixKeyType
+ * @returns {boolean}
+ */
+export const isValidPixKey = (pixKey, pixKeyType) => {
+  switch (pixKeyType) {
+    case 'CPF':
+      return isValidCpf(pixKey)
+    case 'CNPJ':
+      return /^\d{14}$/.test(pixKey)
+    case 'PHONE':
+      return /^\d{10,11}$/.test(pixKey)
+    case 'EMAIL':
+      return EMAIL_REGEX.test(pixKey)
+    case 'RANDOM':
+      return RANDOM_KEY_REGEX.test(pixKey)
+    default:
+      return false
+  }
+}
+
+/**
+ * Chave PIX e tipo enviados por um formulário
+ * A chave sai normalizada e é conferida contra o tipo escolhido.
+ */
+export const pixKeyInputSchema = z.object({
+  pix_key: z.string()
+    .min(5, 'Chave PIX muito curta')
+    .max(140, 'Chave PIX muito longa'),
+  pix_key_type: pixKeyTypeSchema,
+})
+  .transform(({ pix_key, pix_key_type }) => ({ pix_key: normalizePixKey(pix_key, pix_key_type), pix_key_type }))
+  .refine(
+    ({ pix_key, pix_key_type }) => isValidPixKey(pix_key, pix_key_type),
+    { message: 'Chave PIX inválida para o tipo escolhido', path: ['pix_key'] }
+  )
+
+/**
+ * Tipo de uma chave antiga, salva antes de o tipo ser informado
+ * Só responde quando não há dúvida: 11 dígitos com CPF válido podem ser um celular.
+ *
+ * @param {string|null} pixKey
+ * @returns {string|null} null quando o tipo precisa ser confirmado pelo admin
+ */
+export const inferPixKeyType = (pixKey) => {
+  if (!pixKey) return null
+
+  const key = pixKey.trim()
+  const digits = key.replace(/\D/g, '')
+
+  if (EMAIL_REGEX.test(key)) return 'EMAIL'
+  if (RANDOM_KEY_REGEX.test(key) && /[a-zA-Z]/.test(key)) return 'RANDOM'
+  if (digits.length === 14) return 'CNPJ'
+  if (digits.length === 10 || key.startsWith('+55')) return 'PHONE'
+  if (digits.length === 11 && !isValidCpf(digits)) return 'PHONE'
+
+  return null
+}
+
+export default {
+  PIX_KEY_TYPES,
+  pixKeyTypeSchema,
+  isValidCpf,
+  normalizePixKey,
+  isValidPixKey,
+  pixKeyInputSchema,
+  inferPixKeyType,
+}
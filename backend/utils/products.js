@@ -0,0 +1,154 @@
+/**
+ * Produtos (pacotes vendidos no checkout)
+ * Cada produto define o preço, a duração da sessão na agenda e a comissão do indicador.
+ * A comissão pode ser sobrescrita por indicador (ReferrerCommissionOverride), ex.: influencers.
+ *
+ * O checkout grava na Transaction o produto, o valor, a comissão e a duração do momento da
+ * compra: alterar o produto depois não muda vendas já feitas.
+ */
+
+import { z } from 'zod'
+import prisma from '../lib/prisma'
+import { calculateDiscount } from './coupons'
+
+export const COMMISSION_TYPES = ['FIXED', 'PERCENT']
+
+// Comissão: FIXED em centavos, PERCENT em % inteiro do valor pago
+const commissionFields = {
+  commission_type: z.enum(COMMISSION_TYPES, { message: 'Tipo de comissão inválido' }),
+  commission_value: z.coerce.number().int('Comissão inválida').min(0, 'Comissão inválida'),
+}
+
+const isValidPercent = (data) => data.commission_type !== 'PERCENT' || data.commission_value <= 100
+const percentIssue = { message: 'Percentual máximo de 100%', path: ['commission_value'] }
+
+export const commissionSchema = z.object(commissionFields).refine(isValidPercent, percentIssue)
+
+export const productSchema = z.object({
+  slug: z.string().trim().toLowerCase()
+    .regex(/^[a-z0-9-]{3,40}$/, 'Slug deve ter de 3 a 40 letras minúsculas, números ou hífens'),
+  nome: z.string().trim().min(2, 'Nome muito curto').max(80, 'Nome muito longo'),
+  descricao: z.string().trim().max(300, 'Descrição muito longa').nullish().transform(val => val || null),
+  price: z.coerce.number().int('Preço inválido').min(100, 'Preço mínimo de R$ 1,00'),
+  session_duration_minutes: z.coerce.number().int()
+    .min(30, 'Duração mínima de 30 minutos')
+    .max(720, 'Duração máxima de 12 horas'),
+  ativo: z.boolean().optional(),
+  sort_order: z.coerce.number().int().min(0).max(999).optional(),
+  ...commissionFields,
+})
+  .refine(isValidPercent, percentIssue)
+  .refine(
+    (data) => data.commission_type !== 'FIXED' || data.commission_value <= data.price,
+    { message: 'A comissão não pode ser maior que o preço', path: ['commission_value'] }
+  )
+
+/**
+ * Comissão em centavos sobre um valor pago
+ * @param {{commission_type: string, commission_value: number}} rule
+ * @param {number} amount - Valor pago em centavos
+ * @returns {number}
+ */
+export const calculateCommission = (rule, amount) => {
+  if (rule.commission_type === 'PERCENT') {
+    return Math.round((amount * rule.commission_value) / 100)
+  }
+
+  return Math.min(rule.commission_value, amount)
+}
+
+/**
+ * Regra de comissão de um indicador para um produto (override do indicador ou a do produto)
+ * @param {Object} product
+ * @param {string|null} referrerId
+ * @returns {Promise<{commission_type: string, commission_value: number, override: boolean}>}
+ */
+export async function getCommissionRule(product, referrerId) {
+  const override = referrerId
+    ? await prisma.referrerCommissionOverride.findUnique({
+      where: { referrer_id_product_id: { referrer_id: referrerId, product_id: product.id } },
+    })
+    : null
+
+  const rule = override || product
+
+  return {
+    commission_type: rule.commission_type,
+    commission_value: rule.commission_value,
+    override: Boolean(override),
+  }
+}
+
+/**
+ * Valores gravados na Transaction no checkout
+ * Com cupom, o valor cobrado já vem com o desconto e a comissão é calculada sobre ele.
+ *
+ * @param {Object} product
+ * @param {Object|null} affiliate - Referrer
+ * @param {Object|null} [coupon] - Cupom já validado (checkCoupon)
+ * @returns {Promise<{product_id: string, amount_product: number, amount_affiliate: number, duration_minutes: number, coupon_id: string|null, coupon_code: string|null, discount_amount: number}>}
+ */
+export async function buildTransactionAmounts(product, affiliate, coupon = null) {
+  const discount = coupon ? calculateDiscount(coupon, product.price) : 0
+  const amount = product.price - discount
+  const rule = affiliate ? await getCommissionRule(product, affiliate.id) : null
+
+  return {
+    product_id: product.id,
+    amount_product: amount,
+    amount_affiliate: rule ? calculateCommission(rule, amount) : 0,
+    duration_minutes: product.session_duration_minutes,
+    coupon_id: coupon?.id || null,
+    coupon_code: coupon?.code || null,
+    discount_amount: discount,
+  }
+}
+
+/**
+ * Produtos ativos, na ordem do checkout
+ */
+export async function getActiveProducts() {
+  return prisma.product.findMany({
+    where: { ativo: true },
+    orderBy: [{ sort_order: 'asc' }, { created_at: 'asc' }],
+  })
+}
+
+/**
+ * Produto escolhido no checkout
+ * Sem productId usa o primeiro produto ativo (links e páginas antigas continuam funcionando).
+ *
+ * @param {string} [productId]
+ * @returns {Promise<Object|null>} null quando não existe ou está inativo
+ */
+export async function findCheckoutProduct(productId) {
+  if (!productId) {
+    const [first] = await getActiveProducts()
+    return first || null
+  }
+
+  const product = await prisma.product.findUnique({ where: { id: productId } })
+  return product?.ativo ? product : null
+}
+
+// Dados públicos de um produto (página de agendamento)
+export const serializeProduct = (product) => ({
+  id: product.id,
+  slug: product.slug,
+  nome: product.nome,
+  descricao: product.descricao,
+  price: product.price,
+  session_duration_minutes: product.session_duration_minutes,
+})
+
+export default {
+  COMMISSION_TYPES,
+  commissionSchema,
+  productSchema,
+  calculateCommission,
+  getCommissionRule,
+  buildTransactionAmounts,
+  getActiveProducts,
+  findCheckoutProduct,
+  serializeProduct,
+}
@@ -0,0 +1,59 @@
+/**
+ * Indicadores (Referrer)
+ * Link pessoal de indicação dos clientes, criado sob demanda para o follow-up pós-sessão
+ */
+
+import crypto from 'crypto'
+import { v4 as uuidv4 } from 'uuid'
+import prisma from '../lib/prisma'
+
+// URL pública do site (mesma ordem de /api/referral/create)
+export const getSiteBaseUrl = () => {
+  const baseUrl = process.env.REFERRAL_BASE_URL ||
+    process.env.NEXT_PUBLIC_SITE_URL ||
+    (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : 'http://localhost:5173')
+  return baseUrl.replace(/\/$/, '')
+}
+
+export const buildReferralLink = (referralCode) => `${getSiteBaseUrl()}/?ref=${referralCode}`
+
+export const buildReferralDashboardLink = (accessToken) => `${getSiteBaseUrl()}/referral/dashboard?token=${accessToken}`
+
+/**
+ * Busca o indicador com o WhatsApp do lead ou cria um novo
+ * Mesmo WhatsApp = mesma conta (regra de /api/referral/create)
+ *
+ * @param {Object} lead - Lead com nome e whatsapp
+ * @returns {Promise<Object>} Referrer
+ */
+export async function findOrCreateLeadReferrer(lead) {
+  const whatsapp = lead.whatsapp.replace(/\D/g, '')
+
+  const existing = await prisma.referrer.findFirst({
+    where: { whatsapp },
+  })
+
+  if (existing) {
+    return existing
+  }
+
+  const referrer = await prisma.referrer.create({
+    data: {
+      nome: lead.nome,
+      whatsapp,
+      referral_code: uuidv4(),
+      access_token: crypto.randomBytes(32).toString('hex'),
+      created_by: 'follow-up',
+    },
+  })
+
+  console.info('[Referrers] Link de indicação criado para cliente:', { referrer_id: referrer.id })
+  return referrer
+}
+
+export default {
+  getSiteBaseUrl,
+  buildReferralLink,
+  buildReferralDashboardLink,
+  findOrCreateLeadReferrer,
+}
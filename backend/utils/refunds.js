@@ -0,0 +1,265 @@
+/**
+ * Reembolsos e contestações de pagamentos aprovados
+ *
+ * Uma transação succeeded que é reembolsada (admin, Stripe ou OpenPix) ou contestada
+ * (chargeback no cartão) desfaz tudo que a aprovação gerou:
+ *   - status refunded/disputed na Transaction (com data e motivo)
+ *   - reunião agendada cancelada (o horário volta a ficar livre)
+ *   - comissão do indicador estornada
+ *   - lead volta do COMPRADO para o estágio anterior à compra
+ *   - aviso no Discord
+ *
+ * Uma contestação que termina em reembolso pode passar de disputed para refunded;
+ * o restante só é desfeito uma vez.
+ *
+ * refundTransaction (ação do admin) devolve o dinheiro no provedor antes; o webhook
+ * de reembolso que chega depois não encontra mais nada a fazer. Os webhooks de pagamento
+ * também reembolsam sozinhos (refundIfSlotTaken) quando o horário pago foi ocupado por outra sessão.
+ */
+
+import prisma from '../lib/prisma'
+import stripe from './stripe'
+import { refundPixCharge, isOpenPixTransaction } from './openpix'
+import { recordLeadEvent, recordTransactionStatusEvent } from './leadEvents'
+import { updateMeetingStatus } from './meetings'
+import { hasSlotConflict, formatTimeValue } from './scheduling'
+import { releaseSlotHolds } from './slotHolds'
+import { reverseCommission } from './commissions'
+import { sendPaymentNotification } from './discord'
+
+// Status de origem aceitos por cada reversão
+const REVERSIBLE_FROM = {
+  refunded: ['succeeded', 'disputed'],
+  disputed: ['succeeded'],
+}
+
+// Estágio usado quando a timeline não registra de onde o lead veio
+const FALLBACK_STAGE = 'EM_CONTATO'
+
+const SLOT_CONFLICT_REASON = 'Horário ocupado por outra sessão quando o pagamento foi aprovado'
+
+/**
+ * Marca uma transação como reembolsada ou contestada e desfaz os efeitos da aprovação
+ * Idempotente: webhooks repetidos (ou o webhook depois da ação do admin) não repetem nada.
+ *
+ * @param {Object} transaction - Transaction com lead e affiliate
+ * @param {Object} options
+ * @param {'refunded'|'disputed'} options.status - Novo status
+ * @param {string} options.actor - Quem gerou (e-mail do admin, 'stripe' ou 'openpix')
+ * @param {string} options.provider - Rótulo para o Discord (Stripe/OpenPix)
+ * @param {string} options.reason - Motivo (opcional)
+ * @returns {Promise<{transaction: Object, meetingCancelled: boolean, commission: Object|null}|null>} null quando não havia o que reverter
+ */
+export async function reverseApprovedTransaction(transaction, { status, actor, provider, reason = null }) {
+  const now = new Date()
+
+  const claimed = await prisma.transaction.updateMany({
+    where: { id: transaction.id, status: { in: REVERSIBLE_FROM[status] } },
+    data: {
+      status,
+      ...(status === 'refunded' ? { refunded_at: now } : { disputed_at: now }),
+      ...(reason ? { refund_reason: reason } : {}),
+    },
+  })
+
+  if (claimed.count === 0) {
+    return null
+  }
+
+  await recordTransactionStatusEvent(transaction, status, actor)
+
+  // Contestação que virou reembolso: reunião, comissão e lead já foram tratados
+  const alreadyReversed = transaction.status === 'disputed'
+
+  let meetingCancelled = false
+  let commission = null
+
+  if (!alreadyReversed) {
+    meetingCancelled = await cancelTransactionMeeting(transaction, { status, actor })
+    commission = await reverseCommission(transaction.id, status === 'refunded' ? 'refund' : 'chargeback')
+    await revertLeadStage(transaction, { status, actor })
+  }
+
+  console.info('[Reembolsos] Transação revertida', {
+    transactionId: transaction.id,
+    from: transaction.status,
+    to: status,
+    actor,
+    meetingCancelled,
+    commissionReversed: !!commission,
+  })
+
+  const commissionNote = commission?.wasPaid
+    ? 'Comissão já paga ao indicador: valor a recuperar'
+    : commission?.inTransfer
+      ? 'Comissão em transferência ao indicador: valor a recuperar se a transferência for confirmada'
+      : null
+
+  try {
+    await sendPaymentNotification({
+      type: status === 'refunded' ? 'payment_refunded' : 'payment_disputed',
+      provider,
+      lead: transaction.lead,
+      affiliate: transaction.affiliate,
+      transaction,
+      reason: [reason, commissionNote].filter(Boolean).join(' | ') || null,
+    })
+  } catch (notifyError) {
+    console.error('[Reembolsos] Erro ao notificar no Discord:', notifyError.message)
+  }
+
+  return {
+    transaction: await prisma.transaction.findUnique({ where: { id: transaction.id } }),
+    meetingCancelled,
+    commission: commission?.commission || null,
+  }
+}
+
+/**
+ * Reembolsa um pagamento aprovado no provedor (Stripe ou OpenPix) e reverte a transação
+ * A chave de idempotência é o id da transação: repetir a ação nunca devolve o valor duas vezes.
+ *
+ * @param {Object} transaction - Transaction succeeded com lead e affiliate
+ * @param {Object} options
+ * @param {string} options.actor - E-mail do admin
+ * @param {string} options.reason - Motivo do reembolso
+ * @returns {Promise<Object|null>} Resultado de reverseApprovedTransaction
+ */
+export async function refundTransaction(transaction, { actor, reason }) {
+  const refundKey = `refund-${transaction.id}`
+  const isOpenPix = isOpenPixTransaction(transaction)
+
+  // Cobrança da OpenPix: o correlationID é o id da transação (stripe_payment_intent guarda openpix_<id>)
+  if (isOpenPix) {
+    await refundPixCharge({
+      chargeCorrelationID: transaction.id,
+      correlationID: refundKey,
+      value: transaction.amount_product,
+      comment: reason.slice(0, 140),
+    })
+  } else {
+    await stripe.refunds.create(
+      {
+        payment_intent: transaction.stripe_payment_intent,
+        reason: 'requested_by_customer',
+        metadata: { transaction_id: transaction.id, reason },
+      },
+      { idempotencyKey: refundKey }
+    )
+  }
+
+  return reverseApprovedTransaction(transaction, {
+    status: 'refunded',
+    actor,
+    provider: isOpenPix ? 'OpenPix' : 'Stripe',
+    reason,
+  })
+}
+
+/**
+ * Pagamento aprovado para um horário que outra sessão ocupou nesse meio tempo
+ * (ex.: pago depois de a reserva vencer). Reembolsa em vez de criar uma reunião sobreposta.
+ *
+ * @param {Object} transaction - Transaction succeeded com lead e affiliate, ainda sem reunião
+ * @param {Object} options
+ * @param {string} options.actor - 'stripe' ou 'openpix'
+ * @returns {Promise<boolean>} true quando o horário estava ocupado e o pagamento foi reembolsado
+ */
+export async function refundIfSlotTaken(transaction, { actor }) {
+  const conflict = await hasSlotConflict(
+    transaction.scheduled_date.toISOString().slice(0, 10),
+    formatTimeValue(transaction.scheduled_time),
+    { excludeLeadId: transaction.lead_id, durationMinutes: transaction.duration_minutes }
+  )
+
+  if (!conflict) {
+    return false
+  }
+
+  console.warn('[Reembolsos] Horário ocupado na aprovação do pagamento, reembolsando:', {
+    transactionId: transaction.id,
+    actor,
+  })
+
+  await refundTransaction({ ...transaction, status: 'succeeded' }, { actor, reason: SLOT_CONFLICT_REASON })
+  await releaseSlotHolds({ transactionId: transaction.id })
+  return true
+}
+
+// Cancela a reunião ainda agendada da transação (concluída ou no-show fica como está)
+async function cancelTransactionMeeting(transaction, { status, actor }) {
+  const meeting = await prisma.meeting.findUnique({
+    where: { transaction_id: transaction.id },
+    include: { lead: true },
+  })
+
+  if (!meeting || meeting.status !== 'scheduled') {
+    return false
+  }
+
+  const result = await updateMeetingStatus(meeting, 'cancelled', {
+    actor,
+    reason: status === 'refunded' ? 'Pagamento reembolsado' : 'Pagamento contestado',
+  })
+
+  return result.success
+}
+
+// Lead COMPRADO sem outra compra aprovada volta ao estágio em que estava antes da compra
+async function revertLeadStage(transaction, { status, actor }) {
+  const lead = await prisma.lead.findUnique({
+    where: { id: transaction.lead_id },
+    select: { id: true, stage: true },
+  })
+
+  if (!lead || lead.stage !== 'COMPRADO') {
+    return
+  }
+
+  const otherPurchase = await prisma.transaction.findFirst({
+    where: { lead_id: lead.id, status: 'succeeded', id: { not: transaction.id } },
+    select: { id: true },
+  })
+
+  if (otherPurchase) {
+    return
+  }
+
+  const purchaseEvent = await prisma.leadEvent.findFirst({
+    where: { lead_id: lead.id, type: 'STAGE_CHANGED', metadata: { path: ['to'], equals: 'COMPRADO' } },
+    orderBy: { created_at: 'desc' },
+    select: { metadata: true },
+  })
+
+  const previousStage = purchaseEvent?.metadata?.from
+  const stage = previousStage && previousStage !== 'COMPRADO' ? previousStage : FALLBACK_STAGE
+  const note = status === 'refunded' ? 'pagamento reembolsado' : 'pagamento contestado'
+
+  await prisma.$transaction([
+    prisma.lead.update({
+      where: { id: lead.id },
+      data: { stage },
+    }),
+    prisma.leadStageChange.create({
+      data: {
+        lead_id: lead.id,
+        from_stage: 'COMPRADO',
+        to_stage: stage,
+        note,
+        changed_by: actor,
+      },
+    }),
+  ])
+
+  await recordLeadEvent(lead.id, 'STAGE_CHANGED', {
+    description: `Estágio alterado: COMPRADO → ${stage} (${note})`,
+    metadata: { from: 'COMPRADO', to: stage, transaction_id: transaction.id },
+    actor,
+  })
+}
+
+export default {
+  reverseApprovedTransaction,
+  refundTransaction,
+  refundIfSlotTaken,
+}
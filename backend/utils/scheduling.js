@@ -0,0 +1,556 @@
+/**
+ * Agenda de sessões
+ * Regras de horários e conflitos usadas pela listagem pública de slots, pelo checkout e pelo admin
+ * A configuração (horários por dia da semana, duração, capacidade) vem de ScheduleConfig
+ * Cada sessão ocupa a duração do produto comprado (duration_minutes); sem ela, a duração da agenda
+ */
+
+import { z } from 'zod'
+import prisma from '../lib/prisma'
+
+// Agenda padrão (usada enquanto não houver ScheduleConfig no banco):
+// todos os dias, inícios das 14:00 às 20:00, de hora em hora, sessões de 4h, uma por vez
+const DEFAULT_DAY_HOURS = { start: '14:00', end: '20:00' }
+
+export const DEFAULT_SCHEDULE_CONFIG = {
+  weekly_hours: Object.fromEntries([0, 1, 2, 3, 4, 5, 6].map(day => [String(day), DEFAULT_DAY_HOURS])),
+  session_duration_minutes: 240,
+  slot_interval_minutes: 60,
+  capacity: 1,
+}
+
+// Converte string "HH:MM" para minutos desde meia-noite
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+// Converte minutos desde meia-noite para "HH:MM"
+export const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60).toString().padStart(2, '0')
+  const minutes = (totalMinutes % 60).toString().padStart(2, '0')
+  return `${hours}:${minutes}`
+}
+
+// Converte um campo @db.Time (Date em 1970-01-01 UTC) para "HH:MM"
+export const formatTimeValue = (value) => {
+  const time = new Date(value)
+  const hours = time.getUTCHours().toString().padStart(2, '0')
+  const minutes = time.getUTCMinutes().toString().padStart(2, '0')
+  return `${hours}:${minutes}`
+}
+
+// Converte "HH:MM" para o formato gravado em campos @db.Time
+export const toTimeValue = (time) => new Date(`1970-01-01T${time}:00`)
+
+// Fuso horário da agenda: datas e horários de reunião são gravados como hora local daqui
+export const SCHEDULE_TIMEZONE = 'America/Sao_Paulo'
+
+/**
+ * Converte data + horário locais da agenda ("YYYY-MM-DD", "HH:MM") para o instante real (Date em UTC)
+ */
+export const zonedDateTimeToUtc = (date, time, timeZone = SCHEDULE_TIMEZONE) => {
+  const asUtc = new Date(`${date}T${time}:00Z`)
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).formatToParts(asUtc)
+  const part = (type) => Number(parts.find(p => p.type === type).value)
+  // Diferença entre o relógio local e UTC naquele instante (ex: -3h em São Paulo)
+  const offsetMs = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute')) - asUtc.getTime()
+  return new Date(asUtc.getTime() - offsetMs)
+}
+
+// Início real de uma reunião (meeting_date @db.Date + meeting_time @db.Time)
+export const getMeetingStart = (meeting) => zonedDateTimeToUtc(
+  new Date(meeting.meeting_date).toISOString().slice(0, 10),
+  formatTimeValue(meeting.meeting_time)
+)
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/
+
+// Validação de horários semanais ({ "0".."6": { start, end } | null }), usada pela agenda geral e pelos técnicos
+const dayHoursSchema = z.object({
+  start: z.string().regex(TIME_REGEX, 'Horário inicial inválido (HH:mm)'),
+  end: z.string().regex(TIME_REGEX, 'Horário final inválido (HH:mm)'),
+}).refine(hours => timeToMinutes(hours.end) >= timeToMinutes(hours.start), {
+  message: 'O último horário deve ser igual ou posterior ao primeiro',
+}).nullable()
+
+export const weeklyHoursSchema = z.object(
+  Object.fromEntries(['0', '1', '2', '3', '4', '5', '6'].map(day => [day, dayHoursSchema]))
+)
+
+/**
+ * Carrega a configuração da agenda
+ * Sempre retorna um objeto completo (cai no padrão se ainda não existir no banco)
+ *
+ * @param {Object} [client] - Prisma client (ou a transação da reserva de horário)
+ */
+export async function getScheduleConfig(client = prisma) {
+  const config = await client.scheduleConfig.findUnique({
+    where: { id: 1 },
+  })
+
+  if (!config) {
+    return { ...DEFAULT_SCHEDULE_CONFIG }
+  }
+
+  return {
+    weekly_hours: config.weekly_hours || DEFAULT_SCHEDULE_CONFIG.weekly_hours,
+    session_duration_minutes: config.session_duration_minutes,
+    slot_interval_minutes: config.slot_interval_minutes,
+    capacity: config.capacity,
+    updated_by: config.updated_by,
+    updated_at: config.updated_at,
+  }
+}
+
+/**
+ * Horários de início de um dia da semana, segundo a configuração
+ *
+ * @param {Object} dayHours - { start, end } ou null se fechado
+ * @param {number} intervalMinutes - Intervalo entre inícios
+ * @returns {string[]} Lista de "HH:MM"
+ */
+export const buildTimeSlots = (dayHours, intervalMinutes) => {
+  if (!dayHours?.start || !dayHours?.end) {
+    return []
+  }
+
+  const slots = []
+  const endMinutes = timeToMinutes(dayHours.end)
+
+  for (let minutes = timeToMinutes(dayHours.start); minutes <= endMinutes; minutes += intervalMinutes) {
+    slots.push(minutesToTime(minutes))
+  }
+
+  return slots
+}
+
+/**
+ * Quantas sessões existentes rodam ao mesmo tempo, no pior momento, durante
+ * uma sessão que começaria em slotTime. O pico sempre ocorre no início do
+ * slot ou no início de alguma sessão existente dentro dele.
+ *
+ * @param {string} slotTime - Início da nova sessão (HH:MM)
+ * @param {Array<{time: string, duration: number}>} occupiedSessions - Sessões existentes
+ * @param {number} durationMinutes - Duração da nova sessão
+ */
+export const countConcurrentSessions = (slotTime, occupiedSessions, durationMinutes) => {
+  const slotStart = timeToMinutes(slotTime)
+  const slotEnd = slotStart + durationMinutes
+  const sessions = occupiedSessions.map(session => {
+    const start = timeToMinutes(session.time)
+    return { start, end: start + session.duration }
+  })
+
+  const checkpoints = [slotStart, ...sessions.map(s => s.start).filter(start => start > slotStart && start < slotEnd)]
+
+  return Math.max(0, ...checkpoints.map(point => (
+    sessions.filter(s => s.start <= point && point < s.end).length
+  )))
+}
+
+// Verifica se uma sessão começando neste horário excede a capacidade da agenda
+export const wouldConflictWithExisting = (slotTime, occupiedSessions, { durationMinutes, capacity }) => {
+  return countConcurrentSessions(slotTime, occupiedSessions, durationMinutes) >= capacity
+}
+
+/**
+ * Sessões ocupadas numa data, separadas por técnico
+ * Reuniões com técnico ocupam só aquele técnico; reuniões antigas sem técnico e
+ * reservas de checkout ainda válidas (SlotHold) ocupam "qualquer" técnico
+ *
+ * @param {Date} targetDate - Data (meia-noite)
+ * @param {Object} options
+ * @param {string} options.excludeMeetingId - Reunião a ignorar (ex: a própria reunião sendo remarcada)
+ * @param {string} options.excludeLeadId - Lead cujas reservas devem ser ignoradas (ex: nova tentativa de checkout)
+ * @param {number} options.defaultDurationMinutes - Duração das sessões sem produto (anteriores aos produtos)
+ * @param {Object} [client] - Prisma client (ou a transação da reserva de horário)
+ * @returns {Promise<{byTechnician: Object<string, Object[]>, unassigned: Object[]}>} Sessões { time: "HH:MM", duration }
+ */
+export async function getOccupiedSessions(targetDate, { excludeMeetingId, excludeLeadId, defaultDurationMinutes } = {}, client = prisma) {
+  const [meetings, holds] = await Promise.all([
+    client.meeting.findMany({
+      where: {
+        meeting_date: targetDate,
+        status: { not: 'cancelled' },
+        ...(excludeMeetingId ? { id: { not: excludeMeetingId } } : {}),
+      },
+      select: {
+        meeting_time: true,
+        technician_id: true,
+        duration_minutes: true,
+      },
+    }),
+    client.slotHold.findMany({
+      where: {
+        slot_date: targetDate,
+        expires_at: { gt: new Date() },
+        ...(excludeLeadId ? { lead_id: { not: excludeLeadId } } : {}),
+      },
+      select: {
+        slot_time: true,
+        duration_minutes: true,
+      },
+    }),
+  ])
+
+  const byTechnician = {}
+  const unassigned = []
+
+  meetings.forEach(meeting => {
+    if (!meeting.meeting_time) return
+    const session = {
+      time: formatTimeValue(meeting.meeting_time),
+      duration: meeting.duration_minutes || defaultDurationMinutes,
+    }
+    if (meeting.technician_id) {
+      (byTechnician[meeting.technician_id] ||= []).push(session)
+    } else {
+      unassigned.push(session)
+    }
+  })
+
+  holds.forEach(hold => {
+    unassigned.push({
+      time: formatTimeValue(hold.slot_time),
+      duration: hold.duration_minutes || defaultDurationMinutes,
+    })
+  })
+
+  return { byTechnician, unassigned }
+}
+
+// Horário de um técnico num dia da semana (null em weekly_hours = segue o horário geral)
+const getTechnicianDayHours = (technician, config, weekday) => {
+  if (!technician.weekly_hours) {
+    return config.weekly_hours?.[weekday] || null
+  }
+  return technician.weekly_hours[weekday] || null
+}
+
+const isWithinHours = (time, dayHours) => {
+  if (!dayHours?.start || !dayHours?.end) return false
+  const minutes = timeToMinutes(time)
+  return minutes >= timeToMinutes(dayHours.start) && minutes <= timeToMinutes(dayHours.end)
+}
+
+/**
+ * Carrega tudo que é preciso para avaliar os horários de uma data
+ * durationMinutes = duração da sessão sendo agendada (produto escolhido); sem ela, a da agenda
+ * client = Prisma client ou a transação de quem chama (ex.: createSlotHold, dentro do lock da data)
+ */
+async function loadDayContext(date, { excludeMeetingId, excludeLeadId, durationMinutes } = {}, client = prisma) {
+  const targetDate = new Date(date)
+  // Dia da semana da data (YYYY-MM-DD é interpretado como meia-noite UTC)
+  const weekday = String(targetDate.getUTCDay())
+
+  const [config, blackout, technicians] = await Promise.all([
+    getScheduleConfig(client),
+    client.scheduleBlackout.findUnique({ where: { date: targetDate } }),
+    client.technician.findMany({
+      where: { ativo: true },
+      orderBy: { created_at: 'asc' },
+    }),
+  ])
+
+  const context = {
+    targetDate,
+    weekday,
+    config,
+    blackout,
+    technicians,
+    durationMinutes: durationMinutes || config.session_duration_minutes,
+    times: [],
+  }
+
+  if (blackout) {
+    return context
+  }
+
+  if (technicians.length > 0) {
+    // Horários de início = união dos expedientes dos técnicos
+    const times = new Set()
+    technicians.forEach(technician => {
+      buildTimeSlots(getTechnicianDayHours(technician, config, weekday), config.slot_interval_minutes)
+        .forEach(time => times.add(time))
+    })
+    context.times = [...times].sort()
+  } else {
+    context.times = buildTimeSlots(config.weekly_hours?.[weekday], config.slot_interval_minutes)
+  }
+
+  if (context.times.length > 0) {
+    context.occupied = await getOccupiedSessions(targetDate, {
+      excludeMeetingId,
+      excludeLeadId,
+      defaultDurationMinutes: config.session_duration_minutes,
+    }, client)
+  }
+
+  return context
+}
+
+/**
+ * Avalia um horário dentro do contexto do dia
+ * Com técnicos cadastrados: livre quando sobra algum técnico em expediente e sem sessão
+ * depois de descontar as reservas ainda sem técnico. Sem técnicos: usa a capacidade geral.
+ *
+ * @returns {{available: boolean, reason?: string, freeTechnicians: Object[]}} freeTechnicians
+ *   lista os técnicos sem sessão no horário, mesmo quando reservas pendentes esgotam a vaga
+ */
+function evaluateSlot(context, time) {
+  const { config, technicians, occupied, durationMinutes } = context
+
+  if (technicians.length === 0) {
+    const allOccupied = [...occupied.unassigned, ...Object.values(occupied.byTechnician).flat()]
+    const available = !wouldConflictWithExisting(time, allOccupied, { durationMinutes, capacity: config.capacity })
+    return available
+      ? { available: true, freeTechnicians: [] }
+      : { available: false, reason: 'booked', freeTechnicians: [] }
+  }
+
+  // Reuniões de técnicos desativados continuam ocupando alguém: contam como sem técnico
+  const activeIds = new Set(technicians.map(technician => technician.id))
+  const orphanSessions = Object.entries(occupied.byTechnician)
+    .filter(([technicianId]) => !activeIds.has(technicianId))
+    .flatMap(([, sessions]) => sessions)
+  const unassignedLoad = countConcurrentSessions(time, [...occupied.unassigned, ...orphanSessions], durationMinutes)
+
+  const freeTechnicians = technicians.filter(technician => (
+    isWithinHours(time, getTechnicianDayHours(technician, config, context.weekday)) &&
+    countConcurrentSessions(time, occupied.byTechnician[technician.id] || [], durationMinutes) === 0
+  ))
+
+  if (freeTechnicians.length > unassignedLoad) {
+    return { available: true, freeTechnicians }
+  }
+
+  return { available: false, reason: 'booked', freeTechnicians }
+}
+
+/**
+ * Lista os horários de uma data com disponibilidade
+ *
+ * @param {string} date - Data no formato YYYY-MM-DD
+ * @param {Object} options
+ * @param {string} options.excludeMeetingId - Reunião a ignorar no cálculo de conflitos
+ * @param {string} options.excludeLeadId - Lead cujas reservas pendentes devem ser ignoradas
+ * @param {number} options.durationMinutes - Duração da sessão (produto escolhido ou reunião remarcada)
+ * @param {Object} [client] - Prisma client (ou a transação da reserva de horário)
+ * @returns {Promise<{slots: Array<{time: string, available: boolean, reason?: string}>, closedReason: string|null, config: Object, durationMinutes: number}>}
+ */
+export async function getSlotsForDate(date, options = {}, client = prisma) {
+  const context = await loadDayContext(date, options, client)
+  const { config, blackout, targetDate, times, durationMinutes } = context
+
+  if (blackout) {
+    return { slots: [], closedReason: blackout.reason || 'blackout', config, durationMinutes }
+  }
+
+  if (times.length === 0) {
+    return { slots: [], closedReason: 'closed', config, durationMinutes }
+  }
+
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+
+  // Se for hoje, remover horários que já passaram
+  const now = new Date()
+  const isToday = targetDate.toDateString() === today.toDateString()
+  const isPast = targetDate < today && !isToday
+
+  const slots = times.map(time => {
+    const [hours, minutes] = time.split(':').map(Number)
+
+    if (isPast) {
+      return { time, available: false, reason: 'past' }
+    }
+
+    // Se for hoje e o horário já passou
+    if (isToday) {
+      const slotTime = new Date(today)
+      slotTime.setHours(hours, minutes, 0, 0)
+
+      // Adicionar 30 minutos de margem
+      const marginTime = new Date(now)
+      marginTime.setMinutes(marginTime.getMinutes() + 30)
+
+      if (slotTime <= marginTime) {
+        return { time, available: false, reason: 'past' }
+      }
+    }
+
+    const { available, reason } = evaluateSlot(context, time)
+    return available ? { time, available } : { time, available, reason }
+  })
+
+  return { slots, closedReason: null, config, durationMinutes }
+}
+
+/**
+ * Verifica se um horário específico está livre numa data
+ *
+ * @param {Object} [client] - Prisma client (ou a transação da reserva de horário)
+ * @returns {Promise<{available: boolean, reason?: string}>}
+ */
+export async function checkSlotAvailability(date, time, options = {}, client = prisma) {
+  const { slots, closedReason } = await getSlotsForDate(date, options, client)
+
+  if (closedReason) {
+    return { available: false, reason: 'closed' }
+  }
+
+  const slot = slots.find(s => s.time === time)
+
+  if (!slot) {
+    return { available: false, reason: 'invalid_time' }
+  }
+
+  return slot
+}
+
+/**
+ * Verifica se outra sessão tomou a vaga de um horário já pago
+ * Usado na aprovação do pagamento: ignora as regras de horário passado e de expediente
+ * (o cliente já pagou) e só acusa conflito quando o horário caberia sem as outras sessões.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {Object} options
+ * @param {string} options.excludeLeadId - Lead que pagou (a própria reserva não conta)
+ * @param {number} options.durationMinutes - Duração da sessão paga
+ * @returns {Promise<boolean>}
+ */
+export async function hasSlotConflict(date, time, { excludeLeadId, durationMinutes } = {}) {
+  const context = await loadDayContext(date, { excludeLeadId, durationMinutes })
+
+  if (!context.occupied) {
+    return false
+  }
+
+  const emptyDay = { ...context, occupied: { byTechnician: {}, unassigned: [] } }
+
+  return evaluateSlot(emptyDay, time).available && !evaluateSlot(context, time).available
+}
+
+/**
+ * Assentos de um horário de início, usados pela unicidade das reservas (SlotHold)
+ * capacity = técnicos ativos em expediente no horário (ou a capacidade geral, sem técnicos)
+ * taken = sessões que começam exatamente neste horário (reuniões + reservas válidas)
+ *
+ * @param {Object} [client] - Prisma client (ou a transação da reserva de horário)
+ * @returns {Promise<{capacity: number, taken: number}>}
+ */
+export async function getSlotSeats(date, time, options = {}, client = prisma) {
+  const context = await loadDayContext(date, options, client)
+  const { config, technicians, occupied } = context
+
+  const capacity = technicians.length > 0
+    ? technicians.filter(technician => isWithinHours(time, getTechnicianDayHours(technician, config, context.weekday))).length
+    : config.capacity
+
+  if (!occupied) {
+    return { capacity, taken: 0 }
+  }
+
+  const sessions = [...occupied.unassigned, ...Object.values(occupied.byTechnician).flat()]
+  return { capacity, taken: sessions.filter(session => session.time === time).length }
+}
+
+/**
+ * Escolhe o técnico para uma sessão confirmada
+ * Prefere o técnico informado (ex: o atual, numa remarcação); senão, o livre com menos sessões no dia.
+ * Não aplica as regras de "horário passado": a sessão já foi paga/aceita.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {Object} options
+ * @param {string} options.excludeMeetingId - Reunião a ignorar (a própria, numa remarcação)
+ * @param {string} options.preferredTechnicianId - Técnico preferido
+ * @param {number} options.durationMinutes - Duração da sessão
+ * @returns {Promise<Object|null>} Técnico ou null (nenhum cadastrado ou nenhum livre)
+ */
+export async function pickTechnician(date, time, { excludeMeetingId, preferredTechnicianId, durationMinutes } = {}) {
+  const context = await loadDayContext(date, { excludeMeetingId, durationMinutes })
+
+  if (context.technicians.length === 0 || !context.occupied) {
+    return null
+  }
+
+  const { freeTechnicians } = evaluateSlot(context, time)
+
+  if (freeTechnicians.length === 0) {
+    return null
+  }
+
+  const preferred = freeTechnicians.find(technician => technician.id === preferredTechnicianId)
+  if (preferred) {
+    return preferred
+  }
+
+  const dayLoad = (technician) => (context.occupied.byTechnician[technician.id] || []).length
+  return [...freeTechnicians].sort((a, b) => dayLoad(a) - dayLoad(b))[0]
+}
+
+/**
+ * Técnico para a reunião de uma transação aprovada (usado pelos webhooks de pagamento)
+ * Nunca lança erro: sem técnico, a reunião é criada sem atribuição
+ */
+export async function pickTechnicianForTransaction(transaction) {
+  try {
+    const technician = await pickTechnician(
+      transaction.scheduled_date.toISOString().slice(0, 10),
+      formatTimeValue(transaction.scheduled_time),
+      { durationMinutes: transaction.duration_minutes }
+    )
+
+    if (!technician) {
+      console.warn('[Scheduling] Nenhum técnico livre para a transação:', transaction.id)
+    }
+
+    return technician
+  } catch (error) {
+    console.error('[Scheduling] Erro ao escolher técnico:', { transactionId: transaction.id, error: error.message })
+    return null
+  }
+}
+
+// Mensagens de erro para cada motivo de indisponibilidade
+export const SLOT_UNAVAILABLE_MESSAGES = {
+  past: 'Este horário já passou.',
+  booked: 'Este horário já está ocupado. Por favor, escolha outro.',
+  closed: 'Não há atendimento nesta data.',
+  invalid_time: 'Horário fora da agenda.',
+}
+
+export default {
+  DEFAULT_SCHEDULE_CONFIG,
+  SLOT_UNAVAILABLE_MESSAGES,
+  timeToMinutes,
+  minutesToTime,
+  formatTimeValue,
+  toTimeValue,
+  SCHEDULE_TIMEZONE,
+  zonedDateTimeToUtc,
+  getMeetingStart,
+  weeklyHoursSchema,
+  getScheduleConfig,
+  buildTimeSlots,
+  countConcurrentSessions,
+  wouldConflictWithExisting,
+  getOccupiedSessions,
+  getSlotsForDate,
+  checkSlotAvailability,
+  hasSlotConflict,
+  getSlotSeats,
+  pickTechnician,
+  pickTechnicianForTransaction,
+}
@@ -0,0 +1,168 @@
+/**
+ * WhatsApp send limits
+ * Keeps the queue from messaging at night or in bursts, which risks a ban of the number:
+ *   - quiet hours (America/Sao_Paulo): due messages are deferred to the end of the window
+ *   - per-recipient minimum interval between two messages to the same number
+ *   - global cap of messages per minute
+ *
+ * Configured by WHATSAPP_QUIET_HOURS ("21:00-08:00", "off" disables),
+ * WHATSAPP_MIN_INTERVAL_SECONDS and WHATSAPP_MAX_PER_MINUTE.
+ */
+
+import prisma from '../lib/prisma'
+import { SCHEDULE_TIMEZONE, timeToMinutes, zonedDateTimeToUtc } from './scheduling'
+import { normalizePhone } from './whatsappProviders'
+
+const DEFAULT_QUIET_HOURS = '21:00-08:00'
+const DEFAULT_MIN_INTERVAL_SECONDS = 60
+const DEFAULT_MAX_PER_MINUTE = 10
+
+const MINUTE_MS = 60 * 1000
+
+// Answers to something the client just did, or too close to the meeting to wait for the morning
+export const QUIET_HOURS_EXEMPT_TYPES = ['PAYMENT_CONFIRMED', 'MEETING_REMINDER_1H']
+
+const QUIET_HOURS_REGEX = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/
+
+// Non-negative integer from env, or the default (0 disables the limit)
+const readLimit = (value, fallback) => {
+    if (value === undefined || value === '') return fallback
+    const number = Number(value)
+    return Number.isInteger(number) && number >= 0 ? number : fallback
+}
+
+// "HH:MM-HH:MM" -> { start, end } (equal times = no window)
+const getQuietHoursFrom = (value) => {
+    const [start, end] = value.split('-')
+    return start === end ? null : { start, end }
+}
+
+/**
+ * Quiet hours window
+ * @returns {{start: string, end: string}|null} Local "HH:MM" times (null = disabled)
+ */
+export const getQuietHours = () => {
+    const value = (process.env.WHATSAPP_QUIET_HOURS ?? DEFAULT_QUIET_HOURS).trim()
+
+    if (!value || value.toLowerCase() === 'off') {
+        return null
+    }
+
+    if (!QUIET_HOURS_REGEX.test(value)) {
+        console.warn(`[SendLimits] Invalid WHATSAPP_QUIET_HOURS "${value}", using ${DEFAULT_QUIET_HOURS}`)
+        return getQuietHoursFrom(DEFAULT_QUIET_HOURS)
+    }
+
+    return getQuietHoursFrom(value)
+}
+
+export const getMinIntervalMs = () => readLimit(process.env.WHATSAPP_MIN_INTERVAL_SECONDS, DEFAULT_MIN_INTERVAL_SECONDS) * 1000
+
+export const getMaxPerMinute = () => readLimit(process.env.WHATSAPP_MAX_PER_MINUTE, DEFAULT_MAX_PER_MINUTE)
+
+// Local date ("YYYY-MM-DD") and minutes since midnight in the schedule timezone
+const getLocalClock = (date) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: SCHEDULE_TIMEZONE,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+    }).formatToParts(date)
+    const part = (type) => parts.find(p => p.type === type).value
+
+    return {
+        date: `${part('year')}-${part('month')}-${part('day')}`,
+        minutes: Number(part('hour')) * 60 + Number(part('minute')),
+    }
+}
+
+// "YYYY-MM-DD" plus one day
+const nextDay = (date) => {
+    const next = new Date(`${date}T12:00:00Z`)
+    next.setUTCDate(next.getUTCDate() + 1)
+    return next.toISOString().slice(0, 10)
+}
+
+/**
+ * End of the quiet window containing `date`
+ * Windows may cross midnight ("21:00-08:00").
+ *
+ * @param {Date} date - Instant to check
+ * @returns {Date|null} When sending is allowed again (null = not in quiet hours)
+ */
+export const getQuietHoursEnd = (date = new Date()) => {
+    const quietHours = getQuietHours()
+    if (!quietHours) return null
+
+    const start = timeToMinutes(quietHours.start)
+    const end = timeToMinutes(quietHours.end)
+    const clock = getLocalClock(date)
+
+    if (start < end) {
+        // Same-day window (e.g. "12:00-14:00")
+        if (clock.minutes < start || clock.minutes >= end) return null
+        return zonedDateTimeToUtc(clock.date, quietHours.end)
+    }
+
+    // Overnight window: evening part ends tomorrow, early-morning part ends today
+    if (clock.minutes >= start) return zonedDateTimeToUtc(nextDay(clock.date), quietHours.end)
+    if (clock.minutes < end) return zonedDateTimeToUtc(clock.date, quietHours.end)
+    return null
+}
+
+/**
+ * Earliest time a new message may go to this number
+ * Counts every message we sent to it (automated or typed in the inbox).
+ *
+ * @param {string} phone - Recipient in any format
+ * @param {Date} now
+ * @returns {Promise<Date|null>} null = may send now
+ */
+export const getRecipientAvailableAt = async (phone, now = new Date()) => {
+    const intervalMs = getMinIntervalMs()
+    if (!intervalMs) return null
+
+    const lastSent = await prisma.conversationMessage.findFirst({
+        where: {
+            phone: normalizePhone(phone),
+            direction: 'OUTBOUND',
+            created_at: { gt: new Date(now.getTime() - intervalMs) },
+        },
+        orderBy: { created_at: 'desc' },
+        select: { created_at: true },
+    })
+
+    return lastSent ? new Date(lastSent.created_at.getTime() + intervalMs) : null
+}
+
+/**
+ * How many more messages may be sent in the current minute
+ * @param {Date} now
+ * @returns {Promise<number>} Infinity when the cap is disabled
+ */
+export const getRemainingMinuteBudget = async (now = new Date()) => {
+    const maxPerMinute = getMaxPerMinute()
+    if (!maxPerMinute) return Infinity
+
+    const sentLastMinute = await prisma.conversationMessage.count({
+        where: {
+            direction: 'OUTBOUND',
+            created_at: { gt: new Date(now.getTime() - MINUTE_MS) },
+        },
+    })
+
+    return Math.max(0, maxPerMinute - sentLastMinute)
+}
+
+export default {
+    QUIET_HOURS_EXEMPT_TYPES,
+    getQuietHours,
+    getMinIntervalMs,
+    getMaxPerMinute,
+    getQuietHoursEnd,
+    getRecipientAvailableAt,
+    getRemainingMinuteBudget,
+}
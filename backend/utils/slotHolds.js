@@ -0,0 +1,256 @@
+/**
+ * Reservas temporárias de horário (SlotHold)
+ * Criadas no checkout, antes de gerar a cobrança, e válidas pelo tempo de expiração do pagamento.
+ * Enquanto válidas, ocupam o horário na agenda (utils/scheduling.js).
+ * Quando a reserva de um cartão/PIX do Stripe vence, o PaymentIntent é cancelado: o cliente
+ * não consegue mais pagar por um horário que já pode ter sido reservado por outro. Um novo
+ * checkout do lead também cancela as cobranças anteriores (Stripe e OpenPix).
+ */
+
+import prisma from '../lib/prisma'
+import stripe from './stripe'
+import { checkSlotAvailability, getSlotSeats, toTimeValue } from './scheduling'
+import { recordTransactionStatusEvent } from './leadEvents'
+import { OPENPIX_REFERENCE_PREFIX, isOpenPixTransaction, deletePixCharge } from './openpix'
+
+// Status de uma transação que ainda pode ser paga
+const PAYABLE_STATUSES = ['requires_payment_method', 'requires_confirmation', 'processing', 'requires_action']
+
+// Tempo de reserva de cada forma de pagamento (segundos)
+export const SLOT_HOLD_TTL_SECONDS = {
+  openpix: 15 * 60, // mesmo expiresIn da cobrança OpenPix
+  stripe_pix: 60 * 60, // mesmo expires_after_seconds do PIX no Stripe
+  card: 30 * 60, // tempo para concluir o cartão (incluindo 3DS)
+}
+
+/**
+ * Reserva um assento no horário de forma atômica
+ * As reservas de uma mesma data são feitas uma por vez (lock no Postgres) e a agenda é
+ * conferida de novo dentro do lock: sessões que se sobrepõem sem começar no mesmo horário
+ * (ex.: 14:00 e 15:00 com 4h) não passam juntas. O índice único (slot_date, slot_time, seat)
+ * continua impedindo duas reservas no mesmo assento.
+ *
+ * @param {Object} params
+ * @param {string} params.leadId - Lead que está pagando
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {string} params.time - HH:MM
+ * @param {number} params.ttlSeconds - Validade da reserva
+ * @param {number} params.durationMinutes - Duração da sessão do produto escolhido
+ * @returns {Promise<Object|null>} Reserva criada ou null se o horário lotou
+ */
+export async function createSlotHold({ leadId, date, time, ttlSeconds, durationMinutes = null }) {
+  const slotDate = new Date(date)
+  const slotTime = toTimeValue(time)
+
+  // Todas as consultas usam a transação: a reserva só fica visível para o próximo checkout
+  // da data quando o lock é liberado
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`slot_hold:${date}`}))`
+
+    const now = new Date()
+
+    // Reservas vencidas do próprio horário liberam o assento antes do cron
+    await tx.slotHold.deleteMany({
+      where: { slot_date: slotDate, slot_time: slotTime, expires_at: { lte: now } },
+    })
+
+    const slot = await checkSlotAvailability(date, time, { excludeLeadId: leadId, durationMinutes }, tx)
+
+    if (!slot.available) {
+      console.warn('[SlotHold] Horário ocupado na confirmação da reserva:', { date, time, reason: slot.reason })
+      return null
+    }
+
+    const { capacity, taken } = await getSlotSeats(date, time, {}, tx)
+
+    // Um erro de unicidade abortaria a transação: escolhe um assento ainda sem reserva
+    // (as reservas do próprio lead ainda estão gravadas até o checkout liberá-las)
+    const heldSeats = await tx.slotHold.findMany({
+      where: { slot_date: slotDate, slot_time: slotTime },
+      select: { seat: true },
+    })
+    const usedSeats = new Set(heldSeats.map(hold => hold.seat))
+
+    for (let seat = taken; seat < capacity; seat++) {
+      if (usedSeats.has(seat)) {
+        continue
+      }
+
+      return tx.slotHold.create({
+        data: {
+          lead_id: leadId,
+          slot_date: slotDate,
+          slot_time: slotTime,
+          seat,
+          duration_minutes: durationMinutes,
+          expires_at: new Date(now.getTime() + ttlSeconds * 1000),
+        },
+      })
+    }
+
+    console.warn('[SlotHold] Horário sem assento livre:', { date, time, capacity, taken })
+    return null
+  }, { timeout: 15 * 1000 })
+}
+
+/**
+ * Vincula a reserva à transação criada no checkout
+ */
+export async function attachSlotHold(holdId, transactionId) {
+  return prisma.slotHold.update({
+    where: { id: holdId },
+    data: { transaction_id: transactionId },
+  })
+}
+
+/**
+ * Libera reservas de um lead ou de uma transação
+ * Nunca lança erro: a reserva expira sozinha se a liberação falhar
+ *
+ * @param {Object} where
+ * @param {string} where.leadId
+ * @param {string} where.transactionId
+ * @returns {Promise<number>} Quantidade de reservas liberadas
+ */
+export async function releaseSlotHolds({ leadId, transactionId }) {
+  if (!leadId && !transactionId) {
+    return 0
+  }
+
+  try {
+    const { count } = await prisma.slotHold.deleteMany({
+      where: {
+        ...(leadId ? { lead_id: leadId } : {}),
+        ...(transactionId ? { transaction_id: transactionId } : {}),
+      },
+    })
+    return count
+  } catch (error) {
+    console.error('[SlotHold] Erro ao liberar reservas:', { leadId, transactionId, error: error.message })
+    return 0
+  }
+}
+
+/**
+ * Remove reservas vencidas (chamado pelos crons)
+ * Antes, cancela os PaymentIntents do Stripe dessas reservas que ainda poderiam ser pagos.
+ *
+ * @returns {Promise<number>} Quantidade de reservas removidas
+ */
+export async function releaseExpiredSlotHolds() {
+  const now = new Date()
+
+  await cancelExpiredPaymentIntents(now)
+
+  const { count } = await prisma.slotHold.deleteMany({
+    where: { expires_at: { lte: now } },
+  })
+
+  if (count > 0) {
+    console.info(`[SlotHold] ${count} reserva(s) expirada(s) liberada(s)`)
+  }
+
+  return count
+}
+
+/**
+ * Cancela no provedor a cobrança de uma transação ainda pagável
+ * PaymentIntent do Stripe (pi_...) é cancelado; cobrança da OpenPix é removida.
+ *
+ * @param {Object} transaction
+ * @returns {Promise<boolean>} false quando o provedor recusou (ex.: já pago): o webhook decide
+ */
+async function cancelProviderPayment(transaction) {
+  const reference = transaction.stripe_payment_intent
+
+  try {
+    if (reference?.startsWith('pi_')) {
+      await stripe.paymentIntents.cancel(reference, { cancellation_reason: 'abandoned' })
+    } else if (isOpenPixTransaction(transaction)) {
+      await deletePixCharge(reference.slice(OPENPIX_REFERENCE_PREFIX.length))
+    }
+    return true
+  } catch (error) {
+    console.warn('[SlotHold] Não foi possível cancelar a cobrança no provedor:', {
+      transactionId: transaction.id,
+      error: error.message,
+    })
+    return false
+  }
+}
+
+// Marca como cancelada uma transação ainda pagável (e registra no histórico do lead)
+async function cancelPayableTransaction(transaction, actor) {
+  const { count } = await prisma.transaction.updateMany({
+    where: { id: transaction.id, status: { in: PAYABLE_STATUSES } },
+    data: { status: 'canceled' },
+  })
+
+  if (count > 0) {
+    await recordTransactionStatusEvent(transaction, 'canceled', actor)
+  }
+}
+
+/**
+ * Cancela os checkouts anteriores ainda pagáveis de um lead (novo checkout)
+ * A cobrança é cancelada no provedor junto com a transação: o cliente não consegue mais
+ * pagar um checkout antigo por um horário que já foi trocado ou liberado.
+ *
+ * @param {string} leadId
+ * @returns {Promise<number>} Quantidade de transações canceladas
+ */
+export async function cancelPendingCheckouts(leadId) {
+  const transactions = await prisma.transaction.findMany({
+    where: { lead_id: leadId, status: { in: PAYABLE_STATUSES } },
+  })
+
+  let cancelled = 0
+
+  for (const transaction of transactions) {
+    if (!(await cancelProviderPayment(transaction))) {
+      continue
+    }
+
+    await cancelPayableTransaction(transaction, 'checkout')
+    cancelled++
+  }
+
+  return cancelled
+}
+
+// PaymentIntents (pi_...) ainda pagáveis cuja reserva venceu
+async function cancelExpiredPaymentIntents(now) {
+  const holds = await prisma.slotHold.findMany({
+    where: {
+      expires_at: { lte: now },
+      transaction: {
+        is: {
+          status: { in: PAYABLE_STATUSES },
+          stripe_payment_intent: { startsWith: 'pi_' },
+        },
+      },
+    },
+    include: { transaction: true },
+    take: 50,
+  })
+
+  for (const { transaction } of holds) {
+    // Recusado (já pago ou já cancelado no Stripe): o webhook decide (a aprovação confere a agenda de novo)
+    if (!(await cancelProviderPayment(transaction))) {
+      continue
+    }
+
+    await cancelPayableTransaction(transaction, 'cron')
+
+    console.info('[SlotHold] PaymentIntent cancelado (reserva vencida):', { transactionId: transaction.id })
+  }
+}
+
+export default {
+  SLOT_HOLD_TTL_SECONDS,
+  createSlotHold,
+  attachSlotHold,
+  releaseSlotHolds,
+  cancelPendingCheckouts,
+  releaseExpiredSlotHolds,
+}
@@ -8,9 +8,7 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: '2024-11-20.acacia',
 })
 
-// Valores do produto em centavos
-export const AMOUNT_PRODUCT = 20000  // R$ 200,00
-export const AMOUNT_AFFILIATE = 6000 // R$ 60,00
+// Valores cobrados e comissões vêm do produto escolhido (utils/products.js)
 
 // Configuração de parcelamento (até 4x sem juros)
 export const INSTALLMENT_CONFIG = {
@@ -0,0 +1,441 @@
+/**
+ * WhatsApp providers
+ * Every provider exposes the same interface:
+ *   - name: identifier used in WHATSAPP_PROVIDERS
+ *   - isConfigured(): whether the required env vars are set
+ *   - sendText(phone, text): Promise<{success: boolean, messageId?: string, error?: string}>
+ *   - parseInbound(payload): incoming messages of a webhook event (providers with inbound webhooks)
+ *   - parseAck(payload): delivery/read receipts of a webhook event (same providers)
+ *
+ * WHATSAPP_PROVIDERS sets the fallback order (e.g. "waha,evolution,meta");
+ * unconfigured providers are skipped.
+ */
+
+const DEFAULT_PROVIDER_ORDER = 'waha'
+
+/**
+ * Normalizes a phone number to digits with country code (Brazil by default)
+ * @param {string} phone - Phone number (with or without country code)
+ * @returns {string} - Digits only (e.g., "5511999999999")
+ */
+export const normalizePhone = (phone) => {
+    let digits = String(phone || '').replace(/\D/g, '')
+
+    // If doesn't start with country code, assume Brazil (55)
+    if (!digits.startsWith('55') && digits.length <= 11) {
+        digits = '55' + digits
+    }
+
+    return digits
+}
+
+/**
+ * Ways the same Brazilian number may be written
+ * Leads are saved as typed (with or without 55) and WhatsApp may drop the
+ * mobile 9th digit of older accounts, so "5511999998888" also matches
+ * "11999998888", "551199998888" and "1199998888".
+ *
+ * @param {string} phone - Phone number in any format
+ * @returns {string[]} Candidate digit strings
+ */
+export const phoneCandidates = (phone) => {
+    const digits = normalizePhone(phone)
+    const variants = new Set([digits])
+
+    if (digits.startsWith('55')) {
+        const local = digits.slice(2)
+        const ddd = local.slice(0, 2)
+        const number = local.slice(2)
+
+        if (number.length === 9 && number.startsWith('9')) {
+            variants.add(`55${ddd}${number.slice(1)}`)
+        } else if (number.length === 8) {
+            variants.add(`55${ddd}9${number}`)
+        }
+    }
+
+    for (const variant of [...variants]) {
+        if (variant.startsWith('55')) {
+            variants.add(variant.slice(2))
+        }
+    }
+
+    return [...variants]
+}
+
+// Reads the error message of a failed provider response
+const readError = async (response) => {
+    const errorData = await response.json().catch(() => ({}))
+    return errorData.error?.message ||
+        (typeof errorData.message === 'string' ? errorData.message : null) ||
+        errorData.response?.message?.toString() ||
+        `HTTP ${response.status}`
+}
+
+// "5511999999999@c.us" / "...@s.whatsapp.net" -> digits; groups, broadcasts and LIDs -> null
+const phoneFromJid = (jid) => {
+    const match = /^(\d{8,15})@(c\.us|s\.whatsapp\.net)$/.exec(String(jid || ''))
+    return match ? match[1] : null
+}
+
+// Epoch seconds (number or numeric string) -> Date
+const dateFromEpoch = (seconds) => {
+    const value = Number(seconds)
+    return Number.isFinite(value) && value > 0 ? new Date(value * 1000) : new Date()
+}
+
+// Placeholder for media messages without caption
+const MEDIA_BODY = '[mídia]'
+
+// Receipt timestamp: epoch seconds, ISO string or now
+const ackDate = (value) => {
+    if (typeof value === 'string' && Number.isNaN(Number(value))) {
+        const date = new Date(value)
+        return Number.isNaN(date.getTime()) ? new Date() : date
+    }
+    return dateFromEpoch(value)
+}
+
+// WAHA ack levels: 1 SERVER, 2 DEVICE, 3 READ, 4 PLAYED (voice notes)
+const WAHA_ACK_STATUSES = { 2: 'DELIVERED', 3: 'READ', 4: 'READ' }
+
+// Evolution receipts: v2 sends names, v1 sends numbers (3 DELIVERY_ACK, 4 READ, 5 PLAYED)
+const EVOLUTION_ACK_STATUSES = {
+    DELIVERY_ACK: 'DELIVERED',
+    READ: 'READ',
+    PLAYED: 'READ',
+    3: 'DELIVERED',
+    4: 'READ',
+    5: 'READ',
+}
+
+/**
+ * WAHA (WhatsApp HTTP API)
+ * POST {WAHA_API_URL}/api/sendText
+ */
+export const wahaProvider = {
+    name: 'waha',
+
+    isConfigured: () => Boolean(process.env.WAHA_API_KEY),
+
+    sendText: async (phone, text) => {
+        const apiUrl = process.env.WAHA_API_URL || 'https://waha-whatsapp-d0pw.onrender.com'
+
+        const response = await fetch(`${apiUrl.replace(/\/+$/, '')}/api/sendText`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Api-Key': process.env.WAHA_API_KEY,
+            },
+            body: JSON.stringify({
+                chatId: `${normalizePhone(phone)}@c.us`,
+                text,
+                session: process.env.WAHA_SESSION || 'default',
+            }),
+        })
+
+        if (!response.ok) {
+            return { success: false, error: await readError(response) }
+        }
+
+        const result = await response.json().catch(() => ({}))
+        return {
+            success: true,
+            messageId: result.id?._serialized || (typeof result.id === 'string' ? result.id : null) || result.key?.id || null,
+        }
+    },
+
+    // Event "message": { event, payload: { id, from, fromMe, body, hasMedia, timestamp, _data: { notifyName } } }
+    parseInbound: (payload) => {
+        if (payload?.event !== 'message' || !payload.payload) {
+            return []
+        }
+
+        const message = payload.payload
+        const phone = phoneFromJid(message.from)
+        if (message.fromMe || !phone) {
+            return []
+        }
+
+        const body = (message.body || '').trim() || (message.hasMedia ? MEDIA_BODY : '')
+        if (!body) {
+            return []
+        }
+
+        return [{
+            phone,
+            body,
+            providerMessageId: message.id?._serialized || (typeof message.id === 'string' ? message.id : null),
+            senderName: message._data?.notifyName || null,
+            receivedAt: dateFromEpoch(message.timestamp),
+        }]
+    },
+
+    // Event "message.ack": { event, payload: { id, fromMe, ack, ackName, timestamp } }
+    parseAck: (payload) => {
+        if (payload?.event !== 'message.ack' || !payload.payload?.fromMe) {
+            return []
+        }
+
+        const message = payload.payload
+        const status = WAHA_ACK_STATUSES[message.ack]
+        const providerMessageId = message.id?._serialized || (typeof message.id === 'string' ? message.id : null)
+
+        return status && providerMessageId
+            ? [{ providerMessageId, status, at: ackDate(message.timestamp) }]
+            : []
+    },
+}
+
+/**
+ * Evolution API v2 (see evolution-setup/docker-compose.yml)
+ * POST {EVOLUTION_API_URL}/message/sendText/{EVOLUTION_INSTANCE}
+ */
+export const evolutionProvider = {
+    name: 'evolution',
+
+    isConfigured: () => Boolean(
+        process.env.EVOLUTION_API_URL && process.env.EVOLUTION_API_KEY && process.env.EVOLUTION_INSTANCE
+    ),
+
+    sendText: async (phone, text) => {
+        const apiUrl = process.env.EVOLUTION_API_URL.replace(/\/+$/, '')
+        const instance = encodeURIComponent(process.env.EVOLUTION_INSTANCE)
+
+        const response = await fetch(`${apiUrl}/message/sendText/${instance}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                apikey: process.env.EVOLUTION_API_KEY,
+            },
+            body: JSON.stringify({
+                number: normalizePhone(phone),
+                text,
+            }),
+        })
+
+        if (!response.ok) {
+            return { success: false, error: await readError(response) }
+        }
+
+        const result = await response.json().catch(() => ({}))
+        return { success: true, messageId: result.key?.id || null }
+    },
+
+    // Event "messages.upsert" (or MESSAGES_UPSERT): { data: { key: { remoteJid, fromMe, id }, pushName, message, messageTimestamp } }
+    parseInbound: (payload) => {
+        const event = String(payload?.event || '').toLowerCase().replace(/_/g, '.')
+        if (event !== 'messages.upsert' || !payload.data) {
+            return []
+        }
+
+        const items = Array.isArray(payload.data) ? payload.data : [payload.data]
+
+        return items.flatMap(item => {
+            const phone = phoneFromJid(item.key?.remoteJid)
+            if (item.key?.fromMe || !phone) {
+                return []
+            }
+
+            const content = item.message || {}
+            const text = content.conversation ||
+                content.extendedTextMessage?.text ||
+                content.imageMessage?.caption ||
+                content.videoMessage?.caption ||
+                content.documentMessage?.caption ||
+                ''
+            const hasMedia = ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage']
+                .some(type => content[type])
+            const body = text.trim() || (hasMedia ? MEDIA_BODY : '')
+
+            if (!body) {
+                return []
+            }
+
+            return [{
+                phone,
+                body,
+                providerMessageId: item.key?.id || null,
+                senderName: item.pushName || null,
+                receivedAt: dateFromEpoch(item.messageTimestamp),
+            }]
+        })
+    },
+
+    // Event "messages.update" (or MESSAGES_UPDATE): v2 { data: { keyId, fromMe, status } }, v1 { data: [{ key, update: { status } }] }
+    parseAck: (payload) => {
+        const event = String(payload?.event || '').toLowerCase().replace(/_/g, '.')
+        if (event !== 'messages.update' || !payload.data) {
+            return []
+        }
+
+        const items = Array.isArray(payload.data) ? payload.data : [payload.data]
+
+        return items.flatMap(item => {
+            const fromMe = item.fromMe ?? item.key?.fromMe
+            const status = EVOLUTION_ACK_STATUSES[item.status ?? item.update?.status]
+            const providerMessageId = item.keyId || item.key?.id || null
+
+            return fromMe && status && providerMessageId
+                ? [{ providerMessageId, status, at: ackDate(payload.date_time) }]
+                : []
+        })
+    },
+}
+
+/**
+ * WhatsApp Cloud API (Meta)
+ * POST https://graph.facebook.com/{version}/{META_WHATSAPP_PHONE_NUMBER_ID}/messages
+ * Free-form text is only delivered inside the 24h customer service window.
+ */
+export const metaCloudProvider = {
+    name: 'meta',
+
+    isConfigured: () => Boolean(process.env.META_WHATSAPP_TOKEN && process.env.META_WHATSAPP_PHONE_NUMBER_ID),
+
+    sendText: async (phone, text) => {
+        const version = process.env.META_WHATSAPP_API_VERSION || 'v21.0'
+        const phoneNumberId = encodeURIComponent(process.env.META_WHATSAPP_PHONE_NUMBER_ID)
+
+        const response = await fetch(`https://graph.facebook.com/${version}/${phoneNumberId}/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${process.env.META_WHATSAPP_TOKEN}`,
+            },
+            body: JSON.stringify({
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: normalizePhone(phone),
+                type: 'text',
+                text: { body: text, preview_url: true },
+            }),
+        })
+
+        if (!response.ok) {
+            return { success: false, error: await readError(response) }
+        }
+
+        const result = await response.json().catch(() => ({}))
+        return { success: true, messageId: result.messages?.[0]?.id || null }
+    },
+}
+
+// Messages "sent" by the fake provider (kept in memory, newest last)
+const FAKE_OUTBOX_LIMIT = 100
+const fakeOutbox = []
+
+/**
+ * Local fake provider: records messages instead of sending them
+ * Set WHATSAPP_FAKE_FAIL=true to simulate a failure (exercises the fallback).
+ */
+export const fakeProvider = {
+    name: 'fake',
+
+    isConfigured: () => true,
+
+    sendText: async (phone, text) => {
+        if (process.env.WHATSAPP_FAKE_FAIL === 'true') {
+            return { success: false, error: 'Simulated failure (WHATSAPP_FAKE_FAIL)' }
+        }
+
+        const message = {
+            id: `fake_${Date.now()}_${fakeOutbox.length}`,
+            phone: normalizePhone(phone),
+            text,
+            sent_at: new Date(),
+        }
+
+        fakeOutbox.push(message)
+        if (fakeOutbox.length > FAKE_OUTBOX_LIMIT) {
+            fakeOutbox.shift()
+        }
+
+        console.info('[WhatsApp:fake] Message recorded:', { phone: message.phone, length: text.length })
+        return { success: true, messageId: message.id }
+    },
+}
+
+export const getFakeOutbox = () => [...fakeOutbox]
+
+export const clearFakeOutbox = () => {
+    fakeOutbox.length = 0
+}
+
+export const WHATSAPP_PROVIDERS = {
+    [wahaProvider.name]: wahaProvider,
+    [evolutionProvider.name]: evolutionProvider,
+    [metaCloudProvider.name]: metaCloudProvider,
+    [fakeProvider.name]: fakeProvider,
+}
+
+/**
+ * Incoming messages of a WAHA or Evolution webhook event
+ * Our own messages (fromMe), groups and non-text events are ignored.
+ *
+ * @param {object} payload - Webhook body
+ * @returns {{provider: string, messages: object[]}} messages: { phone, body, providerMessageId, senderName, receivedAt }
+ */
+export const parseInboundEvent = (payload) => {
+    for (const provider of [wahaProvider, evolutionProvider]) {
+        const messages = provider.parseInbound(payload)
+        if (messages.length > 0) {
+            return { provider: provider.name, messages }
+        }
+    }
+    return { provider: null, messages: [] }
+}
+
+/**
+ * Delivery/read receipts of a WAHA or Evolution webhook event
+ * Only receipts for our own messages count; "sent to server" acks are ignored
+ * (the send call already confirmed it).
+ *
+ * @param {object} payload - Webhook body
+ * @returns {{provider: string, acks: object[]}} acks: { providerMessageId, status: 'DELIVERED'|'READ', at }
+ */
+export const parseAckEvent = (payload) => {
+    for (const provider of [wahaProvider, evolutionProvider]) {
+        const acks = provider.parseAck(payload)
+        if (acks.length > 0) {
+            return { provider: provider.name, acks }
+        }
+    }
+    return { provider: null, acks: [] }
+}
+
+/**
+ * Providers in fallback order, as configured in WHATSAPP_PROVIDERS
+ * Unknown names are ignored (with a warning).
+ *
+ * @returns {object[]} Provider objects
+ */
+export const getProviderChain = () => {
+    const names = (process.env.WHATSAPP_PROVIDERS || DEFAULT_PROVIDER_ORDER)
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean)
+
+    return [...new Set(names)].flatMap(name => {
+        const provider = WHATSAPP_PROVIDERS[name]
+        if (!provider) {
+            console.warn(`[WhatsApp] Unknown provider "${name}" in WHATSAPP_PROVIDERS, ignoring`)
+            return []
+        }
+        if (name === 'fake' && process.env.NODE_ENV === 'production') {
+            console.warn('[WhatsApp] Fake provider is enabled in production, messages will not be delivered')
+        }
+        return [provider]
+    })
+}
+
+export default {
+    normalizePhone,
+    phoneCandidates,
+    WHATSAPP_PROVIDERS,
+    getProviderChain,
+    parseInboundEvent,
+    parseAckEvent,
+    getFakeOutbox,
+    clearFakeOutbox,
+}
@@ -0,0 +1,11 @@
+// Estágios do funil de leads (enum LeadStage do backend)
+// Usado no kanban do dashboard e na página de detalhe do lead
+
+export const LEAD_STAGES = [
+  { key: 'NA_BASE', label: 'Na Base', badgeClass: 'bg-cyan-500/20 text-cyan-300' },
+  { key: 'EM_CONTATO', label: 'Em Contato', badgeClass: 'bg-amber-500/20 text-amber-300' },
+  { key: 'COMPRADO', label: 'Comprado', badgeClass: 'bg-green-500/20 text-green-400' },
+  { key: 'REJEITADO', label: 'Rejeitado', badgeClass: 'bg-red-500/20 text-red-400' },
+]
+
+export const findLeadStage = (key) => LEAD_STAGES.find(s => s.key === key)
@@ -0,0 +1,19 @@
+// Motivos de cancelamento das mensagens do WhatsApp (WhatsAppMessage.cancel_reason)
+// Usado na fila do WhatsApp e na página de detalhe do lead
+
+export const CANCEL_REASON_LABELS = {
+  opted_out: 'contato pediu para não receber mensagens',
+  payment_attempted: 'lead iniciou pagamento',
+  payment_succeeded: 'pagamento aprovado',
+  meeting_cancelled: 'reunião cancelada',
+  meeting_not_scheduled: 'reunião não está agendada',
+  meeting_started: 'reunião já começou',
+  meeting_not_completed: 'reunião não foi concluída',
+  already_reviewed: 'cliente já avaliou',
+  already_sent: 'já enviada antes',
+  campaign_cancelled: 'campanha cancelada',
+  new_checkout: 'lead iniciou um novo checkout',
+  drip_step_removed: 'passo removido da sequência',
+}
+
+export const describeCancelReason = (reason) => CANCEL_REASON_LABELS[reason] || reason
@@ -0,0 +1,14 @@
+// Tipos de chave PIX (Referrer.pix_key_type)
+// Quem cadastra escolhe o tipo: 11 dígitos podem ser CPF ou celular, então ele nunca é deduzido
+
+export const PIX_KEY_TYPES = [
+  { value: 'CPF', label: 'CPF', placeholder: '000.000.000-00' },
+  { value: 'CNPJ', label: 'CNPJ', placeholder: '00.000.000/0000-00' },
+  { value: 'EMAIL', label: 'E-mail', placeholder: 'voce@email.com' },
+  { value: 'PHONE', label: 'Telefone', placeholder: '(11) 99999-9999' },
+  { value: 'RANDOM', label: 'Chave aleatória', placeholder: 'Chave aleatória' },
+]
+
+export const findPixKeyType = (value) => PIX_KEY_TYPES.find(type => type.value === value) || null
+
+export const pixKeyTypeLabel = (value) => findPixKeyType(value)?.label || value
@@ -18,6 +18,11 @@ const router = createRouter({
       component: () => import('./pages/SchedulingPage.vue'),
       name: 'scheduling'
     },
+    { 
+      path: '/minha-reserva', 
+      component: () => import('./pages/ClientBookingPage.vue'),
+      name: 'client-booking'
+    },
     { 
       path: '/referral', 
       component: () => import('./pages/ReferralPage.vue'),
@@ -43,6 +48,61 @@ const router = createRouter({
       component: () => import('./pages/AdminDashboardPage.vue'),
       name: 'admin-dashboard'
     },
+    { 
+      path: '/admin/meetings', 
+      component: () => import('./pages/AdminMeetingsPage.vue'),
+      name: 'admin-meetings'
+    },
+    { 
+      path: '/admin/schedule', 
+      component: () => import('./pages/AdminSchedulePage.vue'),
+      name: 'admin-schedule'
+    },
+    { 
+      path: '/admin/templates', 
+      component: () => import('./pages/AdminTemplatesPage.vue'),
+      name: 'admin-templates'
+    },
+    { 
+      path: '/admin/messages', 
+      component: () => import('./pages/AdminMessagesPage.vue'),
+      name: 'admin-messages'
+    },
+    { 
+      path: '/admin/inbox', 
+      component: () => import('./pages/AdminInboxPage.vue'),
+      name: 'admin-inbox'
+    },
+    { 
+      path: '/admin/consent', 
+      component: () => import('./pages/AdminConsentPage.vue'),
+      name: 'admin-consent'
+    },
+    { 
+      path: '/admin/campaigns', 
+      component: () => import('./pages/AdminCampaignsPage.vue'),
+      name: 'admin-campaigns'
+    },
+    { 
+      path: '/admin/payouts', 
+      component: () => import('./pages/AdminPayoutsPage.vue'),
+      name: 'admin-payouts'
+    },
+    { 
+      path: '/admin/products', 
+      component: () => import('./pages/AdminProductsPage.vue'),
+      name: 'admin-products'
+    },
+    { 
+      path: '/admin/coupons', 
+      component: () => import('./pages/AdminCouponsPage.vue'),
+      name: 'admin-coupons'
+    },
+    { 
+      path: '/admin/leads/:id', 
+      component: () => import('./pages/AdminLeadPage.vue'),
+      name: 'admin-lead'
+    },
     { 
       path: '/:pathMatch(.*)*', 
       component: () => import('./pages/LandingPage.vue'),
@@ -49,15 +49,35 @@ export default {
   },
 
   // Checkout / Pagamento
-  async getAvailableSlots(date) {
+  async getProducts() {
     try {
-      return await apiClient.get(`/meetings/available-slots?date=${date}`)
+      return await apiClient.get('/checkout/products')
+    } catch (error) {
+      error.message = extractMessage(error, 'Não foi possível carregar os pacotes.')
+      throw error
+    }
+  },
+
+  async getAvailableSlots(date, productId) {
+    try {
+      return await apiClient.get('/meetings/available-slots', {
+        params: { date, product_id: productId || undefined },
+      })
     } catch (error) {
       error.message = extractMessage(error, 'Não foi possível carregar os horários.')
       throw error
     }
   },
 
+  async previewCoupon(data) {
+    try {
+      return await apiClient.post('/checkout/coupon', data)
+    } catch (error) {
+      error.message = extractMessage(error, 'Não foi possível validar o cupom.')
+      throw error
+    }
+  },
+
   async createPaymentIntent(data) {
     try {
       return await apiClient.post('/checkout/create-payment-intent', data)
@@ -102,11 +122,11 @@ export default {
     }
   },
 
-  async updatePixKey(token, pixKey) {
+  async updatePixKey(token, pixKey, pixKeyType) {
     try {
       return await apiClient.put(
         '/referral/update-pix',
-        { pix_key: pixKey },
+        { pix_key: pixKey, pix_key_type: pixKeyType },
         { headers: { Authorization: `Bearer ${token}` } }
       )
     } catch (error) {
@@ -115,6 +135,77 @@ export default {
     }
   },
 
+  // Página do cliente (/minha-reserva)
+  async getBooking(token) {
+    try {
+      return await apiClient.get('/booking/get', {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+    } catch (error) {
+      error.message = extractMessage(error, 'Não foi possível carregar sua reserva.')
+      throw error
+    }
+  },
+
+  async getBookingSlots(token, date) {
+    try {
+      return await apiClient.get(`/booking/slots?date=${date}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+    } catch (error) {
+      error.message = extractMessage(error, 'Não foi possível carregar os horários.')
+      throw error
+    }
+  },
+
+  async rescheduleBooking(token, date, time) {
+    try {
+      return await apiClient.post(
+        '/booking/reschedule',
+        { date, time },
+        { headers: { Authorization: `Bearer ${token}` } }
+      )
+    } catch (error) {
+      error.message = extractMessage(error, 'Não foi possível remarcar a reunião.')
+      throw error
+    }
+  },
+
+  async cancelBooking(token) {
+    try {
+      return await apiClient.post(
+        '/booking/cancel',
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      )
+    } catch (error) {
+      error.message = extractMessage(error, 'Não foi possível cancelar a reunião.')
+      throw error
+    }
+  },
+
+  async reviewBooking(token, rating, comment) {
+    try {
+      return await apiClient.post(
+        '/booking/review',
+        { rating, comment },
+        { headers: { Authorization: `Bearer ${token}` } }
+      )
+    } catch (error) {
+      error.message = extractMessage(error, 'Não foi possível enviar sua avaliação.')
+      throw error
+    }
+  },
+
+  async getTestimonials() {
+    try {
+      return await apiClient.get('/reviews/testimonials')
+    } catch (error) {
+      error.message = extractMessage(error, 'Não foi possível carregar os depoimentos.')
+      throw error
+    }
+  },
+
   // Admin APIs
   async adminLogin(data) {
     try {
@@ -179,15 +270,511 @@ export default {
     }
   },
 
-  async adminUpdateInfluencerPix(influencerId, pixKey) {
+  async adminUpdateInfluencerPix(influencerId, pixKey, pixKeyType) {
     try {
       return await apiClient.put('/admin/influencers/update-pix', {
         influencer_id: influencerId,
         pix_key: pixKey || null,
+        pix_key_type: pixKey ? pixKeyType : null,
       })
     } catch (error) {
       error.message = extractMessage(error, 'Erro ao atualizar chave PIX.')
       throw error
     }
   },
+
+  // commissionType null remove a comissão própria (volta à do produto)
+  async adminSetInfluencerCommission(influencerId, productId, commissionType, commissionValue) {
+    try {
+      return await apiClient.put('/admin/influencers/commission', {
+        id: influencerId,
+        product_id: productId,
+        commission_type: commissionType,
+        commission_value: commissionValue,
+      })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao salvar comissão do influencer.')
+      throw error
+    }
+  },
+
+  async adminListLeads(params = {}) {
+    try {
+      return await apiClient.get('/admin/leads/list', { params })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar leads.')
+      throw error
+    }
+  },
+
+  async adminGetLead(id) {
+    try {
+      return await apiClient.get(`/admin/leads/detail?id=${id}`)
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar lead.')
+      throw error
+    }
+  },
+
+  async adminUpdateLeadStage(id, stage, note) {
+    try {
+      return await apiClient.put('/admin/leads/update-stage', { id, stage, note })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao mover lead.')
+      throw error
+    }
+  },
+
+  async adminListMeetings(params) {
+    try {
+      return await apiClient.get('/admin/meetings/list', { params })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar reuniões.')
+      throw error
+    }
+  },
+
+  async adminGetMeetingsFeedUrl() {
+    try {
+      return await apiClient.get('/admin/meetings/feed-url')
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao gerar link da agenda.')
+      throw error
+    }
+  },
+
+  async adminGetMeetingSlots(date, excludeMeetingId) {
+    try {
+      return await apiClient.get('/admin/meetings/slots', {
+        params: { date, exclude: excludeMeetingId },
+      })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar horários.')
+      throw error
+    }
+  },
+
+  async adminRescheduleMeeting(id, date, time) {
+    try {
+      return await apiClient.put('/admin/meetings/reschedule', { id, date, time })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao remarcar reunião.')
+      throw error
+    }
+  },
+
+  async adminUpdateMeetingStatus(id, status) {
+    try {
+      return await apiClient.put('/admin/meetings/update-status', { id, status })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao atualizar reunião.')
+      throw error
+    }
+  },
+
+  async adminListReviews() {
+    try {
+      return await apiClient.get('/admin/meetings/reviews')
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar avaliações.')
+      throw error
+    }
+  },
+
+  async adminApproveReview(id, approved) {
+    try {
+      return await apiClient.put('/admin/meetings/approve-review', { id, approved })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao atualizar depoimento.')
+      throw error
+    }
+  },
+
+  async adminListTemplates() {
+    try {
+      return await apiClient.get('/admin/templates/list')
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar mensagens.')
+      throw error
+    }
+  },
+
+  async adminCreateTemplate(message_type, body, activate = true, as_variant = false) {
+    try {
+      return await apiClient.post('/admin/templates/create', { message_type, body, activate, as_variant })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao salvar mensagem.')
+      throw error
+    }
+  },
+
+  async adminActivateTemplate(message_type, id) {
+    try {
+      return await apiClient.put('/admin/templates/activate', { message_type, id })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao ativar versão.')
+      throw error
+    }
+  },
+
+  async adminSetTemplateVariants(message_type, variants) {
+    try {
+      return await apiClient.put('/admin/templates/variants', { message_type, variants })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao salvar variantes.')
+      throw error
+    }
+  },
+
+  async adminGetDrips() {
+    try {
+      return await apiClient.get('/admin/drips/get')
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar sequências.')
+      throw error
+    }
+  },
+
+  async adminUpdateDrip(key, steps) {
+    try {
+      return await apiClient.put('/admin/drips/update', { key, steps })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao salvar sequência.')
+      throw error
+    }
+  },
+
+  async adminTemplateReport(message_type, days) {
+    try {
+      return await apiClient.get('/admin/templates/report', { params: { message_type, days } })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar relatório.')
+      throw error
+    }
+  },
+
+  async adminPreviewTemplate(body) {
+    try {
+      return await apiClient.post('/admin/templates/preview', { body })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao gerar prévia.')
+      throw error
+    }
+  },
+
+  async adminListMessages(params = {}) {
+    try {
+      return await apiClient.get('/admin/messages/list', { params })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar fila do WhatsApp.')
+      throw error
+    }
+  },
+
+  async adminRetryMessage(id) {
+    try {
+      return await apiClient.post('/admin/messages/retry', { id })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao reenviar mensagem.')
+      throw error
+    }
+  },
+
+  async adminListInboxThreads(params = {}) {
+    try {
+      return await apiClient.get('/admin/inbox/threads', { params })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar conversas.')
+      throw error
+    }
+  },
+
+  async adminGetInboxThread(phone) {
+    try {
+      return await apiClient.get('/admin/inbox/thread', { params: { phone } })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar conversa.')
+      throw error
+    }
+  },
+
+  async adminReplyInbox(phone, text) {
+    try {
+      return await apiClient.post('/admin/inbox/reply', { phone, text })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao enviar resposta.')
+      throw error
+    }
+  },
+
+  async adminListConsents(params = {}) {
+    try {
+      return await apiClient.get('/admin/consent/list', { params })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar opt-outs.')
+      throw error
+    }
+  },
+
+  async adminUpdateConsent(phone, status, note) {
+    try {
+      return await apiClient.put('/admin/consent/update', { phone, status, note })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao alterar consentimento.')
+      throw error
+    }
+  },
+
+  async adminListCampaigns(params = {}) {
+    try {
+      return await apiClient.get('/admin/campaigns/list', { params })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar campanhas.')
+      throw error
+    }
+  },
+
+  async adminPreviewCampaign(segment, body) {
+    try {
+      return await apiClient.post('/admin/campaigns/preview', { segment, body })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao gerar prévia da campanha.')
+      throw error
+    }
+  },
+
+  async adminCreateCampaign(data) {
+    try {
+      return await apiClient.post('/admin/campaigns/create', data)
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao criar campanha.')
+      throw error
+    }
+  },
+
+  async adminScheduleCampaign(id) {
+    try {
+      return await apiClient.post('/admin/campaigns/schedule', { id })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao agendar campanha.')
+      throw error
+    }
+  },
+
+  async adminCancelCampaign(id) {
+    try {
+      return await apiClient.post('/admin/campaigns/cancel', { id })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao cancelar campanha.')
+      throw error
+    }
+  },
+
+  async adminGetPayoutBalances() {
+    try {
+      return await apiClient.get('/admin/payouts/balances')
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar saldos de comissões.')
+      throw error
+    }
+  },
+
+  async adminListPayoutBatches(params = {}) {
+    try {
+      return await apiClient.get('/admin/payouts/list', { params })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar lotes de pagamento.')
+      throw error
+    }
+  },
+
+  async adminCreatePayoutBatches() {
+    try {
+      return await apiClient.post('/admin/payouts/create-batches')
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao gerar lotes de pagamento.')
+      throw error
+    }
+  },
+
+  async adminMarkPayoutBatchPaid(id, e2eId) {
+    try {
+      return await apiClient.post('/admin/payouts/mark-paid', { id, e2e_id: e2eId })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao marcar lote como pago.')
+      throw error
+    }
+  },
+
+  async adminCancelPayoutBatch(id) {
+    try {
+      return await apiClient.post('/admin/payouts/cancel', { id })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao cancelar lote de pagamento.')
+      throw error
+    }
+  },
+
+  // pixKeyType confirma o tipo de uma chave antiga, salva sem tipo
+  async adminRequestPayoutTransfer(id, pixKeyType = null) {
+    try {
+      return await apiClient.post('/admin/payouts/request-transfer', { id, pix_key_type: pixKeyType })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao criar transferência na OpenPix.')
+      throw error
+    }
+  },
+
+  async adminApprovePayoutTransfer(id) {
+    try {
+      return await apiClient.post('/admin/payouts/approve-transfer', { id })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao aprovar transferência.')
+      throw error
+    }
+  },
+
+  async adminReconcilePayoutBatch(id) {
+    try {
+      return await apiClient.post('/admin/payouts/reconcile', { id })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao consultar transferência.')
+      throw error
+    }
+  },
+
+  async adminReverseCommission(transactionId, reason) {
+    try {
+      return await apiClient.post('/admin/payouts/reverse-commission', { transaction_id: transactionId, reason })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao estornar comissão.')
+      throw error
+    }
+  },
+
+  async adminRefundTransaction(transactionId, reason) {
+    try {
+      return await apiClient.post('/admin/transactions/refund', { transaction_id: transactionId, reason })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao reembolsar pagamento.')
+      throw error
+    }
+  },
+
+  async adminGetSchedule() {
+    try {
+      return await apiClient.get('/admin/schedule/get')
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar agenda.')
+      throw error
+    }
+  },
+
+  async adminUpdateSchedule(data) {
+    try {
+      return await apiClient.put('/admin/schedule/update', data)
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao salvar agenda.')
+      throw error
+    }
+  },
+
+  async adminAddBlackout(date, reason) {
+    try {
+      return await apiClient.post('/admin/schedule/add-blackout', { date, reason })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao bloquear data.')
+      throw error
+    }
+  },
+
+  async adminRemoveBlackout(id) {
+    try {
+      return await apiClient.post('/admin/schedule/remove-blackout', { id })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao remover bloqueio.')
+      throw error
+    }
+  },
+
+  async adminListTechnicians() {
+    try {
+      return await apiClient.get('/admin/technicians/list')
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar técnicos.')
+      throw error
+    }
+  },
+
+  async adminCreateTechnician(data) {
+    try {
+      return await apiClient.post('/admin/technicians/create', data)
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao cadastrar técnico.')
+      throw error
+    }
+  },
+
+  async adminUpdateTechnician(id, data) {
+    try {
+      return await apiClient.put('/admin/technicians/update', { id, ...data })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao atualizar técnico.')
+      throw error
+    }
+  },
+
+  async adminListProducts() {
+    try {
+      return await apiClient.get('/admin/products/list')
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar produtos.')
+      throw error
+    }
+  },
+
+  async adminCreateProduct(data) {
+    try {
+      return await apiClient.post('/admin/products/create', data)
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao cadastrar produto.')
+      throw error
+    }
+  },
+
+  async adminUpdateProduct(id, data) {
+    try {
+      return await apiClient.put('/admin/products/update', { id, ...data })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao atualizar produto.')
+      throw error
+    }
+  },
+
+  async adminListCoupons() {
+    try {
+      return await apiClient.get('/admin/coupons/list')
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao carregar cupons.')
+      throw error
+    }
+  },
+
+  async adminCreateCoupon(data) {
+    try {
+      return await apiClient.post('/admin/coupons/create', data)
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao cadastrar cupom.')
+      throw error
+    }
+  },
+
+  async adminUpdateCoupon(id, data) {
+    try {
+      return await apiClient.put('/admin/coupons/update', { id, ...data })
+    } catch (error) {
+      error.message = extractMessage(error, 'Erro ao atualizar cupom.')
+      throw error
+    }
+  },
 }